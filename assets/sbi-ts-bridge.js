@@ -16,6 +16,7 @@
       if (window && window.sbiDebug && typeof window.sbiDebug.addEntry === 'function') {
         window.sbiDebug.addEntry('warning', 'TS Bridge Skipped', 'No indexUrl provided');
       }
+      window.dispatchEvent(new CustomEvent('sbi:ts-failed', { detail: { url: '', error: 'No indexUrl provided' } }));
       return;
     }
 
@@ -25,16 +26,93 @@
     }
 
     const mod = await import(indexUrl);
+    // One failing feature (IndexedDB, BroadcastChannel, Heartbeat...) must not take row actions down with it
+    const attach = (name, fn) => {
+      try {
+        fn();
+      } catch (e) {
+        if (window.sbiDebug && typeof window.sbiDebug.addEntry === 'function') {
+          window.sbiDebug.addEntry('error', 'TS Bridge Attach Failed', `${name}: ${(e && e.message) ? e.message : String(e)}`);
+        }
+      }
+    };
+    // Structured debug store behind window.sbiDebug (+ filterable panel when debug is enabled)
+    attach('debug panel', () => mod.mountDebugPanel(window));
+    // Cached row references and windowed rendering for large tables; attach before anything looks rows up
+    attach('row registry', () => mod.rowRegistry.attach(window));
+    // Share state changes and per-repository operation locks with other installer tabs
+    attach('tab sync', () => mod.attachTabSync(window));
+    // WordPress Heartbeat: renews sbiAjax.nonce on every tick (and carries state changes when SSE is unavailable)
+    attach('heartbeat', () => mod.getHeartbeat(window).start());
+    // Persistent per-repository activity history (IndexedDB)
+    attach('audit trail', () => mod.attachAuditTrail(window));
+    // "N updates available" header filter
+    attach('update filter', () => mod.attachUpdateFilter(window));
+    // Per-row branch/tag/release picker for install and update
+    attach('ref picker', () => mod.attachRefPicker(window));
+    // Search, state chips and sorting above the repository table (state kept in the URL hash)
+    attach('table filter', () => mod.attachTableFilter(window));
+    // Export/import of the plugin set as a JSON site manifest
+    attach('site manifest', () => mod.attachSiteManifest(window));
+    // GitHub API quota in the header; scans and install batches wait for the reset when it runs low
+    attach('rate limit widget', () => mod.attachRateLimitWidget(window));
+    // "Treat as WordPress plugin" row actions and the override panel
+    attach('plugin overrides', () => mod.attachPluginOverrides(window));
+    // Screen reader announcements for row and batch changes; keyboard navigation of the repository table
+    attach('live announcements', () => mod.attachLiveAnnouncements(window));
+    attach('keyboard navigation', () => mod.attachKeyboardNav(window));
     // Expose a stable global used by admin.js
     window.SBIts = {
-      installPlugin: (win, owner, repository, activate = false) => mod.installPlugin(win, owner, repository, activate),
+      installPlugin: (win, owner, repository, activate = false, ref = '') => mod.installPlugin(win, owner, repository, activate, ref),
+      updatePlugin: (win, owner, repository, ref = '') => mod.updatePlugin(win, owner, repository, ref),
+      getRepositoryRefs: (win, owner, repository, forceRefresh = false) => mod.getRepositoryRefs(win, owner, repository, forceRefresh),
+      selectedRef: (repository) => mod.selectedRef(repository),
       activatePlugin: (win, repository, plugin_file) => mod.activatePlugin(win, repository, plugin_file),
       deactivatePlugin: (win, repository, plugin_file) => mod.deactivatePlugin(win, repository, plugin_file),
       refreshStatus: (win, repositories) => mod.refreshStatus(win, repositories),
+      refreshRepository: (win, repository) => mod.refreshRepository(win, repository),
+      bindRowActions: (win) => mod.bindRowActions(win),
+      runRowAction: (win, action, target) => mod.runRowAction(win, action, target),
+      refreshRow: (win, repository) => mod.refreshRow(win, repository),
+      overrideRepository: (win, repository, pluginFile) => mod.overrideRepository(win, repository, pluginFile),
+      removeOverride: (win, repository) => mod.removeOverride(win, repository),
+      announce: (message, politeness = 'polite') => mod.announce(message, politeness),
+      // Page notices (text only); admin.js routes SBI.showMessage through this
+      notify: (message, opts) => mod.notify(message, opts),
+      getNotificationCenter: () => mod.getNotificationCenter(),
+      showShortcutHelp: () => mod.getKeyboardNav()?.help?.open(),
+      getInstallationProgress: (win, repository) => mod.getInstallationProgress(win, repository),
+      getInstallTimeline: (win, repository) => mod.getInstallProgress(win).getTimeline(repository),
+      runBatch: (win, action, rows, opts) => mod.runBatch(win, action, rows, opts),
+      getActiveBatch: () => mod.getActiveBatch(),
+      planBatch: (action, items) => mod.planBatch(action, items),
+      startRepositoryScan: (win, organization, opts) => mod.startRepositoryScan(win, organization, opts),
+      getActiveScanner: () => mod.getActiveScanner(),
+      getStateStream: (win) => mod.getStateStream(win),
+      classifyError: (failure, ctx) => mod.classifyError(failure, ctx),
+      formatErrorHints: (err) => mod.formatErrorHints(err),
+      debugStore: mod.getDebugStore(),
+      buildDiagnosticBundle: (win) => mod.buildDiagnosticBundle(win),
+      downloadDiagnosticBundle: (win) => mod.downloadDiagnosticBundle(win),
+      auditLog: mod.getAuditLog(),
+      toggleRowHistory: (repository) => mod.toggleRowHistory(repository),
+      getTableFilter: () => mod.getTableFilter(),
+      getManifestView: () => mod.getManifestView(),
+      BatchQueue: mod.BatchQueue,
       repositoryFSM: mod.repositoryFSM,
+      rowRegistry: mod.rowRegistry,
+      getTabSync: () => mod.getTabSync(window),
+      rateLimit: mod.rateLimit,
+      // admin-ajax POST through the active transport (live, record or replay) for inline page scripts
+      ajax: (win, payload, opts) => mod.wpAjaxFetch(win, payload, opts),
+      getTransport: () => mod.getTransport(window),
+      setTransportMode: (config) => mod.setTransportMode(window, config),
+      downloadTransportSession: () => mod.downloadTransportSession(window),
     };
+    // Inline page scripts may run before the module finishes loading
+    window.dispatchEvent(new CustomEvent('sbi:ts-ready'));
   } catch (e) {
-    // Swallow errors; admin.js will fallback gracefully
+    // The bundle did not load: row actions stay unavailable; sbi:ts-failed lets the page say so
     const msg = (e && e.message) ? e.message : String(e);
     const details = (typeof location !== 'undefined' ? (' @ ' + location.href) : '');
     const attemptedUrl = (function(){
@@ -43,6 +121,7 @@
     if (window && window.sbiDebug && typeof window.sbiDebug.addEntry === 'function') {
       window.sbiDebug.addEntry('error', 'TS Bridge Load Failed', `url=${attemptedUrl}; error=${msg}${details}`);
     }
+    window.dispatchEvent(new CustomEvent('sbi:ts-failed', { detail: { url: attemptedUrl, error: msg } }));
   }
 })();
 
@@ -13,6 +13,7 @@ use SBI\Services\PluginDetectionService;
 use SBI\Services\PluginInstallationService;
 use SBI\Services\StateManager;
 use SBI\Enums\PluginState;
+use SBI\Enums\ErrorCode;
 
 /**
  * AJAX handler class.
@@ -80,6 +81,8 @@ class AjaxHandler {
 
         // Plugin actions
         add_action( 'wp_ajax_sbi_install_plugin', [ $this, 'install_plugin' ] );
+        add_action( 'wp_ajax_sbi_update_plugin', [ $this, 'update_plugin' ] );
+        add_action( 'wp_ajax_sbi_get_repository_refs', [ $this, 'get_repository_refs' ] );
         add_action( 'wp_ajax_sbi_activate_plugin', [ $this, 'activate_plugin' ] );
         add_action( 'wp_ajax_sbi_deactivate_plugin', [ $this, 'deactivate_plugin' ] );
 
@@ -102,8 +105,21 @@ class AjaxHandler {
         add_action( 'wp_ajax_sbi_state_stream', [ $this, 'state_stream' ] );
 
         add_action( 'wp_ajax_sbi_test_sse', [ $this, 'test_sse' ] );
+        // Heartbeat channel: nonce renewal, and state changes where SSE is off or buffered
+        add_filter( 'heartbeat_received', [ $this, 'heartbeat_received' ], 10, 2 );
         // UI tips
         add_action( 'wp_ajax_sbi_dismiss_webonly_tip', [ $this, 'dismiss_webonly_tip' ] );
+
+        // GitHub API quota: read it from every API response and pass it on to the admin UI
+        add_action( 'wp_ajax_sbi_github_rate_limit', [ $this, 'github_rate_limit' ] );
+        add_action( 'http_api_debug', [ $this->github_service, 'record_rate_limit' ], 10, 5 );
+        add_action( 'sbi_github_rate_limit', [ $this, 'send_rate_limit_header' ] );
+
+        // "Treat as WordPress plugin" overrides for repositories detection misjudges
+        add_action( 'wp_ajax_sbi_list_plugin_overrides', [ $this, 'list_plugin_overrides' ] );
+        add_action( 'wp_ajax_sbi_set_plugin_override', [ $this, 'set_plugin_override' ] );
+        add_action( 'wp_ajax_sbi_remove_plugin_override', [ $this, 'remove_plugin_override' ] );
+        add_action( 'wp_ajax_sbi_clear_plugin_overrides', [ $this, 'clear_plugin_overrides' ] );
     }
 
     /**
@@ -113,7 +129,7 @@ class AjaxHandler {
         $this->verify_nonce_and_capability();
 
         $account_name = sanitize_text_field( $_POST['organization'] ?? '' );
-        $force_refresh = (bool) ( $_POST['force_refresh'] ?? false );
+        $force_refresh = rest_sanitize_boolean( $_POST['force_refresh'] ?? false );
         $limit = (int) ( $_POST['limit'] ?? 0 ); // 0 = no limit
 
         if ( empty( $account_name ) ) {
@@ -126,7 +142,8 @@ class AjaxHandler {
 
         if ( is_wp_error( $repositories ) ) {
             wp_send_json_error( [
-                'message' => $repositories->get_error_message()
+                'message' => $repositories->get_error_message(),
+                'error_code' => ErrorCode::from_wp_error( $repositories )->value,
             ] );
         }
 
@@ -137,7 +154,7 @@ class AjaxHandler {
             $state = $this->state_manager->get_state( $repo['full_name'] );
 
             // Derive canonical plugin flag from FSM state only
-            $is_plugin_ssot = in_array( $state, [ PluginState::AVAILABLE, PluginState::INSTALLED_INACTIVE, PluginState::INSTALLED_ACTIVE ], true );
+            $is_plugin_ssot = in_array( $state, [ PluginState::AVAILABLE, PluginState::INSTALLED_INACTIVE, PluginState::INSTALLED_ACTIVE, PluginState::UPDATE_AVAILABLE ], true );
 
             $processed_repos[] = [
                 'repository' => $repo,
@@ -160,7 +177,7 @@ class AjaxHandler {
         $this->verify_nonce_and_capability();
 
         $account_name = sanitize_text_field( $_POST['organization'] ?? '' );
-        $force_refresh = (bool) ( $_POST['force_refresh'] ?? false );
+        $force_refresh = rest_sanitize_boolean( $_POST['force_refresh'] ?? false );
         $limit = (int) ( $_POST['limit'] ?? 0 ); // 0 = no limit
 
         // Debug logging
@@ -178,7 +195,8 @@ class AjaxHandler {
         if ( is_wp_error( $repositories ) ) {
             error_log( sprintf( 'SBI AJAX: fetch_repository_list failed for %s: %s', $account_name, $repositories->get_error_message() ) );
             wp_send_json_error( [
-                'message' => $repositories->get_error_message()
+                'message' => $repositories->get_error_message(),
+                'error_code' => ErrorCode::from_wp_error( $repositories )->value,
             ] );
         }
 
@@ -272,7 +290,7 @@ class AjaxHandler {
             }
 
             // Derive is_plugin from FSM state (SSoT)
-            $is_plugin_ssot = in_array( $state, [ PluginState::AVAILABLE, PluginState::INSTALLED_INACTIVE, PluginState::INSTALLED_ACTIVE ], true );
+            $is_plugin_ssot = in_array( $state, [ PluginState::AVAILABLE, PluginState::INSTALLED_INACTIVE, PluginState::INSTALLED_ACTIVE, PluginState::UPDATE_AVAILABLE ], true );
 
             $processed_repo = [
                 'repository' => $repo,
@@ -405,6 +423,22 @@ class AjaxHandler {
             ] );
         }
 
+        // Re-read headers from GitHub so a pushed version bump shows up as an update
+        $this->state_manager->detect_plugin_info( [ 'full_name' => $repo_name, 'name' => $repo_slug ?: $repo_name ], true );
+
+        wp_send_json_success( $this->refreshed_row( $repo_name ) );
+    }
+
+    /**
+     * Re-derive a repository's state and render its list table row.
+     *
+     * @param string $repo_name Repository full name (owner/repo).
+     * @return array repository, state and row_html for the browser.
+     */
+    private function refreshed_row( string $repo_name ): array {
+        $repo_owner = ''; $repo_slug = '';
+        if ( strpos( $repo_name, '/' ) !== false ) { list( $repo_owner, $repo_slug ) = explode( '/', $repo_name, 2 ); }
+
         // Refresh state: use StateManager FSM
         $this->state_manager->refresh_state( $repo_name );
         $new_state = $this->state_manager->get_state( $repo_name );
@@ -440,11 +474,11 @@ class AjaxHandler {
             'installation_state' => $new_state,
         ] ) );
 
-        wp_send_json_success( [
+        return [
             'repository' => $repo_name,
             'state' => $new_state->value,
             'row_html' => $row_html,
-        ] );
+        ];
     }
 
     /**
@@ -456,6 +490,136 @@ class AjaxHandler {
         wp_send_json_success();
     }
 
+    /**
+     * Report the GitHub core API quota for the header widget.
+     */
+    public function github_rate_limit(): void {
+        $this->verify_nonce_and_capability();
+
+        $force_refresh = rest_sanitize_boolean( $_POST['force_refresh'] ?? false );
+        $status = $this->github_service->get_rate_limit_status( $force_refresh );
+        if ( is_wp_error( $status ) ) {
+            wp_send_json_error( [
+                'message' => $status->get_error_message(),
+                'error_code' => ErrorCode::from_wp_error( $status )->value,
+            ] );
+        }
+
+        // server_time lets the browser correct for clock skew when counting down to reset
+        wp_send_json_success( array_merge( $status, [ 'server_time' => time() ] ) );
+    }
+
+    /**
+     * Attach the latest GitHub quota reading to the current AJAX response
+     * (X-SBI-GitHub-Rate: remaining=57, limit=60, reset=1760000000).
+     *
+     * @param array $snapshot Rate limit snapshot from GitHubService.
+     */
+    public function send_rate_limit_header( array $snapshot ): void {
+        if ( ! wp_doing_ajax() || headers_sent() ) {
+            return;
+        }
+        header( sprintf(
+            'X-SBI-GitHub-Rate: remaining=%d, limit=%d, reset=%d',
+            $snapshot['remaining'],
+            $snapshot['limit'],
+            $snapshot['reset']
+        ) );
+    }
+
+    /**
+     * List plugin overrides with each repository's current state.
+     */
+    public function list_plugin_overrides(): void {
+        $this->verify_nonce_and_capability();
+
+        $overrides = [];
+        foreach ( $this->state_manager->get_plugin_overrides() as $repository => $entry ) {
+            $overrides[] = array_merge( [ 'repository' => $repository ], $entry, [
+                'state' => $this->state_manager->get_state( $repository )->value,
+            ] );
+        }
+
+        wp_send_json_success( [ 'overrides' => $overrides ] );
+    }
+
+    /**
+     * Record (or edit) an override so detection no longer decides whether a
+     * repository is a plugin, then return the re-rendered row.
+     */
+    public function set_plugin_override(): void {
+        $this->verify_nonce_and_capability();
+
+        $repo_name = $this->override_repository_param();
+        $plugin_file = sanitize_text_field( wp_unslash( $_POST['plugin_file'] ?? '' ) );
+        $plugin_file = ltrim( str_replace( '\\', '/', trim( $plugin_file ) ), '/' );
+
+        if ( $plugin_file !== '' && ( ! str_ends_with( strtolower( $plugin_file ), '.php' ) || validate_file( $plugin_file ) !== 0 ) ) {
+            wp_send_json_error( [
+                'message' => __( 'The plugin file must be a relative path to a .php file, e.g. my-plugin.php.', 'kiss-smart-batch-installer' ),
+                'error_code' => ErrorCode::INVALID_REQUEST->value,
+                'repository' => $repo_name,
+            ] );
+        }
+
+        $this->state_manager->set_plugin_override( $repo_name, $plugin_file );
+
+        wp_send_json_success( array_merge( $this->refreshed_row( $repo_name ), [
+            'override' => $this->state_manager->get_plugin_override( $repo_name ),
+        ] ) );
+    }
+
+    /**
+     * Remove a repository's override and let detection decide again.
+     */
+    public function remove_plugin_override(): void {
+        $this->verify_nonce_and_capability();
+
+        $repo_name = $this->override_repository_param();
+        if ( ! $this->state_manager->remove_plugin_override( $repo_name ) ) {
+            wp_send_json_error( [
+                'message' => __( 'This repository has no override.', 'kiss-smart-batch-installer' ),
+                'error_code' => ErrorCode::INVALID_REQUEST->value,
+                'repository' => $repo_name,
+            ] );
+        }
+
+        wp_send_json_success( array_merge( $this->refreshed_row( $repo_name ), [ 'override' => null ] ) );
+    }
+
+    /**
+     * Remove every override. Rows are refreshed by the browser afterwards.
+     */
+    public function clear_plugin_overrides(): void {
+        $this->verify_nonce_and_capability();
+
+        $repositories = $this->state_manager->clear_plugin_overrides();
+        $states = [];
+        foreach ( $repositories as $repository ) {
+            $this->state_manager->refresh_state( $repository );
+            $states[ $repository ] = $this->state_manager->get_state( $repository )->value;
+        }
+
+        wp_send_json_success( [
+            'cleared' => count( $repositories ),
+            'states' => $states,
+        ] );
+    }
+
+    /**
+     * Repository parameter for the override endpoints (owner/repo); ends the request when missing.
+     */
+    private function override_repository_param(): string {
+        $repo_name = sanitize_text_field( wp_unslash( $_POST['repository'] ?? '' ) );
+        if ( ! preg_match( '#^[A-Za-z0-9_.-]+/[A-Za-z0-9_.-]+$#', $repo_name ) ) {
+            wp_send_json_error( [
+                'message' => __( 'Repository must be given as owner/repo.', 'kiss-smart-batch-installer' ),
+                'error_code' => ErrorCode::INVALID_REQUEST->value,
+            ] );
+        }
+        return $repo_name;
+    }
+
     /**
      * Install plugin from repository.
      */
@@ -505,10 +669,11 @@ class AjaxHandler {
 
             $repo_name = sanitize_text_field( $_POST['repository'] ?? '' );
             $owner = sanitize_text_field( $_POST['owner'] ?? '' );
-            $activate = (bool) ( $_POST['activate'] ?? false );
+            $activate = rest_sanitize_boolean( $_POST['activate'] ?? false );
+            $ref = sanitize_text_field( $_POST['ref'] ?? '' );
 
-            error_log( sprintf( 'SBI INSTALL: Starting installation for %s/%s (activate: %s)',
-                $owner, $repo_name, $activate ? 'yes' : 'no' ) );
+            error_log( sprintf( 'SBI INSTALL: Starting installation for %s/%s (activate: %s, ref: %s)',
+                $owner, $repo_name, $activate ? 'yes' : 'no', $ref ?: 'default' ) );
 
             if ( empty( $repo_name ) ) {
                 $debug_steps[] = [
@@ -522,6 +687,7 @@ class AjaxHandler {
 
                 wp_send_json_error( [
                     'message' => __( 'Repository name is required.', 'kiss-smart-batch-installer' ),
+                    'error_code' => ErrorCode::INVALID_REQUEST->value,
                     'debug_steps' => $debug_steps,
                     'progress_updates' => $this->progress_updates
                 ] );
@@ -539,6 +705,25 @@ class AjaxHandler {
 
                 wp_send_json_error( [
                     'message' => __( 'Repository owner is required.', 'kiss-smart-batch-installer' ),
+                    'error_code' => ErrorCode::INVALID_REQUEST->value,
+                    'debug_steps' => $debug_steps,
+                    'progress_updates' => $this->progress_updates
+                ] );
+            }
+
+            if ( $ref !== '' && ! GitHubService::is_valid_ref( $ref ) ) {
+                $debug_steps[] = [
+                    'step' => 'Parameter Validation',
+                    'status' => 'failed',
+                    'error' => 'Invalid branch or tag name',
+                    'time' => round( ( microtime( true ) - $start_time ) * 1000, 2 )
+                ];
+
+                $this->send_progress_update( 'Parameter Validation', 'error', 'Invalid branch or tag name' );
+
+                wp_send_json_error( [
+                    'message' => __( 'Invalid branch or tag name.', 'kiss-smart-batch-installer' ),
+                    'error_code' => ErrorCode::INVALID_REQUEST->value,
                     'debug_steps' => $debug_steps,
                     'progress_updates' => $this->progress_updates
                 ] );
@@ -547,7 +732,7 @@ class AjaxHandler {
             $debug_steps[] = [
                 'step' => 'Parameter Validation',
                 'status' => 'completed',
-                'message' => sprintf( 'Repository: %s/%s, Activate: %s', $owner, $repo_name, $activate ? 'yes' : 'no' ),
+                'message' => sprintf( 'Repository: %s/%s, Ref: %s, Activate: %s', $owner, $repo_name, $ref ?: 'default branch', $activate ? 'yes' : 'no' ),
                 'time' => round( ( microtime( true ) - $start_time ) * 1000, 2 )
             ];
 
@@ -575,12 +760,16 @@ class AjaxHandler {
                 ];
                 wp_send_json_error([
                     'message' => __( 'Another operation is in progress for this repository. Please try again shortly.', 'kiss-smart-batch-installer' ),
+                    'error_code' => ErrorCode::BUSY->value,
                     'repository' => $repo_name,
                     'debug_steps' => $debug_steps,
                     'progress_updates' => $this->progress_updates,
                 ]);
             }
 
+            $this->progress_repository = $repo_full;
+            $this->state_manager->start_install_progress( $repo_full, $activate );
+
             // Ensure lock release
             try {
                 // Set progress callback for the installation service using a closure.
@@ -594,7 +783,7 @@ class AjaxHandler {
                 // refactor, preserve equivalent structured debug output.
                 // Buffer any stray output from WordPress upgrader/skin to keep JSON clean
                 ob_start();
-                $result = $this->installation_service->install_and_activate( $owner, $repo_name, $activate );
+                $result = $this->installation_service->install_and_activate( $owner, $repo_name, $activate, $ref );
                 $suppressed_output = ob_get_clean();
                 if ( ! empty( $suppressed_output ) ) {
                     error_log( 'SBI INSTALL: Suppressed output during install: ' . substr( $suppressed_output, 0, 2000 ) );
@@ -606,9 +795,10 @@ class AjaxHandler {
             if ( is_wp_error( $result ) ) {
                 $error_code = $result->get_error_code();
                 $error_message = $result->get_error_message();
+                $failure = ErrorCode::from_wp_error( $result, 'install' );
 
-                // Enhanced error message for 404 errors
-                if ( $error_code === 'github_api_error' && strpos( $error_message, '404' ) !== false ) {
+                // Enhanced error message for missing repositories
+                if ( ErrorCode::REPO_NOT_FOUND === $failure ) {
                     $enhanced_message = sprintf(
                         'Repository %s/%s not found. This could mean: 1) Repository doesn\'t exist, 2) Repository is private, 3) Repository name is incorrect, or 4) GitHub API is temporarily unavailable.',
                         $owner,
@@ -624,6 +814,7 @@ class AjaxHandler {
                     'error' => $enhanced_message,
                     'original_error' => $error_message,
                     'error_code' => $error_code,
+                    'failure' => $failure->value,
                     'repository_url' => sprintf( 'https://github.com/%s/%s', $owner, $repo_name ),
                     'api_url' => sprintf( 'https://api.github.com/repos/%s/%s', $owner, $repo_name ),
                     'time' => round( ( microtime( true ) - $start_time ) * 1000, 2 )
@@ -633,6 +824,7 @@ class AjaxHandler {
                 $this->state_manager->transition( sprintf('%s/%s', $owner, $repo_name), PluginState::ERROR, [ 'source' => 'ajax_install', 'error_code' => $error_code ] );
 
                 $this->send_progress_update( 'Plugin Installation', 'error', 'Installation failed: ' . $enhanced_message );
+                $this->finish_progress( false );
 
                 error_log( sprintf( 'SBI INSTALL: Installation failed for %s/%s: %s (Code: %s)',
                     $owner, $repo_name, $error_message, $error_code ) );
@@ -640,16 +832,12 @@ class AjaxHandler {
                 $error_data = $result->get_error_data();
                 wp_send_json_error( [
                     'message' => $enhanced_message,
+                    'error_code' => $failure->value,
                     'repository' => $repo_name,
                     'debug_steps' => $debug_steps,
                     'progress_updates' => $this->progress_updates,
                     'upgrader_messages' => is_array( $error_data ) && isset( $error_data['messages'] ) ? $error_data['messages'] : [],
                     'download_url' => is_array( $error_data ) && isset( $error_data['download_url'] ) ? $error_data['download_url'] : null,
-                    'troubleshooting' => [
-                        'check_repository_exists' => sprintf( 'https://github.com/%s/%s', $owner, $repo_name ),
-                        'verify_repository_public' => 'Make sure the repository is public',
-                        'check_spelling' => 'Verify owner and repository names are correct'
-                    ]
                 ] );
             }
 
@@ -662,6 +850,7 @@ class AjaxHandler {
             ];
 
             $this->send_progress_update( 'Plugin Installation', 'success', "Successfully installed {$owner}/{$repo_name}" );
+            $this->finish_progress( true );
 
             // Note: FSM transitions are now handled directly by PluginInstallationService
 
@@ -703,6 +892,9 @@ class AjaxHandler {
             error_log( sprintf( 'SBI INSTALL: Exception during installation of %s/%s: %s',
                 $owner ?? 'unknown', $repo_name ?? 'unknown', $e->getMessage() ) );
 
+            $this->send_progress_update( 'Plugin Installation', 'error', 'Installation failed: ' . $e->getMessage() );
+            $this->finish_progress( false );
+
             // Clean up memory before sending error response
             if ( function_exists( 'gc_collect_cycles' ) ) {
                 gc_collect_cycles();
@@ -715,6 +907,7 @@ class AjaxHandler {
 
             wp_send_json_error( [
                 'message' => sprintf( 'Installation failed: %s', $e->getMessage() ),
+                'error_code' => ErrorCode::UNKNOWN->value,
                 'repository' => $repo_name ?? 'unknown',
                 'debug_steps' => $debug_steps,
                 'progress_updates' => $this->progress_updates
@@ -722,6 +915,133 @@ class AjaxHandler {
         }
     }
 
+    /**
+     * Update an installed plugin from GitHub, keeping its activation status.
+     */
+    public function update_plugin(): void {
+        $this->verify_nonce_and_capability();
+
+        if ( ob_get_level() ) {
+            ob_clean();
+        }
+
+        $repo_name = sanitize_text_field( $_POST['repository'] ?? '' );
+        $owner = sanitize_text_field( $_POST['owner'] ?? '' );
+        $ref = sanitize_text_field( $_POST['ref'] ?? '' );
+
+        if ( empty( $repo_name ) || empty( $owner ) ) {
+            wp_send_json_error( [
+                'message' => __( 'Repository owner and name are required.', 'kiss-smart-batch-installer' ),
+                'error_code' => ErrorCode::INVALID_REQUEST->value,
+            ] );
+        }
+
+        if ( $ref !== '' && ! GitHubService::is_valid_ref( $ref ) ) {
+            wp_send_json_error( [
+                'message' => __( 'Invalid branch or tag name.', 'kiss-smart-batch-installer' ),
+                'error_code' => ErrorCode::INVALID_REQUEST->value,
+            ] );
+        }
+
+        $repo_full = sprintf( '%s/%s', $owner, $repo_name );
+        if ( ! $this->state_manager->acquire_processing_lock( $repo_full ) ) {
+            wp_send_json_error( [
+                'message' => __( 'Another operation is in progress for this repository. Please try again shortly.', 'kiss-smart-batch-installer' ),
+                'error_code' => ErrorCode::BUSY->value,
+                'repository' => $repo_name,
+            ] );
+        }
+
+        $start_time = microtime( true );
+        $this->progress_repository = $repo_full;
+        $this->state_manager->start_install_progress( $repo_full, false );
+        $this->send_progress_update( 'Plugin Update', 'info', "Updating {$repo_full} from GitHub..." );
+
+        try {
+            $this->installation_service->set_progress_callback( function( string $step, string $status, string $message = '' ): void {
+                $this->send_progress_update( $step, $status, $message );
+            } );
+
+            // Buffer any stray output from WordPress upgrader/skin to keep JSON clean
+            ob_start();
+            $result = $this->installation_service->update_plugin( $owner, $repo_name, $ref );
+            $suppressed_output = ob_get_clean();
+            if ( ! empty( $suppressed_output ) ) {
+                error_log( 'SBI UPDATE: Suppressed output during update: ' . substr( $suppressed_output, 0, 2000 ) );
+            }
+        } catch ( \Throwable $e ) {
+            $result = new WP_Error( 'update_exception', $e->getMessage() );
+        } finally {
+            $this->state_manager->release_processing_lock( $repo_full );
+        }
+
+        if ( is_wp_error( $result ) ) {
+            // A failed update usually leaves the previous copy in place (and active); the row reflects what is installed
+            $this->state_manager->refresh_state( $repo_full );
+            $this->send_progress_update( 'Plugin Update', 'error', 'Update failed: ' . $result->get_error_message() );
+            $this->finish_progress( false );
+            error_log( sprintf( 'SBI UPDATE: Update failed for %s: %s', $repo_full, $result->get_error_message() ) );
+
+            $error_data = $result->get_error_data();
+            wp_send_json_error( [
+                'message' => $result->get_error_message(),
+                'error_code' => ErrorCode::from_wp_error( $result, 'update' )->value,
+                'repository' => $repo_name,
+                'progress_updates' => $this->progress_updates,
+                'upgrader_messages' => is_array( $error_data ) && isset( $error_data['messages'] ) ? $error_data['messages'] : [],
+                'download_url' => is_array( $error_data ) && isset( $error_data['download_url'] ) ? $error_data['download_url'] : null,
+            ] );
+        }
+
+        $this->send_progress_update( 'Plugin Update', 'success', sprintf( 'Updated %s from %s to %s', $repo_full, $result['previous_version'] ?: '?', $result['version'] ?: '?' ) );
+        $this->finish_progress( true );
+
+        wp_send_json_success( array_merge( $result, [
+            'message' => sprintf(
+                /* translators: 1: plugin name, 2: new version */
+                __( 'Plugin %1$s updated to version %2$s.', 'kiss-smart-batch-installer' ),
+                $repo_name,
+                $result['version'] ?: '?'
+            ),
+            'repository' => $repo_name,
+            'progress_updates' => $this->progress_updates,
+            'total_time' => round( ( microtime( true ) - $start_time ) * 1000, 2 ),
+        ] ) );
+    }
+
+    /**
+     * List branches, tags and releases a repository can be installed from.
+     */
+    public function get_repository_refs(): void {
+        $this->verify_nonce_and_capability();
+
+        $repo_name = sanitize_text_field( $_POST['repository'] ?? '' );
+        $owner = sanitize_text_field( $_POST['owner'] ?? '' );
+        $force_refresh = rest_sanitize_boolean( $_POST['force_refresh'] ?? false );
+
+        if ( empty( $repo_name ) || empty( $owner ) ) {
+            wp_send_json_error( [
+                'message' => __( 'Repository owner and name are required.', 'kiss-smart-batch-installer' ),
+                'error_code' => ErrorCode::INVALID_REQUEST->value,
+            ] );
+        }
+
+        $refs = $this->github_service->get_repository_refs( $owner, $repo_name, $force_refresh );
+        if ( is_wp_error( $refs ) ) {
+            wp_send_json_error( [
+                'message' => $refs->get_error_message(),
+                'error_code' => ErrorCode::from_wp_error( $refs )->value,
+                'repository' => $repo_name,
+            ] );
+        }
+
+        $repo_full = sprintf( '%s/%s', $owner, $repo_name );
+        wp_send_json_success( array_merge( $refs, [
+            'repository' => $repo_full,
+            'installed_ref' => $this->state_manager->get_installed_ref( $repo_full ),
+        ] ) );
+    }
+
     /**
      * Activate plugin.
      */
@@ -733,7 +1053,8 @@ class AjaxHandler {
 
         if ( empty( $plugin_file ) ) {
             wp_send_json_error( [
-                'message' => __( 'Plugin file is required.', 'kiss-smart-batch-installer' )
+                'message' => __( 'Plugin file is required.', 'kiss-smart-batch-installer' ),
+                'error_code' => ErrorCode::INVALID_REQUEST->value,
             ] );
         }
 
@@ -741,6 +1062,7 @@ class AjaxHandler {
         if (! empty($repo_full) && ! $this->state_manager->acquire_processing_lock($repo_full)) {
             wp_send_json_error([
                 'message' => __( 'Another operation is in progress for this repository. Please try again shortly.', 'kiss-smart-batch-installer' ),
+                'error_code' => ErrorCode::BUSY->value,
                 'repository' => $repo_name,
             ]);
         }
@@ -756,6 +1078,7 @@ class AjaxHandler {
                 }
                 wp_send_json_error( [
                     'message' => $result->get_error_message(),
+                    'error_code' => ErrorCode::from_wp_error( $result, 'activate' )->value,
                     'repository' => $repo_name,
                 ] );
             }
@@ -784,7 +1107,8 @@ class AjaxHandler {
 
         if ( empty( $plugin_file ) ) {
             wp_send_json_error( [
-                'message' => __( 'Plugin file is required.', 'kiss-smart-batch-installer' )
+                'message' => __( 'Plugin file is required.', 'kiss-smart-batch-installer' ),
+                'error_code' => ErrorCode::INVALID_REQUEST->value,
             ] );
         }
 
@@ -792,6 +1116,7 @@ class AjaxHandler {
         if (! empty($repo_full) && ! $this->state_manager->acquire_processing_lock($repo_full)) {
             wp_send_json_error([
                 'message' => __( 'Another operation is in progress for this repository. Please try again shortly.', 'kiss-smart-batch-installer' ),
+                'error_code' => ErrorCode::BUSY->value,
                 'repository' => $repo_name,
             ]);
         }
@@ -807,6 +1132,7 @@ class AjaxHandler {
                 }
                 wp_send_json_error( [
                     'message' => $result->get_error_message(),
+                    'error_code' => ErrorCode::from_wp_error( $result, 'deactivate' )->value,
                     'repository' => $repo_name,
                 ] );
             }
@@ -831,7 +1157,7 @@ class AjaxHandler {
         $this->verify_nonce_and_capability();
 
         $repositories = $_POST['repositories'] ?? [];
-        $activate = (bool) ( $_POST['activate'] ?? false );
+        $activate = rest_sanitize_boolean( $_POST['activate'] ?? false );
 
         if ( empty( $repositories ) || ! is_array( $repositories ) ) {
             wp_send_json_error( [
@@ -849,7 +1175,7 @@ class AjaxHandler {
             $repo_data[] = [
                 'owner' => sanitize_text_field( $repo['owner'] ),
                 'repo' => sanitize_text_field( $repo['repo'] ),
-                'branch' => sanitize_text_field( $repo['branch'] ?? 'main' ),
+                'branch' => sanitize_text_field( $repo['branch'] ?? '' ),
             ];
         }
 
@@ -1016,16 +1342,38 @@ class AjaxHandler {
 
     /**
      * Get installation progress.
+     *
+     * Polled by the admin UI while sbi_install_plugin is still running; returns the
+     * steps recorded so far for the repository (or status 'idle' when none).
      */
     public function get_installation_progress(): void {
         $this->verify_nonce_and_capability();
-        // For now, return mock progress data
-        wp_send_json_success( [
-            'progress' => 75,
-            'current_step' => __( 'Installing plugin dependencies...', 'kiss-smart-batch-installer' ),
-            'completed' => 3,
-            'total' => 4,
-        ] );
+
+        $repository = sanitize_text_field( $_POST['repository'] ?? '' );
+        if ( empty( $repository ) ) {
+            wp_send_json_error( [
+                'message' => __( 'Repository name is required.', 'kiss-smart-batch-installer' ),
+                'error_code' => ErrorCode::INVALID_REQUEST->value,
+            ] );
+        }
+
+        $progress = $this->state_manager->get_install_progress( $repository );
+        if ( null === $progress ) {
+            wp_send_json_success( [
+                'repository' => $repository,
+                'status' => 'idle',
+                'steps' => [],
+            ] );
+        }
+
+        $steps = $progress['steps'] ?? [];
+        $last = end( $steps );
+        $until = 'running' === $progress['status'] ? microtime( true ) : (float) $progress['updated'];
+
+        wp_send_json_success( array_merge( $progress, [
+            'elapsed' => (int) round( ( $until - (float) $progress['started'] ) * 1000 ),
+            'current_step' => $last ? $last['message'] : '',
+        ] ) );
     }
 
     /**
@@ -1054,14 +1402,26 @@ class AjaxHandler {
         @set_time_limit(0);
         @ignore_user_abort(true);
 
+        // Resume cursor: explicit query arg from the client, or the header EventSource sends on native reconnects
         $last_id = isset($_GET['last_id']) ? intval($_GET['last_id']) : 0;
+        if ( isset( $_SERVER['HTTP_LAST_EVENT_ID'] ) ) {
+            $last_id = max( $last_id, intval( $_SERVER['HTTP_LAST_EVENT_ID'] ) );
+        }
         $start = time();
         $max_seconds = 25; // keep short; client should reconnect
 
         // Send initial comment to open the stream
-        echo ":ok\n\n";
+        echo ":ok\n";
+        echo "retry: 3000\n\n";
         @flush();
 
+        // Events since the cursor were already evicted from the ring buffer
+        if ( $this->state_manager->has_broadcast_gap( $last_id ) ) {
+            echo "event: resync\n";
+            echo 'data: ' . wp_json_encode( [ 'last_id' => $last_id ] ) . "\n\n";
+            @flush();
+        }
+
         while ( ( time() - $start ) < $max_seconds ) {
             $events = $this->state_manager->get_broadcast_events_since($last_id);
             foreach ($events as $evt) {
@@ -1075,10 +1435,67 @@ class AjaxHandler {
             // Sleep briefly to avoid tight loop
             usleep(300000); // 300ms
         }
-        // end of stream cycle; client reconnects automatically
+        // End of stream cycle; tell the client where to resume from
+        if ( ! connection_aborted() ) {
+            echo "event: stream_end\n";
+            echo 'data: ' . wp_json_encode( [ 'last_id' => $last_id ] ) . "\n\n";
+            @flush();
+        }
         exit;
     }
 
+    /**
+     * Answer the installer's part of a WordPress Heartbeat request (data.sbi).
+     *
+     * Always returns a fresh sbi_ajax_nonce. With last_id it also returns the
+     * state_changed broadcasts after that cursor for the listed repositories,
+     * the same events the SSE stream sends, and flags a gap in the buffer.
+     *
+     * @param array $response Heartbeat response.
+     * @param array $data     Heartbeat request data.
+     * @return array
+     */
+    public function heartbeat_received( array $response, array $data ): array {
+        if ( empty( $data['sbi'] ) || ! is_array( $data['sbi'] ) || ! current_user_can( 'install_plugins' ) ) {
+            return $response;
+        }
+        $request = $data['sbi'];
+        $reply = [
+            'nonce' => wp_create_nonce( 'sbi_ajax_nonce' ),
+            'server_time' => time(),
+        ];
+
+        if ( isset( $request['last_id'] ) ) {
+            $last_id = max( 0, (int) $request['last_id'] );
+            $repositories = is_array( $request['repositories'] ?? null ) ? $request['repositories'] : [];
+            // Repositories on the page; capped so a request stays small
+            $watched = array_flip( array_slice( array_map( 'sanitize_text_field', array_map( 'strval', $repositories ) ), 0, 2000 ) );
+
+            $events = [];
+            $cursor = $last_id;
+            foreach ( $this->state_manager->get_broadcast_events_since( $last_id ) as $evt ) {
+                $cursor = max( $cursor, (int) $evt['id'] );
+                $repo = (string) ( $evt['payload']['repository'] ?? '' );
+                if ( 'state_changed' !== $evt['event'] || ! isset( $watched[ $repo ] ) ) {
+                    continue;
+                }
+                $events[] = [
+                    'id' => (int) $evt['id'],
+                    'payload' => $evt['payload'],
+                ];
+            }
+
+            $gap = $this->state_manager->has_broadcast_gap( $last_id );
+            $reply['events'] = $events;
+            $reply['resync'] = $gap;
+            // After a gap the client re-reads state, so it can skip ahead to the newest event
+            $reply['last_id'] = $gap ? max( $cursor, $this->state_manager->get_broadcast_last_id() ) : $cursor;
+        }
+
+        $response['sbi'] = $reply;
+        return $response;
+    }
+
     /**
      * Trigger a harmless transition to validate SSE pipeline.
      */
@@ -1122,10 +1539,22 @@ class AjaxHandler {
      */
     private array $progress_updates = [];
 
+    /**
+     * Repository whose install progress is being recorded for live polling ('' when none).
+     *
+     * @var string
+     */
+    private string $progress_repository = '';
+
     /**
      * Send progress update to frontend debugger.
      */
     private function send_progress_update( string $step, string $status, string $message = '' ): void {
+        // Live progress for sbi_get_installation_progress is recorded regardless of debug mode
+        if ( '' !== $this->progress_repository ) {
+            $this->state_manager->record_install_progress( $this->progress_repository, $step, $status, $message );
+        }
+
         // Only send progress updates if debug is enabled
         if ( ! get_option( 'sbi_debug_ajax', false ) ) {
             return;
@@ -1143,19 +1572,32 @@ class AjaxHandler {
         error_log( sprintf( 'SBI PROGRESS: [%s] %s - %s', $status, $step, $message ) );
     }
 
+    /**
+     * Close the live progress record of the install in flight, if any.
+     */
+    private function finish_progress( bool $success ): void {
+        if ( '' === $this->progress_repository ) {
+            return;
+        }
+        $this->state_manager->finish_install_progress( $this->progress_repository, $success );
+        $this->progress_repository = '';
+    }
+
     /**
      * Verify nonce and user capability.
      */
     private function verify_nonce_and_capability(): void {
         if ( ! check_ajax_referer( 'sbi_ajax_nonce', 'nonce', false ) ) {
             wp_send_json_error( [
-                'message' => __( 'Security check failed.', 'kiss-smart-batch-installer' )
+                'message' => __( 'Security check failed.', 'kiss-smart-batch-installer' ),
+                'error_code' => ErrorCode::NONCE_EXPIRED->value,
             ] );
         }
 
         if ( ! current_user_can( 'install_plugins' ) ) {
             wp_send_json_error( [
-                'message' => __( 'Insufficient permissions.', 'kiss-smart-batch-installer' )
+                'message' => __( 'Insufficient permissions.', 'kiss-smart-batch-installer' ),
+                'error_code' => ErrorCode::INSUFFICIENT_CAPABILITY->value,
             ] );
         }
     }
@@ -52,7 +52,7 @@ class RepositoryListTable extends WP_List_Table {
     private function is_plugin_from_state($state): bool {
         return in_array(
             $state,
-            [ PluginState::AVAILABLE, PluginState::INSTALLED_ACTIVE, PluginState::INSTALLED_INACTIVE ],
+            [ PluginState::AVAILABLE, PluginState::INSTALLED_ACTIVE, PluginState::INSTALLED_INACTIVE, PluginState::UPDATE_AVAILABLE ],
             true
         );
     }
@@ -217,14 +217,14 @@ class RepositoryListTable extends WP_List_Table {
 
         // SAFEGUARD: Normalize state conservatively if detection strongly contradicts
         // only for non-installed states. Installed states always win.
-        if ( ! in_array( $state, [ PluginState::INSTALLED_ACTIVE, PluginState::INSTALLED_INACTIVE ], true ) ) {
+        if ( ! in_array( $state, [ PluginState::INSTALLED_ACTIVE, PluginState::INSTALLED_INACTIVE, PluginState::UPDATE_AVAILABLE ], true ) ) {
             if ( $detected_is_plugin && $state === PluginState::NOT_PLUGIN ) {
                 $state = PluginState::AVAILABLE; // prefer "can install" over "not plugin"
             }
         }
 
         // Derive canonical is_plugin from FSM state (SSoT)
-        $is_plugin_by_state = in_array( $state, [ PluginState::AVAILABLE, PluginState::INSTALLED_ACTIVE, PluginState::INSTALLED_INACTIVE ], true );
+        $is_plugin_by_state = in_array( $state, [ PluginState::AVAILABLE, PluginState::INSTALLED_ACTIVE, PluginState::INSTALLED_INACTIVE, PluginState::UPDATE_AVAILABLE ], true );
 
         return array_merge( $repo, [
             // Canonical flag is derived from FSM state only
@@ -302,6 +302,12 @@ class RepositoryListTable extends WP_List_Table {
                 esc_html( $item['language'] )
             );
         }
+
+        // Expands the per-repository activity timeline (src/ts/admin/auditTrail.ts)
+        $output .= sprintf(
+            '<div class="row-actions visible"><button type="button" class="button-link sbi-history-toggle" aria-expanded="false">%s</button></div>',
+            esc_html__( 'History', 'kiss-smart-batch-installer' )
+        );
         
         return $output;
     }
@@ -332,12 +338,72 @@ class RepositoryListTable extends WP_List_Table {
         $version = $item['plugin_data']['Version'] ?? '';
 
         $output = '<span style="color: #46b450;">✅ ' . esc_html__( 'WordPress Plugin', 'kiss-smart-batch-installer' ) . '</span>';
+        $override = $this->state_manager->get_plugin_override( $item['full_name'] );
+        if ( $override !== null ) {
+            $output .= sprintf(
+                ' <span class="sbi-override-badge" title="%s">%s</span>',
+                esc_attr( $override['plugin_file'] !== ''
+                    /* translators: %s: main plugin file chosen for the override */
+                    ? sprintf( __( 'Marked as a plugin by an administrator; main file %s', 'kiss-smart-batch-installer' ), $override['plugin_file'] )
+                    : __( 'Marked as a plugin by an administrator', 'kiss-smart-batch-installer' ) ),
+                esc_html__( 'Override', 'kiss-smart-batch-installer' )
+            );
+        }
         $output .= '<br><strong>' . esc_html( $plugin_name ) . '</strong>';
 
-        if ( $version ) {
+        $update = $state === PluginState::UPDATE_AVAILABLE ? $this->state_manager->get_update_info( $item['full_name'] ) : null;
+        if ( $update ) {
+            $output .= sprintf(
+                '<br><small class="sbi-update-version">v%s &rarr; v%s</small>',
+                esc_html( $update['installed_version'] ),
+                esc_html( $update['remote_version'] )
+            );
+        } elseif ( $version ) {
             $output .= '<br><small>v' . esc_html( $version ) . '</small>';
         }
 
+        $installed_ref = in_array( $state, [ PluginState::INSTALLED_ACTIVE, PluginState::INSTALLED_INACTIVE, PluginState::UPDATE_AVAILABLE ], true )
+            ? $this->state_manager->get_installed_ref( $item['full_name'] )
+            : '';
+        if ( $installed_ref !== '' ) {
+            $output .= sprintf(
+                '<br><small class="sbi-installed-ref" title="%s">%s <code>%s</code></small>',
+                esc_attr__( 'Branch or tag this copy was installed from', 'kiss-smart-batch-installer' ),
+                esc_html__( 'From', 'kiss-smart-batch-installer' ),
+                esc_html( $installed_ref )
+            );
+        }
+
+        // Requires Plugins header; the batch planner (src/ts/admin/pluginDependencies.ts) reads these spans
+        $requires = $item['requires_plugins'] ?? $this->state_manager->get_required_plugins( $item['full_name'], $item['plugin_data'] ?? [] );
+        if ( ! empty( $requires ) ) {
+            $status = $this->state_manager->get_dependency_status( $requires );
+            $labels = [
+                'active' => __( 'Active on this site', 'kiss-smart-batch-installer' ),
+                'inactive' => __( 'Installed but not active', 'kiss-smart-batch-installer' ),
+                'missing' => __( 'Not installed', 'kiss-smart-batch-installer' ),
+            ];
+            $notes = [
+                'inactive' => __( 'inactive', 'kiss-smart-batch-installer' ),
+                'missing' => __( 'missing', 'kiss-smart-batch-installer' ),
+            ];
+            $dependencies = [];
+            foreach ( $requires as $slug ) {
+                $dependencies[] = sprintf(
+                    '<span class="sbi-dependency sbi-dependency-%1$s" data-slug="%2$s" data-status="%1$s" title="%3$s">%4$s</span>',
+                    esc_attr( $status[ $slug ] ),
+                    esc_attr( $slug ),
+                    esc_attr( $labels[ $status[ $slug ] ] ),
+                    esc_html( $slug ) . ( isset( $notes[ $status[ $slug ] ] ) ? ' (' . esc_html( $notes[ $status[ $slug ] ] ) . ')' : '' )
+                );
+            }
+            $output .= sprintf(
+                '<br><small class="sbi-requires-plugins">%s %s</small>',
+                esc_html__( 'Requires', 'kiss-smart-batch-installer' ),
+                implode( ', ', $dependencies )
+            );
+        }
+
         return $output;
     }
 
@@ -355,8 +421,14 @@ class RepositoryListTable extends WP_List_Table {
                 return '<span style="color: #46b450;">🟢 ' . esc_html__( 'Active', 'kiss-smart-batch-installer' ) . '</span>';
             case PluginState::INSTALLED_INACTIVE:
                 return '<span style="color: #ffb900;">🟡 ' . esc_html__( 'Installed', 'kiss-smart-batch-installer' ) . '</span>';
+            case PluginState::UPDATE_AVAILABLE:
+                return '<span style="color: #d63638;">🔺 ' . esc_html__( 'Update available', 'kiss-smart-batch-installer' ) . '</span><br><small>'
+                    . ( $this->state_manager->isActive( $item['full_name'] ) ? esc_html__( 'Active', 'kiss-smart-batch-installer' ) : esc_html__( 'Installed', 'kiss-smart-batch-installer' ) )
+                    . '</small>';
             case PluginState::AVAILABLE:
                 return '<span style="color: #0073aa;">🔵 ' . esc_html__( 'Available', 'kiss-smart-batch-installer' ) . '</span>';
+            case PluginState::INSTALLING:
+                return '<span style="color: #0073aa;">⏳ ' . esc_html__( 'Installing...', 'kiss-smart-batch-installer' ) . '</span>';
             case PluginState::NOT_PLUGIN:
                 return '<span style="color: #999;">⚪ ' . esc_html__( 'No plugin detected', 'kiss-smart-batch-installer' ) . '</span>';
             case PluginState::ERROR:
@@ -378,6 +450,14 @@ class RepositoryListTable extends WP_List_Table {
         if ( ! $this->is_plugin_from_state( $item['installation_state'] ) ) {
             // Not a plugin: show info text, but still render Refresh button
             $actions[] = '<span style="color: #999;">' . esc_html__( 'No actions available', 'kiss-smart-batch-installer' ) . '</span>';
+            // Way out for plugins detection misses (monorepos, unusual header layouts); see src/ts/admin/pluginOverrides.ts
+            if ( in_array( $item['installation_state'], [ PluginState::NOT_PLUGIN, PluginState::ERROR ], true ) ) {
+                $actions[] = sprintf(
+                    '<button type="button" class="button button-small sbi-override-plugin" data-repo="%s">%s</button>',
+                    esc_attr( $item['full_name'] ?? '' ),
+                    esc_html__( 'Treat as WordPress plugin', 'kiss-smart-batch-installer' )
+                );
+            }
         } else {
             $state = $item['installation_state'];
             $repo_full_name = $item['full_name'];
@@ -397,6 +477,7 @@ class RepositoryListTable extends WP_List_Table {
                         esc_attr( $owner ),
                         esc_html__( 'Install', 'kiss-smart-batch-installer' )
                     );
+                    $actions[] = $this->render_ref_select( $repo_full_name );
                     break;
                 case PluginState::INSTALLED_INACTIVE:
                     $plugin_file = $item['plugin_file'] ?? '';
@@ -426,9 +507,37 @@ class RepositoryListTable extends WP_List_Table {
                         esc_html__( 'Deactivate', 'kiss-smart-batch-installer' )
                     );
                     break;
+                case PluginState::UPDATE_AVAILABLE:
+                    $plugin_file = $this->state_manager->getInstalledPluginFile( $repo_full_name );
+                    $is_active = $this->state_manager->isActive( $repo_full_name );
+                    $actions[] = sprintf(
+                        '<button type="button" class="button button-primary sbi-update-plugin" data-repo="%s" data-owner="%s" data-plugin-file="%s">%s</button>',
+                        esc_attr( $repo_name ),
+                        esc_attr( $owner ),
+                        esc_attr( $plugin_file ),
+                        esc_html__( 'Update', 'kiss-smart-batch-installer' )
+                    );
+                    $actions[] = $this->render_ref_select( $repo_full_name );
+                    $actions[] = sprintf(
+                        '<button type="button" class="button button-secondary %s" data-repo="%s" data-owner="%s" data-plugin-file="%s">%s</button>',
+                        $is_active ? 'sbi-deactivate-plugin' : 'sbi-activate-plugin',
+                        esc_attr( $repo_name ),
+                        esc_attr( $owner ),
+                        esc_attr( $plugin_file ),
+                        $is_active ? esc_html__( 'Deactivate', 'kiss-smart-batch-installer' ) : esc_html__( 'Activate', 'kiss-smart-batch-installer' )
+                    );
+                    break;
             }
         }
 
+        if ( $this->state_manager->get_plugin_override( $item['full_name'] ?? '' ) !== null ) {
+            $actions[] = sprintf(
+                '<button type="button" class="button button-small sbi-remove-override" data-repo="%s">%s</button>',
+                esc_attr( $item['full_name'] ),
+                esc_html__( 'Remove override', 'kiss-smart-batch-installer' )
+            );
+        }
+
         // Always add refresh action
         $actions[] = sprintf(
             '<button type="button" class="button button-small sbi-refresh-status" data-repo="%s">%s</button>',
@@ -439,6 +548,24 @@ class RepositoryListTable extends WP_List_Table {
         return implode( ' ', $actions );
     }
 
+    /**
+     * Branch/tag/release picker next to Install and Update.
+     *
+     * Only the default-branch option is rendered; the admin script loads the
+     * repository's refs the first time the select is focused.
+     *
+     * @param string $repo_full_name Repository full name (owner/repo).
+     * @return string
+     */
+    private function render_ref_select( string $repo_full_name ): string {
+        return sprintf(
+            '<select class="sbi-ref-select" data-repository="%s" aria-label="%s"><option value="">%s</option></select>',
+            esc_attr( $repo_full_name ),
+            esc_attr__( 'Branch, tag or release to install', 'kiss-smart-batch-installer' ),
+            esc_html__( 'Default branch', 'kiss-smart-batch-installer' )
+        );
+    }
+
     /**
      * @deprecated 1.0.31 Unused legacy method. Use StateManager methods for plugin identification.
      *
@@ -489,13 +616,35 @@ class RepositoryListTable extends WP_List_Table {
             $owner = explode( '/', $item['full_name'] )[0];
         }
 
+        // Installed copy details for the site manifest export (src/ts/admin/siteManifest.ts);
+        // for repositories not installed yet the version is the one detected on GitHub
+        $plugin_file = '';
+        $version = (string) ( $item['plugin_data']['Version'] ?? '' );
+        $installed_ref = '';
+        if ( in_array( $item['installation_state'], [ PluginState::INSTALLED_ACTIVE, PluginState::INSTALLED_INACTIVE, PluginState::UPDATE_AVAILABLE ], true ) ) {
+            $plugin_file = $this->state_manager->getInstalledPluginFile( $item['full_name'] );
+            if ( $plugin_file !== '' && function_exists( 'get_plugins' ) ) {
+                $all_plugins = get_plugins();
+                $version = (string) ( $all_plugins[ $plugin_file ]['Version'] ?? $version );
+            }
+            $installed_ref = $this->state_manager->get_installed_ref( $item['full_name'] );
+        }
+        $item['requires_plugins'] = $this->is_plugin_from_state( $item['installation_state'] )
+            ? $this->state_manager->get_required_plugins( $item['full_name'], $item['plugin_data'] ?? [] )
+            : [];
+
         printf(
-            '<tr id="%s" data-repository="%s" data-repo-name="%s" data-repo-owner="%s" data-repo-state="%s">',
+            '<tr id="%s" data-repository="%s" data-repo-name="%s" data-repo-owner="%s" data-repo-state="%s" data-updated="%s" data-plugin-file="%s" data-version="%s" data-installed-ref="%s" data-requires-plugins="%s">',
             esc_attr( $row_id ),
             esc_attr( $item['full_name'] ),
             esc_attr( $item['name'] ),
             esc_attr( $owner ),
-            esc_attr( $item['installation_state']->value ?? 'unknown' )
+            esc_attr( $item['installation_state']->value ?? 'unknown' ),
+            esc_attr( $item['updated_at'] ?? '' ),
+            esc_attr( $plugin_file ),
+            esc_attr( $version ),
+            esc_attr( $installed_ref ),
+            esc_attr( implode( ',', $item['requires_plugins'] ) )
         );
 
         $this->single_row_columns( $item );
@@ -531,7 +680,8 @@ class RepositoryListTable extends WP_List_Table {
             class="sbi-loading-row"
             data-repository="<?php echo esc_attr( $repository['full_name'] ); ?>"
             data-repo-name="<?php echo esc_attr( $repository['name'] ); ?>"
-            data-repo-owner="<?php echo esc_attr( explode('/', $repository['full_name'])[0] ?? '' ); ?>">
+            data-repo-owner="<?php echo esc_attr( explode('/', $repository['full_name'])[0] ?? '' ); ?>"
+            data-updated="<?php echo esc_attr( $repository['updated_at'] ?? '' ); ?>">
             <?php foreach ( $columns as $column_name => $column_display_name ): ?>
                 <td class="<?php echo esc_attr( $column_name ); ?> column-<?php echo esc_attr( $column_name ); ?>">
                     <?php if ( $column_name === 'cb' ): ?>
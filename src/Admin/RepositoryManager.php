@@ -124,12 +124,15 @@ class RepositoryManager {
                     var repo = org + '/SSE-Diagnostics';
                     var data = { action:'sbi_test_sse', repository: repo, nonce: sbiAjax.nonce };
                     try { if (window.sbiDebug) window.sbiDebug.addEntry('info','SSE Test','Triggering SSE test for ' + repo); } catch(_){ }
-                    fetch(sbiAjax.ajaxurl, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-                        body: new URLSearchParams(data)
-                    }).then(function(r){ return r.text(); }).then(function(txt){
-                        try { var resp = JSON.parse(txt); if (!resp.success) throw new Error(resp.data && resp.data.message || 'SSE test failed');
+                    // Only through the TS transport so the test is part of recorded sessions; wait for the bundle if it is still loading
+                    var send = function(){ return window.SBIts.ajax(window, data); };
+                    var request = window.SBIts
+                        ? send()
+                        : new Promise(function(resolve){
+                            window.addEventListener('sbi:ts-ready', function(){ resolve(send()); }, { once: true });
+                        });
+                    request.then(function(resp){
+                        try { if (!resp.success) throw new Error(resp.data && resp.data.message || 'SSE test failed');
                             if (window.sbiDebug) window.sbiDebug.addEntry('success','SSE Test', resp.data && resp.data.message || 'OK');
                             if (window.SBI && window.SBI.logSSE) window.SBI.logSSE('test', 'Triggered test; watch for state_changed events');
                         } catch(e){
@@ -236,6 +239,14 @@ class RepositoryManager {
             }
         }
 
+        // Batch queue concurrency (client-side bulk actions)
+        if ( isset( $_POST['batch_concurrency'] ) ) {
+            $batch_concurrency = (int) $_POST['batch_concurrency'];
+            if ( $batch_concurrency >= 1 && $batch_concurrency <= 10 ) {
+                update_option( 'sbi_batch_concurrency', $batch_concurrency );
+            }
+        }
+
         // Also save skip plugin detection setting
         $skip_detection = isset( $_POST['skip_plugin_detection'] ) ? 1 : 0;
         update_option( 'sbi_skip_plugin_detection', $skip_detection );
@@ -578,6 +589,26 @@ class RepositoryManager {
                             </p>
                         </td>
                     </tr>
+                    <tr>
+                        <th scope="row">
+                            <label for="batch_concurrency"><?php esc_html_e( 'Batch Concurrency', 'kiss-smart-batch-installer' ); ?></label>
+                        </th>
+                        <td>
+                            <?php $batch_concurrency = get_option( 'sbi_batch_concurrency', 3 ); ?>
+                            <input type="number"
+                                   id="batch_concurrency"
+                                   name="batch_concurrency"
+                                   value="<?php echo esc_attr( $batch_concurrency ); ?>"
+                                   min="1"
+                                   max="10"
+                                   class="small-text" />
+                            <p class="description">
+                                <?php esc_html_e( 'Maximum number of bulk install/activate/deactivate requests to run at the same time.', 'kiss-smart-batch-installer' ); ?>
+                                <br><strong><?php esc_html_e( 'Recommended:', 'kiss-smart-batch-installer' ); ?></strong>
+                                <?php esc_html_e( 'Keep this at 2-3 on shared hosting; each install downloads and unpacks a zip.', 'kiss-smart-batch-installer' ); ?>
+                            </p>
+                        </td>
+                    </tr>
                     <tr>
                         <th scope="row">
                             <label for="skip_plugin_detection"><?php esc_html_e( 'Skip Plugin Detection (Testing)', 'kiss-smart-batch-installer' ); ?></label>
@@ -680,8 +711,18 @@ class RepositoryManager {
                     <span class="spinner is-active" style="float: none; margin: 0 5px 0 0;"></span>
                     <span id="sbi-progress-text"><?php esc_html_e( 'Loading repositories...', 'kiss-smart-batch-installer' ); ?></span>
                 </span>
+                <button type="button" id="sbi-updates-filter" class="button button-small sbi-updates-filter" aria-pressed="false" hidden></button>
+                <span id="sbi-rate-limit" class="sbi-rate-limit" data-level="ok" aria-live="off" hidden></span>
+                <span id="sbi-stream-status" class="sbi-stream-status" data-status="stopped" role="status" title="<?php esc_attr_e( 'State updates', 'kiss-smart-batch-installer' ); ?>"></span>
             </h2>
 
+            <div id="sbi-scan-controls" class="sbi-scan-controls" style="display: none;">
+                <button type="button" class="button button-small" id="sbi-scan-cancel"><?php esc_html_e( 'Cancel Scan', 'kiss-smart-batch-installer' ); ?></button>
+                <button type="button" class="button button-small" id="sbi-scan-resume" style="display: none;"><?php esc_html_e( 'Resume Scan', 'kiss-smart-batch-installer' ); ?></button>
+                <button type="button" class="button button-small" id="sbi-scan-rescan-failed" style="display: none;"><?php esc_html_e( 'Rescan Failed Only', 'kiss-smart-batch-installer' ); ?></button>
+                <button type="button" class="button button-small" id="sbi-scan-restart" style="display: none;"><?php esc_html_e( 'Rescan All', 'kiss-smart-batch-installer' ); ?></button>
+            </div>
+
             <div id="sbi-initial-loading" style="text-align: center; padding: 40px;">
                 <span class="spinner is-active" style="float: none; margin: 0 10px 0 0;"></span>
                 <?php esc_html_e( 'Fetching repository list...', 'kiss-smart-batch-installer' ); ?>
@@ -699,8 +740,77 @@ class RepositoryManager {
             </div>
             <?php endif; ?>
 
+            <div id="sbi-batch-panel" class="sbi-batch-panel" style="display: none;" aria-live="polite">
+                <div class="sbi-batch-header">
+                    <strong id="sbi-batch-title"></strong>
+                    <span id="sbi-batch-progress-text"></span>
+                </div>
+                <progress id="sbi-batch-progress" value="0" max="1"></progress>
+                <div class="sbi-batch-controls">
+                    <button type="button" class="button" id="sbi-batch-pause"><?php esc_html_e( 'Pause', 'kiss-smart-batch-installer' ); ?></button>
+                    <button type="button" class="button" id="sbi-batch-resume" style="display: none;"><?php esc_html_e( 'Resume', 'kiss-smart-batch-installer' ); ?></button>
+                    <button type="button" class="button" id="sbi-batch-cancel"><?php esc_html_e( 'Cancel', 'kiss-smart-batch-installer' ); ?></button>
+                    <button type="button" class="button" id="sbi-batch-close" style="display: none;"><?php esc_html_e( 'Dismiss', 'kiss-smart-batch-installer' ); ?></button>
+                </div>
+                <div id="sbi-batch-summary"></div>
+            </div>
+
+            <dialog id="sbi-batch-plan" class="sbi-batch-plan" aria-labelledby="sbi-batch-plan-title">
+                <h2 id="sbi-batch-plan-title"></h2>
+                <p id="sbi-batch-plan-summary"></p>
+                <div id="sbi-batch-plan-dependencies" class="notice notice-warning inline" hidden></div>
+                <div class="sbi-batch-plan-list">
+                    <table class="widefat striped">
+                        <thead>
+                            <tr>
+                                <td class="sbi-batch-plan-check"><span class="screen-reader-text"><?php esc_html_e( 'Include', 'kiss-smart-batch-installer' ); ?></span></td>
+                                <th scope="col"><?php esc_html_e( 'Repository', 'kiss-smart-batch-installer' ); ?></th>
+                                <th scope="col"><?php esc_html_e( 'Current state', 'kiss-smart-batch-installer' ); ?></th>
+                                <th scope="col"><?php esc_html_e( 'Effect', 'kiss-smart-batch-installer' ); ?></th>
+                            </tr>
+                        </thead>
+                        <tbody id="sbi-batch-plan-items"></tbody>
+                    </table>
+                </div>
+                <div class="sbi-batch-plan-controls">
+                    <button type="button" class="button button-primary" id="sbi-batch-plan-confirm"></button>
+                    <button type="button" class="button" id="sbi-batch-plan-cancel"><?php esc_html_e( 'Cancel', 'kiss-smart-batch-installer' ); ?></button>
+                </div>
+            </dialog>
+
+            <!-- Keyboard shortcuts of the repository table (src/ts/admin/keyboardNav.ts) -->
+            <dialog id="sbi-shortcuts" class="sbi-batch-plan sbi-shortcuts" aria-labelledby="sbi-shortcuts-title">
+                <h2 id="sbi-shortcuts-title"><?php esc_html_e( 'Keyboard shortcuts', 'kiss-smart-batch-installer' ); ?></h2>
+                <p class="description"><?php esc_html_e( 'Tab into the repository table to focus a row, then:', 'kiss-smart-batch-installer' ); ?></p>
+                <table class="widefat striped">
+                    <tbody>
+                        <tr><th scope="row"><kbd>↓</kbd> / <kbd>j</kbd></th><td><?php esc_html_e( 'Next repository', 'kiss-smart-batch-installer' ); ?></td></tr>
+                        <tr><th scope="row"><kbd>↑</kbd> / <kbd>k</kbd></th><td><?php esc_html_e( 'Previous repository', 'kiss-smart-batch-installer' ); ?></td></tr>
+                        <tr><th scope="row"><kbd>Home</kbd> / <kbd>End</kbd></th><td><?php esc_html_e( 'First / last repository', 'kiss-smart-batch-installer' ); ?></td></tr>
+                        <tr><th scope="row"><kbd>Enter</kbd></th><td><?php esc_html_e( 'Move into the row\'s buttons', 'kiss-smart-batch-installer' ); ?></td></tr>
+                        <tr><th scope="row"><kbd>Esc</kbd></th><td><?php esc_html_e( 'Back to the row', 'kiss-smart-batch-installer' ); ?></td></tr>
+                        <tr><th scope="row"><kbd>Space</kbd> / <kbd>x</kbd></th><td><?php esc_html_e( 'Select for bulk actions', 'kiss-smart-batch-installer' ); ?></td></tr>
+                        <tr><th scope="row"><kbd>i</kbd></th><td><?php esc_html_e( 'Install', 'kiss-smart-batch-installer' ); ?></td></tr>
+                        <tr><th scope="row"><kbd>u</kbd></th><td><?php esc_html_e( 'Update', 'kiss-smart-batch-installer' ); ?></td></tr>
+                        <tr><th scope="row"><kbd>a</kbd></th><td><?php esc_html_e( 'Activate', 'kiss-smart-batch-installer' ); ?></td></tr>
+                        <tr><th scope="row"><kbd>d</kbd></th><td><?php esc_html_e( 'Deactivate', 'kiss-smart-batch-installer' ); ?></td></tr>
+                        <tr><th scope="row"><kbd>r</kbd></th><td><?php esc_html_e( 'Refresh', 'kiss-smart-batch-installer' ); ?></td></tr>
+                        <tr><th scope="row"><kbd>h</kbd></th><td><?php esc_html_e( 'Show or hide history', 'kiss-smart-batch-installer' ); ?></td></tr>
+                        <tr><th scope="row"><kbd>?</kbd></th><td><?php esc_html_e( 'Show this list', 'kiss-smart-batch-installer' ); ?></td></tr>
+                    </tbody>
+                </table>
+                <div class="sbi-batch-plan-controls">
+                    <button type="button" class="button sbi-shortcuts-close"><?php esc_html_e( 'Close', 'kiss-smart-batch-installer' ); ?></button>
+                </div>
+            </dialog>
+
             <form method="post" id="sbi-repository-form" style="display: none;">
                 <?php wp_nonce_field( 'sbi_bulk_action', 'sbi_bulk_nonce' ); ?>
+                <div id="sbi-table-filter" class="sbi-table-filter"></div>
+                <p class="description sbi-keyboard-hint">
+                    <?php esc_html_e( 'Use the arrow keys to move between repositories and press ? for all shortcuts.', 'kiss-smart-batch-installer' ); ?>
+                    <button type="button" class="button-link" id="sbi-shortcuts-open"><?php esc_html_e( 'Keyboard shortcuts', 'kiss-smart-batch-installer' ); ?></button>
+                </p>
                 <div style="width: 100%; overflow-x: auto;">
                     <table class="wp-list-table widefat fixed striped">
                         <thead>
@@ -736,6 +846,85 @@ class RepositoryManager {
                     </div>
                 </div>
             </form>
+
+            <details id="sbi-audit-panel" class="sbi-audit-panel">
+                <summary><?php esc_html_e( 'Activity history', 'kiss-smart-batch-installer' ); ?></summary>
+                <p class="description"><?php esc_html_e( 'Installs, activations and state changes recorded in this browser.', 'kiss-smart-batch-installer' ); ?></p>
+                <div class="sbi-audit-filters">
+                    <label><?php esc_html_e( 'From', 'kiss-smart-batch-installer' ); ?> <input type="date" id="sbi-audit-from"></label>
+                    <label><?php esc_html_e( 'To', 'kiss-smart-batch-installer' ); ?> <input type="date" id="sbi-audit-to"></label>
+                    <label><?php esc_html_e( 'Repository', 'kiss-smart-batch-installer' ); ?> <input type="search" id="sbi-audit-repo"></label>
+                    <select id="sbi-audit-kind" aria-label="<?php esc_attr_e( 'Entry type', 'kiss-smart-batch-installer' ); ?>">
+                        <option value=""><?php esc_html_e( 'All entries', 'kiss-smart-batch-installer' ); ?></option>
+                        <option value="action"><?php esc_html_e( 'Actions', 'kiss-smart-batch-installer' ); ?></option>
+                        <option value="transition"><?php esc_html_e( 'State changes', 'kiss-smart-batch-installer' ); ?></option>
+                    </select>
+                    <button type="button" class="button button-small" id="sbi-audit-export-csv"><?php esc_html_e( 'Export CSV', 'kiss-smart-batch-installer' ); ?></button>
+                    <button type="button" class="button button-small" id="sbi-audit-export-json"><?php esc_html_e( 'Export JSON', 'kiss-smart-batch-installer' ); ?></button>
+                    <button type="button" class="button-link button-link-delete" id="sbi-audit-clear"><?php esc_html_e( 'Clear history', 'kiss-smart-batch-installer' ); ?></button>
+                </div>
+                <p id="sbi-audit-summary"></p>
+                <table class="widefat striped sbi-audit-table">
+                    <thead>
+                        <tr>
+                            <th scope="col"><?php esc_html_e( 'Time', 'kiss-smart-batch-installer' ); ?></th>
+                            <th scope="col"><?php esc_html_e( 'Repository', 'kiss-smart-batch-installer' ); ?></th>
+                            <th scope="col"><?php esc_html_e( 'Event', 'kiss-smart-batch-installer' ); ?></th>
+                            <th scope="col"><?php esc_html_e( 'Triggered by', 'kiss-smart-batch-installer' ); ?></th>
+                            <th scope="col"><?php esc_html_e( 'User', 'kiss-smart-batch-installer' ); ?></th>
+                            <th scope="col"><?php esc_html_e( 'Details', 'kiss-smart-batch-installer' ); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody id="sbi-audit-tbody"></tbody>
+                </table>
+            </details>
+
+            <details id="sbi-manifest-panel" class="sbi-audit-panel sbi-manifest-panel">
+                <summary><?php esc_html_e( 'Site manifest', 'kiss-smart-batch-installer' ); ?></summary>
+                <p class="description"><?php esc_html_e( 'Export the selected repositories as a JSON manifest, or import a manifest from another site to install and activate the same plugins here.', 'kiss-smart-batch-installer' ); ?></p>
+                <div class="sbi-audit-filters">
+                    <button type="button" class="button button-small" id="sbi-manifest-export"><?php esc_html_e( 'Export selected', 'kiss-smart-batch-installer' ); ?></button>
+                    <label><?php esc_html_e( 'Import', 'kiss-smart-batch-installer' ); ?> <input type="file" id="sbi-manifest-file" accept="application/json,.json"></label>
+                </div>
+                <div id="sbi-manifest-errors" class="notice notice-error inline" style="display: none;"></div>
+                <p id="sbi-manifest-summary"></p>
+                <table class="widefat striped sbi-manifest-table" style="display: none;">
+                    <thead>
+                        <tr>
+                            <th scope="col"><?php esc_html_e( 'Repository', 'kiss-smart-batch-installer' ); ?></th>
+                            <th scope="col"><?php esc_html_e( 'Current state', 'kiss-smart-batch-installer' ); ?></th>
+                            <th scope="col"><?php esc_html_e( 'Manifest', 'kiss-smart-batch-installer' ); ?></th>
+                            <th scope="col"><?php esc_html_e( 'Change', 'kiss-smart-batch-installer' ); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody id="sbi-manifest-tbody"></tbody>
+                </table>
+                <p>
+                    <button type="button" class="button button-primary" id="sbi-manifest-apply" style="display: none;"><?php esc_html_e( 'Apply changes', 'kiss-smart-batch-installer' ); ?></button>
+                </p>
+            </details>
+
+            <details id="sbi-overrides-panel" class="sbi-audit-panel sbi-overrides-panel">
+                <summary><?php esc_html_e( 'Plugin overrides', 'kiss-smart-batch-installer' ); ?></summary>
+                <p class="description"><?php esc_html_e( 'Repositories marked "Treat as WordPress plugin" are offered for install even though detection found no plugin header. The main file is optional; leave it empty to let WordPress find it.', 'kiss-smart-batch-installer' ); ?></p>
+                <div class="sbi-audit-filters">
+                    <button type="button" class="button button-small" id="sbi-overrides-reload"><?php esc_html_e( 'Reload', 'kiss-smart-batch-installer' ); ?></button>
+                    <button type="button" class="button-link button-link-delete" id="sbi-overrides-clear"><?php esc_html_e( 'Remove all overrides', 'kiss-smart-batch-installer' ); ?></button>
+                </div>
+                <p id="sbi-overrides-summary"></p>
+                <table class="widefat striped sbi-overrides-table">
+                    <thead>
+                        <tr>
+                            <th scope="col"><?php esc_html_e( 'Repository', 'kiss-smart-batch-installer' ); ?></th>
+                            <th scope="col"><?php esc_html_e( 'Main plugin file', 'kiss-smart-batch-installer' ); ?></th>
+                            <th scope="col"><?php esc_html_e( 'Current state', 'kiss-smart-batch-installer' ); ?></th>
+                            <th scope="col"><?php esc_html_e( 'Added', 'kiss-smart-batch-installer' ); ?></th>
+                            <th scope="col"><?php esc_html_e( 'Actions', 'kiss-smart-batch-installer' ); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody id="sbi-overrides-tbody"></tbody>
+                </table>
+            </details>
         </div>
         <?php
     }
@@ -904,75 +1093,56 @@ class RepositoryManager {
             // AJAX nonce
             var ajaxNonce = '<?php echo wp_create_nonce( 'sbi_ajax_nonce' ); ?>';
 
-            // Progressive loading variables (FSM-driven)
-            var repositories = [];
-            var currentIndex = 0;
-            var totalRepositories = 0;
-            var repositoryLimit = 0;
-
-            // Initialize FSM for state management
-            var fsm = null;
-            try {
-                if (window.SBIts && window.SBIts.repositoryFSM) {
-                    fsm = window.SBIts.repositoryFSM;
-                    // Initialize SSE connection for real-time updates
-                    fsm.initSSE(window);
-                    debugLog('✅ FSM initialized with SSE support');
-                } else {
-                    debugLog('⚠️ FSM not available, falling back to legacy state management');
-                }
-            } catch(e) {
-                debugLog('❌ FSM initialization failed: ' + e.message, 'error');
-            }
-
-            // FSM-based state management helpers
-            function isSystemLoading() {
-                // Check if any repository is in CHECKING state (system-wide loading)
-                if (fsm) {
-                    // Check if we have any repositories in loading states
-                    for (var i = 0; i < repositories.length; i++) {
-                        var repo = repositories[i];
-                        if (fsm.isInAnyState(repo.full_name, ['checking', 'installing'])) {
-                            return true;
-                        }
+            // POST to admin-ajax through the TS transport (so it is recorded/replayed); calls made before the bundle loads wait for it
+            function sbiPost(data) {
+                var deferred = $.Deferred();
+                whenTsReady(function() {
+                    // The Heartbeat renews sbiAjax.nonce; the one rendered into this page may have expired
+                    if (data.nonce === ajaxNonce && window.sbiAjax && window.sbiAjax.nonce) {
+                        data.nonce = window.sbiAjax.nonce;
                     }
-                    return false;
-                }
-                // Fallback: use a simple flag
-                return window.sbiSystemLoading || false;
+                    window.SBIts.ajax(window, data).then(function(response) {
+                        // Transport failures come back as { success: false, data: { requestId, ... } }
+                        if (!response.success && response.data && response.data.requestId) deferred.reject(response);
+                        else deferred.resolve(response);
+                    }, deferred.reject);
+                });
+                return deferred.promise();
             }
 
-            function setSystemLoading(loading) {
-                if (fsm) {
-                    // FSM manages state automatically through transitions
-                    debugLog(loading ? '🔄 System loading started' : '✅ System loading completed');
-                } else {
-                    // Fallback: use a simple flag
-                    window.sbiSystemLoading = loading;
+            // Initialize FSM for state management once the TS bundle has loaded
+            var fsm = null;
+            whenTsReady(function() {
+                try {
+                    if (window.SBIts && window.SBIts.repositoryFSM) {
+                        fsm = window.SBIts.repositoryFSM;
+                        // Initialize SSE connection for real-time updates
+                        fsm.initSSE(window);
+                        debugLog('✅ FSM initialized with SSE support');
+                    } else {
+                        debugLog('⚠️ FSM not available, falling back to legacy state management');
+                    }
+                } catch(e) {
+                    debugLog('❌ FSM initialization failed: ' + e.message, 'error');
                 }
-            }
+            });
 
-            function isRepositoryProcessing(repoFullName) {
-                if (fsm) {
-                    return fsm.isInAnyState(repoFullName, ['checking', 'installing']);
+            // sbi-ts-bridge.js loads the TS bundle asynchronously; run callback once window.SBIts exists
+            function whenTsReady(callback) {
+                if (window.SBIts) {
+                    callback();
+                    return;
                 }
-                // Fallback: check if there's an active request for this repo
-                return window.sbiActiveRequests && window.sbiActiveRequests[repoFullName];
+                window.addEventListener('sbi:ts-ready', function() { callback(); }, { once: true });
             }
 
-            function setRepositoryProcessing(repoFullName, processing) {
-                if (fsm) {
-                    // FSM manages state automatically through transitions
-                    debugLog((processing ? '🔄' : '✅') + ' Repository ' + repoFullName + ' processing: ' + processing);
-                } else {
-                    // Fallback: track active requests
-                    window.sbiActiveRequests = window.sbiActiveRequests || {};
-                    if (processing) {
-                        window.sbiActiveRequests[repoFullName] = true;
-                    } else {
-                        delete window.sbiActiveRequests[repoFullName];
-                    }
+            // Page notices go through SBI.showMessage (text only; the notification center once TS is loaded)
+            function showNotice(message, type) {
+                if (window.SBI && typeof window.SBI.showMessage === 'function') {
+                    window.SBI.showMessage(message, type);
+                    return;
                 }
+                $('<div></div>').addClass('sbi-message ' + (type || 'info')).text(message).prependTo($('.wrap').first());
             }
 
             // Debug functions (only if debug is enabled)
@@ -981,6 +1151,13 @@ class RepositoryManager {
             function debugLog(message, type = 'info') {
                 if (!debugEnabled) return;
 
+                // Once the TS debug panel is mounted, entries go through its store (filterable, exportable)
+                if (window.sbiDebug && window.sbiDebug.panelMounted) {
+                    window.sbiDebug.addEntry(type, 'Page', message, { category: 'page' });
+                    $('#sbi-debug-panel').show();
+                    return;
+                }
+
                 var timestamp = new Date().toLocaleTimeString();
                 var typeClass = 'debug-' + type;
                 var typeIcon = type === 'error' ? '❌' : type === 'success' ? '✅' : type === 'warning' ? '⚠️' : 'ℹ️';
@@ -1027,6 +1204,7 @@ class RepositoryManager {
             // Debug panel controls (only if debug enabled)
             if (debugEnabled) {
                 $('#sbi-clear-debug').click(function() {
+                    if (window.sbiDebug && window.sbiDebug.panelMounted) return; // panel clears its own store
                     $('#sbi-debug-log').html('<div class="debug-entry">Debug log cleared...</div>');
                 });
 
@@ -1043,274 +1221,48 @@ class RepositoryManager {
                 // Initialize debug
                 debugLog('🚀 KISS Smart Batch Installer debug initialized');
 
-                // Create global debug object for progress updates
-                window.sbiDebug = {
-                    addEntry: function(status, step, message) {
-                        var icon = status === 'error' ? '❌' : status === 'success' ? '✅' : status === 'info' ? 'ℹ️' : '⚠️';
-                        var fullMessage = step + ': ' + message;
-                        debugLog(icon + ' ' + fullMessage, status === 'error' ? 'error' : status === 'success' ? 'success' : 'info');
-                    }
-                };
+                // Create global debug object for progress updates (unless the TS debug store already owns it)
+                if (!(window.sbiDebug && window.sbiDebug.store)) {
+                    window.sbiDebug = {
+                        addEntry: function(status, step, message) {
+                            var icon = status === 'error' ? '❌' : status === 'success' ? '✅' : status === 'info' ? 'ℹ️' : '⚠️';
+                            var fullMessage = step + ': ' + message;
+                            debugLog(icon + ' ' + fullMessage, status === 'error' ? 'error' : status === 'success' ? 'success' : 'info');
+                        }
+                    };
+                }
             }
 
-            // Start progressive loading if organization is set
+            // Start progressive loading if organization is set (see src/ts/admin/repositoryScanner.ts)
             var organization = '<?php echo esc_js( get_option( 'sbi_github_organization', '' ) ); ?>';
             if (organization) {
-                startProgressiveLoading(organization);
+                whenTsReady(function() {
+                    startProgressiveLoading(organization);
+                });
+                window.addEventListener('sbi:ts-failed', function() {
+                    showError('<?php echo esc_js( __( 'The repository scanner failed to load. Make sure the TypeScript bundle is built (npm run build:ts).', 'kiss-smart-batch-installer' ) ); ?>');
+                }, { once: true });
             }
 
             function startProgressiveLoading(org) {
-                // Check if already loading using FSM or fallback
-                if (isSystemLoading()) {
-                    debugLog('⏸️ Already loading, skipping', 'warning');
-                    return;
-                }
-                setSystemLoading(true);
-
                 debugLog('🚀 Starting progressive loading for organization: ' + org);
-                $('#sbi-initial-loading').show();
-                $('#sbi-repository-form').hide();
-
-                // First, fetch the repository list (using saved limit setting)
-                repositoryLimit = <?php echo (int) get_option( 'sbi_repository_limit', 1 ); ?>;
-                var requestData = {
-                    action: 'sbi_fetch_repository_list',
-                    organization: org,
-                    limit: repositoryLimit,
-                    nonce: ajaxNonce
-                };
-
-                debugAjaxCall('sbi_fetch_repository_list', requestData, 'Fetch repository list');
-
-                $.post(ajaxurl, requestData)
-                .done(function(response) {
-                    debugAjaxResponse(response, 'Fetch repository list');
-                    if (response.success) {
-                        repositories = response.data.repositories;
-                        totalRepositories = repositories.length;
-                        var totalAvail = (response.data && (response.data.total_available||response.data.total_available===0)) ? response.data.total_available : null;
-                        var limitUsed = response.data && response.data.limit_used ? response.data.limit_used : repositoryLimit;
-                        if (totalAvail !== null) {
-                            debugLog('📊 Found ' + totalRepositories + ' repositories to process (limit ' + limitUsed + '), GitHub total available: ' + totalAvail);
-                        } else {
-                            debugLog('📊 Found ' + totalRepositories + ' repositories to process (limit ' + limitUsed + ')');
-                        }
-
-                        if (totalRepositories === 0) {
-                            debugLog('⚠️ No repositories found', 'warning');
-                            showNoRepositories();
-                            return;
-                        }
-
-                        // Hide initial loading and show the table
-                        $('#sbi-initial-loading').hide();
-                        $('#sbi-repository-form').show();
-                        $('#sbi-loading-progress').show();
-
-                        // Reset system state
-                        setSystemLoading(false);
-                        debugLog('🛑 Reset system state for new loading cycle');
-
-                        // Start processing repositories one by one (truly sequential)
-                        currentIndex = 0;
-                        debugLog('🔄 Starting progressive loading of ' + totalRepositories + ' repositories (limited to ' + repositoryLimit + ')');
-
-                        // Show user how many repositories we're processing
-                        $('#sbi-progress-text').text('Processing ' + totalRepositories + ' repositories (limited to ' + repositoryLimit + ')...');
-
-                        processNextRepository();
-                    } else {
-                        debugLog('❌ Failed to fetch repositories: ' + (response.data ? response.data.message : 'Unknown error'), 'error');
-                        showError('Failed to fetch repositories: ' + (response.data ? response.data.message : 'Unknown error'));
-                    }
-                })
-                .fail(function(xhr, status, error) {
-                    debugAjaxFail(xhr, status, error, 'Fetch repository list');
-                    showError('Failed to fetch repositories. Please try again.');
-                });
-            }
-
-            function processNextRepository() {
-                // Prevent multiple simultaneous processing using FSM state
-                if (isSystemLoading()) {
-                    debugLog('⏸️ Skipping processNextRepository - system already processing', 'warning');
-                    return;
-                }
-
-                if (currentIndex >= totalRepositories) {
-                    // All repositories processed
-                    debugLog('🎉 All repositories processed successfully', 'success');
-                    $('#sbi-loading-progress').hide();
-                    updateItemCount();
-                    setSystemLoading(false);
-                    return;
-                }
-
-                setRepositoryProcessing(repositories[currentIndex].full_name, true);
-                var repo = repositories[currentIndex];
-                var progress = Math.round(((currentIndex + 1) / totalRepositories) * 100);
-
-                debugLog('🔄 Processing repository ' + (currentIndex + 1) + '/' + totalRepositories + ': ' + repo.name);
-
-                // Update progress
-                $('#sbi-progress-text').text('Processing ' + repo.name + ' (' + (currentIndex + 1) + '/' + totalRepositories + ')');
-
-                // Add loading row for current repository only
-                addLoadingRow(repo);
-
-                // Process the repository (strictly one at a time)
-                var requestData = {
-                    action: 'sbi_process_repository',
-                    repository: repo,
-                    nonce: ajaxNonce,
-                    timeout: 60000 // Increased to 60 second timeout
-                };
-
-                debugAjaxCall('sbi_process_repository', requestData, 'Process repository: ' + repo.name);
-
-                $.post(ajaxurl, requestData)
-                .done(function(response) {
-                    debugAjaxResponse(response, 'Process repository: ' + repo.name);
-                    // Processing request has completed
-                    setRepositoryProcessing(repo.full_name, false);
-
-                    var advanceAfter = function(delayMs) {
-                        // Move to the next repository only after optional render completes
-                        debugLog('🏁 Finished processing repository: ' + repo.full_name);
-                        currentIndex++;
-                        var ms = delayMs || 5000;
-                        debugLog('⏳ Waiting ' + (ms/1000) + ' seconds before next repository...');
-                        setTimeout(function() { processNextRepository(); }, ms);
-                    };
-
-                    if (response.success) {
-                        debugLog('✅ Successfully processed repository: ' + repo.name, 'success');
-                        // Replace loading row with actual data and wait for render
-                        var isLast = (currentIndex + 1) >= totalRepositories;
-                        var renderXhr = replaceLoadingRow(repo.full_name, response.data.repository, isLast, totalRepositories, repositoryLimit);
-                        if (renderXhr && typeof renderXhr.always === 'function') {
-                            renderXhr.always(function(){ advanceAfter(5000); });
-                        } else {
-                            // In case of unexpected missing jqXHR, advance conservatively
-                            advanceAfter(5000);
-                        }
-                    } else {
-                        debugLog('❌ Error processing repository: ' + repo.name + ' - ' + (response.data.message || 'Unknown error'), 'error');
-                        // Show error in the row then advance
-                        showRepositoryError(repo.full_name, response.data.message || 'Unknown error');
-                        advanceAfter(5000);
-                    }
-                })
-                .fail(function(xhr, status, error) {
-                    debugAjaxFail(xhr, status, error, 'Process repository: ' + repo.name);
-                    // Processing request failed
-                    setRepositoryProcessing(repo.full_name, false);
-
-                    var errorMsg = 'Request failed';
-                    if (status === 'timeout') {
-                        errorMsg = 'Request timed out after 60 seconds';
-                        debugLog('⏰ Repository processing timed out: ' + repo.name, 'error');
-                    } else if (xhr.responseJSON && xhr.responseJSON.data && xhr.responseJSON.data.message) {
-                        errorMsg = xhr.responseJSON.data.message;
+                window.SBIts.startRepositoryScan(window, org, {
+                    columns: <?php echo json_encode( array_keys( $this->list_table->get_columns() ) ); ?>,
+                    limit: <?php echo (int) get_option( 'sbi_repository_limit', 1 ); ?>,
+                    // Settings were just saved or the cache refreshed: do not resume the previous scan or show saved rows
+                    fresh: <?php echo ( 'POST' === ( $_SERVER['REQUEST_METHOD'] ?? '' ) ) ? 'true' : 'false'; ?>,
+                    onListError: showError,
+                    onEmpty: showNoRepositories,
+                    onComplete: function(progress) {
+                        debugLog('🎉 Repository scan finished: ' + progress.done + ' loaded, ' + progress.failed + ' failed', progress.failed ? 'warning' : 'success');
                     }
-                    showRepositoryError(repo.full_name, errorMsg);
-
-                    // Advance after failure without waiting for render
-                    debugLog('🏁 Finished processing repository: ' + repo.full_name);
-                    currentIndex++;
-                    debugLog('⏳ Waiting 5 seconds before next repository...');
-                    setTimeout(function() { processNextRepository(); }, 5000);
                 });
             }
 
-            function addLoadingRow(repo) {
-                var rowId = 'repo-' + repo.full_name.replace(/[^a-zA-Z0-9]/g, '-');
-                var loadingRow = $('<tr>')
-                    .attr('id', rowId)
-                    .addClass('sbi-loading-row')
-                    .attr('data-repository', repo.full_name)
-                    .attr('data-repo-name', repo.name)
-                    .attr('data-repo-owner', repo.full_name.split('/')[0] || '');
-
-                // Add cells for each column
-                var columns = <?php echo json_encode( array_keys( $this->list_table->get_columns() ) ); ?>;
-                columns.forEach(function(column) {
-                    var cell = $('<td>').addClass('column-' + column);
-
-                    if (column === 'cb') {
-                        // Empty checkbox cell
-                    } else if (column === 'name') {
-                        cell.html('<strong>' + escapeHtml(repo.name) + '</strong><div class="sbi-loading-indicator"><span class="spinner is-active" style="float: none; margin: 0 5px 0 0;"></span>Scanning for WordPress plugin...</div>');
-                    } else if (column === 'description') {
-                        cell.text(repo.description || 'No description available');
-                    } else if (column === 'plugin_status') {
-                        cell.html('<span class="sbi-status-scanning"><span class="spinner is-active" style="float: none; margin: 0 5px 0 0;"></span>Scanning...</span>');
-                    } else if (column === 'actions') {
-                        cell.html('<span class="sbi-actions-loading">Loading...</span>');
-                    }
-
-                    loadingRow.append(cell);
-                });
-
-                $('#sbi-repository-tbody').append(loadingRow);
-                updateItemCount();
-            }
-
-            function replaceLoadingRow(repoFullName, processedRepo, isLast, listTotal, limitUsed) {
-                // Use data attribute for more resilient targeting
-                var targetRow = $('[data-repository="' + repoFullName + '"]');
-
-                debugLog('🔄 Replacing loading row for: ' + repoFullName + ' (found: ' + targetRow.length + ' rows)');
-
-                // Get the rendered row HTML
-                var requestData = {
-                    action: 'sbi_render_repository_row',
-                    repository: processedRepo,
-                    nonce: ajaxNonce,
-                    is_last: !!isLast,
-                    list_total: listTotal || 0,
-                    limit_used: limitUsed || 0
-                };
-
-                debugAjaxCall('sbi_render_repository_row', requestData, 'Render row for: ' + repoFullName);
-
-                return $.post(ajaxurl, requestData)
-                .done(function(response) {
-                    debugAjaxResponse(response, 'Render row for: ' + repoFullName);
-                    if (response.success) {
-                        debugLog('✅ Successfully rendered row for: ' + repoFullName, 'success');
-                        targetRow.replaceWith(response.data.row_html);
-                        debugLog('🔄 Row replaced in DOM for: ' + repoFullName);
-                        if (response.data && response.data.checksum) {
-                            var cs = response.data.checksum;
-                            debugLog('📦 Checksum — account: ' + (cs.account||'?') + ', total_available: ' + (cs.total_available!=null?cs.total_available:'?') + ', list_total: ' + (cs.list_total||0) + ', limit_used: ' + (cs.limit_used||0));
-                        }
-                    } else {
-                        debugLog('❌ Failed to render row for: ' + repoFullName + ' - ' + (response.data ? response.data.message : 'Unknown error'), 'error');
-                        showRepositoryError(repoFullName, 'Failed to render repository row');
-                    }
-                })
-                .fail(function(xhr, status, error) {
-                    debugAjaxFail(xhr, status, error, 'Render row for: ' + repoFullName);
-                    showRepositoryError(repoFullName, 'AJAX error rendering row');
-                });
-            }
-
-            function showRepositoryError(repoFullName, errorMessage) {
-                var rowId = 'repo-' + repoFullName.replace(/[^a-zA-Z0-9]/g, '-');
-                var errorRow = $('#' + rowId);
-
-                errorRow.find('.sbi-loading-indicator, .sbi-status-scanning, .sbi-actions-loading').html(
-                    '<span style="color: #d63638;">Error: ' + escapeHtml(errorMessage) + '</span>'
-                );
-                errorRow.removeClass('sbi-loading-row').addClass('sbi-error-row');
-            }
-
             function showNoRepositories() {
                 $('#sbi-initial-loading').hide();
                 $('#sbi-repository-form').show();
                 $('#sbi-repository-tbody').html('<tr><td colspan="5" style="text-align: center; padding: 40px;">No repositories found for this organization.</td></tr>');
-                setSystemLoading(false);
             }
 
             function showError(message) {
@@ -1328,12 +1280,6 @@ class RepositoryManager {
 
                 var errorDiv = $('<div class="notice notice-error">' + errorHtml + '</div>');
                 $('.sbi-repository-list h2').after(errorDiv);
-                setSystemLoading(false);
-            }
-
-            function updateItemCount() {
-                var count = $('#sbi-repository-tbody tr').length;
-                $('#sbi-item-count').text(count + ' items');
             }
 
             function escapeHtml(text) {
@@ -1347,79 +1293,7 @@ class RepositoryManager {
                 return text.replace(/[&<>"']/g, function(m) { return map[m]; });
             }
 
-            // Install plugin button - handled by admin.js
-
-            // Activate plugin button
-            $(document).on('click', '.sbi-activate-plugin', function() {
-                var button = $(this);
-                var repo = button.data('repo');
-                var pluginFile = button.data('plugin-file');
-
-                button.prop('disabled', true).text('<?php esc_html_e( 'Activating...', 'kiss-smart-batch-installer' ); ?>');
-
-                $.post(ajaxurl, {
-                    action: 'sbi_activate_plugin',
-                    repository: repo,
-                    plugin_file: pluginFile,
-                    nonce: ajaxNonce
-                }, function(response) {
-                    if (response.success) {
-                        button.text('<?php esc_html_e( 'Activated', 'kiss-smart-batch-installer' ); ?>');
-                        // Refresh the page to update status
-                        location.reload();
-                    } else {
-                        alert(response.data.message);
-                        button.prop('disabled', false).text('<?php esc_html_e( 'Activate', 'kiss-smart-batch-installer' ); ?>');
-                    }
-                });
-            });
-
-            // Deactivate plugin button
-            $(document).on('click', '.sbi-deactivate-plugin', function() {
-                var button = $(this);
-                var repo = button.data('repo');
-                var pluginFile = button.data('plugin-file');
-
-                button.prop('disabled', true).text('<?php esc_html_e( 'Deactivating...', 'kiss-smart-batch-installer' ); ?>');
-
-                $.post(ajaxurl, {
-                    action: 'sbi_deactivate_plugin',
-                    repository: repo,
-                    plugin_file: pluginFile,
-                    nonce: ajaxNonce
-                }, function(response) {
-                    if (response.success) {
-                        button.text('<?php esc_html_e( 'Deactivated', 'kiss-smart-batch-installer' ); ?>').removeClass('button-secondary').addClass('button-primary');
-                        // Refresh the page to update status
-                        location.reload();
-                    } else {
-                        alert(response.data.message);
-                        button.prop('disabled', false).text('<?php esc_html_e( 'Deactivate', 'kiss-smart-batch-installer' ); ?>');
-                    }
-                });
-            });
-
-            // Refresh status button
-            $(document).on('click', '.sbi-refresh-status', function() {
-                var button = $(this);
-                var repo = button.data('repo');
-
-                button.prop('disabled', true).text('<?php esc_html_e( 'Refreshing...', 'kiss-smart-batch-installer' ); ?>');
-
-                $.post(ajaxurl, {
-                    action: 'sbi_refresh_repository',
-                    repository: repo,
-                    nonce: ajaxNonce
-                }, function(response) {
-                    if (response.success) {
-                        // Refresh the page to update status
-                        location.reload();
-                    } else {
-                        alert(response.data.message);
-                        button.prop('disabled', false).text('<?php esc_html_e( 'Refresh', 'kiss-smart-batch-installer' ); ?>');
-                    }
-                });
-            });
+            // Install/activate/deactivate/refresh buttons - handled by the TS row action controller (bound in admin.js)
 
             // Bulk actions handling
             $('#doaction, #doaction2').click(function(e) {
@@ -1427,13 +1301,16 @@ class RepositoryManager {
 
                 var action = $(this).siblings('select').val();
                 if (action === '-1') {
-                    alert('<?php esc_html_e( 'Please select an action.', 'kiss-smart-batch-installer' ); ?>');
+                    showNotice('<?php echo esc_js( __( 'Please select an action.', 'kiss-smart-batch-installer' ) ); ?>', 'warning');
                     return;
                 }
 
-                var checkedBoxes = $('input[name="repositories[]"]:checked');
+                // Large tables keep off-screen rows out of the DOM; the row registry still holds them
+                var checkedBoxes = window.SBIts && window.SBIts.rowRegistry
+                    ? $(window.SBIts.rowRegistry.checked())
+                    : $('input[name="repositories[]"]:checked');
                 if (checkedBoxes.length === 0) {
-                    alert('<?php esc_html_e( 'Please select at least one repository.', 'kiss-smart-batch-installer' ); ?>');
+                    showNotice('<?php echo esc_js( __( 'Please select at least one repository.', 'kiss-smart-batch-installer' ) ); ?>', 'warning');
                     return;
                 }
 
@@ -1452,6 +1329,12 @@ class RepositoryManager {
                 var originalText = button.val();
                 button.prop('disabled', true).val('<?php esc_html_e( 'Processing...', 'kiss-smart-batch-installer' ); ?>');
 
+                // Prefer the client-side queue (concurrency, pause/resume/cancel) when the TS bundle is loaded
+                if (action !== 'refresh' && window.SBIts && typeof window.SBIts.runBatch === 'function') {
+                    performQueuedBatch(action, repositories, button, originalText);
+                    return;
+                }
+
                 // Show progress message
                 var progressDiv = $('<div class="notice notice-info"><p><?php esc_html_e( 'Processing bulk action, please wait...', 'kiss-smart-batch-installer' ); ?></p></div>');
                 $('.sbi-repository-list h2').after(progressDiv);
@@ -1467,6 +1350,38 @@ class RepositoryManager {
                 }
             });
 
+            function performQueuedBatch(action, repositories, button, originalText) {
+                debugLog('Starting queued bulk ' + action + ' for ' + repositories.length + ' repositories', 'info');
+                window.SBIts.runBatch(window, action, repositories).then(function(summary) {
+                    if (!summary) {
+                        debugLog('Bulk ' + action + ' dismissed at the plan preview', 'info');
+                        return;
+                    }
+                    debugLog('Queued bulk ' + action + ' done: ' + summary.succeeded.length + ' succeeded, ' +
+                        summary.failed.length + ' failed, ' + summary.skipped.length + ' skipped', summary.failed.length ? 'warning' : 'success');
+                }).catch(function(err) {
+                    showNotice((err && err.message) || '<?php echo esc_js( __( 'Bulk action failed.', 'kiss-smart-batch-installer' ) ); ?>', 'error');
+                }).then(function() {
+                    button.prop('disabled', false).val(originalText);
+                });
+            }
+
+            $(document).on('click', '#sbi-batch-close', function() {
+                $('#sbi-batch-panel').hide();
+                var rows = window.SBIts && window.SBIts.rowRegistry ? $(window.SBIts.rowRegistry.all()) : $('#sbi-repository-tbody tr');
+                rows.removeClass('sbi-batch-pending sbi-batch-running sbi-batch-succeeded sbi-batch-failed sbi-batch-skipped');
+            });
+
+            // Core's select-all only reaches rows in the DOM; apply it to every displayed row
+            $(document).on('click', '#sbi-repository-form thead .check-column input[type="checkbox"], #sbi-repository-form tfoot .check-column input[type="checkbox"]', function() {
+                if (!window.SBIts || !window.SBIts.rowRegistry) {
+                    return;
+                }
+                var checked = $(this).prop('checked');
+                $(window.SBIts.rowRegistry.all()).not('.sbi-filter-hidden').not('[hidden]')
+                    .find('input[name="repositories[]"]').prop('checked', checked);
+            });
+
             function performBulkInstall(repositories, button, originalText, progressDiv) {
                 var repoData = repositories.map(function(repo) {
                     return {
@@ -1476,12 +1391,12 @@ class RepositoryManager {
                     };
                 });
 
-                $.post(ajaxurl, {
+                sbiPost({
                     action: 'sbi_batch_install',
                     repositories: repoData,
                     activate: false,
                     nonce: ajaxNonce
-                }, function(response) {
+                }).done(function(response) {
                     handleBulkResponse(response, button, originalText, progressDiv);
                 }).fail(function() {
                     handleBulkError(button, originalText, progressDiv);
@@ -1496,11 +1411,11 @@ class RepositoryManager {
                     };
                 });
 
-                $.post(ajaxurl, {
+                sbiPost({
                     action: 'sbi_batch_activate',
                     plugin_files: pluginFiles,
                     nonce: ajaxNonce
-                }, function(response) {
+                }).done(function(response) {
                     handleBulkResponse(response, button, originalText, progressDiv);
                 }).fail(function() {
                     handleBulkError(button, originalText, progressDiv);
@@ -1515,11 +1430,11 @@ class RepositoryManager {
                     };
                 });
 
-                $.post(ajaxurl, {
+                sbiPost({
                     action: 'sbi_batch_deactivate',
                     plugin_files: pluginFiles,
                     nonce: ajaxNonce
-                }, function(response) {
+                }).done(function(response) {
                     handleBulkResponse(response, button, originalText, progressDiv);
                 }).fail(function() {
                     handleBulkError(button, originalText, progressDiv);
@@ -1540,18 +1455,14 @@ class RepositoryManager {
                 button.prop('disabled', false).val(originalText);
 
                 if (response.success) {
-                    var message = response.data.message || '<?php esc_html_e( 'Bulk action completed successfully.', 'kiss-smart-batch-installer' ); ?>';
-                    var successDiv = $('<div class="notice notice-success is-dismissible"><p>' + message + '</p></div>');
-                    $('.sbi-repository-list h2').after(successDiv);
+                    showNotice(response.data.message || '<?php echo esc_js( __( 'Bulk action completed successfully.', 'kiss-smart-batch-installer' ) ); ?>', 'success');
 
                     // Refresh the page after 2 seconds to update the status
                     setTimeout(function() {
                         location.reload();
                     }, 2000);
                 } else {
-                    var errorMessage = response.data.message || '<?php esc_html_e( 'Bulk action failed.', 'kiss-smart-batch-installer' ); ?>';
-                    var errorDiv = $('<div class="notice notice-error is-dismissible"><p>' + errorMessage + '</p></div>');
-                    $('.sbi-repository-list h2').after(errorDiv);
+                    showNotice((response.data && response.data.message) || '<?php echo esc_js( __( 'Bulk action failed.', 'kiss-smart-batch-installer' ) ); ?>', 'error');
                 }
             }
 
@@ -1559,8 +1470,7 @@ class RepositoryManager {
                 progressDiv.remove();
                 button.prop('disabled', false).val(originalText);
 
-                var errorDiv = $('<div class="notice notice-error is-dismissible"><p><?php esc_html_e( 'An error occurred while processing the bulk action.', 'kiss-smart-batch-installer' ); ?></p></div>');
-                $('.sbi-repository-list h2').after(errorDiv);
+                showNotice('<?php echo esc_js( __( 'An error occurred while processing the bulk action.', 'kiss-smart-batch-installer' ) ); ?>', 'error');
             }
 
             // Debug detection button
@@ -1571,27 +1481,27 @@ class RepositoryManager {
                     var notice = $(this).closest('.notice');
                     notice.fadeOut(200);
                     // Persist dismissal
-                    $.post(ajaxurl, { action: 'sbi_dismiss_webonly_tip', nonce: ajaxNonce });
+                    sbiPost({ action: 'sbi_dismiss_webonly_tip', nonce: ajaxNonce });
                 });
             $('#debug-detection').click(function() {
                 var button = $(this);
                 button.prop('disabled', true).text('<?php esc_html_e( 'Running Debug...', 'kiss-smart-batch-installer' ); ?>');
 
-                $.post(ajaxurl, {
+                sbiPost({
                     action: 'sbi_debug_detection',
                     nonce: ajaxNonce
-                }, function(response) {
+                }).done(function(response) {
                     button.prop('disabled', false).text('<?php esc_html_e( 'Debug Detection', 'kiss-smart-batch-installer' ); ?>');
 
                     if (response.success) {
                         console.log('Debug Detection Results:', response.data.results);
-                        alert('Debug completed! Check browser console for detailed results.');
+                        showNotice('Debug completed! Check browser console for detailed results.', 'success');
                     } else {
-                        alert('Debug failed: ' + response.data.message);
+                        showNotice('Debug failed: ' + response.data.message, 'error');
                     }
                 }).fail(function() {
                     button.prop('disabled', false).text('<?php esc_html_e( 'Debug Detection', 'kiss-smart-batch-installer' ); ?>');
-                    alert('Debug request failed.');
+                    showNotice('Debug request failed.', 'error');
                 });
             });
         });
@@ -791,6 +791,84 @@ class SelfTestsPage {
             return 'TS bridge enqueued and dist/ts/index.js reachable; repositoryFSM available at window.SBIts.repositoryFSM.';
         });
 
+        // Test 4: SSE resume cursor and ring-buffer gap detection
+        $tests[] = $this->run_test('Broadcast Resume – cursor and gap detection', function() {
+            $last_id = $this->state_manager->get_broadcast_last_id();
+            if ($this->state_manager->has_broadcast_gap($last_id)) {
+                throw new \Exception('Current cursor must never report a gap');
+            }
+
+            $this->state_manager->broadcast('self_test', [ 'repository' => 'kissplugins/Broadcast-Resume' ]);
+            $ids = array_map(static function($e) { return (int) $e['id']; }, $this->state_manager->get_broadcast_events_since($last_id));
+            if (!in_array($last_id + 1, $ids, true)) {
+                throw new \Exception('Client resuming from last_id ' . $last_id . ' did not receive the next event');
+            }
+            if ($this->state_manager->has_broadcast_gap($last_id)) {
+                throw new \Exception('Cursor still inside the buffer reported a gap');
+            }
+
+            $queue = get_transient('sbi_broadcast_events');
+            $oldest = is_array($queue) && !empty($queue) ? (int) $queue[0]['id'] : 0;
+            if ($oldest > 2 && !$this->state_manager->has_broadcast_gap(1)) {
+                throw new \Exception('Cursor older than the buffer should report a gap');
+            }
+            return 'Resume cursor delivers subsequent events; evicted cursors trigger resync';
+        });
+
+        // Test 5: Error taxonomy maps service errors to typed codes
+        $tests[] = $this->run_test('Error Taxonomy – WP_Error classification', function() {
+            $cases = [
+                [ new \WP_Error( 'rate_limit_exceeded', 'limit' ), 'install', 'github_rate_limit', true ],
+                [ new \WP_Error( 'github_api_error', 'missing', [ 'status_code' => 404 ] ), 'install', 'repo_not_found', false ],
+                [ new \WP_Error( 'insufficient_permissions', 'nope' ), 'activate', 'insufficient_capability', false ],
+                [ new \WP_Error( 'installation_failed', 'upgrader' ), 'install', 'upgrader_failure', true ],
+                [ new \WP_Error( 'unexpected_output', 'output' ), 'activate', 'activation_fatal', false ],
+                [ new \WP_Error( 'http_request_failed', 'cURL error 28: Operation timed out' ), 'install', 'timeout', true ],
+            ];
+            foreach ( $cases as [ $error, $operation, $expected, $recoverable ] ) {
+                $code = \SBI\Enums\ErrorCode::from_wp_error( $error, $operation );
+                if ( $code->value !== $expected ) {
+                    throw new \Exception( sprintf( '%s (%s) classified as %s, expected %s', $error->get_error_code(), $operation, $code->value, $expected ) );
+                }
+                if ( $code->is_recoverable() !== $recoverable ) {
+                    throw new \Exception( sprintf( '%s recoverable flag should be %s', $expected, $recoverable ? 'true' : 'false' ) );
+                }
+            }
+            return count( $cases ) . ' WP_Error codes mapped to the expected error codes';
+        });
+
+        // Test 6: Live install progress record (sbi_get_installation_progress)
+        $tests[] = $this->run_test('Install Progress – live step record', function() {
+            $repo = 'kissplugins/Install-Progress-Check';
+            $sm = $this->state_manager;
+            $sm->start_install_progress( $repo );
+            $sm->record_install_progress( $repo, 'Repository Verification', 'info', 'Checking repository' );
+            $sm->record_install_progress( $repo, 'Package Unpack', 'info', 'Unpacking package' );
+            $sm->record_install_progress( $repo, 'Plugin Installation', 'success', 'Installed' );
+            $sm->record_install_progress( $repo, 'Package Unpack', 'success', 'Late step' );
+
+            $running = $sm->get_install_progress( $repo );
+            if ( ! is_array( $running ) || 'running' !== $running['status'] || 4 !== count( $running['steps'] ) ) {
+                throw new \Exception( 'Running record should hold 4 steps' );
+            }
+            $phases = array_column( $running['steps'], 'phase' );
+            if ( [ 'download', 'unzip', 'install', 'unzip' ] !== $phases ) {
+                throw new \Exception( 'Unexpected phase mapping: ' . implode( ', ', $phases ) );
+            }
+            if ( 'install' !== $running['phase'] ) {
+                throw new \Exception( 'Current phase rewound to ' . $running['phase'] );
+            }
+
+            $sm->finish_install_progress( $repo, true );
+            $sm->record_install_progress( $repo, 'Plugin Activation', 'info', 'After finish' );
+            $done = $sm->get_install_progress( $repo );
+            delete_transient( 'sbi_install_progress_' . md5( strtolower( $repo ) ) );
+            if ( 'success' !== ( $done['status'] ?? '' ) || 4 !== count( $done['steps'] ) ) {
+                throw new \Exception( 'Finished record should be closed to further steps' );
+            }
+            return 'Steps map to download/unzip/install/activate phases and the record closes on finish';
+        });
+
         return $tests;
 
         // Test 4: Server broadcast queue receives transition
@@ -1027,6 +1105,125 @@ class SelfTestsPage {
             return 'Enhanced error handling working correctly';
         });
 
+        // Test 9: Install lifecycle through INSTALLING (mirrored by ALLOWED_TRANSITIONS in src/ts/types/fsm.ts)
+        $tests[] = $this->run_test('FSM Install Lifecycle', function() {
+            $test_repo = 'kissplugins/FSM-Test-Install-Lifecycle';
+
+            $this->state_manager->transition($test_repo, PluginState::AVAILABLE, [], true); // Force reset
+            $this->state_manager->transition($test_repo, PluginState::INSTALLING, ['source' => 'fsm_test']);
+            if ($this->state_manager->get_state($test_repo) !== PluginState::INSTALLING) {
+                throw new \Exception('AVAILABLE -> INSTALLING transition failed');
+            }
+
+            // INSTALLING -> AVAILABLE is not a legal move and must be blocked
+            $this->state_manager->transition($test_repo, PluginState::AVAILABLE, ['source' => 'fsm_test']);
+            if ($this->state_manager->get_state($test_repo) !== PluginState::INSTALLING) {
+                throw new \Exception('Invalid transition INSTALLING -> AVAILABLE was not blocked');
+            }
+
+            $this->state_manager->transition($test_repo, PluginState::INSTALLED_INACTIVE, ['source' => 'fsm_test']);
+            if ($this->state_manager->get_state($test_repo) !== PluginState::INSTALLED_INACTIVE) {
+                throw new \Exception('INSTALLING -> INSTALLED_INACTIVE transition failed');
+            }
+
+            return 'Install lifecycle transitions validated';
+        });
+
+        // Test 10: Update lifecycle (installed -> UPDATE_AVAILABLE -> INSTALLING -> installed)
+        $tests[] = $this->run_test('FSM Update Lifecycle', function() {
+            $test_repo = 'kissplugins/FSM-Test-Update-Lifecycle';
+
+            $this->state_manager->transition($test_repo, PluginState::INSTALLED_ACTIVE, [], true); // Force reset
+            $this->state_manager->transition($test_repo, PluginState::UPDATE_AVAILABLE, ['source' => 'fsm_test']);
+            if ($this->state_manager->get_state($test_repo) !== PluginState::UPDATE_AVAILABLE) {
+                throw new \Exception('INSTALLED_ACTIVE -> UPDATE_AVAILABLE transition failed');
+            }
+            if (! $this->state_manager->isInstalled($test_repo)) {
+                throw new \Exception('isInstalled() failed for UPDATE_AVAILABLE state');
+            }
+
+            // An installed plugin cannot fall back to "available"
+            $this->state_manager->transition($test_repo, PluginState::AVAILABLE, ['source' => 'fsm_test']);
+            if ($this->state_manager->get_state($test_repo) !== PluginState::UPDATE_AVAILABLE) {
+                throw new \Exception('Invalid transition UPDATE_AVAILABLE -> AVAILABLE was not blocked');
+            }
+
+            $this->state_manager->transition($test_repo, PluginState::INSTALLING, ['source' => 'fsm_test']);
+            $this->state_manager->transition($test_repo, PluginState::INSTALLED_ACTIVE, ['source' => 'fsm_test']);
+            if ($this->state_manager->get_state($test_repo) !== PluginState::INSTALLED_ACTIVE) {
+                throw new \Exception('UPDATE_AVAILABLE -> INSTALLING -> INSTALLED_ACTIVE failed');
+            }
+
+            return 'Update lifecycle transitions validated';
+        });
+
+        // Test 11: "Treat as WordPress plugin" override wins over detection and is reversible
+        $tests[] = $this->run_test('FSM Plugin Override', function() {
+            $test_repo = 'kissplugins/FSM-Test-Plugin-Override';
+
+            $this->state_manager->transition($test_repo, PluginState::NOT_PLUGIN, [], true); // Force reset
+            $this->state_manager->set_plugin_override($test_repo, 'src/loader.php');
+            try {
+                $override = $this->state_manager->get_plugin_override($test_repo);
+                if (! $override || $override['plugin_file'] !== 'src/loader.php') {
+                    throw new \Exception('Override was not stored with its plugin file');
+                }
+
+                // Overrides are checked before detection, so this needs no GitHub request
+                $this->state_manager->refresh_state($test_repo);
+                if ($this->state_manager->get_state($test_repo) !== PluginState::AVAILABLE) {
+                    throw new \Exception('Overridden repository did not refresh to AVAILABLE');
+                }
+            } finally {
+                $this->state_manager->remove_plugin_override($test_repo);
+            }
+
+            if ($this->state_manager->get_plugin_override($test_repo) !== null) {
+                throw new \Exception('Override was not removed');
+            }
+            if ($this->state_manager->remove_plugin_override($test_repo)) {
+                throw new \Exception('Removing a missing override reported success');
+            }
+
+            return 'Override storage, precedence over detection and removal validated';
+        });
+
+        // Test 12: Heartbeat channel renews the nonce and relays broadcasts for the listed repositories only
+        $tests[] = $this->run_test('FSM Heartbeat Channel', function() {
+            $test_repo = 'kissplugins/FSM-Test-Heartbeat';
+            $other_repo = 'kissplugins/FSM-Test-Heartbeat-Other';
+
+            $cursor = $this->state_manager->get_broadcast_last_id();
+            $this->state_manager->transition($test_repo, PluginState::NOT_PLUGIN, [], true);
+            $this->state_manager->transition($test_repo, PluginState::CHECKING, [ 'source' => 'fsm_test_heartbeat' ], true);
+            $this->state_manager->transition($other_repo, PluginState::CHECKING, [ 'source' => 'fsm_test_heartbeat' ], true);
+
+            $untouched = $this->ajax_handler->heartbeat_received([ 'other' => 1 ], []);
+            if (isset($untouched['sbi']) || ! isset($untouched['other'])) {
+                throw new \Exception('Heartbeat requests without installer data were changed');
+            }
+
+            $response = $this->ajax_handler->heartbeat_received([], [
+                'sbi' => [ 'nonce' => 1, 'last_id' => $cursor, 'repositories' => [ $test_repo ] ],
+            ]);
+            $reply = $response['sbi'] ?? null;
+            if (! is_array($reply) || ! wp_verify_nonce($reply['nonce'] ?? '', 'sbi_ajax_nonce')) {
+                throw new \Exception('Heartbeat reply has no valid sbi_ajax_nonce');
+            }
+            $repos = array_map(static function($e) { return $e['payload']['repository'] ?? ''; }, $reply['events'] ?? []);
+            if (! in_array($test_repo, $repos, true)) {
+                throw new \Exception('Broadcast for the listed repository was not relayed');
+            }
+            if (in_array($other_repo, $repos, true)) {
+                throw new \Exception('Broadcast for a repository that is not on the page was relayed');
+            }
+            if (($reply['last_id'] ?? 0) < $this->state_manager->get_broadcast_last_id()) {
+                throw new \Exception('Heartbeat cursor did not advance past the relayed events');
+            }
+
+            return sprintf('Nonce renewed; %d event(s) relayed for the listed repository', count($repos));
+        });
+
         return $tests;
     }
 
@@ -1096,6 +1293,40 @@ class SelfTestsPage {
             return 'All required JavaScript dependencies registered';
         });
 
+        // Screen reader announcements go through wp.a11y.speak() (src/ts/lib/announcer.ts)
+        $tests[] = $this->run_test( 'Accessibility – live region dependency', function() {
+            global $wp_scripts;
+
+            if ( ! isset( $wp_scripts->registered['wp-a11y'] ) ) {
+                throw new \Exception( 'wp-a11y is not registered; announcements fall back to the plugin\'s own live regions' );
+            }
+            if ( isset( $wp_scripts->registered['sbi-admin'] ) && ! in_array( 'wp-a11y', $wp_scripts->registered['sbi-admin']->deps, true ) ) {
+                throw new \Exception( 'sbi-admin does not depend on wp-a11y' );
+            }
+
+            return 'wp-a11y registered and loaded with the admin scripts';
+        });
+
+        $tests[] = $this->run_test( 'Notifications – text-only page messages', function() {
+            $admin_js = GBI_PATH . 'assets/admin.js';
+            if ( ! is_readable( $admin_js ) ) {
+                throw new \Exception( 'assets/admin.js is not readable' );
+            }
+            $source = (string) file_get_contents( $admin_js );
+
+            if ( preg_match( '/\balert\s*\(/', $source ) ) {
+                throw new \Exception( 'admin.js still falls back to alert()' );
+            }
+            if ( false === strpos( $source, 'SBIts.notify' ) ) {
+                throw new \Exception( 'SBI.showMessage does not route through the notification center' );
+            }
+            if ( preg_match( "/'<div class=\"sbi-message ' \\+ type \\+ '\">' \\+ message/", $source ) ) {
+                throw new \Exception( 'SBI.showMessage still renders the message as HTML' );
+            }
+
+            return 'SBI.showMessage renders text through the notification center, with no alert() fallback';
+        });
+
         // Test 3: CSS Dependencies
         $tests[] = $this->run_test( 'CSS Dependencies', function() {
             global $wp_styles;
@@ -1130,7 +1361,7 @@ class SelfTestsPage {
 
         // Test 1: Plugin State Enum Integrity
         $tests[] = $this->run_test( 'Plugin State Enum Integrity', function() {
-            $expected_states = [ 'unknown', 'checking', 'available', 'not_plugin', 'installed_inactive', 'installed_active', 'error' ];
+            $expected_states = [ 'unknown', 'checking', 'available', 'not_plugin', 'installing', 'installed_inactive', 'installed_active', 'update_available', 'error' ];
             $actual_states = [];
 
             foreach ( PluginState::cases() as $case ) {
@@ -1561,6 +1792,29 @@ class SelfTestsPage {
             }
         });
 
+        // Test 4: Requires Plugins header parsing and dependency status
+        $tests[] = $this->run_test( 'Requires Plugins Dependencies', function() {
+            $slugs = PluginDetectionService::parse_requires_plugins( ' kiss-core, Bad Slug ,woocommerce,kiss-core,-x ' );
+            if ( $slugs !== [ 'kiss-core', 'woocommerce' ] ) {
+                throw new \Exception( 'HEADER PARSING ISSUE: expected [kiss-core, woocommerce], got [' . implode( ', ', $slugs ) . ']' );
+            }
+            if ( PluginDetectionService::parse_requires_plugins( '' ) !== [] ) {
+                throw new \Exception( 'HEADER PARSING ISSUE: an empty header produced dependencies' );
+            }
+
+            // This plugin is installed and active, so its own directory must resolve as active
+            $own_slug = dirname( plugin_basename( GBI_FILE ) );
+            $status = $this->state_manager->get_dependency_status( [ $own_slug, 'sbi-no-such-plugin-xyz' ] );
+            if ( ( $status[ $own_slug ] ?? '' ) !== 'active' ) {
+                throw new \Exception( sprintf( 'DEPENDENCY STATUS ISSUE: %s reported as %s instead of active', $own_slug, $status[ $own_slug ] ?? 'nothing' ) );
+            }
+            if ( ( $status['sbi-no-such-plugin-xyz'] ?? '' ) !== 'missing' ) {
+                throw new \Exception( 'DEPENDENCY STATUS ISSUE: a plugin that is not installed was not reported as missing' );
+            }
+
+            return sprintf( 'Header parsed to %d slug(s); %s active, unknown slug missing', count( $slugs ), $own_slug );
+        });
+
         return $tests;
     }
 
@@ -1731,6 +1985,70 @@ class SelfTestsPage {
             }
         });
 
+        // Test 4: Ref names accepted by the install/update ref picker
+        $tests[] = $this->run_test( 'Install Ref Validation', function() {
+            $valid = [ 'main', 'develop', 'feature/new-ui', 'v1.2.3', 'release-2026.10', '1.0.0-rc.1' ];
+            $invalid = [ '', '../main', 'feature/', 'a..b', '/main', 'tag.lock', 'main branch', 'main;rm', '.hidden' ];
+
+            foreach ( $valid as $ref ) {
+                if ( ! GitHubService::is_valid_ref( $ref ) ) {
+                    throw new \Exception( sprintf( 'Valid ref rejected: "%s"', $ref ) );
+                }
+            }
+            foreach ( $invalid as $ref ) {
+                if ( GitHubService::is_valid_ref( $ref ) ) {
+                    throw new \Exception( sprintf( 'Invalid ref accepted: "%s"', $ref ) );
+                }
+            }
+
+            return sprintf( 'Ref validation working: %d valid and %d invalid names classified correctly', count( $valid ), count( $invalid ) );
+        });
+
+        // Test 5: Rate limit headers recorded from API responses only
+        $tests[] = $this->run_test( 'GitHub Rate Limit Tracking', function() {
+            $previous = get_transient( 'sbi_github_rate_limit' );
+            $reset = time() + 1800;
+            $response = [
+                'headers' => [
+                    'x-ratelimit-limit' => '60',
+                    'x-ratelimit-remaining' => '7',
+                    'x-ratelimit-reset' => (string) $reset,
+                    'x-ratelimit-resource' => 'core',
+                ],
+                'response' => [ 'code' => 200, 'message' => 'OK' ],
+                'body' => '',
+            ];
+
+            try {
+                delete_transient( 'sbi_github_rate_limit' );
+                $this->github_service->record_rate_limit( $response, 'response', 'Requests', [], 'https://github.com/example' );
+                if ( null !== $this->github_service->get_cached_rate_limit() ) {
+                    throw new \Exception( 'Headers from a non-API URL were recorded' );
+                }
+
+                $this->github_service->record_rate_limit( $response, 'response', 'Requests', [], 'https://api.github.com/repos/example/example' );
+                $cached = $this->github_service->get_cached_rate_limit();
+                if ( ! $cached || 7 !== $cached['remaining'] || 60 !== $cached['limit'] || $reset !== $cached['reset'] ) {
+                    throw new \Exception( 'API response headers were not recorded: ' . wp_json_encode( $cached ) );
+                }
+
+                $response['headers']['x-ratelimit-resource'] = 'search';
+                $response['headers']['x-ratelimit-remaining'] = '1';
+                $this->github_service->record_rate_limit( $response, 'response', 'Requests', [], 'https://api.github.com/search/repositories' );
+                if ( 7 !== $this->github_service->get_cached_rate_limit()['remaining'] ) {
+                    throw new \Exception( 'Search quota overwrote the core quota' );
+                }
+            } finally {
+                if ( is_array( $previous ) ) {
+                    set_transient( 'sbi_github_rate_limit', $previous, HOUR_IN_SECONDS );
+                } else {
+                    delete_transient( 'sbi_github_rate_limit' );
+                }
+            }
+
+            return 'Core quota recorded from api.github.com responses; other hosts and resources ignored';
+        });
+
         return $tests;
     }
 
@@ -0,0 +1,90 @@
+<?php
+/**
+ * Enumeration of failure causes reported to the admin UI.
+ *
+ * Mirrors SbiErrorCode in src/ts/lib/errors.ts; keep both lists in sync.
+ *
+ * @package SBI\Enums
+ */
+
+namespace SBI\Enums;
+
+use WP_Error;
+
+enum ErrorCode: string {
+    case NETWORK = 'network';                       // Request to GitHub/WordPress could not complete
+    case TIMEOUT = 'timeout';                       // Request took too long
+    case NONCE_EXPIRED = 'nonce_expired';           // Security token no longer valid
+    case INSUFFICIENT_CAPABILITY = 'insufficient_capability'; // User lacks install/activate rights
+    case GITHUB_RATE_LIMIT = 'github_rate_limit';   // GitHub API quota exhausted
+    case REPO_NOT_FOUND = 'repo_not_found';         // Repository/account missing or private
+    case NOT_A_PLUGIN = 'not_a_plugin';             // Package contains no WordPress plugin
+    case UPGRADER_FAILURE = 'upgrader_failure';     // Download/unpack/copy by the WordPress upgrader failed
+    case ACTIVATION_FATAL = 'activation_fatal';     // Plugin errored or produced output on activation
+    case BUSY = 'busy';                             // Another operation holds the repository lock
+    case INVALID_REQUEST = 'invalid_request';       // Missing or malformed parameters
+    case CANCELLED = 'cancelled';                   // Request aborted in the browser; never sent by the server
+    case UNKNOWN = 'unknown';
+
+    /**
+     * Whether retrying the same request can succeed without user intervention.
+     */
+    public function is_recoverable(): bool {
+        return match ( $this ) {
+            self::NETWORK, self::TIMEOUT, self::GITHUB_RATE_LIMIT, self::UPGRADER_FAILURE, self::BUSY => true,
+            default => false,
+        };
+    }
+
+    /**
+     * Map a WP_Error from the services (or WordPress core) to an error code.
+     *
+     * @param WP_Error $error     Error to classify.
+     * @param string   $operation 'install', 'update', 'activate', 'deactivate' or 'refresh'.
+     */
+    public static function from_wp_error( WP_Error $error, string $operation = '' ): self {
+        $code = (string) $error->get_error_code();
+        $data = $error->get_error_data();
+        $status = is_array( $data ) ? (int) ( $data['status_code'] ?? 0 ) : 0;
+
+        switch ( $code ) {
+            case 'rate_limit_exceeded':
+            case 'rate_limited':
+                return self::GITHUB_RATE_LIMIT;
+            case 'github_api_error':
+                if ( 404 === $status ) {
+                    return self::REPO_NOT_FOUND;
+                }
+                if ( 403 === $status && is_array( $data ) && false !== stripos( (string) ( $data['response_body'] ?? '' ), 'rate limit' ) ) {
+                    return self::GITHUB_RATE_LIMIT;
+                }
+                return $status >= 500 ? self::NETWORK : self::UNKNOWN;
+            case 'account_not_found':
+                return self::REPO_NOT_FOUND;
+            case 'http_request_failed':
+            case 'github_request_failed':
+                return false !== stripos( $error->get_error_message(), 'timed out' ) ? self::TIMEOUT : self::NETWORK;
+            case 'insufficient_permissions':
+                return self::INSUFFICIENT_CAPABILITY;
+            case 'invalid_params':
+            case 'invalid_plugin_file':
+            case 'plugin_invalid':
+            case 'plugin_not_found':
+            case 'single_file_plugin':
+                return self::INVALID_REQUEST;
+            case 'incompatible_archive_no_plugins':
+            case 'no_plugins_found':
+                return self::NOT_A_PLUGIN;
+            case 'unexpected_output':
+            case 'plugin_php_incompatible':
+            case 'plugin_wp_incompatible':
+                return self::ACTIVATION_FATAL;
+        }
+
+        return match ( $operation ) {
+            'install', 'update' => self::UPGRADER_FAILURE,
+            'activate' => self::ACTIVATION_FATAL,
+            default => self::UNKNOWN,
+        };
+    }
+}
@@ -12,7 +12,9 @@ enum PluginState: string {
     case CHECKING = 'checking';          // Currently being analyzed
     case AVAILABLE = 'available';        // Is a WP plugin, can install
     case NOT_PLUGIN = 'not_plugin';      // Repository exists but not a WP plugin
+    case INSTALLING = 'installing';      // Install request in progress
     case INSTALLED_INACTIVE = 'installed_inactive'; // Installed but not active
     case INSTALLED_ACTIVE = 'installed_active';     // Installed and active
+    case UPDATE_AVAILABLE = 'update_available';     // Installed, GitHub has a newer Version header
     case ERROR = 'error';                // Error occurred during processing
 }
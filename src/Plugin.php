@@ -184,7 +184,9 @@ class Plugin extends BasePlugin {
         wp_register_script(
             'sbi-admin',
             $this->plugin_url . 'assets/admin.js',
-            [ 'jquery' ],
+            // wp-a11y: screen reader announcements (src/ts/lib/announcer.ts)
+            // heartbeat: nonce renewal and state changes without SSE (src/ts/lib/heartbeat.ts)
+            [ 'jquery', 'wp-a11y', 'heartbeat' ],
             $this->version,
             true
         );
@@ -195,6 +197,21 @@ class Plugin extends BasePlugin {
             'ajaxurl' => admin_url( 'admin-ajax.php' ),
             'nonce' => wp_create_nonce( 'sbi_ajax_nonce' ),
             'sseEnabled' => (bool) get_option( 'sbi_sse_diagnostics', false ),
+            'sseLastId' => (int) get_option( 'sbi_broadcast_last_id', 0 ),
+            'batchConcurrency' => (int) get_option( 'sbi_batch_concurrency', 3 ),
+            'currentUser' => [
+                'id' => get_current_user_id(),
+                'login' => wp_get_current_user()->user_login,
+                'name' => wp_get_current_user()->display_name,
+            ],
+            'env' => [
+                'pluginVersion' => $this->version,
+                'wpVersion' => get_bloginfo( 'version' ),
+                'phpVersion' => PHP_VERSION,
+                'multisite' => is_multisite(),
+                'locale' => get_locale(),
+                'debugAjax' => (bool) get_option( 'sbi_debug_ajax', false ),
+            ],
             'strings' => [
                 'loading' => __( 'Loading...', 'kiss-smart-batch-installer' ),
                 'error' => __( 'An error occurred', 'kiss-smart-batch-installer' ),
@@ -34,6 +34,16 @@ class GitHubService {
      */
     private const USER_AGENT = 'KISS-Smart-Batch-Installer/1.0.0';
 
+    /**
+     * Transient holding the last core rate limit seen from the API.
+     */
+    private const RATE_LIMIT_TRANSIENT = 'sbi_github_rate_limit';
+
+    /**
+     * Age (seconds) below which a recorded rate limit is served without asking GitHub.
+     */
+    private const RATE_LIMIT_FRESH = 60;
+
     /**
      * Get current GitHub configuration.
      *
@@ -620,6 +630,134 @@ class GitHubService {
         return $processed_repo;
     }
 
+    /**
+     * List the refs a repository can be installed from: branches, tags and releases.
+     *
+     * @param string $owner Repository owner.
+     * @param string $repo  Repository name.
+     * @param bool   $force_refresh Whether to bypass the cache.
+     * @return array|WP_Error default_branch, branches, tags and releases, or WP_Error on failure.
+     */
+    public function get_repository_refs( string $owner, string $repo, bool $force_refresh = false ) {
+        if ( empty( $owner ) || empty( $repo ) ) {
+            return new WP_Error( 'invalid_params', __( 'Owner and repository name are required.', 'kiss-smart-batch-installer' ) );
+        }
+
+        // Short cache: QA pushes release candidates and feature branches often
+        $cache_key = 'sbi_github_refs_' . sanitize_key( $owner . '_' . $repo );
+        if ( ! $force_refresh ) {
+            $cached = get_transient( $cache_key );
+            if ( false !== $cached ) {
+                return $cached;
+            }
+        }
+
+        $repository = $this->get_repository( $owner, $repo );
+        if ( is_wp_error( $repository ) ) {
+            return $repository;
+        }
+
+        $base = sprintf( '/repos/%s/%s', urlencode( $owner ), urlencode( $repo ) );
+        $branches = $this->get_api_json( $base . '/branches?per_page=100' );
+        if ( is_wp_error( $branches ) ) {
+            return $branches;
+        }
+        $tags = $this->get_api_json( $base . '/tags?per_page=100' );
+        if ( is_wp_error( $tags ) ) {
+            return $tags;
+        }
+        $releases = $this->get_api_json( $base . '/releases?per_page=30' );
+        if ( is_wp_error( $releases ) ) {
+            return $releases;
+        }
+
+        $refs = [
+            'default_branch' => $repository['default_branch'] ?: 'main',
+            'branches' => array_values( array_filter( array_column( $branches, 'name' ), 'is_string' ) ),
+            'tags' => array_values( array_filter( array_column( $tags, 'name' ), 'is_string' ) ),
+            'releases' => [],
+        ];
+        foreach ( $releases as $release ) {
+            // Drafts have no downloadable tag yet
+            if ( ! is_array( $release ) || ! empty( $release['draft'] ) || empty( $release['tag_name'] ) ) {
+                continue;
+            }
+            $refs['releases'][] = [
+                'tag' => (string) $release['tag_name'],
+                'name' => (string) ( $release['name'] ?? '' ),
+                'prerelease' => ! empty( $release['prerelease'] ),
+                'published_at' => (string) ( $release['published_at'] ?? '' ),
+            ];
+        }
+
+        set_transient( $cache_key, $refs, 10 * MINUTE_IN_SECONDS );
+
+        return $refs;
+    }
+
+    /**
+     * Whether a string is safe to use as a git ref in GitHub archive URLs.
+     *
+     * @param string $ref Branch, tag or commit name.
+     * @return bool
+     */
+    public static function is_valid_ref( string $ref ): bool {
+        if ( $ref === '' || strlen( $ref ) > 255 ) {
+            return false;
+        }
+        // git check-ref-format subset: no "..", no leading/trailing slash or dot, no ".lock" suffix
+        if ( str_contains( $ref, '..' ) || str_contains( $ref, '//' ) || str_ends_with( $ref, '.lock' ) ) {
+            return false;
+        }
+        return (bool) preg_match( '#^[A-Za-z0-9_+-][A-Za-z0-9._+/-]*(?<![./])$#D', $ref );
+    }
+
+    /**
+     * GET a GitHub API path and decode the JSON list it returns.
+     *
+     * @param string $path Path below the API base, including query string.
+     * @return array|WP_Error Decoded response or WP_Error (github_api_error carries status_code).
+     */
+    private function get_api_json( string $path ) {
+        $url = self::API_BASE . $path;
+        $response = wp_remote_get( $url, [
+            'timeout' => 15,
+            'headers' => [
+                'User-Agent' => self::USER_AGENT,
+                'Accept' => 'application/vnd.github.v3+json',
+            ],
+        ] );
+
+        if ( is_wp_error( $response ) ) {
+            error_log( sprintf( 'SBI GITHUB SERVICE: API request failed for %s: %s', $url, $response->get_error_message() ) );
+            return $response;
+        }
+
+        $response_code = wp_remote_retrieve_response_code( $response );
+        $response_body = wp_remote_retrieve_body( $response );
+
+        if ( 200 !== $response_code ) {
+            $decoded_body = json_decode( $response_body, true );
+            $error_message = sprintf( 'GitHub API error: %d', $response_code );
+            if ( is_array( $decoded_body ) && isset( $decoded_body['message'] ) ) {
+                $error_message .= ' - ' . $decoded_body['message'];
+            }
+            error_log( sprintf( 'SBI GITHUB SERVICE: %s (%s)', $error_message, $url ) );
+            return new WP_Error( 'github_api_error', $error_message, [
+                'status_code' => $response_code,
+                'url' => $url,
+                'response_body' => $response_body,
+            ] );
+        }
+
+        $data = json_decode( $response_body, true );
+        if ( ! is_array( $data ) ) {
+            return new WP_Error( 'invalid_json', __( 'Invalid JSON response from GitHub API.', 'kiss-smart-batch-installer' ) );
+        }
+
+        return $data;
+    }
+
     /**
      * Get GitHub API rate limit status.
      *
@@ -647,6 +785,99 @@ class GitHubService {
         return $rate_limit ?: new WP_Error( 'invalid_json', __( 'Invalid rate limit response.', 'kiss-smart-batch-installer' ) );
     }
 
+    /**
+     * Remember the core quota from the X-RateLimit-* headers of an API
+     * response. Hooked to http_api_debug, so requests made by any service
+     * (detection, installs, this class) keep the reading current.
+     *
+     * @param array|WP_Error $response HTTP response.
+     * @param string         $context  'response' once the request has completed.
+     * @param string         $class    HTTP transport class.
+     * @param array          $args     Request arguments.
+     * @param string         $url      Request URL.
+     */
+    public function record_rate_limit( $response, $context = '', $class = '', $args = [], $url = '' ): void {
+        if ( 'response' !== $context || is_wp_error( $response ) || 0 !== strpos( (string) $url, self::API_BASE . '/' ) ) {
+            return;
+        }
+
+        $remaining = wp_remote_retrieve_header( $response, 'x-ratelimit-remaining' );
+        $resource = wp_remote_retrieve_header( $response, 'x-ratelimit-resource' );
+        // Search and GraphQL have quotas of their own
+        if ( '' === $remaining || ( '' !== $resource && 'core' !== $resource ) ) {
+            return;
+        }
+
+        $this->remember_rate_limit( [
+            'limit' => wp_remote_retrieve_header( $response, 'x-ratelimit-limit' ),
+            'remaining' => $remaining,
+            'reset' => wp_remote_retrieve_header( $response, 'x-ratelimit-reset' ),
+        ], 'headers' );
+    }
+
+    /**
+     * Last recorded core rate limit, or null when none is known.
+     *
+     * @return array|null { limit, remaining, reset, checked_at, source }
+     */
+    public function get_cached_rate_limit(): ?array {
+        $cached = get_transient( self::RATE_LIMIT_TRANSIENT );
+        return is_array( $cached ) ? $cached : null;
+    }
+
+    /**
+     * Current core rate limit: the recorded one while it is recent and its
+     * window has not reset, otherwise a fresh /rate_limit call (which does
+     * not count against the quota).
+     *
+     * @param bool $force_refresh Skip the recorded value.
+     * @return array|WP_Error { limit, remaining, reset, checked_at, source }
+     */
+    public function get_rate_limit_status( bool $force_refresh = false ) {
+        $cached = $this->get_cached_rate_limit();
+        if ( ! $force_refresh && $cached && time() - $cached['checked_at'] < self::RATE_LIMIT_FRESH && $cached['reset'] > time() ) {
+            return $cached;
+        }
+
+        $data = $this->get_rate_limit();
+        $rate = is_wp_error( $data ) ? null : ( $data['resources']['core'] ?? $data['rate'] ?? null );
+        if ( ! is_array( $rate ) || ! isset( $rate['remaining'] ) ) {
+            if ( $cached ) {
+                return $cached;
+            }
+            return is_wp_error( $data ) ? $data : new WP_Error( 'invalid_json', __( 'Invalid rate limit response.', 'kiss-smart-batch-installer' ) );
+        }
+
+        return $this->remember_rate_limit( $rate, 'api' );
+    }
+
+    /**
+     * Store a rate limit reading and announce it (sbi_github_rate_limit action).
+     *
+     * @param array  $rate   limit, remaining and reset (epoch seconds).
+     * @param string $source 'api' or 'headers'.
+     * @return array Stored snapshot.
+     */
+    private function remember_rate_limit( array $rate, string $source ): array {
+        $snapshot = [
+            'limit' => (int) ( $rate['limit'] ?? 0 ),
+            'remaining' => (int) ( $rate['remaining'] ?? 0 ),
+            'reset' => (int) ( $rate['reset'] ?? 0 ),
+            'checked_at' => time(),
+            'source' => $source,
+        ];
+        set_transient( self::RATE_LIMIT_TRANSIENT, $snapshot, max( MINUTE_IN_SECONDS, $snapshot['reset'] - time() + MINUTE_IN_SECONDS ) );
+
+        /**
+         * Fires whenever the GitHub core rate limit is read.
+         *
+         * @param array $snapshot { limit, remaining, reset, checked_at, source }
+         */
+        do_action( 'sbi_github_rate_limit', $snapshot );
+
+        return $snapshot;
+    }
+
     /**
      * Process array of repositories from GitHub API.
      *
@@ -46,6 +46,7 @@ class PluginDetectionService {
         'Network',
         'License',
         'License URI',
+        'Requires Plugins',
     ];
     
     /**
@@ -577,6 +578,31 @@ class PluginDetectionService {
         return $value;
     }
     
+    /**
+     * Split a Requires Plugins header into plugin slugs.
+     *
+     * Same rules as WordPress core (WP_Plugin_Dependencies): comma separated,
+     * entries that are not valid slugs are dropped.
+     *
+     * @param string $value Header value, e.g. "kiss-core, woocommerce".
+     * @return array Unique slugs, sorted.
+     */
+    public static function parse_requires_plugins( string $value ): array {
+        $slugs = [];
+        foreach ( explode( ',', $value ) as $slug ) {
+            $slug = trim( $slug );
+            if ( function_exists( 'apply_filters' ) ) {
+                $slug = (string) apply_filters( 'wp_plugin_dependencies_slug', $slug );
+            }
+            if ( preg_match( '/^[a-z0-9]+(-[a-z0-9]+)*$/', $slug ) ) {
+                $slugs[] = $slug;
+            }
+        }
+        $slugs = array_values( array_unique( $slugs ) );
+        sort( $slugs );
+        return $slugs;
+    }
+
     /**
      * Batch detect plugins for multiple repositories.
      *
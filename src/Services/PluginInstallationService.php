@@ -87,15 +87,16 @@ class PluginInstallationService {
      *
      * @param string $owner Repository owner (user or organization).
      * @param string $repo Repository name.
-     * @param string $branch Branch to install from (default: main).
+     * @param string $branch Branch, tag or release tag to install from; empty for the repository's default branch.
+     * @param string $replace_plugin_file Installed plugin file to overwrite in place (updates); empty for a fresh install.
      * @return array|WP_Error Installation result or error.
      */
-    public function install_plugin( string $owner, string $repo, string $branch = 'main' ) {
+    public function install_plugin( string $owner, string $repo, string $branch = '', string $replace_plugin_file = '' ) {
         // NOTE TO FUTURE CONTRIBUTORS AND LLMs:
         // The debug logging in this method is intentionally verbose to diagnose
         // a wide range of installation failures across hosts (network, SSL, HTTP, WP upgrader).
         // Do NOT remove these logs. If you must change them, keep equivalently rich context.
-        error_log( sprintf( 'SBI INSTALL SERVICE: Starting install_plugin for %s/%s (branch: %s)', $owner, $repo, $branch ) );
+        error_log( sprintf( 'SBI INSTALL SERVICE: Starting install_plugin for %s/%s (ref: %s)', $owner, $repo, $branch ?: 'default branch' ) );
 
         $repository = $owner . '/' . $repo;
 
@@ -131,6 +132,11 @@ class PluginInstallationService {
         $this->send_progress( 'Repository Verification', 'success', 'Repository found and accessible' );
         error_log( 'SBI INSTALL SERVICE: Repository information retrieved successfully' );
 
+        if ( $branch === '' ) {
+            $branch = ! empty( $repo_info['default_branch'] ) ? $repo_info['default_branch'] : 'main';
+        }
+        error_log( sprintf( 'SBI INSTALL SERVICE: Installing from ref %s', $branch ) );
+
         // Try to get the download URL from GitHub API first
         $this->send_progress( 'Download Preparation', 'info', 'Preparing download URL...' );
         $api_download_url = $this->get_download_url_from_api( $owner, $repo, $branch );
@@ -140,11 +146,12 @@ class PluginInstallationService {
             $this->send_progress( 'Download Preparation', 'success', 'Using GitHub API download URL' );
             error_log( sprintf( 'SBI INSTALL SERVICE: Using API download URL: %s', $download_url ) );
         } else {
-            // Fallback to direct GitHub archive URL - Force HTTPS
-            $download_url = sprintf( 'https://github.com/%s/%s/archive/refs/heads/%s.zip',
+            // Fallback to direct GitHub archive URL - Force HTTPS. archive/<ref>.zip resolves
+            // branches and tags alike; slashes in branch names must stay unencoded
+            $download_url = sprintf( 'https://github.com/%s/%s/archive/%s.zip',
                 urlencode( $owner ),
                 urlencode( $repo ),
-                urlencode( $branch )
+                str_replace( '%2F', '/', rawurlencode( $branch ) )
             );
             $this->send_progress( 'Download Preparation', 'info', 'Using fallback download URL' );
             error_log( sprintf( 'SBI INSTALL SERVICE: Using fallback download URL: %s', $download_url ) );
@@ -200,6 +207,16 @@ class PluginInstallationService {
         // Create a custom skin to capture output and silence HTML
         error_log( 'SBI INSTALL SERVICE: Creating upgrader skin' );
         $skin = new SBI_Plugin_Upgrader_Skin();
+        // Report upgrader stages as they happen so the admin UI can follow download/unpack/install
+        $skin->set_stage_callback( function( string $stage ): void {
+            if ( 'unpack_package' === $stage ) {
+                $this->send_progress( 'Plugin Download', 'success', 'Package downloaded' );
+                $this->send_progress( 'Package Unpack', 'info', 'Unpacking package...' );
+            } elseif ( 'installing_package' === $stage ) {
+                $this->send_progress( 'Package Unpack', 'success', 'Package unpacked' );
+                $this->send_progress( 'Plugin Installation', 'info', 'Installing plugin files...' );
+            }
+        } );
 
         // Create upgrader instance
         error_log( 'SBI INSTALL SERVICE: Creating Plugin_Upgrader instance' );
@@ -253,11 +270,33 @@ class PluginInstallationService {
             return $response;
         }, 10, 3 );
 
-        $result = $upgrader->install( $download_url );
+        // Updates: unpack into the existing plugin directory (GitHub archives are named repo-branch)
+        $source_filter = null;
+        if ( $replace_plugin_file !== '' && dirname( $replace_plugin_file ) !== '.' ) {
+            $target_dir = dirname( $replace_plugin_file );
+            $source_filter = function( $source, $remote_source ) use ( $target_dir ) {
+                global $wp_filesystem;
+                if ( is_wp_error( $source ) || basename( untrailingslashit( $source ) ) === $target_dir ) {
+                    return $source;
+                }
+                $new_source = trailingslashit( $remote_source ) . $target_dir . '/';
+                if ( ! $wp_filesystem->move( $source, $new_source, true ) ) {
+                    return new WP_Error( 'rename_failed', __( 'Could not rename the downloaded package to the installed plugin directory.', 'kiss-smart-batch-installer' ) );
+                }
+                error_log( sprintf( 'SBI INSTALL SERVICE: Renamed package source %s to %s', $source, $new_source ) );
+                return $new_source;
+            };
+            add_filter( 'upgrader_source_selection', $source_filter, 10, 2 );
+        }
+
+        $result = $upgrader->install( $download_url, [ 'overwrite_package' => $replace_plugin_file !== '' ] );
 
         // Remove filters after installation
         remove_filter( 'http_request_args', $https_filter, 10 );
         remove_filter( 'http_response', $response_filter, 10 );
+        if ( $source_filter ) {
+            remove_filter( 'upgrader_source_selection', $source_filter, 10 );
+        }
 
         error_log( sprintf( 'SBI INSTALL SERVICE: Installation result: %s',
             is_wp_error( $result ) ? 'WP_Error: ' . $result->get_error_message() :
@@ -292,6 +331,15 @@ class PluginInstallationService {
         error_log( 'SBI INSTALL SERVICE: Getting plugin file information' );
         $plugin_file = $upgrader->plugin_info();
 
+        // Overridden repositories may name a main file WordPress could not pick out on its own
+        $override = $this->state_manager->get_plugin_override( $repository );
+        if ( ! $plugin_file && $override && $override['plugin_file'] !== '' && ! empty( $upgrader->result['destination_name'] ) ) {
+            $candidate = $upgrader->result['destination_name'] . '/' . $override['plugin_file'];
+            if ( file_exists( WP_PLUGIN_DIR . '/' . $candidate ) ) {
+                $plugin_file = $candidate;
+            }
+        }
+
         error_log( sprintf( 'SBI INSTALL SERVICE: Plugin file detected: %s', $plugin_file ?: 'none' ) );
 
         if ( ! $plugin_file ) {
@@ -307,16 +355,19 @@ class PluginInstallationService {
         error_log( sprintf( 'SBI INSTALL SERVICE: Plugin file: %s', $plugin_file ) );
         error_log( sprintf( 'SBI INSTALL SERVICE: Messages: %s', implode( '; ', $messages ) ) );
 
-        // FSM: Transition to INSTALLED_INACTIVE state (plugin installed but not activated)
-        $this->state_manager->transition( $repository, PluginState::INSTALLED_INACTIVE, [
+        // FSM: Transition to the installed state (an overwritten plugin keeps its activation)
+        $this->state_manager->transition( $repository, is_plugin_active( $plugin_file ) ? PluginState::INSTALLED_ACTIVE : PluginState::INSTALLED_INACTIVE, [
             'source' => 'install_plugin_success',
-            'plugin_file' => $plugin_file
+            'plugin_file' => $plugin_file,
+            'ref' => $branch,
         ] );
+        $this->state_manager->set_installed_ref( $repository, $branch );
 
         return [
             'success' => true,
             'plugin_file' => $plugin_file,
             'plugin_name' => $repo,
+            'ref' => $branch,
             'download_url' => $download_url,
             'messages' => $messages,
         ];
@@ -411,7 +462,7 @@ class PluginInstallationService {
      * @param string $owner Repository owner.
      * @param string $repo Repository name.
      * @param bool   $activate Whether to activate after installation.
-     * @param string $branch Branch to install from.
+     * @param string $branch Branch or tag to install from; empty for the default branch.
      * @return array|WP_Error Combined installation and activation result.
      */
     /**
@@ -424,7 +475,7 @@ class PluginInstallationService {
         return $org ? ($org . '/' . $slug) : $slug;
     }
 
-    public function install_and_activate( string $owner, string $repo, bool $activate = false, string $branch = 'main' ) {
+    public function install_and_activate( string $owner, string $repo, bool $activate = false, string $branch = '' ) {
         // Install the plugin
         $install_result = $this->install_plugin( $owner, $repo, $branch );
 
@@ -455,6 +506,68 @@ class PluginInstallationService {
         return $result;
     }
 
+    /**
+     * Update an installed plugin by reinstalling it from GitHub over the existing copy.
+     *
+     * The plugin is re-activated afterwards if it was active before the update.
+     *
+     * @param string $owner Repository owner.
+     * @param string $repo Repository name.
+     * @param string $branch Branch or tag to install from; empty for the default branch.
+     * @return array|WP_Error Installation result plus previous_version, version and active, or error.
+     */
+    public function update_plugin( string $owner, string $repo, string $branch = '' ) {
+        $repository = $owner . '/' . $repo;
+        $plugin_file = $this->state_manager->getInstalledPluginFile( $repository );
+        if ( $plugin_file === '' ) {
+            return new WP_Error( 'plugin_not_found', __( 'Plugin is not installed; install it instead.', 'kiss-smart-batch-installer' ) );
+        }
+        // Single-file plugins sit directly in wp-content/plugins; the archive would unpack beside them as a second copy
+        if ( dirname( $plugin_file ) === '.' ) {
+            return new WP_Error( 'single_file_plugin', sprintf(
+                /* translators: %s: plugin file */
+                __( '%s is a single-file plugin and cannot be updated in place. Delete it and install the repository again.', 'kiss-smart-batch-installer' ),
+                $plugin_file
+            ) );
+        }
+
+        if ( ! function_exists( 'get_plugins' ) ) {
+            require_once ABSPATH . 'wp-admin/includes/plugin.php';
+        }
+        $was_active = is_plugin_active( $plugin_file );
+        $plugins = get_plugins();
+        $previous_version = (string) ( $plugins[ $plugin_file ]['Version'] ?? '' );
+        error_log( sprintf( 'SBI INSTALL SERVICE: Updating %s (%s, version %s, %s)', $repository, $plugin_file, $previous_version ?: 'unknown', $was_active ? 'active' : 'inactive' ) );
+
+        $result = $this->install_plugin( $owner, $repo, $branch, $plugin_file );
+        if ( is_wp_error( $result ) ) {
+            return $result;
+        }
+
+        $result['previous_version'] = $previous_version;
+        $result['active'] = is_plugin_active( $result['plugin_file'] );
+
+        // Overwriting keeps the active_plugins entry unless the main file moved; restore it if it did
+        if ( $was_active && ! $result['active'] ) {
+            $this->send_progress( 'Plugin Activation', 'info', 'Re-activating plugin...' );
+            $activate_result = activate_plugin( $result['plugin_file'] );
+            if ( is_wp_error( $activate_result ) ) {
+                $this->send_progress( 'Plugin Activation', 'error', 'Re-activation failed: ' . $activate_result->get_error_message() );
+                $result['activation_error'] = $activate_result->get_error_message();
+            } else {
+                $this->send_progress( 'Plugin Activation', 'success', 'Plugin re-activated' );
+                $result['active'] = true;
+                $this->state_manager->transition( $repository, PluginState::INSTALLED_ACTIVE, [ 'source' => 'update_plugin_reactivate' ] );
+            }
+        }
+
+        wp_clean_plugins_cache( false );
+        $plugins = get_plugins();
+        $result['version'] = (string) ( $plugins[ $result['plugin_file'] ]['Version'] ?? '' );
+
+        return $result;
+    }
+
     /**
      * Batch install multiple plugins.
      *
@@ -479,7 +592,7 @@ class PluginInstallationService {
                 $repo_data['owner'],
                 $repo_data['repo'],
                 $activate,
-                $repo_data['branch'] ?? 'main'
+                $repo_data['branch'] ?? ''
             );
 
             if ( is_wp_error( $result ) ) {
@@ -503,14 +616,14 @@ class PluginInstallationService {
      *
      * @param string $owner Repository owner.
      * @param string $repo Repository name.
-     * @param string $branch Branch name.
+     * @param string $branch Branch or tag name.
      * @return string|WP_Error Download URL or error.
      */
     private function get_download_url_from_api( string $owner, string $repo, string $branch ) {
         $api_url = sprintf( 'https://api.github.com/repos/%s/%s/zipball/%s',
             urlencode( $owner ),
             urlencode( $repo ),
-            urlencode( $branch )
+            str_replace( '%2F', '/', rawurlencode( $branch ) )
         );
 
         error_log( sprintf( 'SBI INSTALL SERVICE: Checking API download URL: %s', $api_url ) );
@@ -560,6 +673,22 @@ class SBI_Plugin_Upgrader_Skin extends WP_Upgrader_Skin {
      */
     private array $messages = [];
 
+    /**
+     * Called with the upgrader's stage key (downloading_package, unpack_package, installing_package).
+     *
+     * @var callable|null
+     */
+    private $stage_callback = null;
+
+    /**
+     * Set stage callback function.
+     *
+     * @param callable $callback Receives the upgrader feedback key.
+     */
+    public function set_stage_callback( callable $callback ): void {
+        $this->stage_callback = $callback;
+    }
+
     /**
      * Capture feedback messages.
      *
@@ -567,6 +696,10 @@ class SBI_Plugin_Upgrader_Skin extends WP_Upgrader_Skin {
      * @param mixed  ...$args Additional arguments.
      */
     public function feedback( $string, ...$args ) {
+        if ( $this->stage_callback && is_string( $string ) && in_array( $string, [ 'downloading_package', 'unpack_package', 'installing_package' ], true ) ) {
+            call_user_func( $this->stage_callback, $string );
+        }
+
         if ( isset( $this->upgrader->strings[ $string ] ) ) {
             $string = $this->upgrader->strings[ $string ];
         }
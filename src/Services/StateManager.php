@@ -38,16 +38,30 @@ class StateManager {
     private const EVENT_LOG_TTL = 24 * 60 * 60; // 1 day in seconds
     private const EVENT_LOG_LIMIT = 30;
 
+    /**
+     * Install progress record TTL and max steps kept.
+     */
+    private const INSTALL_PROGRESS_TTL = 10 * 60; // 10 minutes in seconds
+    private const INSTALL_PROGRESS_LIMIT = 60;
+
     /**
      * Allowed state transitions map.
      * NOTE: Keep conservative; refresh_state() uses force to avoid breaking flows.
-     * UNKNOWN -> CHECKING/AVAILABLE/NOT_PLUGIN/ERROR/INSTALLED_INACTIVE/INSTALLED_ACTIVE
+     * UNKNOWN -> CHECKING/AVAILABLE/NOT_PLUGIN/ERROR/INSTALLING/INSTALLED_INACTIVE/INSTALLED_ACTIVE/UPDATE_AVAILABLE
      * CHECKING -> AVAILABLE/NOT_PLUGIN/ERROR
-     * AVAILABLE -> INSTALLED_INACTIVE/ERROR
-     * INSTALLED_INACTIVE -> INSTALLED_ACTIVE/ERROR
-     * INSTALLED_ACTIVE -> INSTALLED_INACTIVE/ERROR
+     * AVAILABLE -> INSTALLING/INSTALLED_INACTIVE/ERROR
+     * INSTALLING -> INSTALLED_INACTIVE/INSTALLED_ACTIVE/ERROR
+     * INSTALLED_INACTIVE -> INSTALLED_ACTIVE/UPDATE_AVAILABLE/ERROR
+     * INSTALLED_ACTIVE -> INSTALLED_INACTIVE/UPDATE_AVAILABLE/ERROR
+     * UPDATE_AVAILABLE -> INSTALLING/INSTALLED_INACTIVE/INSTALLED_ACTIVE/ERROR
      * NOT_PLUGIN -> CHECKING/AVAILABLE
-     * ERROR -> CHECKING/AVAILABLE/NOT_PLUGIN
+     * ERROR -> CHECKING/AVAILABLE/NOT_PLUGIN/INSTALLING
+     *
+     * INSTALLING exists because PluginInstallationService::install_plugin() has always
+     * transitioned through it; without the enum case and these rows every install hit an
+     * undefined constant, so the client table could not mirror a working server one.
+     *
+     * The browser FSM (ALLOWED_TRANSITIONS in src/ts/types/fsm.ts) mirrors this table; keep both in sync.
      */
 
     /**
@@ -55,13 +69,15 @@ class StateManager {
      */
     private function init_transitions(): void {
         $this->allowed_transitions = [
-            PluginState::UNKNOWN->value => [ PluginState::CHECKING->value, PluginState::AVAILABLE->value, PluginState::NOT_PLUGIN->value, PluginState::ERROR->value, PluginState::INSTALLED_INACTIVE->value, PluginState::INSTALLED_ACTIVE->value ],
+            PluginState::UNKNOWN->value => [ PluginState::CHECKING->value, PluginState::AVAILABLE->value, PluginState::NOT_PLUGIN->value, PluginState::ERROR->value, PluginState::INSTALLING->value, PluginState::INSTALLED_INACTIVE->value, PluginState::INSTALLED_ACTIVE->value, PluginState::UPDATE_AVAILABLE->value ],
             PluginState::CHECKING->value => [ PluginState::AVAILABLE->value, PluginState::NOT_PLUGIN->value, PluginState::ERROR->value ],
-            PluginState::AVAILABLE->value => [ PluginState::INSTALLED_INACTIVE->value, PluginState::ERROR->value ],
-            PluginState::INSTALLED_INACTIVE->value => [ PluginState::INSTALLED_ACTIVE->value, PluginState::ERROR->value ],
-            PluginState::INSTALLED_ACTIVE->value => [ PluginState::INSTALLED_INACTIVE->value, PluginState::ERROR->value ],
+            PluginState::AVAILABLE->value => [ PluginState::INSTALLING->value, PluginState::INSTALLED_INACTIVE->value, PluginState::ERROR->value ],
+            PluginState::INSTALLING->value => [ PluginState::INSTALLED_INACTIVE->value, PluginState::INSTALLED_ACTIVE->value, PluginState::ERROR->value ],
+            PluginState::INSTALLED_INACTIVE->value => [ PluginState::INSTALLED_ACTIVE->value, PluginState::UPDATE_AVAILABLE->value, PluginState::ERROR->value ],
+            PluginState::INSTALLED_ACTIVE->value => [ PluginState::INSTALLED_INACTIVE->value, PluginState::UPDATE_AVAILABLE->value, PluginState::ERROR->value ],
+            PluginState::UPDATE_AVAILABLE->value => [ PluginState::INSTALLING->value, PluginState::INSTALLED_INACTIVE->value, PluginState::INSTALLED_ACTIVE->value, PluginState::ERROR->value ],
             PluginState::NOT_PLUGIN->value => [ PluginState::CHECKING->value, PluginState::AVAILABLE->value ],
-            PluginState::ERROR->value => [ PluginState::CHECKING->value, PluginState::AVAILABLE->value, PluginState::NOT_PLUGIN->value ],
+            PluginState::ERROR->value => [ PluginState::CHECKING->value, PluginState::AVAILABLE->value, PluginState::NOT_PLUGIN->value, PluginState::INSTALLING->value ],
         ];
     }
 
@@ -262,7 +278,89 @@ class StateManager {
         $this->log_event($repository, 'lock_released');
     }
 
+    /**
+     * Start the live progress record for an install (polled by sbi_get_installation_progress).
+     */
+    public function start_install_progress(string $repository, bool $activate = false): void {
+        $now = microtime(true);
+        \set_transient($this->install_progress_key($repository), [
+            'repository' => $repository,
+            'status' => 'running',
+            'phase' => 'download',
+            'activate' => $activate,
+            'started' => $now,
+            'updated' => $now,
+            'steps' => [],
+        ], self::INSTALL_PROGRESS_TTL);
+    }
 
+    /**
+     * Append a progress step to a running install. No-op when no install is running.
+     */
+    public function record_install_progress(string $repository, string $step, string $status, string $message = ''): void {
+        $key = $this->install_progress_key($repository);
+        $record = \get_transient($key);
+        if (!is_array($record) || 'running' !== ($record['status'] ?? '')) { return; }
+        $now = microtime(true);
+        $phase = self::install_phase_for_step($step);
+        $record['steps'][] = [
+            'step' => $step,
+            'phase' => $phase,
+            'status' => $status,
+            'message' => $message,
+            'elapsed' => (int) round(($now - (float) $record['started']) * 1000),
+        ];
+        if (count($record['steps']) > self::INSTALL_PROGRESS_LIMIT) {
+            $record['steps'] = array_slice($record['steps'], -self::INSTALL_PROGRESS_LIMIT);
+        }
+        // Phases only move forward; late summary steps must not rewind the indicator
+        $order = [ 'download', 'unzip', 'install', 'activate' ];
+        if (array_search($phase, $order, true) > array_search($record['phase'] ?? 'download', $order, true)) {
+            $record['phase'] = $phase;
+        }
+        $record['updated'] = $now;
+        \set_transient($key, $record, self::INSTALL_PROGRESS_TTL);
+    }
+
+    /**
+     * Mark a running install as finished; the record stays readable until it expires.
+     */
+    public function finish_install_progress(string $repository, bool $success): void {
+        $key = $this->install_progress_key($repository);
+        $record = \get_transient($key);
+        if (!is_array($record)) { return; }
+        $record['status'] = $success ? 'success' : 'error';
+        $record['updated'] = microtime(true);
+        \set_transient($key, $record, self::INSTALL_PROGRESS_TTL);
+    }
+
+    /**
+     * Current or last install progress record for a repository, or null.
+     */
+    public function get_install_progress(string $repository): ?array {
+        $record = \get_transient($this->install_progress_key($repository));
+        return is_array($record) ? $record : null;
+    }
+
+    /**
+     * Map an installer progress step to the phase shown in the UI
+     * (download, unzip, install, activate). Preparation steps count as download.
+     */
+    public static function install_phase_for_step(string $step): string {
+        switch ($step) {
+            case 'Package Unpack':
+                return 'unzip';
+            case 'Plugin Installation':
+                return 'install';
+            case 'Plugin Activation':
+                return 'activate';
+        }
+        return 'download';
+    }
+
+    private function install_progress_key(string $repository): string {
+        return 'sbi_install_progress_' . md5(strtolower($repository));
+    }
 
     /**
      * Read recent events for a repo (for Self Tests/UI).
@@ -317,6 +415,25 @@ class StateManager {
         }));
     }
 
+    /**
+     * Id of the most recent broadcast event (cursor for new SSE clients).
+     */
+    public function get_broadcast_last_id(): int {
+        return (int) \get_option('sbi_broadcast_last_id', 0);
+    }
+
+    /**
+     * Whether events after $last_id have already dropped out of the ring buffer,
+     * meaning a resuming client must re-read state instead of replaying events.
+     */
+    public function has_broadcast_gap(int $last_id): bool {
+        if ($last_id <= 0 || $last_id >= $this->get_broadcast_last_id()) { return false; }
+        $queue = \get_transient('sbi_broadcast_events');
+        if (!is_array($queue) || empty($queue)) { return true; }
+        $oldest = (int) ($queue[0]['id'] ?? 0);
+        return $oldest > $last_id + 1;
+    }
+
     /**
      * PQS Integration service.
      *
@@ -426,6 +543,11 @@ class StateManager {
         $plugin_file = $this->find_plugin_file( $plugin_slug );
 
         if ( empty( $plugin_file ) ) {
+            // An administrator's override beats detection
+            if ( $this->get_plugin_override( $repository ) !== null ) {
+                return PluginState::AVAILABLE;
+            }
+
             // Plugin not installed. Use detection service (scan up to 3 root PHP files) to decide.
             $repo = [ 'full_name' => $repository, 'name' => $plugin_slug ];
             $det = $this->detection_service->detect_plugin( $repo );
@@ -447,7 +569,13 @@ class StateManager {
             return PluginState::UNKNOWN;
         }
 
-        // Plugin is installed, check if it's active
+        // Plugin is installed: a newer Version header on GitHub wins over active/inactive
+        $update = $this->get_update_info( $repository );
+        if ( $update && $update['has_update'] ) {
+            return PluginState::UPDATE_AVAILABLE;
+        }
+
+        // Check if it's active
         if ( is_plugin_active( $plugin_file ) ) {
             return PluginState::INSTALLED_ACTIVE;
         }
@@ -465,7 +593,7 @@ class StateManager {
 
     public function isInstalled(string $repository): bool {
         $state = $this->get_state($repository);
-        if (in_array($state, [PluginState::INSTALLED_ACTIVE, PluginState::INSTALLED_INACTIVE], true)) {
+        if (in_array($state, [PluginState::INSTALLED_ACTIVE, PluginState::INSTALLED_INACTIVE, PluginState::UPDATE_AVAILABLE], true)) {
             return true;
         }
         // Fallback to runtime file discovery
@@ -483,6 +611,204 @@ class StateManager {
         return false;
     }
 
+    /**
+     * Compare the installed plugin version with the Version header detected on GitHub.
+     *
+     * Detection results are cached (see PluginDetectionService), so this is cheap
+     * for repositories the list has already scanned.
+     *
+     * @param string $repository Repository full name (owner/repo).
+     * @return array|null Null when not installed or either version is unknown; otherwise
+     *                    plugin_file, installed_version, remote_version, has_update, active.
+     */
+    public function get_update_info( string $repository ): ?array {
+        $plugin_file = $this->getInstalledPluginFile( $repository );
+        if ( $plugin_file === '' ) {
+            return null;
+        }
+
+        $all_plugins = get_plugins();
+        $installed_version = (string) ( $all_plugins[ $plugin_file ]['Version'] ?? '' );
+
+        $det = $this->detection_service->detect_plugin( [ 'full_name' => $repository, 'name' => $this->extract_plugin_slug( $repository ) ] );
+        if ( is_wp_error( $det ) || empty( $det['is_plugin'] ) ) {
+            return null;
+        }
+        $remote_version = (string) ( $det['plugin_data']['Version'] ?? '' );
+
+        if ( $installed_version === '' || $remote_version === '' ) {
+            return null;
+        }
+
+        return [
+            'plugin_file' => $plugin_file,
+            'installed_version' => $installed_version,
+            'remote_version' => $remote_version,
+            // Tags are often written "v1.2.3"; version_compare() does not understand the prefix
+            'has_update' => version_compare( ltrim( $remote_version, 'vV' ), ltrim( $installed_version, 'vV' ), '>' ),
+            'active' => is_plugin_active( $plugin_file ),
+        ];
+    }
+
+    /**
+     * Plugin slugs a repository declares in its Requires Plugins header.
+     *
+     * The installed copy's header wins once the plugin is installed (that is what
+     * WordPress checks on activation); otherwise the header detected on GitHub.
+     *
+     * @param string $repository Repository full name (owner/repo).
+     * @param array  $plugin_data Detected headers, when the caller already has them.
+     * @return array Plugin slugs, sorted.
+     */
+    public function get_required_plugins( string $repository, array $plugin_data = [] ): array {
+        $header = (string) ( $plugin_data['Requires Plugins'] ?? '' );
+        $plugin_file = $this->getInstalledPluginFile( $repository );
+        if ( $plugin_file !== '' ) {
+            $all_plugins = get_plugins();
+            $header = (string) ( $all_plugins[ $plugin_file ]['RequiresPlugins'] ?? $header );
+        }
+        return PluginDetectionService::parse_requires_plugins( $header );
+    }
+
+    /**
+     * Whether each required plugin is active, installed but inactive, or missing on this site.
+     *
+     * Slugs are matched exactly against plugin directories (or single-file plugin
+     * names), the same way WordPress resolves Requires Plugins.
+     *
+     * @param array $slugs Plugin slugs.
+     * @return array Slug => 'active' | 'inactive' | 'missing'.
+     */
+    public function get_dependency_status( array $slugs ): array {
+        if ( ! function_exists( 'get_plugins' ) ) {
+            require_once ABSPATH . 'wp-admin/includes/plugin.php';
+        }
+
+        $files = [];
+        foreach ( array_keys( get_plugins() ) as $plugin_file ) {
+            $slug = dirname( $plugin_file ) === '.' ? basename( $plugin_file, '.php' ) : dirname( $plugin_file );
+            $files[ $slug ] = $plugin_file;
+        }
+
+        $status = [];
+        foreach ( $slugs as $slug ) {
+            if ( ! isset( $files[ $slug ] ) ) {
+                $status[ $slug ] = 'missing';
+            } else {
+                $status[ $slug ] = is_plugin_active( $files[ $slug ] ) ? 'active' : 'inactive';
+            }
+        }
+        return $status;
+    }
+
+    /**
+     * Remember which branch, tag or release a repository was last installed from.
+     *
+     * @param string $repository Repository full name (owner/repo).
+     * @param string $ref Git ref the archive was downloaded from.
+     */
+    public function set_installed_ref( string $repository, string $ref ): void {
+        $refs = \get_option( 'sbi_installed_refs', [] );
+        if ( ! is_array( $refs ) ) {
+            $refs = [];
+        }
+        $refs[ $repository ] = [
+            'ref' => $ref,
+            'installed_at' => time(),
+        ];
+        \update_option( 'sbi_installed_refs', $refs, false );
+    }
+
+    /**
+     * Ref recorded by the last install or update through this plugin.
+     *
+     * @param string $repository Repository full name (owner/repo).
+     * @return string Ref name, or empty when unknown (installed elsewhere or before refs were tracked).
+     */
+    public function get_installed_ref( string $repository ): string {
+        $refs = \get_option( 'sbi_installed_refs', [] );
+        return is_array( $refs ) && isset( $refs[ $repository ]['ref'] ) ? (string) $refs[ $repository ]['ref'] : '';
+    }
+
+    /**
+     * Repositories an administrator marked as WordPress plugins although detection disagreed.
+     *
+     * @return array<string, array{plugin_file: string, created_at: int, user: string}> Keyed by owner/repo.
+     */
+    public function get_plugin_overrides(): array {
+        $overrides = \get_option( 'sbi_plugin_overrides', [] );
+        if ( ! is_array( $overrides ) ) {
+            return [];
+        }
+        $normalized = [];
+        foreach ( $overrides as $repository => $entry ) {
+            // A bare `true` (set by hand or by a script) means no plugin file was chosen
+            $entry = is_array( $entry ) ? $entry : [];
+            $normalized[ (string) $repository ] = [
+                'plugin_file' => (string) ( $entry['plugin_file'] ?? '' ),
+                'created_at' => (int) ( $entry['created_at'] ?? 0 ),
+                'user' => (string) ( $entry['user'] ?? '' ),
+            ];
+        }
+        return $normalized;
+    }
+
+    /**
+     * Override recorded for a repository.
+     *
+     * @param string $repository Repository full name (owner/repo).
+     * @return array|null Null when detection decides for this repository.
+     */
+    public function get_plugin_override( string $repository ): ?array {
+        return $this->get_plugin_overrides()[ $repository ] ?? null;
+    }
+
+    /**
+     * Treat a repository as a WordPress plugin regardless of detection.
+     *
+     * @param string $repository Repository full name (owner/repo).
+     * @param string $plugin_file Main plugin file relative to the plugin directory, or empty to let WordPress find it.
+     */
+    public function set_plugin_override( string $repository, string $plugin_file = '' ): void {
+        $overrides = $this->get_plugin_overrides();
+        $user = function_exists( 'wp_get_current_user' ) ? \wp_get_current_user() : null;
+        $overrides[ $repository ] = [
+            'plugin_file' => ltrim( $plugin_file, '/' ),
+            'created_at' => $overrides[ $repository ]['created_at'] ?? time(),
+            'user' => $user && $user->exists() ? (string) $user->user_login : '',
+        ];
+        \update_option( 'sbi_plugin_overrides', $overrides, false );
+        $this->log_event( $repository, 'plugin_override_set', [ 'plugin_file' => $plugin_file ] );
+    }
+
+    /**
+     * Hand a repository back to detection.
+     *
+     * @param string $repository Repository full name (owner/repo).
+     * @return bool False when no override was recorded.
+     */
+    public function remove_plugin_override( string $repository ): bool {
+        $overrides = $this->get_plugin_overrides();
+        if ( ! isset( $overrides[ $repository ] ) ) {
+            return false;
+        }
+        unset( $overrides[ $repository ] );
+        \update_option( 'sbi_plugin_overrides', $overrides, false );
+        $this->log_event( $repository, 'plugin_override_removed' );
+        return true;
+    }
+
+    /**
+     * Remove every override.
+     *
+     * @return string[] Repositories that had one.
+     */
+    public function clear_plugin_overrides(): array {
+        $repositories = array_keys( $this->get_plugin_overrides() );
+        \delete_option( 'sbi_plugin_overrides' );
+        return $repositories;
+    }
+
     /**
      * Extract plugin slug from repository name.
      *
@@ -585,6 +911,10 @@ class StateManager {
      * @return array|\WP_Error
      */
     public function detect_plugin_info( array $repository, bool $force_refresh = false ) {
+        $override = $this->get_plugin_override( $repository['full_name'] ?? '' );
+        if ( $override !== null ) {
+            return $this->override_detection_result( $repository, $override, $force_refresh );
+        }
         try {
             $res = $this->detection_service->detect_plugin( $repository, $force_refresh );
             // Log a compact breadcrumb for diagnostics without spamming logs
@@ -604,6 +934,30 @@ class StateManager {
     }
 
 
+    /**
+     * Detection result for an overridden repository. Headers that detection did
+     * find still supply the name and version; the override decides the rest.
+     *
+     * @param array $repository Minimal repo array with keys: full_name, name.
+     * @param array $override Entry from get_plugin_override().
+     * @param bool $force_refresh Bypass detection cache
+     * @return array
+     */
+    private function override_detection_result( array $repository, array $override, bool $force_refresh ): array {
+        $det = $this->detection_service->detect_plugin( $repository, $force_refresh );
+        $found = ! is_wp_error( $det ) && ! empty( $det['is_plugin'] );
+        $plugin_file = $override['plugin_file'] !== '' ? $override['plugin_file'] : ( $found ? (string) ( $det['plugin_file'] ?? '' ) : '' );
+
+        return [
+            'is_plugin' => true,
+            'plugin_file' => $plugin_file,
+            'plugin_data' => $found ? ( $det['plugin_data'] ?? [] ) : [ 'Plugin Name' => $repository['name'] ?? $repository['full_name'] ],
+            'scan_method' => 'override',
+            'override' => $override,
+            'error' => null,
+        ];
+    }
+
     /**
      * Load cached states from WordPress transients.
      */
@@ -684,6 +1038,7 @@ class StateManager {
             'available' => 0,
             'installed_active' => 0,
             'installed_inactive' => 0,
+            'update_available' => 0,
             'not_plugin' => 0,
             'unknown' => 0,
             'error' => 0,
@@ -700,6 +1055,9 @@ class StateManager {
                 case PluginState::INSTALLED_INACTIVE:
                     $stats['installed_inactive']++;
                     break;
+                case PluginState::UPDATE_AVAILABLE:
+                    $stats['update_available']++;
+                    break;
                 case PluginState::NOT_PLUGIN:
                     $stats['not_plugin']++;
                     break;
@@ -0,0 +1,304 @@
+import { getAuditLog, auditToCsv } from '../lib/auditLog';
+import type { AuditEntry, AuditOutcome, AuditQuery, AuditTrigger } from '../lib/auditLog';
+import { downloadFile, fileStamp } from '../lib/download';
+import { repositoryFSM, RepoId } from './repositoryFSM';
+import type { TransitionRecord } from './repositoryFSM';
+import { rowRegistry } from './rowRegistry';
+
+const TRIGGER_LABELS: Record<AuditTrigger, string> = {
+  user: 'User',
+  batch: 'Batch',
+  sse: 'Live update',
+  poll: 'Poll',
+  refresh: 'Refresh',
+  scan: 'Scan',
+  system: 'System',
+};
+
+const ROW_HISTORY_LIMIT = 50;
+const VIEW_LIMIT = 500;
+
+// Map FSM/action sources (row_install, batch_activate, sse, ...) to who triggered the change
+export function triggerFor(source: string): AuditTrigger {
+  if (source.startsWith('row_') || source === 'retry') return 'user';
+  if (source.startsWith('batch_')) return 'batch';
+  if (source === 'sse' || source === 'heartbeat') return 'sse';
+  if (source === 'poll') return 'poll';
+  if (source === 'refresh') return 'refresh';
+  if (source === 'scanner' || source === 'snapshot') return 'scan';
+  return 'system';
+}
+
+function currentUser(windowObj: Window): string | undefined {
+  const user = (windowObj as any).sbiAjax?.currentUser;
+  return user ? user.name || user.login : undefined;
+}
+
+function describe(entry: AuditEntry): string {
+  if (entry.kind === 'transition') {
+    return `${entry.from || '∅'} → ${entry.to}${entry.outcome === 'blocked' ? ' (blocked)' : ''}`;
+  }
+  const action = entry.action ? entry.action.charAt(0).toUpperCase() + entry.action.slice(1) : 'Action';
+  let text = `${action} ${entry.outcome}`;
+  if (entry.durationMs !== undefined) text += ` in ${(entry.durationMs / 1000).toFixed(1)}s`;
+  if (entry.errorCode) text += ` [${entry.errorCode}]`;
+  return text;
+}
+
+function element<K extends keyof HTMLElementTagNameMap>(tag: K, className?: string, text?: string): HTMLElementTagNameMap[K] {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+/**
+ * Record a row action (install/activate/deactivate/refresh) in the audit log.
+ */
+export function recordAction(
+  windowObj: Window,
+  repo: RepoId,
+  action: string,
+  outcome: AuditOutcome,
+  source: string,
+  details: { message?: string; errorCode?: string; durationMs?: number } = {}
+): void {
+  void getAuditLog().record({
+    ts: Date.now(),
+    repo,
+    kind: 'action',
+    trigger: triggerFor(source),
+    source,
+    outcome,
+    action,
+    user: currentUser(windowObj),
+    ...details,
+  });
+}
+
+function recordTransition(windowObj: Window, t: TransitionRecord): void {
+  const trigger = triggerFor(t.source);
+  // First sighting on this page and scanner discovery are not changes anyone made;
+  // states relayed from another tab were recorded by that tab
+  if (t.from === null || trigger === 'scan' || t.source === 'tab') return;
+  void getAuditLog().record({
+    ts: Date.now(),
+    repo: t.repo,
+    kind: 'transition',
+    trigger,
+    source: t.source,
+    outcome: t.outcome,
+    from: t.from,
+    to: t.to,
+    user: currentUser(windowObj),
+    eventKey: t.eventId !== undefined ? `sse:${t.eventId}:${t.repo}` : undefined,
+  });
+}
+
+function renderHistoryItem(entry: AuditEntry): HTMLLIElement {
+  const li = element('li');
+  li.dataset.outcome = entry.outcome;
+  li.appendChild(element('time', 'sbi-history-time', new Date(entry.ts).toLocaleString()));
+  li.appendChild(element('span', 'sbi-history-trigger', TRIGGER_LABELS[entry.trigger]));
+  li.appendChild(document.createTextNode(` ${describe(entry)}`));
+  if (entry.user) li.appendChild(element('span', 'sbi-history-user', ` — ${entry.user}`));
+  if (entry.message) li.appendChild(element('div', 'sbi-history-message', entry.message));
+  return li;
+}
+
+async function fillRowHistory(historyRow: HTMLTableRowElement, repo: RepoId): Promise<void> {
+  const log = getAuditLog();
+  const entries = (await log.query({ repo, limit: ROW_HISTORY_LIMIT })).reverse();
+  const cell = historyRow.cells[0];
+  if (!cell) return;
+  cell.textContent = '';
+  if (!(await log.isPersistent())) {
+    cell.appendChild(element('p', 'description', 'Browser storage is unavailable; history is kept for this page only.'));
+  }
+  if (!entries.length) {
+    cell.appendChild(element('p', 'description', 'No recorded activity for this repository yet.'));
+    return;
+  }
+  const list = element('ol', 'sbi-history-list');
+  entries.forEach((e) => list.appendChild(renderHistoryItem(e)));
+  cell.appendChild(list);
+}
+
+// Timelines are registry companion rows so they move and window with their repository row
+function historyRowFor(repo: RepoId): HTMLTableRowElement | null {
+  return rowRegistry.companion(repo) || (document.querySelector(`tr.sbi-history-row[data-history-for="${repo}"]`) as HTMLTableRowElement | null);
+}
+
+function repositoryRow(repo: RepoId): HTMLTableRowElement | null {
+  return rowRegistry.get(repo) || (document.querySelector(`tr[data-repository="${repo}"]`) as HTMLTableRowElement | null);
+}
+
+// After a row is re-rendered, keep its toggle in sync with an open timeline below it
+export function syncRowHistory(repo: RepoId): void {
+  const row = repositoryRow(repo);
+  row?.querySelector('.sbi-history-toggle')?.setAttribute('aria-expanded', historyRowFor(repo) ? 'true' : 'false');
+}
+
+// Expandable timeline below a repository row
+export function toggleRowHistory(repo: RepoId): void {
+  const row = repositoryRow(repo);
+  if (!row) return;
+  const existing = historyRowFor(repo);
+  const toggle = row.querySelector('.sbi-history-toggle') as HTMLElement | null;
+  if (existing) {
+    if (rowRegistry.has(repo)) rowRegistry.setCompanion(repo, null);
+    else existing.remove();
+    toggle?.setAttribute('aria-expanded', 'false');
+    return;
+  }
+  const historyRow = element('tr', 'sbi-history-row');
+  historyRow.dataset.historyFor = repo;
+  const cell = element('td', undefined, 'Loading history…');
+  cell.colSpan = row.cells.length || 1;
+  historyRow.appendChild(cell);
+  if (rowRegistry.has(repo)) rowRegistry.setCompanion(repo, historyRow);
+  else row.after(historyRow);
+  toggle?.setAttribute('aria-expanded', 'true');
+  void fillRowHistory(historyRow, repo);
+}
+
+/**
+ * Page-level audit view in #sbi-audit-panel: date range and repository
+ * filters, CSV/JSON export and clearing the stored history.
+ */
+export class AuditView {
+  private readonly windowObj: Window;
+  private readonly panel: HTMLDetailsElement;
+  private refreshTimer: ReturnType<typeof setTimeout> | null = null;
+
+  constructor(windowObj: Window, panel: HTMLDetailsElement) {
+    this.windowObj = windowObj;
+    this.panel = panel;
+  }
+
+  mount(): void {
+    const on = (id: string, event: string, fn: () => void) => document.getElementById(id)?.addEventListener(event, fn);
+    on('sbi-audit-from', 'change', () => this.scheduleRefresh());
+    on('sbi-audit-to', 'change', () => this.scheduleRefresh());
+    on('sbi-audit-repo', 'input', () => this.scheduleRefresh());
+    on('sbi-audit-kind', 'change', () => this.scheduleRefresh());
+    on('sbi-audit-export-csv', 'click', () => void this.export('csv'));
+    on('sbi-audit-export-json', 'click', () => void this.export('json'));
+    on('sbi-audit-clear', 'click', () => void this.clear());
+    this.panel.addEventListener('toggle', () => {
+      if (this.panel.open) void this.refresh();
+    });
+    getAuditLog().subscribe(() => {
+      if (this.panel.open) this.scheduleRefresh();
+    });
+    if (this.panel.open) void this.refresh();
+  }
+
+  // Entries matching the current filters, oldest first
+  async entries(): Promise<AuditEntry[]> {
+    const value = (id: string) => ((document.getElementById(id) as HTMLInputElement | null)?.value || '').trim();
+    const q: AuditQuery = {};
+    const from = value('sbi-audit-from');
+    const to = value('sbi-audit-to');
+    // <input type="date"> values are local calendar days
+    if (from) q.from = new Date(`${from}T00:00:00`).getTime();
+    if (to) q.to = new Date(`${to}T23:59:59.999`).getTime();
+    const repo = value('sbi-audit-repo').toLowerCase();
+    const kind = value('sbi-audit-kind');
+    return (await getAuditLog().query(q)).filter(
+      (e) => (!repo || e.repo.toLowerCase().includes(repo)) && (!kind || e.kind === kind)
+    );
+  }
+
+  async refresh(): Promise<void> {
+    const tbody = document.getElementById('sbi-audit-tbody');
+    if (!tbody) return;
+    const entries = await this.entries();
+    const shown = entries.slice(-VIEW_LIMIT).reverse();
+    tbody.textContent = '';
+    shown.forEach((e) => {
+      const tr = element('tr');
+      tr.dataset.outcome = e.outcome;
+      [
+        new Date(e.ts).toLocaleString(),
+        e.repo,
+        describe(e),
+        TRIGGER_LABELS[e.trigger],
+        e.user || '',
+        e.message || '',
+      ].forEach((text, i) => tr.appendChild(element('td', i === 1 ? 'sbi-audit-repo' : undefined, text)));
+      tbody.appendChild(tr);
+    });
+    if (!shown.length) {
+      const tr = element('tr');
+      const td = element('td', 'description', 'No activity recorded for these filters.');
+      td.colSpan = 6;
+      tr.appendChild(td);
+      tbody.appendChild(tr);
+    }
+    const summary = document.getElementById('sbi-audit-summary');
+    if (summary) {
+      let text = `${entries.length} entries`;
+      if (entries.length > VIEW_LIMIT) text += ` (showing latest ${VIEW_LIMIT}; exports include all)`;
+      if (!(await getAuditLog().isPersistent())) text += ' — browser storage unavailable, history is kept for this page only';
+      summary.textContent = text;
+    }
+  }
+
+  private scheduleRefresh(): void {
+    if (this.refreshTimer !== null) clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      void this.refresh();
+    }, 150);
+  }
+
+  private async export(format: 'csv' | 'json'): Promise<void> {
+    const entries = await this.entries();
+    const name = `sbi-activity-${fileStamp()}`;
+    if (format === 'csv') {
+      downloadFile(`${name}.csv`, auditToCsv(entries), 'text/csv');
+    } else {
+      downloadFile(`${name}.json`, JSON.stringify(entries, null, 2), 'application/json');
+    }
+  }
+
+  private async clear(): Promise<void> {
+    // eslint-disable-next-line no-alert
+    if (!this.windowObj.confirm('Delete the recorded activity history stored in this browser?')) return;
+    await getAuditLog().clear();
+  }
+}
+
+let attached = false;
+
+/**
+ * Start recording FSM transitions, bind the per-row history toggles and
+ * mount the page-level audit view when present. Safe to call more than once.
+ */
+export function attachAuditTrail(windowObj: Window): void {
+  if (attached || typeof document === 'undefined') return;
+  attached = true;
+
+  repositoryFSM.onTransition((t) => recordTransition(windowObj, t));
+
+  document.addEventListener('click', (e) => {
+    const el = e.target as HTMLElement | null;
+    const toggle = el && typeof el.closest === 'function' ? (el.closest('.sbi-history-toggle') as HTMLElement | null) : null;
+    if (!toggle) return;
+    e.preventDefault();
+    const repo = (toggle.closest('tr[data-repository]') as HTMLElement | null)?.dataset.repository;
+    if (repo) toggleRowHistory(repo);
+  });
+
+  // Keep open row timelines current
+  getAuditLog().subscribe((entry) => {
+    const rows = entry ? [historyRowFor(entry.repo)] : rowRegistry.allCompanions();
+    rows.forEach((row) => {
+      if (row && row.dataset.historyFor) void fillRowHistory(row, row.dataset.historyFor);
+    });
+  });
+
+  const panel = document.getElementById('sbi-audit-panel') as HTMLDetailsElement | null;
+  if (panel) new AuditView(windowObj, panel).mount();
+}
@@ -0,0 +1,363 @@
+import { STATE_LABELS } from '../types/fsm';
+import { announce } from '../lib/announcer';
+import { notify } from './notificationCenter';
+import { BatchQueue, BatchAction, BatchItem, BatchItemResult, BatchPlan, BatchPlanItem, BatchProgress, BatchSummary, planBatch } from './batchQueue';
+import { refreshRow } from './rowActions';
+import { rowRegistry } from './rowRegistry';
+
+// Shape collected from the bulk-action checkboxes in the repository table
+export interface BulkRow {
+  full_name: string;
+  owner: string;
+  repo: string;
+  plugin_file?: string;
+}
+
+export interface RunBatchOptions {
+  concurrency?: number;
+  skipPlan?: boolean; // run without the plan dialog (scripted callers)
+}
+
+const ACTION_LABELS: Record<BatchAction, string> = {
+  install: 'Install',
+  activate: 'Activate',
+  deactivate: 'Deactivate',
+};
+
+const EFFECT_LABELS: Record<BatchAction, string> = {
+  install: 'Will be installed',
+  activate: 'Will be activated',
+  deactivate: 'Will be deactivated',
+};
+
+let activeQueue: BatchQueue | null = null;
+
+function byId<T extends HTMLElement>(id: string): T | null {
+  return document.getElementById(id) as T | null;
+}
+
+function show(el: HTMLElement | null, visible: boolean): void {
+  if (el) el.style.display = visible ? '' : 'none';
+}
+
+function rowFor(repo: string): HTMLElement | null {
+  return rowRegistry.get(repo) || (document.querySelector(`[data-repository="${repo}"]`) as HTMLElement | null);
+}
+
+function markRow(result: BatchItemResult): void {
+  const row = rowFor(result.item.repository);
+  if (!row) return;
+  row.classList.remove('sbi-batch-pending', 'sbi-batch-running', 'sbi-batch-succeeded', 'sbi-batch-failed', 'sbi-batch-skipped');
+  row.classList.add(`sbi-batch-${result.status}`);
+  if (result.message) row.title = result.message;
+}
+
+function renderProgress(action: BatchAction, progress: BatchProgress): void {
+  const bar = byId<HTMLProgressElement>('sbi-batch-progress');
+  if (bar) {
+    bar.max = Math.max(progress.total, 1);
+    bar.value = progress.completed;
+  }
+  const text = byId('sbi-batch-progress-text');
+  if (text) {
+    let status = `${progress.completed}/${progress.total} done, ${progress.running} running`;
+    if (progress.paused) status += ' (paused)';
+    else if (progress.rateLimitedUntil) status += ` (waiting for the GitHub API rate limit until ${new Date(progress.rateLimitedUntil).toLocaleTimeString()})`;
+    if (progress.cancelled) status += ' (cancelling)';
+    text.textContent = status;
+  }
+  const pause = byId<HTMLButtonElement>('sbi-batch-pause');
+  const resume = byId<HTMLButtonElement>('sbi-batch-resume');
+  show(pause, !progress.paused && !progress.cancelled);
+  show(resume, progress.paused && !progress.cancelled);
+  const title = byId('sbi-batch-title');
+  if (title) title.textContent = `${ACTION_LABELS[action]} batch`;
+}
+
+function summaryText(summary: BatchSummary): string {
+  return (
+    `${ACTION_LABELS[summary.action]} ${summary.cancelled ? 'cancelled' : 'finished'}: ` +
+    `${summary.succeeded.length} succeeded, ${summary.failed.length} failed, ${summary.skipped.length} skipped`
+  );
+}
+
+// One notice for the whole batch; failed and skipped repositories are behind its details
+function notifySummary(summary: BatchSummary): void {
+  const lines = [
+    ...summary.failed.map((r) => `Failed: ${r.item.repository}${r.message ? ` — ${r.message}` : ''}`),
+    ...summary.skipped.map((r) => `Skipped: ${r.item.repository}${r.message ? ` — ${r.message}` : ''}`),
+  ];
+  notify(`${summaryText(summary)} (${(summary.durationMs / 1000).toFixed(1)}s)`, {
+    severity: summary.failed.length ? 'error' : summary.cancelled ? 'warning' : 'success',
+    details: lines,
+  });
+}
+
+function renderSummary(summary: BatchSummary): void {
+  const container = byId('sbi-batch-summary');
+  if (!container) return;
+  container.textContent = '';
+
+  const headline = document.createElement('p');
+  const label = document.createElement('strong');
+  label.textContent = `${ACTION_LABELS[summary.action]} ${summary.cancelled ? 'cancelled' : 'finished'}: `;
+  headline.appendChild(label);
+  headline.appendChild(
+    document.createTextNode(
+      `${summary.succeeded.length} succeeded, ${summary.failed.length} failed, ${summary.skipped.length} skipped ` +
+        `(${(summary.durationMs / 1000).toFixed(1)}s)`
+    )
+  );
+  container.appendChild(headline);
+
+  const groups: Array<[string, BatchItemResult[]]> = [
+    ['Failed', summary.failed],
+    ['Skipped', summary.skipped],
+  ];
+  groups.forEach(([heading, results]) => {
+    if (!results.length) return;
+    const h = document.createElement('h4');
+    h.textContent = heading;
+    const list = document.createElement('ul');
+    results.forEach((r) => {
+      const li = document.createElement('li');
+      const code = document.createElement('code');
+      code.textContent = r.item.repository;
+      li.appendChild(code);
+      li.appendChild(document.createTextNode(r.message ? ` — ${r.message}` : ''));
+      list.appendChild(li);
+    });
+    container.appendChild(h);
+    container.appendChild(list);
+  });
+
+  show(byId('sbi-batch-pause'), false);
+  show(byId('sbi-batch-resume'), false);
+  show(byId('sbi-batch-cancel'), false);
+  show(byId('sbi-batch-close'), true);
+}
+
+function bindControls(queue: BatchQueue): () => void {
+  const handlers: Array<[HTMLElement | null, () => void]> = [
+    [byId('sbi-batch-pause'), () => queue.pause()],
+    [byId('sbi-batch-resume'), () => queue.resume()],
+    [byId('sbi-batch-cancel'), () => queue.cancel()],
+  ];
+  handlers.forEach(([el, fn]) => el?.addEventListener('click', fn));
+  return () => handlers.forEach(([el, fn]) => el?.removeEventListener('click', fn));
+}
+
+export function getActiveBatch(): BatchQueue | null {
+  return activeQueue;
+}
+
+function planCell(row: HTMLTableRowElement, text: string, className?: string): HTMLTableCellElement {
+  const cell = row.insertCell();
+  if (className) cell.className = className;
+  cell.textContent = text;
+  return cell;
+}
+
+function planCounts(plan: BatchPlan, selected: Set<string>): string {
+  const runs = plan.items.filter((p) => p.run && selected.has(p.item.repository)).length;
+  const skips = plan.items.filter((p) => !p.run).length;
+  const optedOut = plan.items.filter((p) => p.run && !selected.has(p.item.repository)).length;
+  const added = plan.items.filter((p) => p.run && p.requiredBy && selected.has(p.item.repository)).length;
+  let text = `${runs} ${runs === 1 ? 'repository' : 'repositories'} ${EFFECT_LABELS[plan.action].toLowerCase()}`;
+  if (added) text += ` (${added} added as ${added === 1 ? 'a dependency' : 'dependencies'})`;
+  if (skips) text += `, ${skips} skipped`;
+  if (optedOut) text += `, ${optedOut} left out`;
+  return `${text}.`;
+}
+
+// Cycles and dependencies that cannot be met, one line each
+function dependencyProblems(plan: BatchPlan): string[] {
+  return [
+    ...plan.cycles.map((cycle) => `Circular dependency: ${cycle.join(', ')}`),
+    ...plan.unresolved.map((u) => `${u.repository}: ${u.reason}`),
+  ];
+}
+
+/**
+ * Show what a batch would do (#sbi-batch-plan) and let the operator leave
+ * rows out. Resolves with the items to queue, or null when dismissed.
+ * Items the plan skips are still queued so the summary lists them.
+ */
+export function confirmBatchPlan(windowObj: Window, plan: BatchPlan): Promise<BatchItem[] | null> {
+  const dialog = byId<HTMLDialogElement>('sbi-batch-plan');
+  const list = byId('sbi-batch-plan-items');
+  const confirm = byId<HTMLButtonElement>('sbi-batch-plan-confirm');
+  const cancel = byId<HTMLButtonElement>('sbi-batch-plan-cancel');
+  const selected = new Set(plan.items.filter((p) => p.run).map((p) => p.item.repository));
+
+  if (!dialog || !list || !confirm || typeof dialog.showModal !== 'function') {
+    const problems = dependencyProblems(plan);
+    const warning = problems.length ? `\n\nDependency problems:\n${problems.join('\n')}` : '';
+    // eslint-disable-next-line no-alert
+    const ok = windowObj.confirm(`${ACTION_LABELS[plan.action]}: ${planCounts(plan, selected)}${warning}\n\nContinue?`);
+    return Promise.resolve(ok ? plan.items.map((p) => p.item) : null);
+  }
+
+  const title = byId('sbi-batch-plan-title');
+  if (title) title.textContent = `${ACTION_LABELS[plan.action]} plan`;
+  const summary = byId('sbi-batch-plan-summary');
+  const problemsEl = byId('sbi-batch-plan-dependencies');
+  if (problemsEl) {
+    const problems = dependencyProblems(plan);
+    problemsEl.textContent = '';
+    problemsEl.hidden = !problems.length;
+    if (problems.length) {
+      const heading = document.createElement('p');
+      const label = document.createElement('strong');
+      label.textContent = 'Dependency problems found before anything runs:';
+      heading.appendChild(label);
+      const lines = document.createElement('ul');
+      problems.forEach((line) => {
+        const li = document.createElement('li');
+        li.textContent = line;
+        lines.appendChild(li);
+      });
+      problemsEl.append(heading, lines);
+    }
+  }
+  // Plan order puts dependencies first, so one pass finds everything that waits on a left-out row
+  const queued = new Set<string>();
+  const leftOutBy = new Map<string, string>();
+  const rows: Array<{ p: BatchPlanItem; row: HTMLTableRowElement; box: HTMLInputElement; effect: HTMLTableCellElement; text: string }> = [];
+  const update = () => {
+    queued.clear();
+    leftOutBy.clear();
+    plan.items.forEach((p) => {
+      const repo = p.item.repository;
+      const missing = (p.item.dependsOn || []).find((dep) => !queued.has(dep));
+      if (missing) leftOutBy.set(repo, missing);
+      else if (!p.run || selected.has(repo)) queued.add(repo);
+    });
+    rows.forEach(({ p, row, box, effect, text }) => {
+      const missing = leftOutBy.get(p.item.repository);
+      box.checked = queued.has(p.item.repository);
+      box.disabled = !p.run || !!missing;
+      row.classList.toggle('sbi-plan-excluded', p.run && !box.checked);
+      effect.textContent = missing ? `Left out: requires ${missing}, which was left out` : text;
+    });
+    if (summary) summary.textContent = planCounts(plan, queued);
+    const runs = plan.items.filter((p) => p.run && queued.has(p.item.repository)).length;
+    confirm.textContent = `${ACTION_LABELS[plan.action]} ${runs} ${runs === 1 ? 'repository' : 'repositories'}`;
+    confirm.disabled = runs === 0;
+  };
+
+  list.textContent = '';
+  plan.items.forEach((p) => {
+    const row = document.createElement('tr');
+    row.className = p.run ? 'sbi-plan-run' : 'sbi-plan-skip';
+    if (p.requiredBy) row.classList.add('sbi-plan-dependency');
+    const check = row.insertCell();
+    check.className = 'sbi-batch-plan-check';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = p.run;
+    box.disabled = !p.run;
+    box.setAttribute('aria-label', `Include ${p.item.repository}`);
+    box.addEventListener('change', () => {
+      if (box.checked) selected.add(p.item.repository);
+      else selected.delete(p.item.repository);
+      update();
+    });
+    check.appendChild(box);
+    const name = row.insertCell();
+    const code = document.createElement('code');
+    code.textContent = p.item.repository;
+    name.appendChild(code);
+    planCell(row, p.state ? STATE_LABELS[p.state] : 'Unknown');
+    const effect = p.run ? EFFECT_LABELS[plan.action] : `Skipped: ${p.reason}`;
+    const text = p.run && p.reason ? `${effect} (${p.reason})` : effect;
+    rows.push({ p, row, box, effect: planCell(row, text, 'sbi-plan-effect'), text });
+    list.appendChild(row);
+  });
+  update();
+
+  return new Promise<BatchItem[] | null>((resolve) => {
+    let accepted = false;
+    const onConfirm = () => {
+      accepted = true;
+      dialog.close();
+    };
+    const onCancel = () => dialog.close();
+    const onClose = () => {
+      confirm.removeEventListener('click', onConfirm);
+      cancel?.removeEventListener('click', onCancel);
+      dialog.removeEventListener('close', onClose);
+      resolve(accepted ? plan.items.filter((p) => queued.has(p.item.repository)).map((p) => p.item) : null);
+    };
+    confirm.addEventListener('click', onConfirm);
+    cancel?.addEventListener('click', onCancel);
+    // Escape closes the dialog too
+    dialog.addEventListener('close', onClose);
+    dialog.showModal();
+  });
+}
+
+/**
+ * Run a bulk action from the repository table through the batch queue and
+ * drive the #sbi-batch-panel controls. The plan dialog comes first; resolves
+ * null when the operator dismissed it. Only one batch runs at a time.
+ */
+export async function runBatch(
+  windowObj: Window,
+  action: BatchAction,
+  rows: BulkRow[],
+  opts: RunBatchOptions = {}
+): Promise<BatchSummary | null> {
+  if (activeQueue) throw new Error('A batch operation is already running');
+
+  let items: BatchItem[] = rows.map((r) => ({
+    repository: r.full_name,
+    owner: r.owner,
+    repo: r.repo,
+    pluginFile: r.plugin_file || undefined,
+  }));
+  // The plan also puts dependencies first; scripted callers get that order without added repositories
+  const plan = planBatch(action, items);
+  if (!opts.skipPlan) {
+    const chosen = await confirmBatchPlan(windowObj, plan);
+    if (!chosen) return null;
+    items = chosen;
+  } else {
+    // Dependents keep dependsOn; the queue skips them when a dependency was not queued
+    items = plan.items.filter((p) => !p.requiredBy).map((p) => p.item);
+  }
+  if (activeQueue) throw new Error('A batch operation is already running');
+  const concurrency = opts.concurrency ?? (windowObj as any).sbiAjax?.batchConcurrency;
+
+  const queue = new BatchQueue(windowObj, action, items, {
+    concurrency,
+    onItemUpdate: (result) => {
+      markRow(result);
+      // Server renders the authoritative row once an item succeeds; a cancelled request may have run anyway
+      if (result.status === 'succeeded' || result.errorCode === 'cancelled') void refreshRow(windowObj, result.item.repository);
+    },
+    onProgress: (progress) => renderProgress(action, progress),
+  });
+  activeQueue = queue;
+
+  const panel = byId('sbi-batch-panel');
+  const summaryEl = byId('sbi-batch-summary');
+  if (summaryEl) summaryEl.textContent = '';
+  show(byId('sbi-batch-cancel'), true);
+  show(byId('sbi-batch-close'), false);
+  show(panel, true);
+  renderProgress(action, queue.getProgress());
+  items.forEach((item) => markRow({ item, status: 'pending' }));
+
+  const unbind = bindControls(queue);
+  announce(`${ACTION_LABELS[action]} batch started for ${items.length} ${items.length === 1 ? 'repository' : 'repositories'}`);
+  try {
+    const summary = await queue.start();
+    renderSummary(summary);
+    notifySummary(summary);
+    return summary;
+  } finally {
+    unbind();
+    activeQueue = null;
+  }
+}
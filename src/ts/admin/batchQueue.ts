@@ -0,0 +1,573 @@
+import { PluginState } from '../types/fsm';
+import type { WpAjaxResponse } from '../types/ajax';
+import { classifyError, responseErrorMessage } from '../lib/errors';
+import type { ClassifiedError, SbiErrorCode } from '../lib/errors';
+import { debugLog } from '../lib/debugStore';
+import type { DebugLevel } from '../lib/debugStore';
+import { rateLimit } from '../lib/rateLimit';
+import { installPlugin, activatePlugin, deactivatePlugin } from './handlers';
+import { getInstallProgress } from './installProgress';
+import type { InstallProgressTracker } from './installProgress';
+import { recordAction } from './auditTrail';
+import { orderByDependencies, repositoryForSlug, requiredPlugins } from './pluginDependencies';
+import type { DependencyStatus } from './pluginDependencies';
+import { selectedRef } from './refPicker';
+import { rowRegistry } from './rowRegistry';
+import { getTabSync, otherTabMessage } from './tabSync';
+import type { TabLock } from './tabSync';
+import { repositoryFSM, RepoId } from './repositoryFSM';
+
+export type BatchAction = 'install' | 'activate' | 'deactivate';
+
+export interface BatchItem {
+  repository: RepoId; // owner/repo
+  owner: string;
+  repo: string; // repo slug only
+  pluginFile?: string;
+  dependsOn?: RepoId[]; // unmet dependencies in the same batch; this item starts after they succeed
+}
+
+export type BatchItemStatus = 'pending' | 'running' | 'succeeded' | 'failed' | 'skipped';
+
+export interface BatchItemResult {
+  item: BatchItem;
+  status: BatchItemStatus;
+  message?: string;
+  durationMs?: number;
+  errorCode?: SbiErrorCode; // failed items only
+}
+
+export interface BatchProgress {
+  total: number;
+  completed: number;
+  running: number;
+  pending: number;
+  paused: boolean;
+  cancelled: boolean;
+  rateLimitedUntil?: number; // epoch ms; set while installs wait for the GitHub quota to refill
+}
+
+export interface BatchSummary {
+  action: BatchAction;
+  succeeded: BatchItemResult[];
+  failed: BatchItemResult[];
+  skipped: BatchItemResult[];
+  cancelled: boolean;
+  durationMs: number;
+}
+
+export interface BatchPlanItem {
+  item: BatchItem;
+  state?: PluginState;
+  run: boolean;
+  reason?: string; // why the item is skipped, or a caveat for an item that runs
+  requiredBy?: RepoId[]; // not selected; added because these repositories require it
+}
+
+export interface BatchDependencyProblem {
+  repository: RepoId;
+  slug: string;
+  reason: string;
+}
+
+export interface BatchPlan {
+  action: BatchAction;
+  items: BatchPlanItem[];
+  cycles: RepoId[][];
+  unresolved: BatchDependencyProblem[];
+}
+
+export interface BatchQueueOptions {
+  concurrency?: number; // default 3
+  onItemUpdate?: (result: BatchItemResult) => void;
+  onProgress?: (progress: BatchProgress) => void;
+}
+
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 10;
+// Batch installs leave plugins inactive (install -> INSTALLED_INACTIVE); activation is its own batch
+const ACTIVATE_AFTER_INSTALL = false;
+
+// State each action expects to start from, and the state it leaves behind on success
+const ACTION_STATES: Record<BatchAction, { from: PluginState; to: PluginState }> = {
+  install: { from: PluginState.AVAILABLE, to: PluginState.INSTALLED_INACTIVE },
+  activate: { from: PluginState.INSTALLED_INACTIVE, to: PluginState.INSTALLED_ACTIVE },
+  deactivate: { from: PluginState.INSTALLED_ACTIVE, to: PluginState.INSTALLED_INACTIVE },
+};
+
+function clampConcurrency(n: number | undefined): number {
+  if (!n || !isFinite(n)) return DEFAULT_CONCURRENCY;
+  return Math.max(1, Math.min(MAX_CONCURRENCY, Math.floor(n)));
+}
+
+// Rows rendered by the server carry their state before the FSM has seen them
+function currentState(repo: RepoId): PluginState | undefined {
+  const known = repositoryFSM.get(repo);
+  if (known) return known;
+  if (typeof document === 'undefined') return undefined;
+  const row = rowRegistry.get(repo) || (document.querySelector(`[data-repository="${repo}"]`) as HTMLElement | null);
+  const attr = row?.dataset.repoState;
+  return attr ? (attr as PluginState) : undefined;
+}
+
+function skipReason(action: BatchAction, item: BatchItem, state: PluginState | undefined): string | null {
+  if (action !== 'install' && !item.pluginFile) return 'Plugin file unknown';
+  if (!state || state === ACTION_STATES[action].from) return null;
+
+  switch (state) {
+    case PluginState.INSTALLING:
+      return 'Installation already in progress';
+    case PluginState.NOT_PLUGIN:
+      return 'Not a WordPress plugin';
+    case PluginState.ERROR:
+      return 'Repository is in error state';
+    case PluginState.CHECKING:
+    case PluginState.UNKNOWN:
+      return 'State not determined yet';
+    case PluginState.AVAILABLE:
+      return 'Not installed';
+    case PluginState.INSTALLED_ACTIVE:
+      return action === 'install' ? 'Already installed' : 'Already active';
+    case PluginState.INSTALLED_INACTIVE:
+      return action === 'install' ? 'Already installed' : 'Already inactive';
+    case PluginState.UPDATE_AVAILABLE:
+      // Active or not is only known to the server; let it answer activate/deactivate
+      return action === 'install' ? 'Already installed (update available)' : null;
+  }
+  return null;
+}
+
+// A providing repository's live state beats the status rendered with the dependent row
+function stateDependencyStatus(state: PluginState | undefined): DependencyStatus | undefined {
+  switch (state) {
+    case PluginState.INSTALLED_ACTIVE:
+      return 'active';
+    case PluginState.INSTALLED_INACTIVE:
+      return 'inactive';
+    case PluginState.AVAILABLE:
+      return 'missing';
+  }
+  return undefined;
+}
+
+// Installing only needs the files; WordPress refuses activation until every dependency is active
+function dependencyMet(action: BatchAction, status: DependencyStatus): boolean {
+  return action === 'install' ? status !== 'missing' : status === 'active';
+}
+
+function itemForRow(repo: RepoId): BatchItem | null {
+  if (typeof document === 'undefined') return null;
+  const row = rowRegistry.get(repo) || (document.querySelector(`[data-repository="${repo}"]`) as HTMLElement | null);
+  if (!row) return null;
+  const [owner, name] = repo.split('/');
+  return {
+    repository: repo,
+    owner: row.dataset.repoOwner || owner,
+    repo: row.dataset.repoName || name,
+    pluginFile: row.dataset.pluginFile || undefined,
+  };
+}
+
+function unresolvedReason(slug: string, status: DependencyStatus, provider: RepoId | undefined, providerReason: string | null): string {
+  if (provider && providerReason) return `Requires ${provider}: ${providerReason.toLowerCase()}`;
+  if (status === 'missing') return `Requires ${slug}, which is not installed and not in this organization`;
+  return `Requires ${slug}, which is installed but not active`;
+}
+
+/**
+ * Dry run of a batch: what each row would get given the current FSM states,
+ * by the same rules the queue applies when an item starts. Nothing is sent.
+ * Install and activate batches follow Requires Plugins: dependencies run
+ * first, unmet ones found on the page are added, and cycles and
+ * dependencies that cannot be met are reported.
+ */
+export function planBatch(action: BatchAction, items: BatchItem[]): BatchPlan {
+  const batch = new Map<RepoId, BatchItem>();
+  items.forEach((item) => {
+    if (!batch.has(item.repository)) batch.set(item.repository, { ...item, dependsOn: undefined });
+  });
+  const requiredBy = new Map<RepoId, RepoId[]>();
+  const needs = new Map<RepoId, RepoId[]>();
+  const unresolved: BatchDependencyProblem[] = [];
+
+  if (action !== 'deactivate') {
+    // Grows while dependencies are added, so theirs are resolved too
+    const repos = Array.from(batch.keys());
+    for (let i = 0; i < repos.length; i++) {
+      const repo = repos[i];
+      const unmet: RepoId[] = [];
+      requiredPlugins(repo).forEach((dep) => {
+        const provider = repositoryForSlug(dep.slug);
+        if (provider === repo) return;
+        const status = (provider && stateDependencyStatus(currentState(provider))) || dep.status;
+        if (dependencyMet(action, status)) return;
+        if (provider && batch.has(provider)) {
+          unmet.push(provider);
+          requiredBy.get(provider)?.push(repo);
+          return;
+        }
+        const candidate = provider ? itemForRow(provider) : null;
+        const providerReason = candidate && provider ? skipReason(action, candidate, currentState(provider)) : null;
+        if (candidate && provider && !providerReason) {
+          batch.set(provider, candidate);
+          requiredBy.set(provider, [repo]);
+          repos.push(provider);
+          unmet.push(provider);
+          return;
+        }
+        unresolved.push({ repository: repo, slug: dep.slug, reason: unresolvedReason(dep.slug, status, provider, providerReason) });
+      });
+      needs.set(repo, unmet);
+    }
+  }
+
+  const { order, cycles } = orderByDependencies(Array.from(batch.keys()), (repo) => needs.get(repo) || []);
+  const cycleOf = new Map<RepoId, RepoId[]>();
+  cycles.forEach((cycle) => cycle.forEach((repo) => cycleOf.set(repo, cycle)));
+
+  const planned = new Map<RepoId, BatchPlanItem>();
+  order.forEach((repo) => {
+    const item = batch.get(repo) as BatchItem;
+    const state = currentState(repo);
+    const pending = repositoryFSM.getPendingAction(repo);
+    const remote = repositoryFSM.getRemoteAction(repo);
+    let reason = skipReason(action, item, state);
+    if (!reason && pending) reason = `${pending} already in progress`;
+    if (!reason && remote) reason = otherTabMessage(repo, remote);
+
+    // Members of a cycle cannot wait for each other
+    const cycle = cycleOf.get(repo);
+    const waitsOn = (needs.get(repo) || []).filter((dep) => !cycle || !cycle.includes(dep));
+    const problems = unresolved.filter((u) => u.repository === repo).map((u) => u.reason);
+    if (cycle) problems.unshift(`Circular dependency: ${cycle.join(', ')}`);
+    const blocked = waitsOn.find((dep) => !planned.get(dep)?.run);
+    if (blocked) problems.push(`Requires ${blocked}, which is skipped`);
+    // An install still works without its dependencies; activating would fail
+    if (!reason && problems.length && action === 'activate') reason = problems.join('; ');
+
+    if (reason) {
+      planned.set(repo, { item, state, run: false, reason });
+      return;
+    }
+    const notes: string[] = [];
+    const by = requiredBy.get(repo);
+    if (by) notes.push(`Required by ${by.join(', ')}`);
+    if (state === PluginState.UPDATE_AVAILABLE) notes.push('Update available; the server checks whether it is active');
+    notes.push(...problems);
+    if (waitsOn.length) item.dependsOn = waitsOn;
+    planned.set(repo, { item, state, run: true, reason: notes.length ? notes.join('; ') : undefined, requiredBy: by });
+  });
+  return { action, items: Array.from(planned.values()), cycles, unresolved };
+}
+
+/**
+ * Client-side orchestrator for bulk install/activate/deactivate.
+ * Runs rows through the typed handlers with a concurrency limit and mirrors
+ * per-row progress into repositoryFSM. An item with dependsOn starts only
+ * after those items succeeded.
+ */
+export class BatchQueue {
+  private readonly windowObj: Window;
+  private readonly action: BatchAction;
+  private readonly items: BatchItem[];
+  private readonly opts: BatchQueueOptions;
+  private concurrency: number;
+  private waiting: BatchItem[]; // not started yet, in plan order
+  private running = 0;
+  private paused = false;
+  private cancelled = false;
+  private startedAt = 0;
+  private results: Map<RepoId, BatchItemResult> = new Map();
+  private resolveDone: ((summary: BatchSummary) => void) | null = null;
+  private done: Promise<BatchSummary> | null = null;
+  private rateHoldUntil = 0;
+  private unsubscribeRate: (() => void) | null = null;
+
+  constructor(windowObj: Window, action: BatchAction, items: BatchItem[], opts: BatchQueueOptions = {}) {
+    this.windowObj = windowObj;
+    this.action = action;
+    // De-duplicate by repository, first occurrence wins
+    const seen = new Set<RepoId>();
+    this.items = items.filter((it) => (seen.has(it.repository) ? false : (seen.add(it.repository), true)));
+    this.opts = opts;
+    this.concurrency = clampConcurrency(opts.concurrency);
+    this.items.forEach((item) => this.results.set(item.repository, { item, status: 'pending' }));
+    this.waiting = this.items.slice();
+  }
+
+  start(): Promise<BatchSummary> {
+    if (this.done) return this.done;
+    this.startedAt = Date.now();
+    this.done = new Promise<BatchSummary>((resolve) => {
+      this.resolveDone = resolve;
+    });
+    this.debugLog('info', `Batch ${this.action} started for ${this.items.length} repositories (concurrency ${this.concurrency})`);
+    this.pump();
+    return this.done;
+  }
+
+  pause(): void {
+    if (this.paused || this.cancelled) return;
+    this.paused = true;
+    this.debugLog('warning', `Batch ${this.action} paused (${this.running} request(s) still in flight)`);
+    this.emitProgress();
+  }
+
+  resume(): void {
+    if (!this.paused || this.cancelled) return;
+    this.paused = false;
+    this.debugLog('info', `Batch ${this.action} resumed`);
+    this.emitProgress();
+    this.pump();
+  }
+
+  // In-flight requests are allowed to finish; everything not yet started is skipped
+  cancel(): void {
+    if (this.cancelled) return;
+    this.cancelled = true;
+    this.paused = false;
+    this.stopRateHold();
+    this.waiting.splice(0).forEach((item) => this.record(item, 'skipped', 'Cancelled before start'));
+    this.debugLog('warning', `Batch ${this.action} cancelled`);
+    this.emitProgress();
+    this.maybeFinish();
+  }
+
+  setConcurrency(n: number): void {
+    this.concurrency = clampConcurrency(n);
+    this.pump();
+  }
+
+  isPaused(): boolean {
+    return this.paused;
+  }
+
+  isCancelled(): boolean {
+    return this.cancelled;
+  }
+
+  getProgress(): BatchProgress {
+    let completed = 0;
+    this.results.forEach((r) => {
+      if (r.status !== 'pending' && r.status !== 'running') completed++;
+    });
+    return {
+      total: this.items.length,
+      completed,
+      running: this.running,
+      pending: this.items.length - completed - this.running,
+      paused: this.paused,
+      cancelled: this.cancelled,
+      rateLimitedUntil: this.rateHoldUntil || undefined,
+    };
+  }
+
+  getSummary(): BatchSummary {
+    const all = Array.from(this.results.values());
+    return {
+      action: this.action,
+      succeeded: all.filter((r) => r.status === 'succeeded'),
+      failed: all.filter((r) => r.status === 'failed'),
+      skipped: all.filter((r) => r.status === 'skipped'),
+      cancelled: this.cancelled,
+      durationMs: this.startedAt ? Date.now() - this.startedAt : 0,
+    };
+  }
+
+  private pump(): void {
+    if (!this.done) return;
+    if (!this.paused && this.holdForRateLimit()) return;
+    while (!this.paused && !this.cancelled && this.running < this.concurrency) {
+      const item = this.nextItem();
+      if (!item) break;
+      void this.runItem(item);
+    }
+    // Nothing running and nothing can start: the rest waits on each other
+    if (!this.paused && !this.cancelled && this.running === 0 && this.waiting.length) {
+      this.waiting.splice(0).forEach((item) => this.record(item, 'skipped', 'Circular dependency'));
+    }
+    this.maybeFinish();
+  }
+
+  // First waiting item whose dependencies in this batch have succeeded; dependents of failed, skipped or left-out items are skipped
+  private nextItem(): BatchItem | null {
+    for (let i = 0; i < this.waiting.length; i++) {
+      const item = this.waiting[i];
+      const missing = (item.dependsOn || []).find((repo) => !this.results.has(repo));
+      if (missing) {
+        this.waiting.splice(i--, 1);
+        this.record(item, 'skipped', `Requires ${missing}, which was left out`);
+        continue;
+      }
+      const deps = (item.dependsOn || []).map((repo) => this.results.get(repo) as BatchItemResult);
+      const broken = deps.find((r) => r.status === 'failed' || r.status === 'skipped');
+      if (broken) {
+        this.waiting.splice(i--, 1);
+        this.record(item, 'skipped', `Requires ${broken.item.repository}, which ${broken.status === 'failed' ? 'failed' : 'was skipped'}`);
+        continue;
+      }
+      if (deps.every((r) => r.status === 'succeeded')) {
+        this.waiting.splice(i, 1);
+        return item;
+      }
+    }
+    return null;
+  }
+
+  // Installs download from GitHub; wait for the quota to refill rather than fail the rest of the batch
+  private holdForRateLimit(): boolean {
+    if (this.action !== 'install' || this.cancelled || !this.waiting.length) return false;
+    const hold = rateLimit.pauseMs();
+    if (hold <= 0) {
+      if (this.rateHoldUntil) {
+        this.stopRateHold();
+        this.debugLog('info', `GitHub API quota available again; batch ${this.action} resumed`);
+        this.emitProgress();
+      }
+      return false;
+    }
+    if (!this.rateHoldUntil) {
+      this.debugLog('warning', `GitHub API quota nearly used up; batch ${this.action} waiting until ${new Date(Date.now() + hold).toLocaleTimeString()}`);
+      // The monitor notifies again at the reset time
+      this.unsubscribeRate = rateLimit.onChange(() => this.pump());
+    }
+    this.rateHoldUntil = Date.now() + hold;
+    this.emitProgress();
+    return true;
+  }
+
+  private stopRateHold(): void {
+    this.unsubscribeRate?.();
+    this.unsubscribeRate = null;
+    this.rateHoldUntil = 0;
+  }
+
+  private async runItem(item: BatchItem): Promise<void> {
+    const reason = skipReason(this.action, item, currentState(item.repository));
+    if (reason) {
+      this.record(item, 'skipped', reason);
+      return;
+    }
+    if (!repositoryFSM.beginAction(item.repository, this.action)) {
+      this.record(item, 'skipped', `${repositoryFSM.getPendingAction(item.repository)} already in progress`);
+      return;
+    }
+
+    this.running++;
+    let lock: TabLock | null = null;
+    let progress: InstallProgressTracker | null = null;
+    let started = 0;
+    let ok = false;
+    try {
+      lock = await getTabSync(this.windowObj).acquire(item.repository, this.action);
+      if (!lock) {
+        this.record(item, 'skipped', otherTabMessage(item.repository, repositoryFSM.getRemoteAction(item.repository) || this.action));
+        return;
+      }
+      started = Date.now();
+      this.record(item, 'running');
+
+      const source = `batch_${this.action}`;
+      recordAction(this.windowObj, item.repository, this.action, 'started', source);
+      if (this.action === 'install' && repositoryFSM.set(item.repository, PluginState.INSTALLING, { source })) {
+        repositoryFSM.applyToRow(item.repository, PluginState.INSTALLING);
+      }
+      progress = this.action === 'install' ? getInstallProgress(this.windowObj) : null;
+      progress?.begin(item.repository, ACTIVATE_AFTER_INSTALL);
+
+      const resp = await this.dispatch(item);
+      if (resp && resp.success) {
+        ok = true;
+        const to = ACTION_STATES[this.action].to;
+        repositoryFSM.clearError(item.repository);
+        if (repositoryFSM.set(item.repository, to, { source })) {
+          repositoryFSM.applyToRow(item.repository, to);
+        }
+        this.record(item, 'succeeded', responseErrorMessage(resp, 'Done'), Date.now() - started);
+        recordAction(this.windowObj, item.repository, this.action, 'succeeded', source, { durationMs: Date.now() - started });
+      } else {
+        this.fail(item, classifyError(resp, { repository: item.repository, action: this.action }), started);
+      }
+    } catch (e) {
+      if (!lock) {
+        // Nothing was sent; the cross-tab lock itself failed
+        this.record(item, 'skipped', `Could not lock ${item.repository} against other tabs`);
+      } else {
+        this.fail(item, classifyError(e, { repository: item.repository, action: this.action }), started);
+      }
+    } finally {
+      repositoryFSM.endAction(item.repository);
+      lock?.release();
+      void progress?.finish(item.repository, ok);
+      this.running--;
+      this.pump();
+    }
+  }
+
+  private fail(item: BatchItem, error: ClassifiedError, started: number): void {
+    // Aborted on purpose: nothing is wrong with the repository
+    if (error.code === 'cancelled') {
+      this.record(item, 'skipped', error.message, Date.now() - started, error.code);
+      return;
+    }
+    recordAction(this.windowObj, item.repository, this.action, 'failed', `batch_${this.action}`, {
+      message: error.message,
+      errorCode: error.code,
+      durationMs: Date.now() - started,
+    });
+    if (repositoryFSM.setError(item.repository, error, `batch_${this.action}`)) {
+      repositoryFSM.applyToRow(item.repository, PluginState.ERROR);
+    }
+    this.record(item, 'failed', error.message, Date.now() - started, error.code);
+  }
+
+  private dispatch(item: BatchItem): Promise<WpAjaxResponse<any>> {
+    switch (this.action) {
+      case 'install':
+        return installPlugin(this.windowObj, item.owner, item.repo, ACTIVATE_AFTER_INSTALL, selectedRef(item.repository));
+      case 'activate':
+        return activatePlugin(this.windowObj, item.repository, item.pluginFile || '');
+      case 'deactivate':
+        return deactivatePlugin(this.windowObj, item.repository, item.pluginFile || '');
+    }
+  }
+
+  private record(item: BatchItem, status: BatchItemStatus, message?: string, durationMs?: number, errorCode?: SbiErrorCode): void {
+    const result: BatchItemResult = { item, status, message, durationMs, errorCode };
+    this.results.set(item.repository, result);
+    if (status === 'failed') {
+      this.debugLog('error', `${item.repository}: ${message}`, item.repository);
+    } else if (status === 'skipped') {
+      this.debugLog('warning', `${item.repository} skipped: ${message}`, item.repository);
+    } else if (status === 'succeeded') {
+      this.debugLog('success', `${item.repository}: ${this.action} completed in ${durationMs}ms`, item.repository);
+    }
+    try {
+      this.opts.onItemUpdate?.(result);
+    } catch {}
+    this.emitProgress();
+  }
+
+  private emitProgress(): void {
+    try {
+      this.opts.onProgress?.(this.getProgress());
+    } catch {}
+  }
+
+  private maybeFinish(): void {
+    if (!this.resolveDone || this.running > 0) return;
+    if (this.waiting.length) return;
+    const summary = this.getSummary();
+    const resolve = this.resolveDone;
+    this.resolveDone = null;
+    this.debugLog(
+      summary.failed.length ? 'warning' : 'success',
+      `Batch ${this.action} finished: ${summary.succeeded.length} succeeded, ${summary.failed.length} failed, ${summary.skipped.length} skipped`
+    );
+    resolve(summary);
+  }
+
+  private debugLog(level: DebugLevel, message: string, repo?: string): void {
+    debugLog(this.windowObj, level, 'Batch Queue', message, { category: 'batch', repo });
+  }
+}
@@ -0,0 +1,335 @@
+import { getDebugStore, installDebugStore, matches } from '../lib/debugStore';
+import type { DebugEntry, DebugFilter, DebugLevel, DebugStore } from '../lib/debugStore';
+import { getStateStream } from '../lib/stateStream';
+import { downloadTransportSession, getTransport, parseSession, setTransportMode } from '../lib/transport';
+import type { TransportConfig, TransportMode } from '../lib/transport';
+import { downloadDiagnosticBundle } from './diagnostics';
+
+const LEVELS: DebugLevel[] = ['info', 'success', 'warning', 'error'];
+
+const LEVEL_ICONS: Record<DebugLevel, string> = {
+  info: 'ℹ️',
+  success: '✅',
+  warning: '⚠️',
+  error: '❌',
+};
+
+// Rendering thousands of nodes makes the panel sluggish; the store keeps more
+const MAX_RENDERED = 500;
+
+function levelFromClass(el: Element): DebugLevel {
+  for (const level of LEVELS) {
+    if (el.classList.contains(`debug-${level}`)) return level;
+  }
+  return 'info';
+}
+
+function element<K extends keyof HTMLElementTagNameMap>(tag: K, className?: string, text?: string): HTMLElementTagNameMap[K] {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+/**
+ * Filterable view of the debug store inside #sbi-debug-panel: level and
+ * category filters, text search, per-repository grouping and the diagnostic
+ * bundle download.
+ */
+export class DebugPanel {
+  private readonly windowObj: Window;
+  private readonly store: DebugStore;
+  private readonly panel: HTMLElement;
+  private readonly log: HTMLElement;
+  private filter: DebugFilter = { levels: LEVELS.slice() };
+  private groupByRepo = false;
+  private renderTimer: ReturnType<typeof setTimeout> | null = null;
+  private categorySelect: HTMLSelectElement | null = null;
+  private countEl: HTMLElement | null = null;
+  private knownCategories: Set<string> = new Set();
+
+  constructor(windowObj: Window, panel: HTMLElement, log: HTMLElement) {
+    this.windowObj = windowObj;
+    this.store = getDebugStore();
+    this.panel = panel;
+    this.log = log;
+  }
+
+  mount(): void {
+    this.importExisting();
+    this.panel.insertBefore(this.buildToolbar(), this.log);
+    this.store.subscribe((entry) => this.onEntry(entry));
+    document.getElementById('sbi-clear-debug')?.addEventListener('click', () => this.store.clear());
+    this.render();
+  }
+
+  setFilter(filter: DebugFilter): void {
+    this.filter = { ...this.filter, ...filter };
+    this.scheduleRender();
+  }
+
+  // Lines written to #sbi-debug-log before the bundle loaded become 'page' entries
+  private importExisting(): void {
+    this.log.querySelectorAll('.debug-entry').forEach((el) => {
+      const text = (el.textContent || '').trim();
+      if (text) this.store.add(levelFromClass(el), 'Page', text, { category: 'page' });
+    });
+    this.log.textContent = '';
+  }
+
+  private buildToolbar(): HTMLElement {
+    const toolbar = element('div', 'sbi-debug-toolbar');
+
+    const levels = element('span', 'sbi-debug-levels');
+    LEVELS.forEach((level) => {
+      const label = element('label');
+      const box = element('input');
+      box.type = 'checkbox';
+      box.checked = true;
+      box.addEventListener('change', () => {
+        const current = new Set(this.filter.levels || LEVELS);
+        if (box.checked) current.add(level);
+        else current.delete(level);
+        this.setFilter({ levels: LEVELS.filter((l) => current.has(l)) });
+      });
+      label.appendChild(box);
+      label.appendChild(document.createTextNode(` ${level}`));
+      levels.appendChild(label);
+    });
+    toolbar.appendChild(levels);
+
+    const select = element('select', 'sbi-debug-category');
+    select.setAttribute('aria-label', 'Category');
+    select.appendChild(new Option('All categories', ''));
+    select.addEventListener('change', () => this.setFilter({ category: select.value || undefined }));
+    this.categorySelect = select;
+    this.store.categories().forEach((c) => this.addCategory(c));
+    toolbar.appendChild(select);
+
+    const search = element('input', 'sbi-debug-search');
+    search.type = 'search';
+    search.placeholder = 'Search log…';
+    search.setAttribute('aria-label', 'Search debug log');
+    search.addEventListener('input', () => this.setFilter({ search: search.value }));
+    toolbar.appendChild(search);
+
+    const groupLabel = element('label');
+    const group = element('input');
+    group.type = 'checkbox';
+    group.addEventListener('change', () => {
+      this.groupByRepo = group.checked;
+      this.scheduleRender();
+    });
+    groupLabel.appendChild(group);
+    groupLabel.appendChild(document.createTextNode(' Group by repository'));
+    toolbar.appendChild(groupLabel);
+
+    const download = element('button', 'button button-small', 'Download diagnostic bundle');
+    download.type = 'button';
+    download.addEventListener('click', () => {
+      const bundle = downloadDiagnosticBundle(this.windowObj);
+      this.store.add('info', 'Diagnostics', `Diagnostic bundle exported (${bundle.entries.length} entries)`, { category: 'general' });
+    });
+    toolbar.appendChild(download);
+    toolbar.appendChild(this.buildTransportControls());
+
+    this.countEl = element('span', 'sbi-debug-count');
+    toolbar.appendChild(this.countEl);
+    return toolbar;
+  }
+
+  // Record this tab's traffic for a bug report, or replay a recorded session without a server
+  private buildTransportControls(): HTMLElement {
+    const wrap = element('span', 'sbi-debug-transport');
+    const select = element('select');
+    select.setAttribute('aria-label', 'Transport mode');
+    select.appendChild(new Option('Live', 'live'));
+    select.appendChild(new Option('Record', 'record'));
+    select.appendChild(new Option('Replay session…', 'replay'));
+    select.value = getTransport(this.windowObj).mode;
+
+    const file = element('input');
+    file.type = 'file';
+    file.accept = '.json,application/json';
+    file.hidden = true;
+
+    const save = element('button', 'button button-small', 'Download session');
+    save.type = 'button';
+    save.hidden = select.value !== 'record';
+
+    const apply = (config: TransportConfig) => {
+      setTransportMode(this.windowObj, config);
+      select.value = config.mode;
+      save.hidden = config.mode !== 'record';
+      // The open stream belongs to the previous transport
+      const stream = getStateStream(this.windowObj);
+      if (stream.getStatus() !== 'stopped') {
+        stream.stop();
+        stream.start();
+      }
+    };
+
+    select.addEventListener('change', () => {
+      if (select.value === 'replay') {
+        select.value = getTransport(this.windowObj).mode;
+        file.click();
+        return;
+      }
+      apply({ mode: select.value as TransportMode });
+    });
+
+    file.addEventListener('change', async () => {
+      const chosen = file.files && file.files[0];
+      file.value = '';
+      if (!chosen) return;
+      let session: ReturnType<typeof parseSession>;
+      try {
+        session = parseSession(JSON.parse(await chosen.text()));
+      } catch {
+        session = 'File is not valid JSON';
+      }
+      if (typeof session === 'string') {
+        this.store.add('error', 'Transport', `${chosen.name}: ${session}`, { category: 'ajax' });
+        return;
+      }
+      apply({ mode: 'replay', session });
+      this.store.add(
+        'info',
+        'Transport',
+        `Replaying ${chosen.name} (${session.exchanges.length} requests, ${session.stream.length} stream events); reload to replay page-load requests too`,
+        { category: 'ajax' }
+      );
+    });
+
+    save.addEventListener('click', () => {
+      const session = downloadTransportSession(this.windowObj);
+      if (session) {
+        this.store.add('info', 'Transport', `Session exported (${session.exchanges.length} requests, ${session.stream.length} stream events)`, { category: 'ajax' });
+      }
+    });
+
+    wrap.appendChild(select);
+    wrap.appendChild(file);
+    wrap.appendChild(save);
+    return wrap;
+  }
+
+  private addCategory(category: string): void {
+    if (!this.categorySelect || this.knownCategories.has(category)) return;
+    this.knownCategories.add(category);
+    this.categorySelect.appendChild(new Option(category, category));
+  }
+
+  private onEntry(entry: DebugEntry | null): void {
+    if (!entry) {
+      this.scheduleRender();
+      return;
+    }
+    this.addCategory(entry.category);
+    // Grouped view re-renders; flat view just appends
+    if (this.groupByRepo || this.renderTimer !== null) {
+      this.scheduleRender();
+      return;
+    }
+    if (matches(entry, this.filter)) {
+      const stick = this.log.scrollTop + this.log.clientHeight >= this.log.scrollHeight - 20;
+      this.log.appendChild(this.renderEntry(entry));
+      while (this.log.childNodes.length > MAX_RENDERED && this.log.firstChild) {
+        this.log.removeChild(this.log.firstChild);
+      }
+      if (stick) this.log.scrollTop = this.log.scrollHeight;
+    }
+    this.updateCount();
+  }
+
+  private scheduleRender(): void {
+    if (this.renderTimer !== null) return;
+    this.renderTimer = setTimeout(() => {
+      this.renderTimer = null;
+      this.render();
+    }, 50);
+  }
+
+  private render(): void {
+    const entries = this.store.query(this.filter).slice(-MAX_RENDERED);
+    this.log.textContent = '';
+
+    if (!this.groupByRepo) {
+      entries.forEach((e) => this.log.appendChild(this.renderEntry(e)));
+      this.log.scrollTop = this.log.scrollHeight;
+    } else {
+      const groups = new Map<string, DebugEntry[]>();
+      entries.forEach((e) => {
+        const key = e.repo || '';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key)!.push(e);
+      });
+      Array.from(groups.keys())
+        .sort((a, b) => (a === '' ? 1 : b === '' ? -1 : a.localeCompare(b)))
+        .forEach((repo) => {
+          const list = groups.get(repo)!;
+          const group = element('details', 'sbi-debug-group');
+          group.open = true;
+          const hasError = list.some((e) => e.level === 'error');
+          const summary = element('summary', hasError ? 'debug-error' : undefined, `${repo || 'General'} (${list.length})`);
+          group.appendChild(summary);
+          list.forEach((e) => group.appendChild(this.renderEntry(e)));
+          this.log.appendChild(group);
+        });
+    }
+    this.updateCount();
+  }
+
+  private renderEntry(entry: DebugEntry): HTMLElement {
+    const row = element('div', `debug-entry debug-${entry.level}`);
+    row.dataset.category = entry.category;
+    row.appendChild(element('span', 'sbi-debug-time', `[${new Date(entry.ts).toLocaleTimeString()}]`));
+    row.appendChild(document.createTextNode(` ${LEVEL_ICONS[entry.level]} `));
+    row.appendChild(element('span', 'sbi-debug-tag', entry.category));
+    if (entry.repo && !this.groupByRepo) row.appendChild(element('code', 'sbi-debug-repo', entry.repo));
+    row.appendChild(document.createTextNode(` ${entry.title}: ${entry.message}`));
+    if (entry.requestId) row.appendChild(element('span', 'sbi-debug-request', ` #${entry.requestId}`));
+
+    if (entry.payload !== undefined) {
+      // Serialised on first open only; payloads can be large
+      const details = element('details', 'sbi-debug-payload');
+      details.appendChild(element('summary', undefined, 'payload'));
+      details.addEventListener('toggle', () => {
+        if (!details.open || details.querySelector('pre')) return;
+        let text: string;
+        try {
+          text = JSON.stringify(entry.payload, null, 2);
+        } catch {
+          text = String(entry.payload);
+        }
+        details.appendChild(element('pre', undefined, text));
+      });
+      row.appendChild(details);
+    }
+    return row;
+  }
+
+  private updateCount(): void {
+    if (!this.countEl) return;
+    const shown = this.store.query(this.filter).length;
+    this.countEl.textContent = `${shown} of ${this.store.size()} entries`;
+  }
+}
+
+let panel: DebugPanel | null = null;
+
+/**
+ * Install the debug store and, when the AJAX debug panel is on the page,
+ * mount the filterable view. Safe to call more than once.
+ */
+export function mountDebugPanel(windowObj: Window): DebugPanel | null {
+  installDebugStore(windowObj);
+  if (panel || typeof document === 'undefined') return panel;
+  const container = document.getElementById('sbi-debug-panel');
+  const log = document.getElementById('sbi-debug-log');
+  if (!container || !log) return null;
+  panel = new DebugPanel(windowObj, container, log);
+  panel.mount();
+  (windowObj as any).sbiDebug.panelMounted = true;
+  return panel;
+}
@@ -0,0 +1,85 @@
+import type { SbiAjax, SbiEnvironment } from '../types/wp-globals';
+import { getDebugStore } from '../lib/debugStore';
+import { downloadFile, fileStamp } from '../lib/download';
+import type { DebugEntry } from '../lib/debugStore';
+import { getStateStream } from '../lib/stateStream';
+import type { StreamStatus } from '../lib/stateStream';
+import { repositoryFSM } from './repositoryFSM';
+import { getInstallProgress } from './installProgress';
+import type { InstallTimeline } from './installProgress';
+
+export interface DiagnosticBundle {
+  generatedAt: string;
+  environment: {
+    server: SbiEnvironment | null;
+    userAgent: string;
+    language: string;
+    page: string;
+    viewport: string;
+    online: boolean;
+    sseEnabled: boolean;
+  };
+  stream: { status: StreamStatus; lastEventId: number };
+  fsm: ReturnType<typeof repositoryFSM.snapshot>;
+  ajaxErrors: DebugEntry[];
+  transitions: DebugEntry[];
+  installs: InstallTimeline[];
+  lastInstallResponse: unknown;
+  entries: DebugEntry[];
+}
+
+const RECENT_ENTRIES = 300;
+
+// Nonces in payloads or URLs must not end up in files attached to support tickets
+function redact<T>(value: T): T {
+  const seen = new WeakSet<object>();
+  const json = JSON.stringify(value, (key, v) => {
+    if (/nonce/i.test(key)) return '[redacted]';
+    if (typeof v === 'string') return v.replace(/([?&](?:_wpnonce|nonce)=)[^&#\s"]+/gi, '$1[redacted]');
+    if (v && typeof v === 'object') {
+      if (seen.has(v)) return '[circular]';
+      seen.add(v);
+    }
+    return v;
+  });
+  return json === undefined ? value : JSON.parse(json);
+}
+
+/**
+ * Collect everything support needs into one JSON-serialisable object: recent
+ * AJAX errors, FSM transitions and snapshot, install timelines, the last
+ * install response and environment info. Nonces are redacted.
+ */
+export function buildDiagnosticBundle(windowObj: Window): DiagnosticBundle {
+  const w = windowObj as any;
+  const ajax = w.sbiAjax as SbiAjax | undefined;
+  const store = getDebugStore();
+  const stream = getStateStream(windowObj);
+  const nav = typeof navigator !== 'undefined' ? navigator : null;
+
+  return redact({
+    generatedAt: new Date().toISOString(),
+    environment: {
+      server: ajax?.env ?? null,
+      userAgent: nav?.userAgent || '',
+      language: nav?.language || '',
+      page: windowObj.location ? `${windowObj.location.pathname}${windowObj.location.search}` : '',
+      viewport: `${windowObj.innerWidth}x${windowObj.innerHeight}`,
+      online: nav ? nav.onLine !== false : true,
+      sseEnabled: !!ajax?.sseEnabled,
+    },
+    stream: { status: stream.getStatus(), lastEventId: stream.getLastEventId() },
+    fsm: repositoryFSM.snapshot(),
+    ajaxErrors: store.query({ category: 'ajax', levels: ['error', 'warning'] }),
+    transitions: store.query({ category: 'fsm' }),
+    installs: getInstallProgress(windowObj).getTimelines(),
+    lastInstallResponse: w.SBI?.lastInstallResponse ?? null,
+    entries: store.query().slice(-RECENT_ENTRIES),
+  });
+}
+
+export function downloadDiagnosticBundle(windowObj: Window): DiagnosticBundle {
+  const bundle = buildDiagnosticBundle(windowObj);
+  downloadFile(`sbi-diagnostics-${fileStamp()}.json`, JSON.stringify(bundle, null, 2), 'application/json');
+  return bundle;
+}
@@ -1,14 +1,29 @@
 import type {
   InstallPluginSuccessData,
   InstallPluginRequest,
+  UpdatePluginRequest,
+  UpdatePluginSuccessData,
   ActivatePluginRequest,
   DeactivatePluginRequest,
   RefreshStatusRequest,
   RefreshStatusSuccessData,
+  RefreshRepositoryRequest,
+  RefreshRepositorySuccessData,
+  InstallProgressRequest,
+  InstallProgressData,
+  RepositoryRefsRequest,
+  RepositoryRefs,
+  GitHubRateLimitRequest,
+  GitHubRateLimit,
+  PluginOverrideRequest,
+  PluginOverrideSuccessData,
+  PluginOverrideListItem,
+  ClearPluginOverridesData,
   WpAjaxResponse,
 } from '../types/ajax';
 import type { SbiAjax } from '../types/wp-globals';
 import { wpAjaxFetch } from '../lib/ajaxClient';
+import type { AjaxOptions } from '../lib/ajaxClient';
 
 function requireAjax(windowObj: Window): SbiAjax {
   const w = windowObj as any as { sbiAjax?: SbiAjax };
@@ -25,7 +40,8 @@ export async function installPlugin(
   windowObj: Window,
   owner: string,
   repository: string,
-  activate: boolean = false
+  activate: boolean = false,
+  ref: string = ''
 ): Promise<WpAjaxResponse<InstallPluginSuccessData>> {
   const sbiAjax = requireAjax(windowObj);
   const payload: InstallPluginRequest = {
@@ -33,6 +49,24 @@ export async function installPlugin(
     owner,
     repository,
     activate,
+    ref,
+    nonce: sbiAjax.nonce,
+  };
+  return wpAjaxFetch(windowObj, asPayload(payload));
+}
+
+export async function updatePlugin(
+  windowObj: Window,
+  owner: string,
+  repository: string,
+  ref: string = ''
+): Promise<WpAjaxResponse<UpdatePluginSuccessData>> {
+  const sbiAjax = requireAjax(windowObj);
+  const payload: UpdatePluginRequest = {
+    action: 'sbi_update_plugin',
+    owner,
+    repository,
+    ref,
     nonce: sbiAjax.nonce,
   };
   return wpAjaxFetch(windowObj, asPayload(payload));
@@ -70,7 +104,8 @@ export async function deactivatePlugin(
 
 export async function refreshStatus(
   windowObj: Window,
-  repositories: string[]
+  repositories: string[],
+  opts: AjaxOptions = {}
 ): Promise<WpAjaxResponse<RefreshStatusSuccessData>> {
   const sbiAjax = requireAjax(windowObj);
   const payload: RefreshStatusRequest = {
@@ -78,6 +113,108 @@ export async function refreshStatus(
     repositories,
     nonce: sbiAjax.nonce,
   };
-  return wpAjaxFetch(windowObj, asPayload(payload));
+  return wpAjaxFetch(windowObj, asPayload(payload), opts);
+}
+
+export async function refreshRepository(
+  windowObj: Window,
+  repository: string,
+  opts: AjaxOptions = {}
+): Promise<WpAjaxResponse<RefreshRepositorySuccessData>> {
+  const sbiAjax = requireAjax(windowObj);
+  const payload: RefreshRepositoryRequest = {
+    action: 'sbi_refresh_repository',
+    repository,
+    nonce: sbiAjax.nonce,
+  };
+  return wpAjaxFetch(windowObj, asPayload(payload), opts);
+}
+
+export async function getInstallationProgress(
+  windowObj: Window,
+  repository: string,
+  opts: AjaxOptions = {}
+): Promise<WpAjaxResponse<InstallProgressData>> {
+  const sbiAjax = requireAjax(windowObj);
+  const payload: InstallProgressRequest = {
+    action: 'sbi_get_installation_progress',
+    repository,
+    nonce: sbiAjax.nonce,
+  };
+  return wpAjaxFetch(windowObj, asPayload(payload), opts);
+}
+
+export async function getRepositoryRefs(
+  windowObj: Window,
+  owner: string,
+  repository: string,
+  forceRefresh: boolean = false,
+  opts: AjaxOptions = {}
+): Promise<WpAjaxResponse<RepositoryRefs>> {
+  const sbiAjax = requireAjax(windowObj);
+  const payload: RepositoryRefsRequest = {
+    action: 'sbi_get_repository_refs',
+    owner,
+    repository,
+    force_refresh: forceRefresh,
+    nonce: sbiAjax.nonce,
+  };
+  return wpAjaxFetch(windowObj, asPayload(payload), opts);
 }
 
+export async function getGitHubRateLimit(
+  windowObj: Window,
+  forceRefresh: boolean = false,
+  opts: AjaxOptions = {}
+): Promise<WpAjaxResponse<GitHubRateLimit>> {
+  const sbiAjax = requireAjax(windowObj);
+  const payload: GitHubRateLimitRequest = {
+    action: 'sbi_github_rate_limit',
+    force_refresh: forceRefresh,
+    nonce: sbiAjax.nonce,
+  };
+  return wpAjaxFetch(windowObj, asPayload(payload), opts);
+}
+
+export async function setPluginOverride(
+  windowObj: Window,
+  repository: string,
+  pluginFile: string = '',
+  opts: AjaxOptions = {}
+): Promise<WpAjaxResponse<PluginOverrideSuccessData>> {
+  const sbiAjax = requireAjax(windowObj);
+  const payload: PluginOverrideRequest = {
+    action: 'sbi_set_plugin_override',
+    repository,
+    plugin_file: pluginFile,
+    nonce: sbiAjax.nonce,
+  };
+  return wpAjaxFetch(windowObj, asPayload(payload), opts);
+}
+
+export async function removePluginOverride(
+  windowObj: Window,
+  repository: string,
+  opts: AjaxOptions = {}
+): Promise<WpAjaxResponse<PluginOverrideSuccessData>> {
+  const sbiAjax = requireAjax(windowObj);
+  const payload: PluginOverrideRequest = {
+    action: 'sbi_remove_plugin_override',
+    repository,
+    nonce: sbiAjax.nonce,
+  };
+  return wpAjaxFetch(windowObj, asPayload(payload), opts);
+}
+
+export async function listPluginOverrides(
+  windowObj: Window,
+  opts: AjaxOptions = {}
+): Promise<WpAjaxResponse<{ overrides: PluginOverrideListItem[] }>> {
+  const sbiAjax = requireAjax(windowObj);
+  return wpAjaxFetch(windowObj, { action: 'sbi_list_plugin_overrides', nonce: sbiAjax.nonce }, opts);
+}
+
+export async function clearPluginOverrides(windowObj: Window, opts: AjaxOptions = {}): Promise<WpAjaxResponse<ClearPluginOverridesData>> {
+  const sbiAjax = requireAjax(windowObj);
+  return wpAjaxFetch(windowObj, { action: 'sbi_clear_plugin_overrides', nonce: sbiAjax.nonce }, opts);
+}
@@ -0,0 +1,315 @@
+import type { InstallPhase, InstallProgressStep } from '../types/ajax';
+import { debugLog } from '../lib/debugStore';
+import { getInstallationProgress } from './handlers';
+import type { RepoId } from './repositoryFSM';
+import { rowRegistry } from './rowRegistry';
+
+export type PhaseStatus = 'pending' | 'active' | 'done' | 'failed' | 'skipped';
+
+export interface PhaseTiming {
+  status: PhaseStatus;
+  startedMs?: number; // offsets from the start of the install
+  endedMs?: number;
+}
+
+export interface InstallTimeline {
+  repository: RepoId;
+  status: 'running' | 'success' | 'error';
+  startedAt: number; // epoch ms (client clock)
+  finishedAt?: number;
+  activate: boolean;
+  phases: Record<InstallPhase, PhaseTiming>;
+  steps: InstallProgressStep[];
+}
+
+export interface InstallProgressOptions {
+  pollIntervalMs?: number; // default 1000
+}
+
+export const INSTALL_PHASES: InstallPhase[] = ['download', 'unzip', 'install', 'activate'];
+
+const PHASE_LABELS: Record<InstallPhase, string> = {
+  download: 'Download',
+  unzip: 'Unzip',
+  install: 'Install',
+  activate: 'Activate',
+};
+
+interface ActiveRun {
+  timer: ReturnType<typeof setInterval>;
+  controller: AbortController;
+  polling: boolean;
+}
+
+function seconds(ms: number): string {
+  return `${(Math.max(0, ms) / 1000).toFixed(1)}s`;
+}
+
+function emptyPhases(): Record<InstallPhase, PhaseTiming> {
+  return {
+    download: { status: 'pending' },
+    unzip: { status: 'pending' },
+    install: { status: 'pending' },
+    activate: { status: 'pending' },
+  };
+}
+
+// Rebuild phase timings from the server's step list; the first failure wins
+function phasesFromSteps(steps: InstallProgressStep[]): Record<InstallPhase, PhaseTiming> {
+  const phases = emptyPhases();
+  for (const step of steps) {
+    const index = INSTALL_PHASES.indexOf(step.phase);
+    if (index < 0) continue;
+    const phase = phases[step.phase];
+    // Reaching a phase closes every earlier one (older WordPress versions skip some stages)
+    INSTALL_PHASES.slice(0, index).forEach((p) => {
+      const earlier = phases[p];
+      if (earlier.status === 'pending' || earlier.status === 'active') {
+        earlier.status = 'done';
+        if (earlier.startedMs === undefined) earlier.startedMs = step.elapsed;
+        earlier.endedMs = step.elapsed;
+      }
+    });
+    if (phase.startedMs === undefined) phase.startedMs = step.elapsed;
+    if (step.status === 'error') {
+      phase.status = 'failed';
+      phase.endedMs = step.elapsed;
+      break;
+    }
+    if (step.status === 'success') {
+      if (phase.status !== 'done') phase.endedMs = step.elapsed;
+      phase.status = 'done';
+    } else if (phase.status === 'pending') {
+      phase.status = 'active';
+    }
+  }
+  return phases;
+}
+
+/**
+ * Live per-row install progress. Polls sbi_get_installation_progress while
+ * the install request is in flight and renders a download/unzip/install/
+ * activate timeline with elapsed times. Timelines are kept after completion
+ * and re-attached when the row is re-rendered.
+ */
+export class InstallProgressTracker {
+  private readonly windowObj: Window;
+  private readonly pollIntervalMs: number;
+  private timelines: Map<RepoId, InstallTimeline> = new Map();
+  private runs: Map<RepoId, ActiveRun> = new Map();
+
+  constructor(windowObj: Window, opts: InstallProgressOptions = {}) {
+    this.windowObj = windowObj;
+    this.pollIntervalMs = opts.pollIntervalMs ?? 1000;
+  }
+
+  begin(repo: RepoId, activate: boolean = false): InstallTimeline {
+    this.stopRun(repo);
+    const timeline: InstallTimeline = {
+      repository: repo,
+      status: 'running',
+      startedAt: Date.now(),
+      activate,
+      phases: emptyPhases(),
+      steps: [],
+    };
+    timeline.phases.download = { status: 'active', startedMs: 0 };
+    this.timelines.set(repo, timeline);
+
+    const run: ActiveRun = {
+      controller: new AbortController(),
+      polling: false,
+      timer: setInterval(() => {
+        this.render(repo);
+        if (!run.polling) void this.poll(repo, run);
+      }, this.pollIntervalMs),
+    };
+    this.runs.set(repo, run);
+    this.render(repo, true);
+    return timeline;
+  }
+
+  /**
+   * Stop polling and settle the timeline. Reads the server record once more so
+   * steps recorded after the last poll are included.
+   */
+  async finish(repo: RepoId, success: boolean): Promise<InstallTimeline | null> {
+    const timeline = this.timelines.get(repo);
+    if (!timeline) return null;
+    this.stopRun(repo);
+    timeline.status = success ? 'success' : 'error';
+    timeline.finishedAt = Date.now();
+
+    try {
+      const resp = await getInstallationProgress(this.windowObj, repo, { retries: 0, timeoutMs: 10000 });
+      if (resp.success && resp.data.status !== 'idle' && resp.data.status !== 'running') {
+        this.applySteps(timeline, resp.data.steps || []);
+      }
+    } catch {}
+
+    this.settle(timeline);
+    this.render(repo, false, true);
+    this.log(timeline);
+    return timeline;
+  }
+
+  getTimeline(repo: RepoId): InstallTimeline | undefined {
+    return this.timelines.get(repo);
+  }
+
+  getTimelines(): InstallTimeline[] {
+    return Array.from(this.timelines.values());
+  }
+
+  // Rows are replaced by refreshRow; put the timeline back into the new markup
+  reattach(repo: RepoId): void {
+    if (this.timelines.has(repo)) this.render(repo);
+  }
+
+  private async poll(repo: RepoId, run: ActiveRun): Promise<void> {
+    const timeline = this.timelines.get(repo);
+    if (!timeline) return;
+    run.polling = true;
+    try {
+      const resp = await getInstallationProgress(this.windowObj, repo, {
+        signal: run.controller.signal,
+        retries: 0,
+        timeoutMs: 10000,
+      });
+      // Until the server opens the record for this run it may still hold the previous install's
+      if (resp.success && resp.data.status === 'running' && timeline.status === 'running') {
+        this.applySteps(timeline, resp.data.steps || []);
+        this.render(repo);
+      }
+    } catch {
+    } finally {
+      run.polling = false;
+    }
+  }
+
+  private applySteps(timeline: InstallTimeline, steps: InstallProgressStep[]): void {
+    if (!steps.length) return;
+    timeline.steps = steps;
+    timeline.phases = phasesFromSteps(steps);
+  }
+
+  private settle(timeline: InstallTimeline): void {
+    const total = (timeline.finishedAt || Date.now()) - timeline.startedAt;
+    let failed = INSTALL_PHASES.some((p) => timeline.phases[p].status === 'failed');
+    INSTALL_PHASES.forEach((p) => {
+      const phase = timeline.phases[p];
+      if (p === 'activate' && !timeline.activate && phase.status === 'pending') {
+        phase.status = 'skipped';
+        return;
+      }
+      if (phase.status === 'active') {
+        if (timeline.status === 'success') {
+          phase.status = 'done';
+        } else if (!failed) {
+          phase.status = 'failed';
+          failed = true;
+        } else {
+          phase.status = 'skipped';
+        }
+        if (phase.endedMs === undefined) phase.endedMs = total;
+      } else if (phase.status === 'pending') {
+        phase.status = timeline.status === 'success' ? 'done' : 'skipped';
+      }
+    });
+  }
+
+  private stopRun(repo: RepoId): void {
+    const run = this.runs.get(repo);
+    if (!run) return;
+    clearInterval(run.timer);
+    run.controller.abort();
+    this.runs.delete(repo);
+  }
+
+  private render(repo: RepoId, open?: boolean, collapse?: boolean): void {
+    if (typeof document === 'undefined') return;
+    const timeline = this.timelines.get(repo);
+    const row = rowRegistry.get(repo) || (document.querySelector(`tr[data-repository="${repo}"]`) as HTMLTableRowElement | null);
+    if (!timeline || !row) return;
+
+    let container = row.querySelector('.sbi-install-progress') as HTMLDetailsElement | null;
+    if (!container) {
+      const cell = row.querySelector('td');
+      if (!cell) return;
+      container = document.createElement('details');
+      container.className = 'sbi-install-progress';
+      container.open = timeline.status === 'running';
+      cell.appendChild(container);
+    }
+    if (open !== undefined) container.open = open;
+    if (collapse) container.open = false;
+    container.dataset.status = timeline.status;
+    container.textContent = '';
+
+    const now = timeline.finishedAt || Date.now();
+    const elapsed = now - timeline.startedAt;
+    const summary = document.createElement('summary');
+    summary.textContent =
+      timeline.status === 'running'
+        ? `Installing… ${seconds(elapsed)}`
+        : timeline.status === 'success'
+        ? `Installed in ${seconds(elapsed)}`
+        : `Install failed after ${seconds(elapsed)}`;
+    container.appendChild(summary);
+
+    const list = document.createElement('ol');
+    list.className = 'sbi-install-phases';
+    INSTALL_PHASES.forEach((p) => {
+      const phase = timeline.phases[p];
+      const li = document.createElement('li');
+      li.dataset.status = phase.status;
+      const label = document.createElement('span');
+      label.className = 'sbi-install-phase-label';
+      label.textContent = PHASE_LABELS[p];
+      li.appendChild(label);
+      if (phase.startedMs !== undefined && phase.status !== 'skipped') {
+        const end = phase.endedMs ?? elapsed;
+        const time = document.createElement('span');
+        time.className = 'sbi-install-phase-time';
+        time.textContent = seconds(end - phase.startedMs);
+        li.appendChild(time);
+      }
+      list.appendChild(li);
+    });
+    container.appendChild(list);
+
+    if (timeline.steps.length) {
+      const log = document.createElement('ul');
+      log.className = 'sbi-install-log';
+      timeline.steps.forEach((step) => {
+        const li = document.createElement('li');
+        li.dataset.status = step.status;
+        li.textContent = `+${seconds(step.elapsed)} ${step.step}${step.message ? `: ${step.message}` : ''}`;
+        log.appendChild(li);
+      });
+      container.appendChild(log);
+    }
+  }
+
+  private log(timeline: InstallTimeline): void {
+    const parts = INSTALL_PHASES.map((p) => {
+      const phase = timeline.phases[p];
+      const time =
+        phase.startedMs !== undefined && phase.endedMs !== undefined ? ` ${seconds(phase.endedMs - phase.startedMs)}` : '';
+      return `${PHASE_LABELS[p]}: ${phase.status}${time}`;
+    });
+    const message = `${timeline.repository} (${seconds((timeline.finishedAt || Date.now()) - timeline.startedAt)}) – ${parts.join(', ')}`;
+    debugLog(this.windowObj, timeline.status === 'success' ? 'success' : 'error', 'Install Timeline', message, {
+      category: 'actions',
+      repo: timeline.repository,
+      payload: timeline,
+    });
+  }
+}
+
+let tracker: InstallProgressTracker | null = null;
+
+export function getInstallProgress(windowObj: Window): InstallProgressTracker {
+  if (!tracker) tracker = new InstallProgressTracker(windowObj);
+  return tracker;
+}
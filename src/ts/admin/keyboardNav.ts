@@ -0,0 +1,248 @@
+import { announce } from '../lib/announcer';
+import { RepoId } from './repositoryFSM';
+import { rowRegistry } from './rowRegistry';
+
+const TBODY_ID = 'sbi-repository-tbody';
+const ROW_SELECTOR = 'tr[data-repository]';
+
+// Letter -> button in the focused row; same buttons the mouse uses, so row actions stay in one place
+const ROW_SHORTCUTS: Record<string, [string, string]> = {
+  i: ['.sbi-install-plugin', 'Install'],
+  u: ['.sbi-update-plugin', 'Update'],
+  a: ['.sbi-activate-plugin', 'Activate'],
+  d: ['.sbi-deactivate-plugin', 'Deactivate'],
+  r: ['.sbi-refresh-status, .sbi-refresh-repository', 'Refresh'],
+  h: ['.sbi-history-toggle', 'History'],
+};
+
+// Typing in these must not trigger shortcuts
+function isTextEntry(el: EventTarget | null): boolean {
+  if (!(el instanceof HTMLElement)) return false;
+  if (el.isContentEditable || el instanceof HTMLTextAreaElement || el instanceof HTMLSelectElement) return true;
+  return el instanceof HTMLInputElement && !['checkbox', 'radio', 'button', 'submit'].includes(el.type);
+}
+
+/**
+ * The keyboard shortcut list (#sbi-shortcuts, rendered by the server). The
+ * native modal dialog traps focus and closes on Escape; focus goes back to
+ * where it was.
+ */
+export class ShortcutHelp {
+  private readonly dialog: HTMLDialogElement;
+  private returnFocus: HTMLElement | null = null;
+
+  constructor(dialog: HTMLDialogElement) {
+    this.dialog = dialog;
+    dialog.addEventListener('close', () => {
+      if (this.returnFocus && this.returnFocus.isConnected) this.returnFocus.focus();
+      this.returnFocus = null;
+    });
+    dialog.querySelector('.sbi-shortcuts-close')?.addEventListener('click', () => this.close());
+  }
+
+  isOpen(): boolean {
+    return this.dialog.open;
+  }
+
+  open(): void {
+    if (this.dialog.open || typeof this.dialog.showModal !== 'function') return;
+    this.returnFocus = document.activeElement as HTMLElement | null;
+    this.dialog.showModal();
+  }
+
+  close(): void {
+    if (this.dialog.open) this.dialog.close();
+  }
+}
+
+/**
+ * Roving focus across repository rows: one row is in the tab order, arrow
+ * keys move between displayed rows (windowed rows are scrolled in first),
+ * and letter shortcuts press the focused row's buttons.
+ */
+export class KeyboardNavigator {
+  private readonly tbody: HTMLElement;
+  private active: RepoId | null = null;
+  // Focus is somewhere in the table; survives the focused row being swapped out on refresh
+  private hasFocus = false;
+  readonly help: ShortcutHelp | null;
+
+  constructor(tbody: HTMLElement, help: ShortcutHelp | null) {
+    this.tbody = tbody;
+    this.help = help;
+  }
+
+  mount(): void {
+    this.tbody.addEventListener('keydown', (e) => this.onRowKey(e));
+    this.tbody.addEventListener('focusin', (e) => {
+      this.hasFocus = true;
+      const row = (e.target as HTMLElement).closest?.(ROW_SELECTOR) as HTMLTableRowElement | null;
+      if (row && row.dataset.repository) this.setActive(row.dataset.repository);
+    });
+    this.tbody.addEventListener('focusout', (e) => {
+      const next = e.relatedTarget as Node | null;
+      if (next) this.hasFocus = this.tbody.contains(next);
+      // No related target: focus went to the page, or the row was removed (then keep the flag)
+      else if ((e.target as HTMLElement).isConnected) this.hasFocus = false;
+    });
+    document.addEventListener('keydown', (e) => {
+      const help = this.help;
+      if (!help || e.key !== '?' || e.ctrlKey || e.metaKey || e.altKey || isTextEntry(e.target) || help.isOpen()) return;
+      e.preventDefault();
+      help.open();
+    });
+    rowRegistry.onChange((change, repo) => {
+      const row = repo ? rowRegistry.get(repo) : null;
+      if ((change === 'add' || change === 'replace') && row && repo) {
+        if (!this.active) this.active = repo;
+        row.tabIndex = repo === this.active ? 0 : -1;
+        // A refresh swapped out the focused row; put focus on its replacement
+        const current = document.activeElement;
+        if (change === 'replace' && repo === this.active && this.hasFocus && (!current || current === document.body)) row.focus();
+        return;
+      }
+      if ((change === 'remove' && repo === this.active) || change === 'clear') {
+        this.active = null;
+        this.ensureTabStop();
+      }
+    });
+    this.ensureTabStop();
+  }
+
+  rows(): HTMLTableRowElement[] {
+    if (rowRegistry.size()) return rowRegistry.displayed();
+    return (Array.from(this.tbody.querySelectorAll(ROW_SELECTOR)) as HTMLTableRowElement[]).filter(
+      (row) => !row.hidden && !row.classList.contains('sbi-filter-hidden')
+    );
+  }
+
+  focusRow(repo: RepoId): void {
+    rowRegistry.reveal(repo);
+    const row = rowRegistry.get(repo) || (this.tbody.querySelector(`tr[data-repository="${repo}"]`) as HTMLTableRowElement | null);
+    if (!row) return;
+    this.setActive(repo);
+    row.focus();
+  }
+
+  private setActive(repo: RepoId): void {
+    if (this.active === repo) return;
+    const prev = this.active ? rowRegistry.get(this.active) : null;
+    if (prev) prev.tabIndex = -1;
+    this.active = repo;
+    const row = rowRegistry.get(repo);
+    if (row) row.tabIndex = 0;
+  }
+
+  // Exactly one row is reachable with Tab; every other row can still take focus programmatically
+  private ensureTabStop(): void {
+    const rows = rowRegistry.size() ? rowRegistry.all() : (Array.from(this.tbody.querySelectorAll(ROW_SELECTOR)) as HTMLTableRowElement[]);
+    if (!rows.length) return;
+    if (!this.active || !rowRegistry.has(this.active)) this.active = this.rows()[0]?.dataset.repository || null;
+    rows.forEach((row) => {
+      row.tabIndex = row.dataset.repository === this.active ? 0 : -1;
+    });
+  }
+
+  private onRowKey(e: KeyboardEvent): void {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isTextEntry(e.target)) return;
+    const target = e.target as HTMLElement;
+    const row = target.closest(ROW_SELECTOR) as HTMLTableRowElement | null;
+    const repo = row?.dataset.repository;
+    if (!row || !repo) return;
+    const onRow = target === row;
+
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'j':
+        e.preventDefault();
+        this.move(repo, 1);
+        return;
+      case 'ArrowUp':
+      case 'k':
+        e.preventDefault();
+        this.move(repo, -1);
+        return;
+      case 'Home':
+      case 'End':
+        if (!onRow) return;
+        e.preventDefault();
+        this.moveToEnd(e.key === 'Home');
+        return;
+      case 'Escape':
+        if (onRow) return;
+        e.preventDefault();
+        row.focus();
+        return;
+      case 'Enter': {
+        if (!onRow) return;
+        e.preventDefault();
+        const first = Array.from(row.querySelectorAll<HTMLElement>('button, select, a[href]')).find(
+          (el) => !(el as HTMLButtonElement).disabled
+        );
+        first?.focus();
+        return;
+      }
+      case ' ':
+      case 'x': {
+        if (e.key === ' ' && !onRow) return;
+        e.preventDefault();
+        const box = row.querySelector('input[name="repositories[]"]') as HTMLInputElement | null;
+        if (!box) {
+          announce(`${repo} cannot be selected for bulk actions`);
+          return;
+        }
+        box.click();
+        announce(`${repo} ${box.checked ? 'selected' : 'not selected'}`);
+        return;
+      }
+      default:
+        break;
+    }
+
+    const shortcut = ROW_SHORTCUTS[e.key];
+    if (!shortcut) return;
+    e.preventDefault();
+    const [selector, label] = shortcut;
+    const button = row.querySelector(selector) as HTMLButtonElement | null;
+    if (!button || button.disabled) {
+      announce(`${label} is not available for ${repo}`);
+      return;
+    }
+    button.click();
+  }
+
+  private move(repo: RepoId, step: number): void {
+    const rows = this.rows();
+    const index = rows.findIndex((r) => r.dataset.repository === repo);
+    const next = rows[index + step];
+    if (next && next.dataset.repository) this.focusRow(next.dataset.repository);
+  }
+
+  private moveToEnd(first: boolean): void {
+    const rows = this.rows();
+    const row = first ? rows[0] : rows[rows.length - 1];
+    if (row && row.dataset.repository) this.focusRow(row.dataset.repository);
+  }
+}
+
+let keyboardNav: KeyboardNavigator | null = null;
+
+/**
+ * Keyboard navigation and shortcuts for the repository table. Safe to call
+ * more than once; returns null on pages without the table.
+ */
+export function attachKeyboardNav(windowObj: Window): KeyboardNavigator | null {
+  if (keyboardNav || typeof document === 'undefined') return keyboardNav;
+  const tbody = windowObj.document.getElementById(TBODY_ID);
+  if (!tbody) return null;
+  const dialog = windowObj.document.getElementById('sbi-shortcuts') as HTMLDialogElement | null;
+  const help = dialog ? new ShortcutHelp(dialog) : null;
+  windowObj.document.getElementById('sbi-shortcuts-open')?.addEventListener('click', () => help?.open());
+  keyboardNav = new KeyboardNavigator(tbody, help);
+  keyboardNav.mount();
+  return keyboardNav;
+}
+
+export function getKeyboardNav(): KeyboardNavigator | null {
+  return keyboardNav;
+}
@@ -0,0 +1,55 @@
+import { PluginState, STATE_LABELS, isPluginState } from '../types/fsm';
+import { announce } from '../lib/announcer';
+import { repositoryFSM } from './repositoryFSM';
+import type { TransitionRecord } from './repositoryFSM';
+import { getActiveBatch } from './batchPanel';
+
+// Spoken while a row action runs; mirrors the busy button labels
+const ACTION_PHRASES: Record<string, string> = {
+  install: 'Installing',
+  update: 'Updating',
+  activate: 'Activating',
+  deactivate: 'Deactivating',
+  refresh: 'Refreshing',
+  override: 'Marking as a plugin',
+  remove_override: 'Removing the override for',
+};
+
+/**
+ * Whether a transition is worth reading out. Row actions and batches
+ * announce their own result (notice, batch summary) and scans would read
+ * every row, so only changes nobody on this page asked for are spoken.
+ */
+export function shouldAnnounce(t: TransitionRecord): boolean {
+  if (t.outcome !== 'applied' || t.from === null || t.from === t.to) return false;
+  const source = t.source;
+  if (source.startsWith('row_') || source.startsWith('batch_') || source === 'retry') return false;
+  return source !== 'scanner' && source !== 'snapshot';
+}
+
+function describeTransition(t: TransitionRecord): string {
+  const label = isPluginState(t.to) ? STATE_LABELS[t.to] : t.to;
+  const via = t.source === 'tab' ? ' (from another tab)' : t.source === 'sse' || t.source === 'heartbeat' || t.source === 'poll' ? ' (changed on the server)' : '';
+  return `${t.repo}: ${label}${via}`;
+}
+
+let attached = false;
+
+/**
+ * Announce row state changes and in-flight row actions through the live
+ * region (src/ts/lib/announcer.ts). Safe to call more than once.
+ */
+export function attachLiveAnnouncements(windowObj: Window): void {
+  if (attached || typeof windowObj.document === 'undefined') return;
+  attached = true;
+
+  repositoryFSM.onTransition((t) => {
+    if (!shouldAnnounce(t)) return;
+    announce(describeTransition(t), t.to === PluginState.ERROR ? 'assertive' : 'polite');
+  });
+
+  repositoryFSM.onPendingChange((repo, action) => {
+    // Batches announce their start and summary instead of every item
+    if (action && !getActiveBatch()) announce(`${ACTION_PHRASES[action] || action} ${repo}…`);
+  });
+}
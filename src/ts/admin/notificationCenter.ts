@@ -0,0 +1,288 @@
+import { announce } from '../lib/announcer';
+import type { RepoId } from './repositoryFSM';
+
+export type NotificationSeverity = 'success' | 'info' | 'warning' | 'error';
+
+export interface NotifyOptions {
+  severity?: NotificationSeverity;
+  title?: string;
+  details?: string[]; // extra lines shown behind "Details"
+  group?: string; // notifications with the same key fold into one while it is on screen
+  groupTitle?: (count: number) => string; // headline once a group holds more than one
+  persistent?: boolean; // stays until dismissed; errors and warnings default to true
+  repo?: RepoId;
+}
+
+export interface NotificationRecord {
+  id: number;
+  ts: number;
+  severity: NotificationSeverity;
+  message: string;
+  title?: string;
+  details: string[];
+  count: number;
+  group?: string;
+  persistent: boolean;
+  dismissed: boolean;
+}
+
+// Toasts (success, info) disappear after this; they stay in the history
+const TOAST_MS = 5000;
+const HISTORY_LIMIT = 100;
+
+function element<K extends keyof HTMLElementTagNameMap>(tag: K, className?: string, text?: string): HTMLElementTagNameMap[K] {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+// Title and text of a notice; a group of several reads as its summary ("3 installs failed")
+function headline(record: NotificationRecord, groupTitle?: (count: number) => string): string {
+  if (record.count > 1 && groupTitle) return groupTitle(record.count);
+  const text = record.count > 1 && !record.group ? `${record.message} (×${record.count})` : record.message;
+  return record.title ? `${record.title}: ${text}` : text;
+}
+
+/**
+ * One place for page notices: text-only rendering, toasts for results and
+ * persistent notices for problems, repeats folded into one entry with a
+ * count, "Dismiss all" and a history drawer of everything shown on the page.
+ */
+export class NotificationCenter {
+  private readonly records: NotificationRecord[] = [];
+  private readonly items = new Map<number, HTMLElement>();
+  private readonly timers = new Map<number, ReturnType<typeof setTimeout>>();
+  private readonly groupTitles = new Map<number, (count: number) => string>();
+  private nextId = 1;
+  private root: HTMLElement | null = null;
+  private list: HTMLElement | null = null;
+  private drawer: HTMLElement | null = null;
+  private dismissAllButton: HTMLButtonElement | null = null;
+  private historyButton: HTMLButtonElement | null = null;
+
+  notify(message: string, opts: NotifyOptions = {}): NotificationRecord {
+    const severity = opts.severity || 'info';
+    const text = opts.repo ? `${opts.repo}: ${message.trim()}` : message.trim();
+    // Same group (or same text) still on screen: count it instead of stacking another banner
+    const existing = this.records.find(
+      (r) => !r.dismissed && r.severity === severity && (opts.group ? r.group === opts.group : !r.group && r.message === text)
+    );
+    if (existing) {
+      existing.count++;
+      existing.ts = Date.now();
+      if (opts.group) existing.details.push(text);
+      this.render(existing);
+      announce(headline(existing, this.groupTitles.get(existing.id)), severity === 'error' ? 'assertive' : 'polite');
+      return existing;
+    }
+
+    const record: NotificationRecord = {
+      id: this.nextId++,
+      ts: Date.now(),
+      severity,
+      message: text,
+      title: opts.title,
+      details: opts.group ? [text] : (opts.details || []).slice(),
+      count: 1,
+      group: opts.group,
+      persistent: opts.persistent ?? (severity === 'error' || severity === 'warning'),
+      dismissed: false,
+    };
+    if (opts.groupTitle) this.groupTitles.set(record.id, opts.groupTitle);
+    this.records.push(record);
+    while (this.records.length > HISTORY_LIMIT) {
+      const old = this.records.shift();
+      if (old) this.forget(old.id);
+    }
+    this.render(record);
+    announce(headline(record), severity === 'error' ? 'assertive' : 'polite');
+    return record;
+  }
+
+  dismiss(id: number): void {
+    const record = this.records.find((r) => r.id === id);
+    if (record) record.dismissed = true;
+    const timer = this.timers.get(id);
+    if (timer) clearTimeout(timer);
+    this.timers.delete(id);
+    this.items.get(id)?.remove();
+    this.items.delete(id);
+    this.renderBar();
+  }
+
+  dismissAll(): void {
+    Array.from(this.items.keys()).forEach((id) => this.dismiss(id));
+  }
+
+  // Everything shown on this page, oldest first
+  history(): NotificationRecord[] {
+    return this.records.map((r) => ({ ...r, details: r.details.slice() }));
+  }
+
+  clearHistory(): void {
+    this.records.filter((r) => r.dismissed).forEach((r) => this.forget(r.id));
+    this.records.splice(0, this.records.length, ...this.records.filter((r) => !r.dismissed));
+    this.renderBar();
+  }
+
+  visible(): NotificationRecord[] {
+    return this.records.filter((r) => !r.dismissed);
+  }
+
+  private forget(id: number): void {
+    this.groupTitles.delete(id);
+    const timer = this.timers.get(id);
+    if (timer) clearTimeout(timer);
+    this.timers.delete(id);
+    this.items.get(id)?.remove();
+    this.items.delete(id);
+  }
+
+  private mount(): HTMLElement | null {
+    if (this.root && this.root.isConnected) return this.root;
+    if (typeof document === 'undefined' || !document.body) return null;
+    const root = element('div', 'sbi-notifications');
+    root.id = 'sbi-notifications';
+    root.setAttribute('role', 'region');
+    root.setAttribute('aria-label', 'Notifications');
+
+    const bar = element('div', 'sbi-notifications-bar');
+    const dismissAll = element('button', 'button-link', 'Dismiss all');
+    dismissAll.type = 'button';
+    dismissAll.addEventListener('click', () => this.dismissAll());
+    const toggle = element('button', 'button-link sbi-notifications-history-toggle');
+    toggle.type = 'button';
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.setAttribute('aria-controls', 'sbi-notification-history');
+    toggle.addEventListener('click', () => this.toggleHistory());
+    bar.append(dismissAll, toggle);
+
+    const drawer = element('div', 'sbi-notification-history');
+    drawer.id = 'sbi-notification-history';
+    drawer.hidden = true;
+
+    const list = element('div', 'sbi-notifications-list');
+    root.append(bar, drawer, list);
+
+    // Above the table like the notices it replaces; floating when the page has no plugin container
+    const container = document.querySelector('.sbi-container') || document.querySelector('.wrap');
+    if (container) {
+      container.prepend(root);
+    } else {
+      root.classList.add('sbi-notifications-floating');
+      document.body.appendChild(root);
+    }
+    this.root = root;
+    this.list = list;
+    this.drawer = drawer;
+    this.dismissAllButton = dismissAll;
+    this.historyButton = toggle;
+    return root;
+  }
+
+  private render(record: NotificationRecord): void {
+    if (!this.mount() || !this.list) return;
+    const previous = this.items.get(record.id);
+    const item = element('div', `sbi-message ${record.severity} sbi-notification`);
+    item.dataset.notificationId = String(record.id);
+    const groupTitle = this.groupTitles.get(record.id);
+    if (record.title && !(record.count > 1 && groupTitle)) {
+      item.appendChild(element('strong', undefined, `${record.title}: `));
+      item.appendChild(element('span', 'sbi-notification-text', headline({ ...record, title: undefined })));
+    } else {
+      item.appendChild(element('span', 'sbi-notification-text', headline(record, groupTitle)));
+    }
+
+    // A group of one already shows its only entry
+    if (record.details.length && !(record.group && record.count === 1)) {
+      const details = element('details', 'sbi-notification-details');
+      details.appendChild(element('summary', undefined, record.group ? `Show all ${record.count}` : 'Details'));
+      const lines = element('ul');
+      record.details.forEach((d) => lines.appendChild(element('li', undefined, d)));
+      details.appendChild(lines);
+      // A regrouped entry keeps the drill-down the way the user left it
+      if (previous?.querySelector('details')?.open) details.open = true;
+      item.appendChild(details);
+    }
+
+    const close = element('button', 'sbi-notification-dismiss', '×');
+    close.type = 'button';
+    close.setAttribute('aria-label', 'Dismiss notification');
+    close.addEventListener('click', () => this.dismiss(record.id));
+    item.appendChild(close);
+
+    if (previous) previous.replaceWith(item);
+    else this.list.prepend(item);
+    this.items.set(record.id, item);
+
+    if (!record.persistent) {
+      const timer = this.timers.get(record.id);
+      if (timer) clearTimeout(timer);
+      this.timers.set(
+        record.id,
+        setTimeout(() => this.dismiss(record.id), TOAST_MS)
+      );
+    }
+    this.renderBar();
+  }
+
+  private renderBar(): void {
+    if (!this.root || !this.dismissAllButton || !this.historyButton) return;
+    this.dismissAllButton.hidden = this.items.size < 2;
+    this.historyButton.textContent = `History (${this.records.length})`;
+    this.root.classList.toggle('has-history', this.records.length > 0);
+    if (this.drawer && !this.drawer.hidden) this.renderHistory();
+  }
+
+  private toggleHistory(): void {
+    if (!this.drawer || !this.historyButton) return;
+    this.drawer.hidden = !this.drawer.hidden;
+    this.historyButton.setAttribute('aria-expanded', String(!this.drawer.hidden));
+    if (!this.drawer.hidden) this.renderHistory();
+  }
+
+  private renderHistory(): void {
+    const drawer = this.drawer;
+    if (!drawer) return;
+    drawer.textContent = '';
+    if (!this.records.length) {
+      drawer.appendChild(element('p', 'description', 'No notifications yet.'));
+      return;
+    }
+    const list = element('ol', 'sbi-notification-history-list');
+    this.records
+      .slice()
+      .reverse()
+      .forEach((r) => {
+        const li = element('li', `sbi-notification-history-${r.severity}`);
+        li.appendChild(element('time', undefined, new Date(r.ts).toLocaleTimeString()));
+        li.appendChild(document.createTextNode(` ${headline(r, this.groupTitles.get(r.id))}`));
+        if (r.details.length && !(r.group && r.count === 1)) {
+          const lines = element('ul');
+          r.details.forEach((d) => lines.appendChild(element('li', undefined, d)));
+          li.appendChild(lines);
+        }
+        list.appendChild(li);
+      });
+    const clear = element('button', 'button button-small', 'Clear dismissed');
+    clear.type = 'button';
+    clear.addEventListener('click', () => this.clearHistory());
+    drawer.append(list, clear);
+  }
+}
+
+let center: NotificationCenter | null = null;
+
+export function getNotificationCenter(): NotificationCenter {
+  if (!center) center = new NotificationCenter();
+  return center;
+}
+
+/**
+ * Show a notice on the installer page (and read it to screen reader users).
+ * Never interprets the message as HTML.
+ */
+export function notify(message: string, opts: NotifyOptions = {}): NotificationRecord {
+  return getNotificationCenter().notify(message, opts);
+}
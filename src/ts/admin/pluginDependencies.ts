@@ -0,0 +1,94 @@
+import { RepoId } from './repositoryFSM';
+import { rowRegistry } from './rowRegistry';
+
+export type DependencyStatus = 'active' | 'inactive' | 'missing';
+
+// One entry of a row's Requires Plugins header, as RepositoryListTable rendered it
+export interface RequiredPlugin {
+  slug: string;
+  status: DependencyStatus; // on this site when the row was rendered
+}
+
+export interface DependencyOrder {
+  order: RepoId[]; // dependencies before the repositories that need them
+  cycles: RepoId[][]; // repositories that require each other, directly or not
+}
+
+function rowFor(repo: RepoId): HTMLElement | null {
+  if (typeof document === 'undefined') return null;
+  return rowRegistry.get(repo) || (document.querySelector(`[data-repository="${repo}"]`) as HTMLElement | null);
+}
+
+function pageRepositories(): RepoId[] {
+  if (rowRegistry.size()) return rowRegistry.repositories();
+  if (typeof document === 'undefined') return [];
+  return Array.from(document.querySelectorAll<HTMLElement>('tr[data-repository]')).map((row) => row.dataset.repository || '');
+}
+
+export function requiredPlugins(repo: RepoId): RequiredPlugin[] {
+  const row = rowFor(repo);
+  if (!row || !row.dataset.requiresPlugins) return [];
+  return row.dataset.requiresPlugins
+    .split(',')
+    .map((slug) => slug.trim())
+    .filter(Boolean)
+    .map((slug) => {
+      const rendered = row.querySelector<HTMLElement>(`.sbi-dependency[data-slug="${slug}"]`)?.dataset.status;
+      const status: DependencyStatus = rendered === 'active' || rendered === 'inactive' ? rendered : 'missing';
+      return { slug, status };
+    });
+}
+
+// The repository on this page that provides a plugin slug (its repository name, case-insensitive)
+export function repositoryForSlug(slug: string): RepoId | undefined {
+  const wanted = slug.toLowerCase();
+  return pageRepositories().find((repo) => (repo.split('/')[1] || '').toLowerCase() === wanted);
+}
+
+/**
+ * Topological order of `nodes` along `edges` (repository -> repositories it
+ * requires). Input order is kept where dependencies allow; repositories in a
+ * cycle stay together and are reported.
+ */
+export function orderByDependencies(nodes: RepoId[], edges: (repo: RepoId) => RepoId[]): DependencyOrder {
+  const known = new Set(nodes);
+  const index = new Map<RepoId, number>();
+  const low = new Map<RepoId, number>();
+  const stack: RepoId[] = [];
+  const onStack = new Set<RepoId>();
+  const order: RepoId[] = [];
+  const cycles: RepoId[][] = [];
+  let counter = 0;
+
+  // Tarjan: a component is complete only after everything it requires, so output is dependencies first
+  const visit = (repo: RepoId) => {
+    index.set(repo, counter);
+    low.set(repo, counter++);
+    stack.push(repo);
+    onStack.add(repo);
+    edges(repo).forEach((dep) => {
+      if (!known.has(dep) || dep === repo) return;
+      if (!index.has(dep)) {
+        visit(dep);
+        low.set(repo, Math.min(low.get(repo) as number, low.get(dep) as number));
+      } else if (onStack.has(dep)) {
+        low.set(repo, Math.min(low.get(repo) as number, index.get(dep) as number));
+      }
+    });
+    if (low.get(repo) !== index.get(repo)) return;
+    const component: RepoId[] = [];
+    let member: RepoId | undefined;
+    do {
+      member = stack.pop() as RepoId;
+      onStack.delete(member);
+      component.unshift(member);
+    } while (member !== repo);
+    if (component.length > 1) cycles.push(component);
+    order.push(...component);
+  };
+
+  nodes.forEach((repo) => {
+    if (!index.has(repo)) visit(repo);
+  });
+  return { order, cycles };
+}
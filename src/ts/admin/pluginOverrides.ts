@@ -0,0 +1,249 @@
+import { PluginState, STATE_LABELS } from '../types/fsm';
+import type { PluginOverrideListItem, PluginOverrideSuccessData, WpAjaxResponse } from '../types/ajax';
+import { debugLog } from '../lib/debugStore';
+import type { DebugLevel } from '../lib/debugStore';
+import { classifyError } from '../lib/errors';
+import { setPluginOverride, removePluginOverride, listPluginOverrides, clearPluginOverrides } from './handlers';
+import { repositoryFSM, RepoId } from './repositoryFSM';
+import { recordAction } from './auditTrail';
+import { applyRowResponse, refreshRow, showNotice } from './rowActions';
+import { rowRegistry } from './rowRegistry';
+import { getTabSync, otherTabMessage } from './tabSync';
+
+export type OverrideAction = 'override' | 'remove_override';
+
+const PROMPT_TEXT =
+  'Main plugin file, relative to the plugin folder (e.g. my-plugin.php). Optional: leave empty to let WordPress find it.';
+
+function element<K extends keyof HTMLElementTagNameMap>(tag: K, className?: string, text?: string): HTMLElementTagNameMap[K] {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+function log(windowObj: Window, level: DebugLevel, message: string, repo?: RepoId): void {
+  debugLog(windowObj, level, 'Plugin Override', message, { category: 'actions', repo });
+}
+
+// Same shape the server accepts; it validates again
+export function isValidPluginFile(file: string): boolean {
+  return file === '' || (/\.php$/i.test(file) && !file.split(/[\\/]/).includes('..'));
+}
+
+async function runOverrideAction(
+  windowObj: Window,
+  repo: RepoId,
+  action: OverrideAction,
+  request: () => Promise<WpAjaxResponse<PluginOverrideSuccessData>>
+): Promise<boolean> {
+  if (!repositoryFSM.beginAction(repo, action)) {
+    log(windowObj, 'warning', `${action} ignored for ${repo}: ${repositoryFSM.getPendingAction(repo)} in progress`, repo);
+    return false;
+  }
+  const lock = await getTabSync(windowObj).acquire(repo, action);
+  if (!lock) {
+    repositoryFSM.endAction(repo);
+    showNotice(otherTabMessage(repo, repositoryFSM.getRemoteAction(repo) || action), 'info');
+    return false;
+  }
+
+  const source = `row_${action}`;
+  const started = Date.now();
+  recordAction(windowObj, repo, action, 'started', source);
+  let resp: WpAjaxResponse<PluginOverrideSuccessData> | null = null;
+  let failure: unknown = null;
+  try {
+    resp = await request();
+  } catch (e) {
+    failure = e;
+  } finally {
+    repositoryFSM.endAction(repo);
+    lock.release();
+  }
+
+  if (!resp || !resp.success) {
+    const error = classifyError(resp || failure || `${action} failed`, { repository: repo });
+    recordAction(windowObj, repo, action, 'failed', source, { message: error.message, errorCode: error.code, durationMs: Date.now() - started });
+    log(windowObj, 'error', `${action} failed for ${repo}: ${error.message} [${error.code}]`, repo);
+    showNotice(error.message, 'error');
+    return false;
+  }
+
+  repositoryFSM.clearError(repo);
+  // Detection said no; the administrator's word moves the row on
+  if (action === 'override' && resp.data.state === PluginState.AVAILABLE && repositoryFSM.set(repo, PluginState.AVAILABLE, { source })) {
+    repositoryFSM.applyToRow(repo, PluginState.AVAILABLE);
+  }
+  applyRowResponse(windowObj, repo, resp.data, source);
+  recordAction(windowObj, repo, action, 'succeeded', source, { durationMs: Date.now() - started });
+  log(windowObj, 'success', action === 'override' ? `${repo} is now treated as a WordPress plugin` : `${repo}: override removed`, repo);
+  showNotice(action === 'override' ? 'Repository will be treated as a WordPress plugin' : 'Override removed', 'success');
+  void view?.refresh();
+  return true;
+}
+
+/**
+ * Mark a repository as a WordPress plugin. With no plugin file given the
+ * admin is asked for one (optional); cancelling the prompt does nothing.
+ */
+export async function overrideRepository(windowObj: Window, repo: RepoId, pluginFile?: string): Promise<boolean> {
+  let file = pluginFile;
+  if (file === undefined) {
+    // eslint-disable-next-line no-alert
+    const answer = windowObj.prompt(PROMPT_TEXT, '');
+    if (answer === null) return false;
+    file = answer;
+  }
+  file = file.trim();
+  if (!isValidPluginFile(file)) {
+    showNotice('The plugin file must be a relative path to a .php file, e.g. my-plugin.php.', 'error');
+    return false;
+  }
+  return runOverrideAction(windowObj, repo, 'override', () => setPluginOverride(windowObj, repo, file));
+}
+
+export function removeOverride(windowObj: Window, repo: RepoId): Promise<boolean> {
+  return runOverrideAction(windowObj, repo, 'remove_override', () => removePluginOverride(windowObj, repo));
+}
+
+/**
+ * Override management in #sbi-overrides-panel: lists every override with
+ * its plugin file (editable) and current state, and removes one or all.
+ */
+export class OverridesView {
+  private readonly windowObj: Window;
+  private readonly panel: HTMLDetailsElement;
+
+  constructor(windowObj: Window, panel: HTMLDetailsElement) {
+    this.windowObj = windowObj;
+    this.panel = panel;
+  }
+
+  mount(): void {
+    document.getElementById('sbi-overrides-reload')?.addEventListener('click', () => void this.refresh());
+    document.getElementById('sbi-overrides-clear')?.addEventListener('click', () => void this.clearAll());
+    this.panel.addEventListener('toggle', () => {
+      if (this.panel.open) void this.refresh();
+    });
+    if (this.panel.open) void this.refresh();
+  }
+
+  async refresh(): Promise<void> {
+    if (!this.panel.open) return;
+    const tbody = document.getElementById('sbi-overrides-tbody');
+    if (!tbody) return;
+    const resp = await listPluginOverrides(this.windowObj);
+    if (!resp.success) {
+      this.setSummary(`Could not load overrides: ${resp.data?.message || 'request failed'}`);
+      return;
+    }
+    const overrides = resp.data.overrides || [];
+    tbody.textContent = '';
+    overrides.forEach((o) => tbody.appendChild(this.renderRow(o)));
+    if (!overrides.length) {
+      const tr = element('tr');
+      const td = element('td', 'description', 'No overrides. Use "Treat as WordPress plugin" on a repository detection rejected.');
+      td.colSpan = 5;
+      tr.appendChild(td);
+      tbody.appendChild(tr);
+    }
+    this.setSummary(`${overrides.length} ${overrides.length === 1 ? 'override' : 'overrides'}`);
+  }
+
+  private renderRow(o: PluginOverrideListItem): HTMLTableRowElement {
+    const tr = element('tr');
+    tr.dataset.overrideFor = o.repository;
+    tr.appendChild(element('td', 'sbi-audit-repo', o.repository));
+
+    const fileCell = element('td');
+    const input = element('input', 'regular-text code');
+    input.type = 'text';
+    input.value = o.plugin_file;
+    input.placeholder = 'Detected by WordPress';
+    input.setAttribute('aria-label', `Main plugin file for ${o.repository}`);
+    const save = element('button', 'button button-small', 'Save');
+    save.type = 'button';
+    save.addEventListener('click', () => void overrideRepository(this.windowObj, o.repository, input.value));
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        save.click();
+      }
+    });
+    fileCell.append(input, ' ', save);
+    tr.appendChild(fileCell);
+
+    tr.appendChild(element('td', undefined, STATE_LABELS[o.state as PluginState] || o.state));
+    const added = o.created_at ? new Date(o.created_at * 1000).toLocaleString() : '';
+    tr.appendChild(element('td', undefined, o.user ? `${added} — ${o.user}` : added));
+
+    const actions = element('td');
+    const remove = element('button', 'button-link button-link-delete', 'Remove');
+    remove.type = 'button';
+    remove.addEventListener('click', () => void removeOverride(this.windowObj, o.repository));
+    actions.appendChild(remove);
+    tr.appendChild(actions);
+    return tr;
+  }
+
+  private async clearAll(): Promise<void> {
+    // eslint-disable-next-line no-alert
+    if (!this.windowObj.confirm('Remove every plugin override? Detection decides for these repositories again.')) return;
+    const resp = await clearPluginOverrides(this.windowObj);
+    if (!resp.success) {
+      showNotice(`Could not remove the overrides: ${resp.data?.message || 'request failed'}`, 'error');
+      return;
+    }
+    const repos = Object.keys(resp.data.states || {});
+    repos.forEach((repo) => {
+      recordAction(this.windowObj, repo, 'remove_override', 'succeeded', 'row_remove_override', { message: 'Removed with all overrides' });
+      // Visible rows lose their override buttons and badge; the rest only need the state
+      if (rowRegistry.has(repo)) {
+        void refreshRow(this.windowObj, repo);
+      } else {
+        const state = resp.data.states[repo] as PluginState;
+        if (repositoryFSM.set(repo, state, { force: true, source: 'row_remove_override' })) repositoryFSM.applyToRow(repo, state);
+      }
+    });
+    log(this.windowObj, 'info', `Removed ${resp.data.cleared} plugin overrides`);
+    showNotice(`Removed ${resp.data.cleared} ${resp.data.cleared === 1 ? 'override' : 'overrides'}`, 'success');
+    await this.refresh();
+  }
+
+  private setSummary(text: string): void {
+    const summary = document.getElementById('sbi-overrides-summary');
+    if (summary) summary.textContent = text;
+  }
+}
+
+let view: OverridesView | null = null;
+let attached = false;
+
+/**
+ * Bind the "Treat as WordPress plugin" / "Remove override" row buttons and
+ * mount the override panel when present. Safe to call more than once.
+ */
+export function attachPluginOverrides(windowObj: Window): void {
+  if (attached || typeof document === 'undefined') return;
+  attached = true;
+
+  // Rows are re-rendered on refresh, so listen on the document
+  document.addEventListener('click', (e) => {
+    const el = e.target as HTMLElement | null;
+    if (!el || typeof el.closest !== 'function') return;
+    const button = el.closest('.sbi-override-plugin, .sbi-remove-override') as HTMLButtonElement | null;
+    if (!button) return;
+    e.preventDefault();
+    const repo = (button.closest('tr[data-repository]') as HTMLElement | null)?.dataset.repository || button.dataset.repo;
+    if (button.disabled || !repo) return;
+    if (button.classList.contains('sbi-override-plugin')) void overrideRepository(windowObj, repo);
+    else void removeOverride(windowObj, repo);
+  });
+
+  const panel = document.getElementById('sbi-overrides-panel') as HTMLDetailsElement | null;
+  if (panel) {
+    view = new OverridesView(windowObj, panel);
+    view.mount();
+  }
+}
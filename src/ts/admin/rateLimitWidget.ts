@@ -0,0 +1,107 @@
+import { rateLimit } from '../lib/rateLimit';
+import { getGitHubRateLimit } from './handlers';
+
+// The endpoint does not use up quota, but a scan keeps the reading current through response headers anyway
+const REFRESH_MS = 5 * 60 * 1000;
+// Share of the hourly limit below which the widget turns amber
+const LOW_RATIO = 0.2;
+
+function countdown(ms: number): string {
+  const total = Math.ceil(ms / 1000);
+  const pad = (n: number) => String(n).padStart(2, '0');
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  return h ? `${h}:${pad(m)}:${pad(total % 60)}` : `${m}:${pad(total % 60)}`;
+}
+
+/**
+ * Header widget (#sbi-rate-limit) with the GitHub API calls the server has
+ * left and when the quota resets; counts down while scans and batches are
+ * paused for it.
+ */
+export class RateLimitWidget {
+  private readonly windowObj: Window;
+  private readonly el: HTMLElement;
+  private ticker: ReturnType<typeof setInterval> | null = null;
+  private refreshing = false;
+
+  constructor(windowObj: Window, el: HTMLElement) {
+    this.windowObj = windowObj;
+    this.el = el;
+  }
+
+  mount(): void {
+    rateLimit.onChange((snapshot) => {
+      // The quota refilled: read the new figures instead of showing the old ones
+      if (snapshot && snapshot.reset <= Date.now()) void this.refresh();
+      this.render();
+    });
+    setInterval(() => {
+      if (typeof document === 'undefined' || document.visibilityState !== 'hidden') void this.refresh();
+    }, REFRESH_MS);
+    void this.refresh();
+  }
+
+  async refresh(force: boolean = false): Promise<void> {
+    if (this.refreshing) return;
+    this.refreshing = true;
+    try {
+      const resp = await getGitHubRateLimit(this.windowObj, force, { retries: 0, timeoutMs: 15000 });
+      if (resp.success) {
+        rateLimit.update(resp.data, 'api', resp.data.server_time);
+      } else {
+        (this.windowObj as any).sbiDebug?.addEntry('warning', 'GitHub Rate Limit', `Could not read the GitHub API rate limit: ${resp.data?.message || 'request failed'}`, {
+          category: 'ajax',
+        });
+      }
+    } finally {
+      this.refreshing = false;
+    }
+  }
+
+  render(): void {
+    const s = rateLimit.get();
+    const pause = rateLimit.pauseMs();
+    this.setTicking(pause > 0);
+    if (!s || (!s.limit && pause <= 0)) {
+      this.el.hidden = true;
+      return;
+    }
+    const resetAt = new Date(s.reset).toLocaleTimeString();
+    this.el.hidden = false;
+    if (pause > 0) {
+      this.el.dataset.level = 'exhausted';
+      this.el.textContent = `GitHub API limit reached, resuming in ${countdown(pause)}`;
+      this.el.title = `Scans and installs wait until ${resetAt}`;
+    } else {
+      this.el.dataset.level = s.limit && s.remaining < s.limit * LOW_RATIO ? 'low' : 'ok';
+      this.el.textContent = `GitHub API: ${s.remaining}/${s.limit}`;
+      this.el.title = `${s.remaining} of ${s.limit} GitHub API calls left; resets at ${resetAt}`;
+    }
+  }
+
+  // Tick once a second only while counting down
+  private setTicking(on: boolean): void {
+    if (on && this.ticker === null) {
+      this.ticker = setInterval(() => this.render(), 1000);
+    } else if (!on && this.ticker !== null) {
+      clearInterval(this.ticker);
+      this.ticker = null;
+    }
+  }
+}
+
+let widget: RateLimitWidget | null = null;
+
+/**
+ * Mount the GitHub rate-limit widget when the page has one. Safe to call
+ * more than once.
+ */
+export function attachRateLimitWidget(windowObj: Window): RateLimitWidget | null {
+  if (widget || typeof document === 'undefined') return widget;
+  const el = document.getElementById('sbi-rate-limit');
+  if (!el) return null;
+  widget = new RateLimitWidget(windowObj, el);
+  widget.mount();
+  return widget;
+}
@@ -0,0 +1,160 @@
+import type { RepositoryRefs } from '../types/ajax';
+import { debugLog } from '../lib/debugStore';
+import type { DebugLevel } from '../lib/debugStore';
+import { getRepositoryRefs } from './handlers';
+import type { RepoId } from './repositoryFSM';
+import { rowRegistry } from './rowRegistry';
+
+const SELECT_SELECTOR = 'select.sbi-ref-select';
+
+const refsCache: Map<RepoId, RepositoryRefs> = new Map();
+const loading: Map<RepoId, Promise<RepositoryRefs | null>> = new Map();
+// Choices survive row re-renders (refresh, live updates) for the lifetime of the page
+const chosen: Map<RepoId, string> = new Map();
+
+function log(windowObj: Window, level: DebugLevel, message: string, repo: RepoId): void {
+  debugLog(windowObj, level, 'Ref Picker', message, { category: 'actions', repo });
+}
+
+function repoOf(select: HTMLSelectElement): RepoId {
+  return select.dataset.repository || (select.closest('tr[data-repository]') as HTMLElement | null)?.dataset.repository || '';
+}
+
+function selectsFor(repo: RepoId): HTMLSelectElement[] {
+  const row = rowRegistry.get(repo);
+  if (row) return Array.from(row.querySelectorAll<HTMLSelectElement>(SELECT_SELECTOR));
+  return Array.from(document.querySelectorAll<HTMLSelectElement>(SELECT_SELECTOR)).filter((s) => repoOf(s) === repo);
+}
+
+/**
+ * Ref to send with install/update for a repository: the branch, tag or
+ * release picked in its row, or '' for the repository's default branch.
+ */
+export function selectedRef(repo: RepoId): string {
+  return chosen.get(repo) || '';
+}
+
+export function setSelectedRef(repo: RepoId, ref: string): void {
+  if (ref) chosen.set(repo, ref);
+  else chosen.delete(repo);
+  selectsFor(repo).forEach((s) => syncSelect(s));
+}
+
+/**
+ * Fetch (once per page) the branches, tags and releases of a repository.
+ * Resolves null when the request failed; the select keeps its default option.
+ */
+export function loadRefs(windowObj: Window, repo: RepoId, force: boolean = false): Promise<RepositoryRefs | null> {
+  const cached = refsCache.get(repo);
+  if (cached && !force) return Promise.resolve(cached);
+  const pending = loading.get(repo);
+  if (pending) return pending;
+
+  const [owner, slug] = repo.split('/');
+  const request = getRepositoryRefs(windowObj, owner, slug, force)
+    .then((resp) => {
+      if (!resp.success) {
+        log(windowObj, 'warning', `Could not load branches and tags for ${repo}: ${resp.data?.message || 'request failed'}`, repo);
+        return null;
+      }
+      refsCache.set(repo, resp.data);
+      return resp.data;
+    })
+    .catch((e) => {
+      log(windowObj, 'warning', `Could not load branches and tags for ${repo}: ${e instanceof Error ? e.message : String(e)}`, repo);
+      return null;
+    })
+    .finally(() => loading.delete(repo));
+  loading.set(repo, request);
+  return request;
+}
+
+function group(label: string, options: Array<[string, string]>): HTMLOptGroupElement | null {
+  if (!options.length) return null;
+  const el = document.createElement('optgroup');
+  el.label = label;
+  options.forEach(([value, text]) => el.appendChild(new Option(text, value)));
+  return el;
+}
+
+// Default branch first (value '' so the server resolves it), then branches, releases and remaining tags
+function fill(select: HTMLSelectElement, refs: RepositoryRefs): void {
+  const releaseTags = new Set(refs.releases.map((r) => r.tag));
+  select.textContent = '';
+  select.appendChild(new Option(`${refs.default_branch} (default)`, ''));
+  [
+    group(
+      'Branches',
+      refs.branches.filter((b) => b !== refs.default_branch).map((b) => [b, b])
+    ),
+    group(
+      'Releases',
+      refs.releases.map((r) => {
+        let text = r.name && r.name !== r.tag ? `${r.tag} — ${r.name}` : r.tag;
+        if (r.prerelease) text += ' (pre-release)';
+        return [r.tag, text];
+      })
+    ),
+    group(
+      'Tags',
+      refs.tags.filter((t) => !releaseTags.has(t)).map((t) => [t, t])
+    ),
+  ].forEach((g) => g && select.appendChild(g));
+  select.dataset.loaded = '1';
+}
+
+function syncSelect(select: HTMLSelectElement): void {
+  const repo = repoOf(select);
+  const refs = refsCache.get(repo);
+  if (refs && select.dataset.loaded !== '1') fill(select, refs);
+  const ref = selectedRef(repo);
+  // A ref picked before the list loaded (or one that has since been deleted) still needs an option
+  if (ref && !Array.from(select.options).some((o) => o.value === ref)) select.appendChild(new Option(ref, ref));
+  select.value = ref;
+}
+
+/**
+ * Re-apply the cached refs and the remembered choice after a row was re-rendered.
+ */
+export function syncRefSelect(repo: RepoId): void {
+  if (typeof document === 'undefined') return;
+  selectsFor(repo).forEach((s) => syncSelect(s));
+}
+
+async function populate(windowObj: Window, select: HTMLSelectElement): Promise<void> {
+  const repo = repoOf(select);
+  if (!repo || select.dataset.loaded === '1' || select.getAttribute('aria-busy') === 'true') return;
+  select.setAttribute('aria-busy', 'true');
+  const refs = await loadRefs(windowObj, repo);
+  select.removeAttribute('aria-busy');
+  if (refs) selectsFor(repo).forEach((s) => syncSelect(s));
+}
+
+let attached = false;
+
+/**
+ * Lazy-load each row's branch/tag/release list the first time its picker is
+ * focused and remember the choice for install and update. Safe to call more
+ * than once.
+ */
+export function attachRefPicker(windowObj: Window): void {
+  if (attached || typeof document === 'undefined') return;
+  attached = true;
+
+  const onOpen = (e: Event) => {
+    const el = e.target as HTMLElement | null;
+    if (el && el.matches && el.matches(SELECT_SELECTOR)) void populate(windowObj, el as HTMLSelectElement);
+  };
+  // mousedown covers pointer users before the native list opens; focusin covers keyboard users
+  document.addEventListener('mousedown', onOpen);
+  document.addEventListener('focusin', onOpen);
+  document.addEventListener('change', (e) => {
+    const el = e.target as HTMLElement | null;
+    if (!el || !el.matches || !el.matches(SELECT_SELECTOR)) return;
+    const select = el as HTMLSelectElement;
+    const repo = repoOf(select);
+    if (!repo) return;
+    setSelectedRef(repo, select.value);
+    log(windowObj, 'info', `${repo}: installs will use ${select.value || 'the default branch'}`, repo);
+  });
+}
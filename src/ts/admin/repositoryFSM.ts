@@ -1,11 +1,54 @@
-import { PluginState } from '../types/fsm';
+import { PluginState, canTransition, isInstalled, isPluginState } from '../types/fsm';
+import { getStateStream } from '../lib/stateStream';
+import { debugLog } from '../lib/debugStore';
+import { classifyError, ERROR_DEFINITIONS } from '../lib/errors';
+import type { ClassifiedError, RemediationHint, SbiErrorCode } from '../lib/errors';
+import { refreshRepository } from './handlers';
+import { applyRowResponse } from './rowActions';
+import { rowRegistry } from './rowRegistry';
 
 export type RepoId = string; // owner/repo
 
 type Listener = (repo: RepoId, state: PluginState) => void;
 
+// The FSM singleton has no windowObj; window is missing outside the browser
+function pageWindow(): Window | undefined {
+  return typeof window !== 'undefined' ? window : undefined;
+}
+
+// Every applied or rejected transition, with where it came from (audit trail)
+export interface TransitionRecord {
+  repo: RepoId;
+  from: PluginState | null; // null: first state seen on this page
+  to: string;
+  source: string;
+  forced: boolean;
+  outcome: 'applied' | 'blocked';
+  eventId?: number;
+}
+
+type TransitionListener = (record: TransitionRecord) => void;
+
+// A row action started (action) or finished (null) in this tab
+type PendingListener = (repo: RepoId, action: string | null) => void;
+
 type StateMap = Map<RepoId, PluginState>;
 
+export interface SetStateOptions {
+  force?: boolean; // authoritative server data (refresh, SSE): bypass transition validation
+  source?: string;
+  eventId?: number; // SSE broadcast id, identifies the same server event across tabs
+}
+
+export interface BlockedTransition {
+  repo: RepoId;
+  from: PluginState;
+  to: string;
+  source: string;
+  reason: 'invalid_transition' | 'unknown_state';
+  timestamp: number;
+}
+
 // Error context for enhanced error handling
 interface ErrorContext {
   timestamp: number;
@@ -14,66 +57,241 @@ interface ErrorContext {
   retryCount: number;
   lastRetryAt?: number;
   recoverable: boolean;
+  code: SbiErrorCode;
+  hints: RemediationHint[];
 }
 
 export class RepositoryFSM {
   private states: StateMap = new Map();
   private listeners: Set<Listener> = new Set();
-  private eventSource: EventSource | null = null;
+  private transitionListeners: Set<TransitionListener> = new Set();
+  private pendingListeners: Set<PendingListener> = new Set();
+  private unsubscribeStream: (() => void) | null = null;
   private sseEnabled = false;
   private errorContexts: Map<RepoId, ErrorContext> = new Map();
   private maxRetries = 3;
   private retryDelayMs = 5000;
+  private blocked: BlockedTransition[] = [];
+  private maxBlocked = 100;
+  private pending: Map<RepoId, string> = new Map(); // row action in flight (install/activate/...)
+  private remotePending: Map<RepoId, string> = new Map(); // action running in another tab (see tabSync)
+  private rowUpdates: Map<RepoId, PluginState> = new Map(); // applied to rows on the next animation frame
+  private rowFrame: number | null = null;
 
   onChange(listener: Listener): () => void {
     this.listeners.add(listener);
     return () => this.listeners.delete(listener);
   }
 
+  onTransition(listener: TransitionListener): () => void {
+    this.transitionListeners.add(listener);
+    return () => this.transitionListeners.delete(listener);
+  }
+
+  onPendingChange(listener: PendingListener): () => void {
+    this.pendingListeners.add(listener);
+    return () => this.pendingListeners.delete(listener);
+  }
+
   get(repo: RepoId): PluginState | undefined {
     return this.states.get(repo);
   }
 
-  set(repo: RepoId, state: PluginState): void {
+  /**
+   * Transition a repository to a new state. Mirrors StateManager::transition():
+   * illegal moves are rejected and recorded unless opts.force is set.
+   * Returns false when the transition was blocked.
+   */
+  set(repo: RepoId, state: PluginState, opts: SetStateOptions = {}): boolean {
     const prev = this.states.get(repo);
+    const from = prev ?? PluginState.UNKNOWN;
+    const source = opts.source || 'client';
+
+    if (!isPluginState(state)) {
+      this.recordBlocked({ repo, from, to: String(state), source, reason: 'unknown_state', timestamp: Date.now() });
+      return false;
+    }
+    if (prev === state) return true;
+    if (!opts.force && !canTransition(from, state)) {
+      this.recordBlocked({ repo, from, to: state, source, reason: 'invalid_transition', timestamp: Date.now() });
+      this.emitTransition({ repo, from: prev ?? null, to: state, source, forced: false, outcome: 'blocked' });
+      return false;
+    }
+
     this.states.set(repo, state);
-    // Always enable debug logging in development (browser environment)
-    if (true) {
+    debugLog(pageWindow(), 'info', 'FSM Transition', `[RepositoryFSM] ${repo}: ${prev ?? '∅'} -> ${state} (${source}${opts.force ? ', forced' : ''})`, {
+      category: 'fsm',
+      repo,
+      payload: { from: prev ?? null, to: state, source, forced: !!opts.force },
+    });
+    this.listeners.forEach((fn) => fn(repo, state));
+    this.emitTransition({ repo, from: prev ?? null, to: state, source, forced: !!opts.force, outcome: 'applied', eventId: opts.eventId });
+    return true;
+  }
+
+  private emitTransition(record: TransitionRecord): void {
+    this.transitionListeners.forEach((fn) => {
       try {
-        // Preserve/improve debug output
-        const msg = `[RepositoryFSM] ${repo}: ${prev ?? '∅'} -> ${state}`;
-        if (typeof window !== 'undefined' && (window as any).sbiDebug) {
-          (window as any).sbiDebug.addEntry('info', 'FSM Transition', msg);
-        } else {
-          // eslint-disable-next-line no-console
-          console.log(msg);
-        }
+        fn(record);
       } catch {}
-    }
-    this.listeners.forEach((fn) => fn(repo, state));
+    });
+  }
+
+  getBlockedTransitions(): BlockedTransition[] {
+    return this.blocked.slice();
+  }
+
+  clearBlockedTransitions(): void {
+    this.blocked = [];
+  }
+
+  // Point-in-time copy of client state for the diagnostic bundle
+  snapshot(): {
+    states: Record<RepoId, PluginState>;
+    pending: Record<RepoId, string>;
+    remotePending: Record<RepoId, string>;
+    errors: Record<RepoId, ErrorContext>;
+    blocked: BlockedTransition[];
+  } {
+    return {
+      states: Object.fromEntries(this.states),
+      pending: Object.fromEntries(this.pending),
+      remotePending: Object.fromEntries(this.remotePending),
+      errors: Object.fromEntries(this.errorContexts),
+      blocked: this.blocked.slice(),
+    };
+  }
+
+  private recordBlocked(entry: BlockedTransition): void {
+    this.blocked.push(entry);
+    if (this.blocked.length > this.maxBlocked) this.blocked.shift();
+
+    const msg = `${entry.repo}: ${entry.from} -> ${entry.to} rejected (${entry.reason}, source: ${entry.source})`;
+    debugLog(pageWindow(), 'warning', 'FSM Transition Blocked', msg, { category: 'fsm', repo: entry.repo, payload: entry });
+  }
+
+  /**
+   * Mark a row action as in flight. Returns false if another action already
+   * holds the row; while pending, applyToRow() disables every action button.
+   */
+  beginAction(repo: RepoId, action: string): boolean {
+    if (this.pending.has(repo)) return false;
+    this.pending.set(repo, action);
+    this.reapply(repo);
+    this.emitPending(repo, action);
+    return true;
+  }
+
+  endAction(repo: RepoId): void {
+    if (!this.pending.delete(repo)) return;
+    this.reapply(repo);
+    this.emitPending(repo, null);
+  }
+
+  private emitPending(repo: RepoId, action: string | null): void {
+    this.pendingListeners.forEach((fn) => {
+      try {
+        fn(repo, action);
+      } catch {}
+    });
   }
 
-  // Apply state to DOM row: minimal façade that can evolve later
+  getPendingAction(repo: RepoId): string | undefined {
+    return this.pending.get(repo);
+  }
+
+  // Another tab is running an action on the row: lock it here too (null clears)
+  setRemoteAction(repo: RepoId, action: string | null): void {
+    if (action) this.remotePending.set(repo, action);
+    else if (!this.remotePending.delete(repo)) return;
+    this.reapply(repo);
+  }
+
+  getRemoteAction(repo: RepoId): string | undefined {
+    return this.remotePending.get(repo);
+  }
+
+  // Re-render a row from the known state, falling back to what the server rendered
+  private reapply(repo: RepoId): void {
+    if (typeof document === 'undefined') return;
+    const row = this.rowFor(repo);
+    const state = this.get(repo) ?? (row?.dataset.repoState as PluginState | undefined);
+    if (row && state && isPluginState(state)) this.applyToRow(repo, state);
+  }
+
+  private rowFor(repo: RepoId): HTMLTableRowElement | null {
+    return rowRegistry.get(repo) || (document.querySelector(`tr[data-repository="${repo}"]`) as HTMLTableRowElement | null);
+  }
+
+  /**
+   * Apply state to a row. Updates are coalesced per repository and written on
+   * the next animation frame, so a burst of SSE transitions costs one DOM pass.
+   */
   applyToRow(repo: RepoId, state: PluginState): void {
-    // Use data-repository attribute for more resilient DOM targeting
-    const row = document.querySelector(`[data-repository="${repo}"]`) as HTMLTableRowElement | null;
+    if (typeof document === 'undefined') return;
+    this.rowUpdates.set(repo, state);
+    if (this.rowFrame !== null) return;
+    const raf = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : (fn: () => void) => setTimeout(fn, 16) as unknown as number;
+    this.rowFrame = raf(() => this.flushRows());
+  }
+
+  // Write queued row updates now (also used where the DOM must be current synchronously)
+  flushRows(): void {
+    this.rowFrame = null;
+    const updates = Array.from(this.rowUpdates);
+    this.rowUpdates.clear();
+    updates.forEach(([repo, state]) => this.applyNow(repo, state));
+  }
+
+  private applyNow(repo: RepoId, state: PluginState): void {
+    // Registry rows are updated even while windowed out of the DOM
+    const row = this.rowFor(repo);
     if (!row) {
       this.debugLog(`Row not found for repository: ${repo}`, 'error');
       return;
     }
 
     // Enhanced UX with error handling and recovery options
-    const isInstalled = state === PluginState.INSTALLED_ACTIVE || state === PluginState.INSTALLED_INACTIVE;
+    const installed = isInstalled(state);
     const isError = state === PluginState.ERROR;
+    const isBusy = state === PluginState.INSTALLING;
 
     const installBtn = row.querySelector('.sbi-install-plugin') as HTMLButtonElement | null;
+    const updateBtn = row.querySelector('.sbi-update-plugin') as HTMLButtonElement | null;
     const activateBtn = row.querySelector('.sbi-activate-plugin') as HTMLButtonElement | null;
     const deactivateBtn = row.querySelector('.sbi-deactivate-plugin') as HTMLButtonElement | null;
+    const refreshBtn = row.querySelector('.sbi-refresh-status, .sbi-refresh-repository') as HTMLButtonElement | null;
 
     // Standard button state management
-    if (installBtn) installBtn.disabled = isInstalled || isError;
-    if (activateBtn) activateBtn.disabled = state !== PluginState.INSTALLED_INACTIVE;
-    if (deactivateBtn) deactivateBtn.disabled = state !== PluginState.INSTALLED_ACTIVE;
+    if (installBtn) installBtn.disabled = installed || isError || isBusy;
+    if (updateBtn) updateBtn.disabled = state !== PluginState.UPDATE_AVAILABLE;
+    // With an update pending the server renders whichever of activate/deactivate applies
+    if (activateBtn) activateBtn.disabled = state !== PluginState.INSTALLED_INACTIVE && state !== PluginState.UPDATE_AVAILABLE;
+    if (deactivateBtn) deactivateBtn.disabled = state !== PluginState.INSTALLED_ACTIVE && state !== PluginState.UPDATE_AVAILABLE;
+    if (refreshBtn) refreshBtn.disabled = false;
+
+    // In-flight row action: lock the row and show progress on the acting button
+    const remote = this.pending.has(repo) ? undefined : this.remotePending.get(repo);
+    const pending = this.pending.get(repo) ?? (isBusy && !remote ? 'install' : undefined);
+    const locked = this.pending.has(repo) || remote !== undefined;
+    const buttons: Array<[HTMLButtonElement | null, string]> = [
+      [installBtn, 'install'],
+      [updateBtn, 'update'],
+      [activateBtn, 'activate'],
+      [deactivateBtn, 'deactivate'],
+      [refreshBtn, 'refresh'],
+    ];
+    buttons.forEach(([btn, action]) => {
+      if (!btn) return;
+      if (btn.dataset.sbiLabel === undefined) btn.dataset.sbiLabel = btn.textContent || '';
+      btn.textContent = pending === action ? BUSY_LABELS[action] : remote === action ? REMOTE_LABELS[action] : btn.dataset.sbiLabel;
+      if (locked) btn.disabled = true;
+    });
+    row.classList.toggle('sbi-remote-busy', remote !== undefined);
+    row.setAttribute('aria-busy', locked || isBusy ? 'true' : 'false');
+    // Changing the ref mid-install would not affect the running request
+    const refSelect = row.querySelector('.sbi-ref-select') as HTMLSelectElement | null;
+    if (refSelect) refSelect.disabled = isBusy || locked;
 
     // Enhanced error state handling
     if (isError) {
@@ -83,61 +301,30 @@ export class RepositoryFSM {
     }
   }
 
-  // SSE Integration Methods
+  // SSE Integration Methods: state updates arrive through the shared stream (lib/stateStream)
   initSSE(windowObj: Window): void {
     const w = windowObj as any;
-    if (!w.sbiAjax || this.eventSource) return;
+    if (!w.sbiAjax || this.unsubscribeStream) return;
 
-    // Check if SSE is enabled
     this.sseEnabled = !!w.sbiAjax.sseEnabled;
-    if (!this.sseEnabled) {
-      this.debugLog('SSE disabled in configuration');
-      return;
-    }
-
-    try {
-      const sseUrl = w.sbiAjax.ajaxurl + '?action=sbi_state_stream';
-      this.eventSource = new EventSource(sseUrl);
-
-      this.eventSource.addEventListener('open', () => {
-        this.debugLog('SSE connection opened');
-      });
-
-      this.eventSource.addEventListener('error', (e) => {
-        this.debugLog('SSE connection error', 'error');
-        // Auto-reconnect is handled by EventSource
-      });
-
-      this.eventSource.addEventListener('state_changed', (e) => {
-        try {
-          const payload = JSON.parse(e.data || '{}');
-          const repo = payload.repository;
-          const toState = payload.to;
-
-          if (repo && toState) {
-            this.debugLog(`SSE state update: ${repo} -> ${toState}`);
-            // Convert string state to PluginState enum
-            const state = this.stringToPluginState(toState);
-            if (state) {
-              this.set(repo, state);
-              this.applyToRow(repo, state);
-            }
-          }
-        } catch (err) {
-          this.debugLog(`SSE event parsing error: ${err}`, 'error');
-        }
-      });
-
-    } catch (err) {
-      this.debugLog(`SSE initialization error: ${err}`, 'error');
-    }
+    const stream = getStateStream(windowObj);
+    this.unsubscribeStream = stream.onStateChanged((evt) => {
+      // Convert string state to PluginState enum
+      const state = this.stringToPluginState(evt.to);
+      if (!state) return;
+      if (evt.source === 'sse') this.debugLog(`SSE state update: ${evt.repository} -> ${evt.to}`);
+      if (this.set(evt.repository, state, { force: true, source: evt.source, eventId: evt.id })) {
+        this.applyToRow(evt.repository, state);
+      }
+    });
+    stream.start();
   }
 
   closeSSE(): void {
-    if (this.eventSource) {
-      this.eventSource.close();
-      this.eventSource = null;
-      this.debugLog('SSE connection closed');
+    if (this.unsubscribeStream) {
+      this.unsubscribeStream();
+      this.unsubscribeStream = null;
+      this.debugLog('Stopped listening to state stream');
     }
   }
 
@@ -149,22 +336,15 @@ export class RepositoryFSM {
       'not_plugin': PluginState.NOT_PLUGIN,
       'installed_inactive': PluginState.INSTALLED_INACTIVE,
       'installed_active': PluginState.INSTALLED_ACTIVE,
+      'update_available': PluginState.UPDATE_AVAILABLE,
       'installing': PluginState.INSTALLING,
       'error': PluginState.ERROR,
     };
     return stateMap[stateStr] || null;
   }
 
-  private debugLog(message: string, level: 'info' | 'error' = 'info'): void {
-    try {
-      const fullMessage = `[RepositoryFSM] ${message}`;
-      if (typeof window !== 'undefined' && (window as any).sbiDebug) {
-        (window as any).sbiDebug.addEntry(level, 'FSM SSE', fullMessage);
-      } else {
-        // eslint-disable-next-line no-console
-        console.log(fullMessage);
-      }
-    } catch {}
+  private debugLog(message: string, level: 'info' | 'error' = 'info', payload?: Record<string, unknown>): void {
+    debugLog(pageWindow(), level, 'FSM SSE', `[RepositoryFSM] ${message}`, { category: 'fsm', payload });
   }
 
   // Helper method to check if a repository is in a specific state
@@ -174,18 +354,39 @@ export class RepositoryFSM {
 
   // Enhanced Error Handling Methods
 
-  setError(repo: RepoId, message: string, source: string, recoverable: boolean = true): void {
+  /**
+   * Move a repository to ERROR. Retry eligibility comes from the classified
+   * cause (see lib/errors classifyError); a bare message is classified as unknown.
+   */
+  setError(repo: RepoId, error: ClassifiedError | string, source: string): boolean {
+    const classified = typeof error === 'string' ? classifyError(error, { repository: repo }) : error;
+    if (!this.set(repo, PluginState.ERROR, { source })) {
+      // e.g. NOT_PLUGIN -> ERROR is not a legal move; keep the cause visible instead of dropping it
+      this.debugLog(`Error for ${repo} not applied (${this.get(repo) ?? 'unknown'} -> error blocked): ${classified.message}`, 'error', {
+        source,
+        code: classified.code,
+        recoverable: classified.recoverable,
+        hints: classified.hints,
+      });
+      return false;
+    }
+
     const errorContext: ErrorContext = {
       timestamp: Date.now(),
-      message,
+      message: classified.message,
       source,
       retryCount: 0,
-      recoverable,
+      recoverable: classified.recoverable,
+      code: classified.code,
+      hints: classified.hints,
     };
 
     this.errorContexts.set(repo, errorContext);
-    this.set(repo, PluginState.ERROR);
-    this.debugLog(`Error set for ${repo}: ${message} (source: ${source}, recoverable: ${recoverable})`, 'error');
+    this.debugLog(
+      `Error set for ${repo}: ${classified.message} (source: ${source}, code: ${classified.code}, recoverable: ${classified.recoverable})`,
+      'error'
+    );
+    return true;
   }
 
   getErrorContext(repo: RepoId): ErrorContext | null {
@@ -213,33 +414,31 @@ export class RepositoryFSM {
 
     this.debugLog(`Retrying ${repo} (attempt ${errorContext.retryCount}/${this.maxRetries})`);
 
+    const windowObj = pageWindow();
+    if (!windowObj) return false;
+    // CHECKING until the server answers with the row and its state
+    this.set(repo, PluginState.CHECKING, { source: 'retry' });
+
+    let failure: ClassifiedError;
     try {
-      // Transition back to CHECKING state to restart the process
-      this.set(repo, PluginState.CHECKING);
-
-      // Trigger a refresh via the backend
-      if (typeof window !== 'undefined' && (window as any).sbiAjax) {
-        const response = await fetch((window as any).sbiAjax.ajaxurl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-          body: new URLSearchParams({
-            action: 'sbi_refresh_repository',
-            repository: repo,
-            nonce: (window as any).sbiAjax.nonce,
-          }),
-        });
-
-        if (response.ok) {
-          this.debugLog(`Retry initiated for ${repo}`);
-          return true;
-        } else {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
+      const resp = await refreshRepository(windowObj, repo);
+      if (resp.success) {
+        this.clearError(repo);
+        applyRowResponse(windowObj, repo, resp.data, 'retry');
+        this.debugLog(`Retry succeeded for ${repo}`);
+        return true;
       }
+      failure = classifyError(resp, { repository: repo, action: 'refresh' });
     } catch (error) {
-      this.debugLog(`Retry failed for ${repo}: ${error}`, 'error');
-      this.setError(repo, `Retry failed: ${error}`, 'retry_mechanism', errorContext.recoverable);
+      failure = classifyError(error, { repository: repo, action: 'refresh' });
+    }
+    this.debugLog(`Retry failed for ${repo}: ${failure.message}`, 'error');
+    if (this.setError(repo, { ...failure, message: `Retry failed: ${failure.message}` }, 'retry_mechanism')) {
+      this.applyToRow(repo, PluginState.ERROR);
     }
+    // setError starts a fresh context; keep counting attempts against the original failure
+    const next = this.errorContexts.get(repo);
+    if (next) next.retryCount = errorContext.retryCount;
 
     return false;
   }
@@ -276,9 +475,16 @@ export class RepositoryFSM {
 
     // Find or create error display container
     let errorContainer = row.querySelector('.sbi-error-display') as HTMLElement;
+    const created = !errorContainer;
     if (!errorContainer) {
       errorContainer = document.createElement('div');
       errorContainer.className = 'sbi-error-display';
+      errorContainer.id = `sbi-error-${repo.replace(/[^A-Za-z0-9_-]/g, '-')}`;
+      // Focus target for keyboard users; the row points at it so the error is read with the row
+      errorContainer.tabIndex = -1;
+      errorContainer.setAttribute('role', 'group');
+      errorContainer.setAttribute('aria-label', `Error for ${repo}`);
+      row.setAttribute('aria-describedby', errorContainer.id);
       errorContainer.style.cssText = 'background: #ffeaea; border: 1px solid #d63638; padding: 8px; margin: 4px 0; border-radius: 3px; font-size: 12px;';
 
       // Insert after the first cell
@@ -288,37 +494,73 @@ export class RepositoryFSM {
       }
     }
 
-    // Build error message with context
+    // Build error message with context; server and GitHub text is only ever set as text
     const timeAgo = this.formatTimeAgo(errorContext.timestamp);
-    let errorHtml = `<strong>Error:</strong> ${errorContext.message}<br>`;
-    errorHtml += `<small>Source: ${errorContext.source} • ${timeAgo}</small>`;
+    const append = <K extends keyof HTMLElementTagNameMap>(parent: HTMLElement, tag: K, text?: string, css?: string) => {
+      const el = document.createElement(tag);
+      if (text !== undefined) el.textContent = text;
+      if (css) el.style.cssText = css;
+      parent.appendChild(el);
+      return el;
+    };
+    errorContainer.textContent = '';
+    append(errorContainer, 'strong', `${ERROR_DEFINITIONS[errorContext.code].title}:`);
+    errorContainer.appendChild(document.createTextNode(` ${errorContext.message}`));
+    append(errorContainer, 'br');
+    append(errorContainer, 'small', `Source: ${errorContext.source} • ${timeAgo}`);
+    if (errorContext.hints.length) {
+      const list = append(errorContainer, 'ul', undefined, 'margin: 4px 0 0 16px; list-style: disc;');
+      list.className = 'sbi-error-hints';
+      errorContext.hints.forEach((hint) => {
+        const li = append(list, 'li');
+        if (hint.url && /^https?:\/\//i.test(hint.url)) {
+          const link = append(li, 'a', hint.text);
+          link.href = hint.url;
+          link.target = '_blank';
+          link.rel = 'noopener noreferrer';
+        } else {
+          li.textContent = hint.text;
+        }
+      });
+    }
 
     if (errorContext.retryCount > 0) {
-      errorHtml += `<br><small>Retries: ${errorContext.retryCount}/${this.maxRetries}</small>`;
+      append(errorContainer, 'br');
+      append(errorContainer, 'small', `Retries: ${errorContext.retryCount}/${this.maxRetries}`);
     }
 
     // Add retry button if recoverable
+    append(errorContainer, 'br');
+    let retryBtn: HTMLButtonElement | null = null;
     if (errorContext.recoverable && this.canRetry(repo)) {
-      errorHtml += `<br><button class="button button-small sbi-retry-btn" data-repo="${repo}" style="margin-top: 4px;">Retry</button>`;
-    } else if (!errorContext.recoverable) {
-      errorHtml += `<br><small style="color: #d63638;">Non-recoverable error</small>`;
+      retryBtn = append(errorContainer, 'button', 'Retry', 'margin-top: 4px;');
+      retryBtn.type = 'button';
+      retryBtn.className = 'button button-small sbi-retry-btn';
+      retryBtn.dataset.repo = repo;
+      retryBtn.setAttribute('aria-label', `Retry ${repo}`);
+      const button = retryBtn;
+      button.onclick = () => this.handleRetryClick(repo, button);
     } else {
-      errorHtml += `<br><small style="color: #d63638;">Max retries reached</small>`;
+      append(errorContainer, 'small', errorContext.recoverable ? 'Max retries reached' : 'Non-recoverable error', 'color: #d63638;');
     }
 
-    errorContainer.innerHTML = errorHtml;
-
-    // Attach retry handler
-    const retryBtn = errorContainer.querySelector('.sbi-retry-btn') as HTMLButtonElement;
-    if (retryBtn) {
-      retryBtn.onclick = () => this.handleRetryClick(repo, retryBtn);
+    // The button that failed is disabled now, which drops focus to the page: move it to the error instead
+    if (created && row.isConnected && focusLostOrWithin(row)) {
+      (retryBtn || errorContainer).focus();
     }
   }
 
   private clearErrorDisplay(row: HTMLTableRowElement): void {
     const errorContainer = row.querySelector('.sbi-error-display');
     if (errorContainer) {
+      // Keep keyboard users on the row rather than losing focus with the removed error
+      const hadFocus = errorContainer.contains(document.activeElement);
       errorContainer.remove();
+      row.removeAttribute('aria-describedby');
+      if (hadFocus) {
+        if (!row.hasAttribute('tabindex')) row.tabIndex = -1;
+        row.focus();
+      }
     }
   }
 
@@ -351,5 +593,27 @@ export class RepositoryFSM {
   }
 }
 
+const BUSY_LABELS: Record<string, string> = {
+  install: 'Installing...',
+  update: 'Updating...',
+  activate: 'Activating...',
+  deactivate: 'Deactivating...',
+  refresh: 'Refreshing...',
+};
+
+const REMOTE_LABELS: Record<string, string> = {
+  install: 'Installing in another tab...',
+  update: 'Updating in another tab...',
+  activate: 'Activating in another tab...',
+  deactivate: 'Deactivating in another tab...',
+  refresh: 'Refreshing in another tab...',
+};
+
+// Focus is on nothing in particular, or already somewhere in the row
+function focusLostOrWithin(row: HTMLElement): boolean {
+  const active = document.activeElement;
+  return !active || active === document.body || row.contains(active);
+}
+
 export const repositoryFSM = new RepositoryFSM();
 
@@ -0,0 +1,966 @@
+import { PluginState, STATE_LABELS, isPluginState } from '../types/fsm';
+import type { SbiAjax } from '../types/wp-globals';
+import { wpAjaxFetch } from '../lib/ajaxClient';
+import { debugLog } from '../lib/debugStore';
+import type { DebugLevel } from '../lib/debugStore';
+import { classifyError, responseErrorMessage } from '../lib/errors';
+import type { ClassifiedError } from '../lib/errors';
+import { rateLimit } from '../lib/rateLimit';
+import { getSnapshotStore, snapshotKey } from '../lib/stateSnapshot';
+import type { SnapshotEntry, StateSnapshot } from '../lib/stateSnapshot';
+import { notify } from './notificationCenter';
+import { repositoryFSM } from './repositoryFSM';
+import { rowRegistry } from './rowRegistry';
+
+// Repository object as returned by sbi_fetch_repository_list (GitHub API shape, trimmed)
+export interface ScanRepository {
+  full_name: string;
+  name: string;
+  description?: string | null;
+  [k: string]: unknown;
+}
+
+export type ScanItemStatus = 'queued' | 'scanning' | 'done' | 'failed' | 'cancelled';
+
+interface ScanItemRecord {
+  status: ScanItemStatus;
+  row_html?: string;
+  error?: string;
+  checkedAt?: number; // epoch ms the row was rendered
+}
+
+interface ScanSnapshot {
+  version: 1;
+  organization: string;
+  limit: number;
+  savedAt: number;
+  repositories: ScanRepository[];
+  items: Record<string, ScanItemRecord>;
+}
+
+export interface ScanProgress {
+  total: number;
+  done: number;
+  failed: number;
+  scanning: number;
+  queued: number;
+  cancelled: number;
+  concurrency: number;
+  delayMs: number;
+  running: boolean;
+  rateLimitedUntil?: number; // epoch ms; set while waiting for the GitHub quota to refill
+}
+
+export interface RepositoryScannerOptions {
+  columns: string[]; // list table column ids, used to build placeholder rows
+  limit?: number; // sbi_repository_limit
+  maxConcurrency?: number; // default 4
+  minDelayMs?: number; // default 0
+  maxDelayMs?: number; // default 10000
+  initialDelayMs?: number; // default 500
+  timeoutMs?: number; // default 60000
+  fastMs?: number; // responses faster than this speed the scan up, default 3000
+  fresh?: boolean; // ignore persisted progress and saved rows, and start over
+  staleAfterMs?: number; // saved rows older than this are checked again in the background, default 15 min
+  onProgress?: (progress: ScanProgress) => void;
+  onListError?: (message: string) => void;
+  onEmpty?: () => void;
+  onComplete?: (progress: ScanProgress) => void;
+}
+
+const STORAGE_KEY = 'sbi_scan_state';
+const SNAPSHOT_TTL_MS = 30 * 60 * 1000;
+// Saved rows are written at most this often while a scan runs
+const STORE_DEBOUNCE_MS = 2000;
+// State changes that did not come with a fresh row; the saved copy is rechecked next visit
+const REMOTE_SOURCES = new Set(['sse', 'heartbeat', 'poll', 'tab']);
+
+function formatAge(ts: number): string {
+  const minutes = Math.floor(Math.max(0, Date.now() - ts) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'} ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours} ${hours === 1 ? 'hour' : 'hours'} ago`;
+  return `${Math.floor(hours / 24)} days ago`;
+}
+
+function lastCheckedText(checkedAt: number): string {
+  return checkedAt ? `Last checked ${formatAge(checkedAt)}` : 'Changed since it was last checked';
+}
+
+// "Last checked 2 hours ago" under the name of a row shown from the saved snapshot
+function markLastChecked(row: HTMLTableRowElement, checkedAt: number): void {
+  const cell = row.querySelector('td.column-name') || row.querySelector('td:not(.check-column)');
+  if (!cell) return;
+  cell.querySelector('.sbi-last-checked')?.remove();
+  const marker = document.createElement('div');
+  marker.className = 'sbi-last-checked';
+  marker.dataset.checkedAt = String(checkedAt);
+  marker.textContent = lastCheckedText(checkedAt);
+  if (checkedAt) marker.title = new Date(checkedAt).toLocaleString();
+  cell.appendChild(marker);
+}
+
+function stateLabel(state: string): string {
+  return isPluginState(state) ? STATE_LABELS[state] : state;
+}
+
+function spinner(): HTMLSpanElement {
+  const s = document.createElement('span');
+  s.className = 'spinner is-active';
+  s.style.cssText = 'float: none; margin: 0 5px 0 0;';
+  return s;
+}
+
+/**
+ * Progressive repository scanner. Replaces the sequential inline loader:
+ * runs sbi_process_repository + sbi_render_repository_row with bounded
+ * parallelism, adapts pacing to response times (additive increase,
+ * multiplicative decrease) and persists progress in sessionStorage.
+ *
+ * Rendered rows are also saved per organization (src/ts/lib/stateSnapshot.ts).
+ * The next visit shows them at once, marked with when they were last
+ * checked, then fetches the list in the background: added repositories are
+ * scanned, removed ones dropped and rows older than staleAfterMs rechecked.
+ */
+export class RepositoryScanner {
+  private readonly windowObj: Window;
+  private readonly organization: string;
+  private readonly opts: Required<Omit<RepositoryScannerOptions, 'onProgress' | 'onListError' | 'onEmpty' | 'onComplete' | 'fresh'>> &
+    RepositoryScannerOptions;
+  private repositories: ScanRepository[] = [];
+  private items: Map<string, ScanItemRecord> = new Map();
+  private queue: ScanRepository[] = [];
+  private inFlight = 0;
+  private running = false;
+  private concurrency = 1;
+  private delayMs: number;
+  private fastStreak = 0;
+  private nextDispatchAt = 0;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private generation = 0; // bumped by restart() so stale in-flight results are dropped
+  private rateHoldUntil = 0;
+  private rateRequeued: Set<string> = new Set();
+  private unsubscribeRate: (() => void) | null = null;
+  // Saved rows (IndexedDB), and the repositories whose on-screen row still comes from there
+  private stored: Map<string, SnapshotEntry> = new Map();
+  private cached: Set<string> = new Set();
+  private listCheckedAt = 0;
+  private storeTimer: ReturnType<typeof setTimeout> | null = null;
+  private markerTimer: ReturnType<typeof setInterval> | null = null;
+  private changed: string[] = [];
+  private unsubscribeFsm: (() => void) | null = null;
+
+  constructor(windowObj: Window, organization: string, opts: RepositoryScannerOptions) {
+    this.windowObj = windowObj;
+    this.organization = organization;
+    this.opts = {
+      limit: 0,
+      maxConcurrency: 4,
+      minDelayMs: 0,
+      maxDelayMs: 10000,
+      initialDelayMs: 500,
+      timeoutMs: 60000,
+      fastMs: 3000,
+      staleAfterMs: 15 * 60 * 1000,
+      ...opts,
+    };
+    this.concurrency = Math.min(2, this.opts.maxConcurrency);
+    this.delayMs = this.opts.initialDelayMs;
+  }
+
+  async start(): Promise<void> {
+    if (this.running) return;
+    this.watchRemoteChanges();
+    const saved = this.opts.fresh ? null : await getSnapshotStore().load(this.organization, this.opts.limit);
+    if (saved) {
+      this.stored = new Map(Object.entries(saved.entries));
+      this.listCheckedAt = saved.listCheckedAt;
+    }
+    const snapshot = this.opts.fresh ? null : this.loadSnapshot();
+    if (snapshot) {
+      this.restore(snapshot);
+    } else if (saved && this.stored.size) {
+      this.restoreSaved(saved);
+      const ok = await this.revalidate();
+      if (!ok) return;
+    } else {
+      this.clearSnapshot();
+      const ok = await this.fetchList();
+      if (!ok) return;
+    }
+    this.run();
+  }
+
+  cancel(): void {
+    if (!this.running) return;
+    this.running = false;
+    this.clearTimer();
+    this.stopRateHold();
+    this.queue.forEach((repo) => {
+      this.items.set(repo.full_name, { status: 'cancelled' });
+      this.setPlaceholderText(repo.full_name, 'Scan cancelled');
+    });
+    this.queue = [];
+    this.log('warning', `Scan cancelled (${this.inFlight} request(s) still finishing)`);
+    this.persist();
+    this.emitProgress();
+  }
+
+  // Re-queue repositories that were cancelled before being scanned
+  resume(): void {
+    this.requeue('cancelled');
+  }
+
+  rescanFailed(): void {
+    this.requeue('failed');
+  }
+
+  // Drop persisted progress and scan the organization again from scratch
+  async restart(): Promise<void> {
+    this.cancel();
+    this.generation++;
+    this.clearSnapshot();
+    void getSnapshotStore().remove(this.organization, this.opts.limit);
+    this.stored.clear();
+    this.cached.clear();
+    this.changed = [];
+    this.items.clear();
+    this.repositories = [];
+    rowRegistry.clear();
+    this.concurrency = Math.min(2, this.opts.maxConcurrency);
+    this.delayMs = this.opts.initialDelayMs;
+    const ok = await this.fetchList();
+    if (ok) this.run();
+  }
+
+  isRunning(): boolean {
+    return this.running;
+  }
+
+  getProgress(): ScanProgress {
+    const counts: Record<ScanItemStatus, number> = { queued: 0, scanning: 0, done: 0, failed: 0, cancelled: 0 };
+    this.items.forEach((rec) => counts[rec.status]++);
+    return {
+      total: this.repositories.length,
+      ...counts,
+      concurrency: this.concurrency,
+      delayMs: Math.round(this.delayMs),
+      running: this.running,
+      rateLimitedUntil: this.rateHoldUntil || undefined,
+    };
+  }
+
+  // Repository list from the server; null when the request failed (after onError)
+  private async requestList(onError: (message: string) => void): Promise<ScanRepository[] | null> {
+    this.log('info', `Fetching repository list for ${this.organization} (limit ${this.opts.limit})`);
+    const resp = await wpAjaxFetch(
+      this.windowObj,
+      { action: 'sbi_fetch_repository_list', organization: this.organization, limit: this.opts.limit, nonce: this.nonce() },
+      { timeoutMs: this.opts.timeoutMs }
+    );
+    if (!resp.success) {
+      const message = responseErrorMessage(resp, 'Unknown error');
+      this.log('error', `Failed to fetch repositories: ${message}`);
+      onError(`Failed to fetch repositories: ${message}`);
+      return null;
+    }
+
+    const repositories = (resp.data.repositories || []) as ScanRepository[];
+    this.listCheckedAt = Date.now();
+    const totalAvail = resp.data.total_available;
+    this.log(
+      'info',
+      `Found ${repositories.length} repositories to process (limit ${resp.data.limit_used ?? this.opts.limit})` +
+        (totalAvail !== null && totalAvail !== undefined ? `, GitHub total available: ${totalAvail}` : '')
+    );
+    return repositories;
+  }
+
+  private async fetchList(): Promise<boolean> {
+    const repositories = await this.requestList((message) => this.opts.onListError?.(message));
+    if (!repositories) return false;
+    this.repositories = repositories;
+    if (!this.repositories.length) {
+      this.opts.onEmpty?.();
+      return false;
+    }
+
+    this.showTable();
+    this.repositories.forEach((repo) => {
+      this.items.set(repo.full_name, { status: 'queued' });
+      this.appendPlaceholder(repo, 'Queued');
+    });
+    this.queue = this.repositories.slice();
+    this.persist();
+    this.updateItemCount();
+    return true;
+  }
+
+  private restore(snapshot: ScanSnapshot): void {
+    this.repositories = snapshot.repositories;
+    this.showTable();
+    this.repositories.forEach((repo) => {
+      const rec = snapshot.items[repo.full_name] || { status: 'queued' };
+      if (rec.status === 'done' && rec.row_html) {
+        const row = rowRegistry.replace(repo.full_name, rec.row_html);
+        this.items.set(repo.full_name, rec);
+        const state = row?.dataset.repoState;
+        if (state) repositoryFSM.set(repo.full_name, state as PluginState, { force: true, source: 'snapshot' });
+        return;
+      }
+      // Not scanned yet in this session, but a saved row is better than a placeholder
+      if (this.showSaved(repo.full_name)) {
+        this.items.set(repo.full_name, rec.status === 'scanning' ? { status: 'queued' } : rec);
+        if (rec.status === 'queued' || rec.status === 'scanning') this.queue.push(repo);
+        return;
+      }
+      if (rec.status === 'failed' || rec.status === 'cancelled') {
+        this.appendPlaceholder(repo, rec.status === 'cancelled' ? 'Scan cancelled' : 'Queued');
+        if (rec.status === 'failed') this.showRowError(repo.full_name, rec.error || 'Unknown error');
+        this.items.set(repo.full_name, rec);
+        return;
+      }
+      // queued, or in flight when the page was left
+      this.appendPlaceholder(repo, 'Queued');
+      this.items.set(repo.full_name, { status: 'queued' });
+      this.queue.push(repo);
+    });
+    const p = this.getProgress();
+    this.log('info', `Restored scan from session: ${p.done} done, ${p.failed} failed, ${this.queue.length} remaining`);
+    this.startMarkerTicker();
+    this.updateItemCount();
+  }
+
+  // Rows from the last visit, shown before anything is requested
+  private restoreSaved(saved: StateSnapshot): void {
+    this.repositories = saved.repositories as ScanRepository[];
+    this.showTable();
+    this.repositories.forEach((repo) => {
+      const entry = this.stored.get(repo.full_name);
+      if (entry && this.showSaved(repo.full_name)) {
+        this.items.set(repo.full_name, { status: 'done', row_html: entry.row_html, checkedAt: entry.checkedAt });
+        return;
+      }
+      this.appendPlaceholder(repo, 'Queued');
+      this.items.set(repo.full_name, { status: 'queued' });
+    });
+    this.log('info', `Showing ${this.cached.size} saved repositories from ${formatAge(saved.savedAt)}; checking for changes in the background`);
+    this.startMarkerTicker();
+    this.updateItemCount();
+  }
+
+  private showSaved(repo: string): boolean {
+    const entry = this.stored.get(repo);
+    const row = entry ? rowRegistry.replace(repo, entry.row_html) : null;
+    if (!entry || !row) return false;
+    this.cached.add(repo);
+    markLastChecked(row, entry.checkedAt);
+    const state = row.dataset.repoState;
+    if (state) repositoryFSM.set(repo, state as PluginState, { force: true, source: 'snapshot' });
+    return true;
+  }
+
+  /**
+   * Saved rows are on screen: fetch the list, add and drop repositories to
+   * match it and queue the rows that are out of date. Returns false when
+   * there is nothing to scan.
+   */
+  private async revalidate(): Promise<boolean> {
+    const savedAt = this.listCheckedAt;
+    const repositories = await this.requestList((message) => {
+      notify(`${message}. The list below is from ${formatAge(savedAt)}.`, { severity: 'warning', title: 'Could not check for changes' });
+    });
+    if (!repositories) {
+      // Offer Rescan for when GitHub is reachable again
+      this.emitProgress();
+      return false;
+    }
+    if (!repositories.length) {
+      rowRegistry.clear();
+      this.items.clear();
+      this.stored.clear();
+      this.cached.clear();
+      this.repositories = [];
+      void getSnapshotStore().remove(this.organization, this.opts.limit);
+      this.opts.onEmpty?.();
+      return false;
+    }
+
+    const listed = new Set(repositories.map((r) => r.full_name));
+    const removed = this.repositories.filter((r) => !listed.has(r.full_name)).map((r) => r.full_name);
+    removed.forEach((name) => {
+      rowRegistry.remove(name);
+      this.items.delete(name);
+      this.stored.delete(name);
+      this.cached.delete(name);
+    });
+
+    // New repositories first, then the oldest saved rows
+    const staleBefore = Date.now() - this.opts.staleAfterMs;
+    const added: ScanRepository[] = [];
+    const stale: ScanRepository[] = [];
+    let current = 0;
+    repositories.forEach((repo) => {
+      const entry = this.stored.get(repo.full_name);
+      if (entry && this.cached.has(repo.full_name) && entry.checkedAt >= staleBefore) {
+        current++;
+        return;
+      }
+      const isNew = !rowRegistry.has(repo.full_name);
+      if (isNew) this.appendPlaceholder(repo, 'Queued');
+      this.items.set(repo.full_name, { status: 'queued' });
+      (isNew ? added : stale).push(repo);
+    });
+    stale.sort((a, b) => (this.stored.get(a.full_name)?.checkedAt || 0) - (this.stored.get(b.full_name)?.checkedAt || 0));
+    this.queue = added.concat(stale);
+    this.repositories = repositories;
+    this.log(
+      'info',
+      `Checked the saved list: ${added.length} added, ${removed.length} removed, ${stale.length} to recheck, ${current} up to date`
+    );
+    if (removed.length) this.changed.push(...removed.map((name) => `${name}: no longer listed`));
+    this.persist();
+    this.schedulePersistStored();
+    this.updateItemCount();
+    return true;
+  }
+
+  // Rows re-rendered by the server after a row action replace the saved copy
+  rememberRow(repo: string, rowHtml: string, state?: string): void {
+    if (!this.items.has(repo)) return;
+    const checkedAt = Date.now();
+    this.cached.delete(repo);
+    this.stored.set(repo, { row_html: rowHtml, state, checkedAt });
+    if (this.items.get(repo)?.status === 'done') this.items.set(repo, { status: 'done', row_html: rowHtml, checkedAt });
+    this.schedulePersistStored();
+  }
+
+  private requeue(status: 'failed' | 'cancelled'): void {
+    const repos = this.repositories.filter((r) => this.items.get(r.full_name)?.status === status);
+    if (!repos.length) return;
+    repos.forEach((repo) => {
+      this.items.set(repo.full_name, { status: 'queued' });
+      this.resetPlaceholder(repo);
+      this.queue.push(repo);
+    });
+    this.log('info', `Re-queued ${repos.length} ${status} repositories`);
+    this.persist();
+    this.run();
+  }
+
+  private run(): void {
+    this.running = true;
+    // Resume as soon as the quota is known to be back (reset reached, or a fresher reading)
+    this.unsubscribeRate?.();
+    this.unsubscribeRate = rateLimit.onChange(() => {
+      if (this.rateHoldUntil && rateLimit.pauseMs() === 0) {
+        this.clearTimer();
+        this.nextDispatchAt = Date.now();
+        this.tick();
+      }
+    });
+    this.setLoadingVisible(true);
+    this.emitProgress();
+    this.tick();
+  }
+
+  private schedule(): void {
+    if (this.timer !== null || !this.running) return;
+    const wait = Math.max(0, this.nextDispatchAt - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.tick();
+    }, wait);
+  }
+
+  private clearTimer(): void {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  private tick(): void {
+    if (this.running && this.queue.length && this.inFlight < this.concurrency) {
+      if (this.holdForRateLimit()) return;
+      if (Date.now() >= this.nextDispatchAt) {
+        const repo = this.queue.shift() as ScanRepository;
+        this.nextDispatchAt = Date.now() + this.delayMs;
+        void this.scanOne(repo);
+      }
+      if (this.queue.length && this.inFlight < this.concurrency) this.schedule();
+    }
+    this.maybeComplete();
+  }
+
+  private async scanOne(repo: ScanRepository): Promise<void> {
+    const name = repo.full_name;
+    const generation = this.generation;
+    this.inFlight++;
+    this.items.set(name, { status: 'scanning' });
+    // A saved row stays usable while it is rechecked
+    const revalidating = this.cached.has(name);
+    if (revalidating) {
+      rowRegistry.get(name)?.classList.add('sbi-revalidating');
+    } else {
+      this.setPlaceholderText(name, 'Scanning for WordPress plugin...');
+      repositoryFSM.set(name, PluginState.CHECKING, { force: true, source: 'scanner' });
+    }
+    this.emitProgress();
+
+    const started = Date.now();
+    let ok = false;
+    let timedOut = false;
+    try {
+      const processed = await wpAjaxFetch(
+        this.windowObj,
+        { action: 'sbi_process_repository', repository: repo, nonce: this.nonce() },
+        { timeoutMs: this.opts.timeoutMs }
+      );
+      const latency = Date.now() - started;
+      timedOut = !processed.success && (processed.data as any)?.serverError?.code === 'timeout';
+      if (generation !== this.generation) return;
+
+      if (!processed.success) {
+        const error = classifyError(processed, { repository: name, action: 'scan' });
+        if (!this.requeueRateLimited(repo, error)) this.fail(name, error);
+      } else {
+        const isLast = this.queue.length === 0 && this.inFlight === 1;
+        const rendered = await wpAjaxFetch(
+          this.windowObj,
+          {
+            action: 'sbi_render_repository_row',
+            repository: processed.data.repository,
+            nonce: this.nonce(),
+            is_last: isLast ? 1 : 0,
+            list_total: this.repositories.length,
+            limit_used: this.opts.limit,
+          },
+          { timeoutMs: this.opts.timeoutMs }
+        );
+        if (generation !== this.generation) return;
+        if (rendered.success && rendered.data.row_html) {
+          const previous = rowRegistry.get(name)?.dataset.repoState;
+          const checkedAt = Date.now();
+          this.replaceRow(name, rendered.data.row_html);
+          this.items.set(name, { status: 'done', row_html: rendered.data.row_html, checkedAt });
+          const state = processed.data.repository && processed.data.repository.state;
+          if (state) repositoryFSM.set(name, state as PluginState, { force: true, source: 'scanner' });
+          if (revalidating) {
+            this.cached.delete(name);
+            if (state && previous && previous !== state) this.changed.push(`${name}: ${stateLabel(previous)} → ${stateLabel(state)}`);
+          }
+          this.stored.set(name, { row_html: rendered.data.row_html, state: state || undefined, checkedAt });
+          this.schedulePersistStored();
+          if (rendered.data.checksum) {
+            const cs = rendered.data.checksum;
+            this.log(
+              'info',
+              `Checksum — account: ${cs.account || '?'}, total_available: ${cs.total_available ?? '?'}, list_total: ${cs.list_total || 0}, limit_used: ${cs.limit_used || 0}`
+            );
+          }
+          ok = true;
+        } else {
+          this.fail(
+            name,
+            classifyError(rendered.success ? 'Failed to render repository row' : rendered, { repository: name, action: 'scan' })
+          );
+        }
+      }
+      this.adaptPacing(ok, latency, timedOut);
+    } catch (e) {
+      if (generation === this.generation) {
+        this.fail(name, classifyError(e, { repository: name, action: 'scan' }));
+        this.adaptPacing(false, Date.now() - started, false);
+      }
+    } finally {
+      this.inFlight--;
+      if (generation === this.generation) this.persist();
+      this.emitProgress();
+      this.tick();
+    }
+  }
+
+  // A repository that hit the rate limit goes back to the front of the queue once, to run after the reset
+  private requeueRateLimited(repo: ScanRepository, error: ClassifiedError): boolean {
+    if (error.code !== 'github_rate_limit' || this.rateRequeued.has(repo.full_name) || !this.running) return false;
+    this.rateRequeued.add(repo.full_name);
+    this.queue.unshift(repo);
+    this.items.set(repo.full_name, { status: 'queued' });
+    this.setPlaceholderText(repo.full_name, 'Waiting for the GitHub API rate limit to reset...');
+    return true;
+  }
+
+  // Wait for the GitHub quota to refill instead of failing every remaining row
+  private holdForRateLimit(): boolean {
+    const hold = rateLimit.pauseMs();
+    if (hold <= 0) {
+      if (this.rateHoldUntil) {
+        this.rateHoldUntil = 0;
+        this.log('info', 'GitHub API quota available again; scan resumed');
+        this.emitProgress();
+      }
+      return false;
+    }
+    if (!this.rateHoldUntil) {
+      this.log('warning', `GitHub API quota nearly used up; scan paused until ${new Date(Date.now() + hold).toLocaleTimeString()}`);
+    }
+    this.rateHoldUntil = Date.now() + hold;
+    this.nextDispatchAt = Math.max(this.nextDispatchAt, this.rateHoldUntil);
+    this.emitProgress();
+    this.schedule();
+    return true;
+  }
+
+  private stopRateHold(): void {
+    this.unsubscribeRate?.();
+    this.unsubscribeRate = null;
+    this.rateHoldUntil = 0;
+  }
+
+  private fail(repo: string, error: ClassifiedError): void {
+    const message = error.message;
+    this.items.set(repo, { status: 'failed', error: message });
+    if (this.cached.has(repo)) {
+      // Keep the saved row and its "last checked" marker; "Rescan failed" tries again
+      rowRegistry.get(repo)?.classList.remove('sbi-revalidating');
+      this.log('warning', `Could not recheck ${repo}, keeping the saved row: ${message} [${error.code}]`);
+      return;
+    }
+    this.showRowError(repo, message);
+    repositoryFSM.setError(repo, error, 'scanner');
+    this.log('error', `Error processing repository ${repo}: ${message} [${error.code}]`);
+  }
+
+  // AIMD: widen the window after a run of fast responses, halve it on errors or timeouts
+  private adaptPacing(ok: boolean, latencyMs: number, timedOut: boolean): void {
+    const before = `${this.concurrency}/${Math.round(this.delayMs)}ms`;
+    if (!ok || timedOut) {
+      this.fastStreak = 0;
+      this.concurrency = Math.max(1, Math.floor(this.concurrency / 2));
+      this.delayMs = Math.min(this.opts.maxDelayMs, Math.max(this.delayMs * 2, 1000));
+    } else if (latencyMs < this.opts.fastMs) {
+      this.delayMs = Math.max(this.opts.minDelayMs, this.delayMs * 0.7);
+      if (++this.fastStreak >= this.concurrency) {
+        this.fastStreak = 0;
+        this.concurrency = Math.min(this.opts.maxConcurrency, this.concurrency + 1);
+      }
+    } else if (latencyMs > this.opts.fastMs * 3) {
+      this.fastStreak = 0;
+      this.delayMs = Math.min(this.opts.maxDelayMs, this.delayMs * 1.5);
+    }
+    const after = `${this.concurrency}/${Math.round(this.delayMs)}ms`;
+    if (before !== after) this.log('info', `Pacing adjusted (concurrency/delay): ${before} -> ${after}`);
+  }
+
+  private maybeComplete(): void {
+    if (!this.running || this.queue.length || this.inFlight > 0) return;
+    this.running = false;
+    this.clearTimer();
+    this.stopRateHold();
+    this.setLoadingVisible(false);
+    this.updateItemCount();
+    const p = this.getProgress();
+    this.log(p.failed ? 'warning' : 'success', `Scan finished: ${p.done} done, ${p.failed} failed`);
+    if (this.storeTimer !== null) clearTimeout(this.storeTimer);
+    this.storeTimer = null;
+    void this.persistStored();
+    if (this.changed.length) {
+      notify(`${this.changed.length} ${this.changed.length === 1 ? 'repository has' : 'repositories have'} changed since the last visit`, {
+        details: this.changed,
+      });
+      this.changed = [];
+    }
+    this.emitProgress();
+    this.opts.onComplete?.(p);
+  }
+
+  // --- DOM helpers ---
+
+  private showTable(): void {
+    const initial = document.getElementById('sbi-initial-loading');
+    const form = document.getElementById('sbi-repository-form');
+    if (initial) initial.style.display = 'none';
+    if (form) form.style.display = '';
+    rowRegistry.attach(this.windowObj);
+  }
+
+  private setLoadingVisible(visible: boolean): void {
+    const el = document.getElementById('sbi-loading-progress');
+    if (el) el.style.display = visible ? '' : 'none';
+  }
+
+  private appendPlaceholder(repo: ScanRepository, text: string): void {
+    rowRegistry.append(this.buildPlaceholder(repo, text));
+  }
+
+  private resetPlaceholder(repo: ScanRepository): void {
+    if (this.cached.has(repo.full_name)) return;
+    if (rowRegistry.has(repo.full_name)) rowRegistry.replace(repo.full_name, this.buildPlaceholder(repo, 'Queued'));
+  }
+
+  private buildPlaceholder(repo: ScanRepository, text: string): HTMLTableRowElement {
+    const row = document.createElement('tr');
+    row.id = 'repo-' + repo.full_name.replace(/[^a-zA-Z0-9]/g, '-');
+    row.className = 'sbi-loading-row';
+    row.dataset.repository = repo.full_name;
+    row.dataset.repoName = repo.name;
+    row.dataset.repoOwner = repo.full_name.split('/')[0] || '';
+    if (typeof repo.updated_at === 'string') row.dataset.updated = repo.updated_at;
+
+    this.opts.columns.forEach((column) => {
+      const cell = document.createElement('td');
+      cell.className = 'column-' + column;
+      if (column === 'name') {
+        const strong = document.createElement('strong');
+        strong.textContent = repo.name;
+        const indicator = document.createElement('div');
+        indicator.className = 'sbi-loading-indicator';
+        indicator.appendChild(spinner());
+        indicator.appendChild(document.createTextNode(text));
+        cell.appendChild(strong);
+        cell.appendChild(indicator);
+      } else if (column === 'description') {
+        cell.textContent = repo.description || 'No description available';
+      } else if (column === 'plugin_status') {
+        const status = document.createElement('span');
+        status.className = 'sbi-status-scanning';
+        status.appendChild(spinner());
+        status.appendChild(document.createTextNode('Scanning...'));
+        cell.appendChild(status);
+      } else if (column === 'actions') {
+        const actions = document.createElement('span');
+        actions.className = 'sbi-actions-loading';
+        actions.textContent = 'Loading...';
+        cell.appendChild(actions);
+      }
+      row.appendChild(cell);
+    });
+    return row;
+  }
+
+  private setPlaceholderText(repo: string, text: string): void {
+    const indicator = rowRegistry.get(repo)?.querySelector('.sbi-loading-indicator');
+    if (!indicator) return;
+    indicator.textContent = '';
+    if (text !== 'Scan cancelled') indicator.appendChild(spinner());
+    indicator.appendChild(document.createTextNode(text));
+  }
+
+  private replaceRow(repo: string, html: string): void {
+    if (rowRegistry.has(repo)) rowRegistry.replace(repo, html);
+  }
+
+  private showRowError(repo: string, message: string): void {
+    const row = rowRegistry.get(repo);
+    if (!row) return;
+    row.querySelectorAll('.sbi-loading-indicator, .sbi-status-scanning, .sbi-actions-loading').forEach((el) => {
+      el.textContent = '';
+      const span = document.createElement('span');
+      span.style.color = '#d63638';
+      span.textContent = 'Error: ' + message;
+      el.appendChild(span);
+    });
+    row.classList.remove('sbi-loading-row');
+    row.classList.add('sbi-error-row');
+  }
+
+  private updateItemCount(): void {
+    const count = rowRegistry.size();
+    const el = document.getElementById('sbi-item-count');
+    if (el) el.textContent = `${count} items`;
+  }
+
+  // --- persistence ---
+
+  private storage(): Storage | null {
+    try {
+      return this.windowObj.sessionStorage || null;
+    } catch {
+      return null;
+    }
+  }
+
+  private loadSnapshot(): ScanSnapshot | null {
+    const store = this.storage();
+    if (!store) return null;
+    try {
+      const raw = store.getItem(STORAGE_KEY);
+      if (!raw) return null;
+      const snap = JSON.parse(raw) as ScanSnapshot;
+      if (
+        snap.version !== 1 ||
+        snap.organization !== this.organization ||
+        snap.limit !== this.opts.limit ||
+        Date.now() - snap.savedAt > SNAPSHOT_TTL_MS ||
+        !Array.isArray(snap.repositories) ||
+        !snap.repositories.length
+      ) {
+        return null;
+      }
+      return snap;
+    } catch {
+      return null;
+    }
+  }
+
+  private persist(): void {
+    const store = this.storage();
+    if (!store) return;
+    const snap: ScanSnapshot = {
+      version: 1,
+      organization: this.organization,
+      limit: this.opts.limit,
+      savedAt: Date.now(),
+      repositories: this.repositories,
+      items: Object.fromEntries(this.items),
+    };
+    try {
+      store.setItem(STORAGE_KEY, JSON.stringify(snap));
+    } catch (e) {
+      // Quota exceeded: resuming is best-effort
+      this.log('warning', `Could not persist scan progress: ${e instanceof Error ? e.message : String(e)}`);
+    }
+  }
+
+  private clearSnapshot(): void {
+    try {
+      this.storage()?.removeItem(STORAGE_KEY);
+    } catch {}
+  }
+
+  private schedulePersistStored(): void {
+    if (this.storeTimer !== null) return;
+    this.storeTimer = setTimeout(() => {
+      this.storeTimer = null;
+      void this.persistStored();
+    }, STORE_DEBOUNCE_MS);
+  }
+
+  private async persistStored(): Promise<void> {
+    if (!this.repositories.length) return;
+    const entries: Record<string, SnapshotEntry> = {};
+    this.repositories.forEach((repo) => {
+      const entry = this.stored.get(repo.full_name);
+      if (entry) entries[repo.full_name] = entry;
+    });
+    const ok = await getSnapshotStore().save({
+      key: snapshotKey(this.organization, this.opts.limit),
+      version: 1,
+      organization: this.organization,
+      limit: this.opts.limit,
+      savedAt: Date.now(),
+      listCheckedAt: this.listCheckedAt,
+      repositories: this.repositories,
+      entries,
+    });
+    if (!ok) this.log('warning', 'Could not save the repository list for the next visit');
+  }
+
+  // A state changed without a new row (live update, other tab): recheck the saved row next time
+  private watchRemoteChanges(): void {
+    if (this.unsubscribeFsm) return;
+    this.unsubscribeFsm = repositoryFSM.onTransition((t) => {
+      if (t.outcome !== 'applied' || !REMOTE_SOURCES.has(t.source)) return;
+      const entry = this.stored.get(t.repo);
+      if (!entry || !entry.checkedAt) return;
+      entry.checkedAt = 0;
+      this.schedulePersistStored();
+    });
+  }
+
+  // Keep "last checked" markers current while any are shown
+  private startMarkerTicker(): void {
+    if (this.markerTimer !== null || !this.cached.size) return;
+    this.markerTimer = setInterval(() => {
+      let shown = 0;
+      rowRegistry.all().forEach((row) => {
+        const marker = row.querySelector('.sbi-last-checked') as HTMLElement | null;
+        if (!marker) return;
+        shown++;
+        marker.textContent = lastCheckedText(Number(marker.dataset.checkedAt) || 0);
+      });
+      if (!shown && this.markerTimer !== null) {
+        clearInterval(this.markerTimer);
+        this.markerTimer = null;
+      }
+    }, 60000);
+  }
+
+  private nonce(): string {
+    const ajax = (this.windowObj as any).sbiAjax as SbiAjax | undefined;
+    return ajax ? ajax.nonce : '';
+  }
+
+  private emitProgress(): void {
+    try {
+      this.opts.onProgress?.(this.getProgress());
+    } catch {}
+  }
+
+  private log(level: DebugLevel, message: string): void {
+    debugLog(this.windowObj, level, 'Repository Scanner', message, { category: 'scan' });
+  }
+}
+
+let activeScanner: RepositoryScanner | null = null;
+
+function renderControls(progress: ScanProgress): void {
+  const text = document.getElementById('sbi-progress-text');
+  if (text && progress.running) {
+    const finished = progress.done + progress.failed;
+    text.textContent = progress.rateLimitedUntil
+      ? `Processed ${finished}/${progress.total} repositories; paused for the GitHub API rate limit until ${new Date(progress.rateLimitedUntil).toLocaleTimeString()}`
+      : `Processed ${finished}/${progress.total} repositories (${progress.scanning} in flight, concurrency ${progress.concurrency})`;
+  }
+  const toggle = (id: string, visible: boolean) => {
+    const el = document.getElementById(id);
+    if (el) el.style.display = visible ? '' : 'none';
+  };
+  toggle('sbi-scan-controls', progress.total > 0);
+  toggle('sbi-scan-cancel', progress.running);
+  toggle('sbi-scan-resume', !progress.running && progress.cancelled > 0);
+  toggle('sbi-scan-rescan-failed', !progress.running && progress.failed > 0);
+  toggle('sbi-scan-restart', !progress.running);
+}
+
+export function getActiveScanner(): RepositoryScanner | null {
+  return activeScanner;
+}
+
+/**
+ * Start (or resume) the repository scan for the list page and wire the
+ * #sbi-scan-controls buttons. Returns the scanner driving the table.
+ */
+export function startRepositoryScan(
+  windowObj: Window,
+  organization: string,
+  opts: RepositoryScannerOptions
+): RepositoryScanner {
+  if (activeScanner) activeScanner.cancel();
+
+  const scanner = new RepositoryScanner(windowObj, organization, {
+    ...opts,
+    onProgress: (progress) => {
+      renderControls(progress);
+      opts.onProgress?.(progress);
+    },
+  });
+  activeScanner = scanner;
+
+  const bind = (id: string, fn: () => void) => {
+    const el = document.getElementById(id);
+    if (el) el.onclick = (e) => {
+      e.preventDefault();
+      if (activeScanner === scanner) fn();
+    };
+  };
+  bind('sbi-scan-cancel', () => scanner.cancel());
+  bind('sbi-scan-resume', () => scanner.resume());
+  bind('sbi-scan-rescan-failed', () => scanner.rescanFailed());
+  bind('sbi-scan-restart', () => void scanner.restart());
+
+  void scanner.start();
+  return scanner;
+}
@@ -0,0 +1,345 @@
+import { PluginState, installedState } from '../types/fsm';
+import type { WpAjaxResponse, RefreshRepositorySuccessData } from '../types/ajax';
+import { debugLog } from '../lib/debugStore';
+import type { DebugLevel, DebugMeta } from '../lib/debugStore';
+import { classifyError, formatErrorHints } from '../lib/errors';
+import type { ClassifiedError } from '../lib/errors';
+import { installPlugin, updatePlugin, activatePlugin, deactivatePlugin, refreshRepository } from './handlers';
+import { repositoryFSM, RepoId } from './repositoryFSM';
+import { getInstallProgress } from './installProgress';
+import { recordAction, syncRowHistory } from './auditTrail';
+import { selectedRef, syncRefSelect } from './refPicker';
+import { rowRegistry } from './rowRegistry';
+import { getTabSync, otherTabMessage } from './tabSync';
+import { notify } from './notificationCenter';
+import type { NotificationSeverity, NotifyOptions } from './notificationCenter';
+import { getActiveScanner } from './repositoryScanner';
+
+export type RowAction = 'install' | 'update' | 'activate' | 'deactivate' | 'refresh';
+
+export interface RowActionTarget {
+  repository: RepoId; // owner/repo
+  pluginFile?: string;
+}
+
+const ACTION_SELECTORS: Array<[string, RowAction]> = [
+  ['.sbi-install-plugin', 'install'],
+  ['.sbi-update-plugin', 'update'],
+  ['.sbi-activate-plugin', 'activate'],
+  ['.sbi-deactivate-plugin', 'deactivate'],
+  ['.sbi-refresh-status, .sbi-refresh-repository', 'refresh'],
+];
+
+// State the row is in once the action succeeded (refresh takes the server's word)
+function successState(action: RowAction, data: any): PluginState | null {
+  switch (action) {
+    case 'install':
+      return PluginState.INSTALLED_INACTIVE;
+    case 'update':
+      return installedState(!!(data && data.active));
+    case 'activate':
+      return PluginState.INSTALLED_ACTIVE;
+    case 'deactivate':
+      return PluginState.INSTALLED_INACTIVE;
+    default:
+      return null;
+  }
+}
+
+const SUCCESS_MESSAGES: Record<RowAction, string> = {
+  install: 'Plugin installed successfully',
+  update: 'Plugin updated successfully',
+  activate: 'Plugin activated successfully',
+  deactivate: 'Plugin deactivated successfully',
+  refresh: 'Repository refreshed successfully',
+};
+
+const FAILURE_NOUNS: Record<RowAction, string> = {
+  install: 'installs',
+  update: 'updates',
+  activate: 'activations',
+  deactivate: 'deactivations',
+  refresh: 'refreshes',
+};
+
+function log(windowObj: Window, level: DebugLevel, title: string, message: string, meta: DebugMeta = {}): void {
+  debugLog(windowObj, level, title, message, { category: 'actions', ...meta });
+}
+
+/**
+ * Notice above the repository table through the notification center, also
+ * read to screen reader users. Text only; newlines are preserved.
+ */
+export function showNotice(message: string, type: NotificationSeverity = 'info', opts: Omit<NotifyOptions, 'severity'> = {}): void {
+  if (typeof document === 'undefined') return;
+  notify(message, { ...opts, severity: type });
+}
+
+// NOTE TO FUTURE CONTRIBUTORS AND LLMs:
+// The progress_updates/debug_steps/upgrader output below is essential for
+// diagnosing install issues in the field. Do NOT remove it without providing
+// an equivalent mechanism.
+function logResponseDetails(windowObj: Window, action: RowAction, repo: RepoId, data: any): void {
+  if (!data || typeof data !== 'object') return;
+  // Whole response as one structured entry; the lines below keep the readable step-by-step view
+  log(windowObj, 'info', `${label(action)} Response`, `${repo}: ${action} response received`, { repo, payload: data });
+  (Array.isArray(data.progress_updates) ? data.progress_updates : []).forEach((u: any) =>
+    log(windowObj, u.status, u.step, u.message, { repo })
+  );
+  (Array.isArray(data.debug_steps) ? data.debug_steps : []).forEach((step: any) => {
+    const level: DebugLevel = step.status === 'failed' ? 'error' : step.status === 'completed' ? 'success' : 'info';
+    let message = `${step.step}: ${step.message || step.status}`;
+    if (step.error) message += ` - Error: ${step.error}`;
+    if (step.time) message += ` (${step.time}ms)`;
+    log(windowObj, level, `${action === 'install' ? 'Install' : 'Action'} Step`, message, { repo });
+  });
+}
+
+function failureText(windowObj: Window, repo: RepoId, error: ClassifiedError, data: any): string {
+  let text = error.message;
+  const hints = formatErrorHints(error);
+  if (hints) text += `\n\n${error.title}:\n${hints}`;
+
+  const messages: unknown[] = data && Array.isArray(data.upgrader_messages) ? data.upgrader_messages : [];
+  if (messages.length) {
+    log(windowObj, 'error', 'Upgrader', 'Messages from WordPress upgrader:', { repo, payload: messages });
+    messages.forEach((m) => log(windowObj, 'error', 'Upgrader', String(m), { repo }));
+    text += `\n\nDetails from WordPress Upgrader:\n- ${messages.map(String).join('\n- ')}`;
+  }
+  if (data && data.download_url) {
+    log(windowObj, 'info', 'Download URL', data.download_url, { repo });
+    text += `\nDownload URL: ${data.download_url}`;
+  }
+  return text;
+}
+
+function rowFor(repo: RepoId): HTMLElement | null {
+  return rowRegistry.get(repo) || (document.querySelector(`tr[data-repository="${repo}"]`) as HTMLElement | null);
+}
+
+/**
+ * Re-render a row from the server and mirror its state into the FSM.
+ * Returns false when the refresh request failed.
+ */
+export async function refreshRow(windowObj: Window, repo: RepoId): Promise<boolean> {
+  const resp = await refreshRepository(windowObj, repo);
+  if (!resp.success) return false;
+  applyRowResponse(windowObj, repo, resp.data);
+  return true;
+}
+
+/**
+ * Swap in a row rendered by the server (row_html) and take its state as
+ * authoritative. Used by every endpoint that answers with a fresh row.
+ */
+export function applyRowResponse(windowObj: Window, repo: RepoId, data: RefreshRepositorySuccessData, source: string = 'refresh'): void {
+  const row = rowFor(repo);
+  if (data.row_html) getActiveScanner()?.rememberRow(repo, data.row_html, data.state);
+  if (row && data.row_html) {
+    if (rowRegistry.has(repo)) rowRegistry.replace(repo, data.row_html);
+    else row.outerHTML = data.row_html;
+    getInstallProgress(windowObj).reattach(repo);
+    syncRowHistory(repo);
+    syncRefSelect(repo);
+  }
+  if (data.state) {
+    const state = data.state as PluginState;
+    if (repositoryFSM.set(repo, state, { force: true, source })) {
+      repositoryFSM.applyToRow(repo, state);
+    }
+  }
+}
+
+// Rows carry the full name; buttons only carry the slug (and owner), so prefer the row
+export function targetFromButton(button: HTMLElement): RowActionTarget | null {
+  const row = button.closest('tr[data-repository]') as HTMLElement | null;
+  let repository = row?.dataset.repository || '';
+  if (!repository) {
+    const slug = button.dataset.repo || '';
+    const owner = button.dataset.owner || '';
+    repository = slug.includes('/') ? slug : owner && slug ? `${owner}/${slug}` : '';
+  }
+  if (!repository) return null;
+  return { repository, pluginFile: button.dataset.pluginFile || undefined };
+}
+
+/**
+ * Owns the lifecycle of per-row actions (install, activate, deactivate,
+ * refresh): button state via repositoryFSM, progress/debug output, error
+ * display and the final row refresh.
+ */
+export class RowActionController {
+  private readonly windowObj: Window;
+  private bound = false;
+
+  constructor(windowObj: Window) {
+    this.windowObj = windowObj;
+  }
+
+  // Single delegated listener; rows are replaced on refresh so per-button listeners would be lost
+  bind(root: Document = document): void {
+    if (this.bound) return;
+    this.bound = true;
+    // Another tab changed the plugin: re-render the row from the server
+    getTabSync(this.windowObj).onRemoteRelease((repo, action) => {
+      if (action !== 'refresh' && rowRegistry.has(repo)) void refreshRow(this.windowObj, repo);
+    });
+    root.addEventListener('click', (e) => {
+      const el = e.target as HTMLElement | null;
+      if (!el || typeof el.closest !== 'function') return;
+      for (const [selector, action] of ACTION_SELECTORS) {
+        const button = el.closest(selector) as HTMLButtonElement | null;
+        if (!button) continue;
+        e.preventDefault();
+        if (button.disabled) return;
+        const target = targetFromButton(button);
+        if (!target) {
+          showNotice('Repository information missing', 'error');
+          return;
+        }
+        void this.run(action, target);
+        return;
+      }
+    });
+  }
+
+  async run(action: RowAction, target: RowActionTarget): Promise<boolean> {
+    const repo = target.repository;
+    if ((action === 'activate' || action === 'deactivate') && !target.pluginFile) {
+      showNotice('Plugin information missing', 'error');
+      return false;
+    }
+    if (!repositoryFSM.beginAction(repo, action)) {
+      log(this.windowObj, 'warning', 'Row Action', `${action} ignored for ${repo}: ${repositoryFSM.getPendingAction(repo)} in progress`, { repo });
+      return false;
+    }
+    // Checked before anything is sent so a second tab never duplicates the request
+    const lock = await getTabSync(this.windowObj).acquire(repo, action);
+    if (!lock) {
+      repositoryFSM.endAction(repo);
+      const message = otherTabMessage(repo, repositoryFSM.getRemoteAction(repo) || action);
+      log(this.windowObj, 'warning', 'Row Action', `${action} not sent: ${message}`, { repo });
+      showNotice(message, 'info');
+      return false;
+    }
+
+    const source = `row_${action}`;
+    recordAction(this.windowObj, repo, action, 'started', source);
+    const installs = action === 'install' || action === 'update';
+    if (installs && repositoryFSM.set(repo, PluginState.INSTALLING, { source })) {
+      repositoryFSM.applyToRow(repo, PluginState.INSTALLING);
+    }
+    log(this.windowObj, 'info', `${label(action)} Started`, `Starting ${action} for ${repo}`, { repo });
+    const progress = installs ? getInstallProgress(this.windowObj) : null;
+    progress?.begin(repo);
+
+    const ctx = { repository: repo, action };
+    const started = Date.now();
+    let ok = false;
+    let error: ClassifiedError | null = null;
+    let data: any = null;
+    try {
+      if (action === 'refresh') {
+        ok = await refreshRow(this.windowObj, repo);
+        if (!ok) error = classifyError('Refresh request failed', ctx);
+      } else {
+        const resp = await this.dispatch(action, target);
+        data = (resp as any).data;
+        logResponseDetails(this.windowObj, action, repo, data);
+        if (resp.success) {
+          ok = true;
+          const to = successState(action, data);
+          repositoryFSM.clearError(repo);
+          if (to && repositoryFSM.set(repo, to, { source })) repositoryFSM.applyToRow(repo, to);
+        } else {
+          error = classifyError(resp, ctx);
+        }
+      }
+    } catch (e) {
+      error = classifyError(e, ctx);
+    } finally {
+      repositoryFSM.endAction(repo);
+      lock.release();
+    }
+    void progress?.finish(repo, ok);
+
+    if (!ok) {
+      const failure = error || classifyError(`${action} failed`, ctx);
+      recordAction(this.windowObj, repo, action, 'failed', source, {
+        message: failure.message,
+        errorCode: failure.code,
+        durationMs: Date.now() - started,
+      });
+      this.fail(action, repo, failure, data);
+      return false;
+    }
+    recordAction(this.windowObj, repo, action, 'succeeded', source, { durationMs: Date.now() - started });
+    log(this.windowObj, 'success', `${label(action)} Completed`, `${repo}: ${action} completed in ${Date.now() - started}ms`, { repo });
+    showNotice(SUCCESS_MESSAGES[action], 'success');
+    // Server is authoritative once a mutation went through
+    if (action !== 'refresh') await refreshRow(this.windowObj, repo);
+    return true;
+  }
+
+  private fail(action: RowAction, repo: RepoId, error: ClassifiedError, data: any): void {
+    log(this.windowObj, 'error', `${label(action)} Failed`, `${action} failed for ${repo}: ${error.message} [${error.code}]`, {
+      repo,
+      payload: error,
+    });
+    error.hints.forEach((h) => log(this.windowObj, 'info', 'Troubleshooting', h.url ? `${h.text}: ${h.url}` : h.text, { repo }));
+    if (action === 'update') {
+      // The server kept the installed copy and re-derived its state; show that row rather than ERROR
+      void refreshRow(this.windowObj, repo);
+    } else if (action !== 'refresh' && repositoryFSM.setError(repo, error, `row_${action}`)) {
+      repositoryFSM.applyToRow(repo, PluginState.ERROR);
+    }
+    // Failures of the same action fold into one notice ("3 installs failed") that opens to the details
+    showNotice(failureText(this.windowObj, repo, error, data), 'error', {
+      title: `${label(action)} failed`,
+      repo,
+      group: `${action}_failed`,
+      groupTitle: (count) => `${count} ${FAILURE_NOUNS[action]} failed`,
+    });
+  }
+
+  private async dispatch(action: RowAction, target: RowActionTarget): Promise<WpAjaxResponse<any>> {
+    const [owner, slug] = target.repository.split('/');
+    switch (action) {
+      case 'install': {
+        const resp = await installPlugin(this.windowObj, owner, slug, false, selectedRef(target.repository));
+        try {
+          (this.windowObj as any).SBI.lastInstallResponse = resp;
+        } catch {}
+        return resp;
+      }
+      case 'update': {
+        const resp = await updatePlugin(this.windowObj, owner, slug, selectedRef(target.repository));
+        try {
+          (this.windowObj as any).SBI.lastInstallResponse = resp;
+        } catch {}
+        return resp;
+      }
+      case 'activate':
+        return activatePlugin(this.windowObj, target.repository, target.pluginFile || '');
+      default:
+        return deactivatePlugin(this.windowObj, target.repository, target.pluginFile || '');
+    }
+  }
+}
+
+function label(action: RowAction): string {
+  return action.charAt(0).toUpperCase() + action.slice(1);
+}
+
+let controller: RowActionController | null = null;
+
+export function bindRowActions(windowObj: Window): RowActionController {
+  if (!controller) controller = new RowActionController(windowObj);
+  controller.bind();
+  return controller;
+}
+
+export function runRowAction(windowObj: Window, action: RowAction, target: RowActionTarget): Promise<boolean> {
+  if (!controller) controller = new RowActionController(windowObj);
+  return controller.run(action, target);
+}
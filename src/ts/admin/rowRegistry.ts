@@ -0,0 +1,369 @@
+export type RowChange = 'add' | 'replace' | 'remove' | 'clear' | 'order';
+
+type RowListener = (change: RowChange, repo: string | null) => void;
+
+const TBODY_ID = 'sbi-repository-tbody';
+// Below this many displayed rows everything stays in the DOM
+const WINDOW_MIN_ROWS = 150;
+const OVERSCAN_PX = 800;
+const DEFAULT_ROW_HEIGHT = 56;
+
+function parseRow(html: string): HTMLTableRowElement | null {
+  const tmp = document.createElement('tbody');
+  tmp.innerHTML = html.trim();
+  return tmp.querySelector('tr');
+}
+
+// Filters hide rows with the hidden attribute (update filter) or a class (table filter)
+function isDisplayed(row: HTMLTableRowElement): boolean {
+  return !row.hidden && !row.classList.contains('sbi-filter-hidden');
+}
+
+function spacer(): HTMLTableRowElement {
+  const row = document.createElement('tr');
+  row.className = 'sbi-virtual-spacer';
+  row.setAttribute('aria-hidden', 'true');
+  row.appendChild(document.createElement('td'));
+  return row;
+}
+
+/**
+ * Owns the repository table rows: cached element references by repository
+ * (so lookups do not query the document), display order, companion rows such
+ * as the history timeline, and windowed rendering. With many rows only those
+ * near the viewport are attached to #sbi-repository-tbody; the rest live here
+ * detached and are still updated in place, with spacer rows keeping the
+ * scroll height.
+ */
+export class RowRegistry {
+  private rows: Map<string, HTMLTableRowElement> = new Map();
+  private order: string[] = [];
+  private companions: Map<string, HTMLTableRowElement> = new Map();
+  private heights: Map<string, number> = new Map();
+  private listeners: Set<RowListener> = new Set();
+  private windowObj: Window | null = null;
+  private tbody: HTMLElement | null = null;
+  private topSpacer: HTMLTableRowElement | null = null;
+  private bottomSpacer: HTMLTableRowElement | null = null;
+  private parityPad: HTMLTableRowElement | null = null;
+  private frame: number | null = null;
+  private windowed = false;
+
+  /**
+   * Bind to the table body: adopt rows already rendered by the server and
+   * rows inserted later by code that does not go through the registry.
+   * Safe to call more than once.
+   */
+  attach(windowObj: Window): boolean {
+    if (this.tbody) return true;
+    if (typeof document === 'undefined') return false;
+    const tbody = document.getElementById(TBODY_ID);
+    if (!tbody) return false;
+    this.windowObj = windowObj;
+    this.tbody = tbody;
+    this.topSpacer = spacer();
+    this.bottomSpacer = spacer();
+    this.parityPad = spacer();
+    Array.from(tbody.children).forEach((node) => this.adoptFrom(node));
+
+    new MutationObserver((mutations) => {
+      mutations.forEach((m) => m.addedNodes.forEach((node) => this.adoptFrom(node)));
+    }).observe(tbody, { childList: true });
+    const onViewport = () => {
+      if (this.windowed) this.schedule();
+    };
+    windowObj.addEventListener('scroll', onViewport, { passive: true });
+    windowObj.addEventListener('resize', onViewport);
+    return true;
+  }
+
+  get(repo: string): HTMLTableRowElement | null {
+    return this.rows.get(repo) || null;
+  }
+
+  has(repo: string): boolean {
+    return this.rows.has(repo);
+  }
+
+  size(): number {
+    return this.rows.size;
+  }
+
+  // Rows in display order, attached or not
+  all(): HTMLTableRowElement[] {
+    return this.order.map((repo) => this.rows.get(repo)!).filter(Boolean);
+  }
+
+  // Rows in display order that no filter hides (keyboard navigation)
+  displayed(): HTMLTableRowElement[] {
+    return this.all().filter(isDisplayed);
+  }
+
+  repositories(): string[] {
+    return this.order.slice();
+  }
+
+  isAttached(repo: string): boolean {
+    const row = this.rows.get(repo);
+    return !!row && row.parentNode === this.tbody;
+  }
+
+  // Checked bulk-action boxes, including rows scrolled out of the DOM
+  checked(): HTMLInputElement[] {
+    const boxes: HTMLInputElement[] = [];
+    this.all().forEach((row) => {
+      row.querySelectorAll<HTMLInputElement>('input[name="repositories[]"]:checked').forEach((box) => boxes.push(box));
+    });
+    return boxes;
+  }
+
+  append(row: HTMLTableRowElement): HTMLTableRowElement {
+    const repo = row.dataset.repository || '';
+    if (!repo) return row;
+    if (this.rows.has(repo)) return this.replace(repo, row) || row;
+    this.rows.set(repo, row);
+    this.order.push(repo);
+    this.emit('add', repo);
+    this.schedule();
+    return row;
+  }
+
+  /**
+   * Swap a repository's row for new markup or a new element. Filter
+   * visibility carries over so a refreshed row does not flash into view.
+   */
+  replace(repo: string, next: string | HTMLTableRowElement): HTMLTableRowElement | null {
+    const fresh = typeof next === 'string' ? parseRow(next) : next;
+    const old = this.rows.get(repo);
+    if (!fresh) return null;
+    if (!old) return this.append(fresh);
+    if (old === fresh) return fresh;
+    fresh.hidden = old.hidden;
+    if (old.classList.contains('sbi-filter-hidden')) fresh.classList.add('sbi-filter-hidden');
+    this.rows.set(repo, fresh);
+    if (old.parentNode) old.replaceWith(fresh);
+    this.emit('replace', repo);
+    this.schedule();
+    return fresh;
+  }
+
+  remove(repo: string): void {
+    const row = this.rows.get(repo);
+    if (!row) return;
+    row.remove();
+    this.companions.get(repo)?.remove();
+    this.rows.delete(repo);
+    this.companions.delete(repo);
+    this.heights.delete(repo);
+    this.order = this.order.filter((r) => r !== repo);
+    this.emit('remove', repo);
+    this.schedule();
+  }
+
+  clear(): void {
+    this.rows.clear();
+    this.companions.clear();
+    this.heights.clear();
+    this.order = [];
+    this.windowed = false;
+    if (this.tbody) this.tbody.textContent = '';
+    this.emit('clear', null);
+  }
+
+  // New display order (sorting); repositories not listed keep their relative order at the end
+  setOrder(repos: string[]): void {
+    const listed = new Set(repos.filter((r) => this.rows.has(r)));
+    const next = Array.from(listed).concat(this.order.filter((r) => !listed.has(r)));
+    if (next.length === this.order.length && next.every((r, i) => r === this.order[i])) return;
+    this.order = next;
+    this.emit('order', null);
+    this.schedule();
+  }
+
+  /**
+   * Row rendered directly below a repository row (history timeline); moves,
+   * hides and windows together with it. Pass null to remove.
+   */
+  setCompanion(repo: string, row: HTMLTableRowElement | null): void {
+    const current = this.companions.get(repo);
+    if (current && current !== row) current.remove();
+    if (row) {
+      this.companions.set(repo, row);
+      const owner = this.rows.get(repo);
+      if (owner && owner.parentNode) owner.after(row);
+    } else {
+      this.companions.delete(repo);
+    }
+    this.heights.delete(repo);
+    this.schedule();
+  }
+
+  companion(repo: string): HTMLTableRowElement | null {
+    return this.companions.get(repo) || null;
+  }
+
+  allCompanions(): HTMLTableRowElement[] {
+    return Array.from(this.companions.values());
+  }
+
+  onChange(listener: RowListener): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Re-render on the next animation frame (visibility or row heights changed)
+  schedule(): void {
+    if (this.frame !== null || !this.tbody) return;
+    const raf = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : (fn: () => void) => setTimeout(fn, 16) as unknown as number;
+    this.frame = raf(() => {
+      this.frame = null;
+      this.render();
+    });
+  }
+
+  // Bring a row into the DOM (e.g. before focusing it) by scrolling to its position
+  reveal(repo: string): void {
+    const row = this.rows.get(repo);
+    const w = this.windowObj;
+    if (!row || !this.tbody || !w) return;
+    if (!row.parentNode) {
+      const tbodyTop = this.tbody.getBoundingClientRect().top + (w.scrollY || 0);
+      w.scrollTo({ top: tbodyTop + this.offsetOf(repo) - 100 });
+      this.render();
+    }
+    row.scrollIntoView({ block: 'nearest' });
+  }
+
+  render(): void {
+    const tbody = this.tbody;
+    // Nothing registered: leave messages such as "No repositories found" alone
+    if (!tbody || !this.rows.size) return;
+
+    const displayed = this.order.filter((repo) => {
+      const row = this.rows.get(repo);
+      return row && isDisplayed(row);
+    });
+    this.windowed = displayed.length > WINDOW_MIN_ROWS;
+
+    let first = 0;
+    let last = displayed.length;
+    let before = 0;
+    let after = 0;
+    let elementsBefore = 0;
+    if (this.windowed) {
+      const estimate = this.estimate();
+      const rect = tbody.getBoundingClientRect();
+      const viewportHeight = (this.windowObj && this.windowObj.innerHeight) || document.documentElement.clientHeight;
+      const top = -rect.top - OVERSCAN_PX;
+      const bottom = viewportHeight - rect.top + OVERSCAN_PX;
+      let offset = 0;
+      first = -1;
+      last = displayed.length;
+      for (let i = 0; i < displayed.length; i++) {
+        const height = this.heights.get(displayed[i]) ?? estimate;
+        if (first === -1 && offset + height >= top) first = i;
+        if (first === -1) {
+          before += height;
+          elementsBefore += this.companions.has(displayed[i]) ? 2 : 1;
+        } else if (offset >= bottom) {
+          last = i;
+          break;
+        }
+        offset += height;
+      }
+      if (first === -1) first = Math.max(0, displayed.length - 1);
+      for (let i = last; i < displayed.length; i++) after += this.heights.get(displayed[i]) ?? estimate;
+    }
+
+    const desired: HTMLTableRowElement[] = [];
+    if (before > 0) {
+      desired.push(this.sizeSpacer(this.topSpacer!, before));
+      // Keep .striped zebra colours stable: rows must land on the same odd/even child as unwindowed
+      if (elementsBefore % 2 === 0) desired.push(this.sizeSpacer(this.parityPad!, 0));
+    }
+    displayed.slice(first, last).forEach((repo) => {
+      desired.push(this.rows.get(repo)!);
+      const companion = this.companions.get(repo);
+      if (companion) desired.push(companion);
+    });
+    if (after > 0) desired.push(this.sizeSpacer(this.bottomSpacer!, after));
+
+    this.reconcile(tbody, desired);
+    // Unmeasured rows are estimated from the average of measured ones
+    if (this.windowed) displayed.slice(first, last).forEach((repo) => this.measure(repo));
+  }
+
+  // Minimal DOM moves: keep nodes already in place, insert the rest, drop leftovers
+  private reconcile(tbody: HTMLElement, desired: HTMLTableRowElement[]): void {
+    let cursor = tbody.firstChild;
+    desired.forEach((node) => {
+      if (cursor === node) {
+        cursor = cursor.nextSibling;
+        return;
+      }
+      tbody.insertBefore(node, cursor);
+    });
+    while (cursor) {
+      const next = cursor.nextSibling;
+      tbody.removeChild(cursor);
+      cursor = next;
+    }
+  }
+
+  private sizeSpacer(row: HTMLTableRowElement, height: number): HTMLTableRowElement {
+    const cell = row.firstElementChild as HTMLTableCellElement;
+    cell.colSpan = this.columnCount();
+    cell.style.height = `${height}px`;
+    return row;
+  }
+
+  private columnCount(): number {
+    const first = this.order.length ? this.rows.get(this.order[0]) : null;
+    return (first && first.cells.length) || 1;
+  }
+
+  private measure(repo: string): void {
+    const row = this.rows.get(repo);
+    if (!row || !row.parentNode) return;
+    const companion = this.companions.get(repo);
+    const height = row.offsetHeight + (companion && companion.parentNode ? companion.offsetHeight : 0);
+    if (height > 0) this.heights.set(repo, height);
+  }
+
+  private estimate(): number {
+    if (!this.heights.size) return DEFAULT_ROW_HEIGHT;
+    let total = 0;
+    this.heights.forEach((h) => (total += h));
+    return total / this.heights.size;
+  }
+
+  private offsetOf(repo: string): number {
+    const estimate = this.estimate();
+    let offset = 0;
+    for (const r of this.order) {
+      if (r === repo) break;
+      const row = this.rows.get(r);
+      if (row && isDisplayed(row)) offset += this.heights.get(r) ?? estimate;
+    }
+    return offset;
+  }
+
+  private adoptFrom(node: Node): void {
+    if (!(node instanceof HTMLTableRowElement)) return;
+    const repo = node.dataset.repository;
+    // Registered rows re-attached by render() and spacer rows land here too
+    if (!repo || this.rows.get(repo) === node) return;
+    if (this.rows.has(repo)) this.replace(repo, node);
+    else this.append(node);
+  }
+
+  private emit(change: RowChange, repo: string | null): void {
+    this.listeners.forEach((fn) => {
+      try {
+        fn(change, repo);
+      } catch {}
+    });
+  }
+}
+
+export const rowRegistry = new RowRegistry();
@@ -0,0 +1,436 @@
+import { PluginState, STATE_LABELS, isPluginState } from '../types/fsm';
+import { debugLog } from '../lib/debugStore';
+import type { DebugLevel } from '../lib/debugStore';
+import { downloadFile, fileStamp } from '../lib/download';
+import { rateLimit } from '../lib/rateLimit';
+import { repositoryFSM, RepoId } from './repositoryFSM';
+import { rowRegistry } from './rowRegistry';
+import { selectedRef, setSelectedRef } from './refPicker';
+import { runRowAction, showNotice } from './rowActions';
+
+export const MANIFEST_FORMAT = 'sbi-site-manifest';
+export const MANIFEST_VERSION = 1;
+
+export interface ManifestEntry {
+  repository: RepoId; // owner/repo
+  ref?: string; // branch, tag or release; absent = default branch
+  plugin_file?: string; // as detected on the exporting site
+  version?: string; // version installed on the exporting site
+  active: boolean;
+}
+
+export interface SiteManifest {
+  format: typeof MANIFEST_FORMAT;
+  version: number; // manifest schema version
+  generated_at: string; // ISO 8601
+  source?: { site?: string; plugin_version?: string };
+  plugins: ManifestEntry[];
+}
+
+export interface ManifestEntryError {
+  index: number; // position in plugins[]; -1 for the file as a whole
+  repository?: string;
+  message: string;
+}
+
+export interface ParsedManifest {
+  entries: ManifestEntry[]; // valid entries only
+  errors: ManifestEntryError[];
+}
+
+export type ManifestStep = 'install' | 'activate' | 'deactivate';
+
+export interface ManifestChange {
+  entry: ManifestEntry;
+  state?: PluginState;
+  steps: ManifestStep[]; // empty: already matches
+  notes: string[];
+  error?: string; // cannot be applied on this site
+}
+
+const REPO_PATTERN = /^[A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+$/;
+// Same subset of git check-ref-format as GitHubService::is_valid_ref()
+const REF_PATTERN = /^[A-Za-z0-9_+-][A-Za-z0-9._+/-]*$/;
+
+const STEP_LABELS: Record<ManifestStep, string> = {
+  install: 'Install',
+  activate: 'Activate',
+  deactivate: 'Deactivate',
+};
+
+function isValidRef(ref: string): boolean {
+  if (!ref || ref.length > 255 || ref.includes('..') || ref.includes('//') || ref.endsWith('.lock')) return false;
+  return REF_PATTERN.test(ref) && !/[./]$/.test(ref);
+}
+
+function log(windowObj: Window, level: DebugLevel, message: string, repo?: RepoId): void {
+  debugLog(windowObj, level, 'Site Manifest', message, { category: 'manifest', repo });
+}
+
+function rowState(repo: RepoId): PluginState | undefined {
+  const state = repositoryFSM.get(repo) ?? rowRegistry.get(repo)?.dataset.repoState;
+  return state && isPluginState(state) ? state : undefined;
+}
+
+// With an update pending the state does not say whether the plugin is active; the rendered buttons do
+function isActive(repo: RepoId, state: PluginState | undefined): boolean {
+  if (state === PluginState.INSTALLED_ACTIVE) return true;
+  if (state !== PluginState.UPDATE_AVAILABLE) return false;
+  return !!rowRegistry.get(repo)?.querySelector('.sbi-deactivate-plugin');
+}
+
+function pluginFileOf(repo: RepoId): string {
+  const row = rowRegistry.get(repo);
+  if (!row) return '';
+  const button = row.querySelector('.sbi-activate-plugin, .sbi-deactivate-plugin') as HTMLElement | null;
+  return row.dataset.pluginFile || button?.dataset.pluginFile || '';
+}
+
+/**
+ * Describe the given repositories (default: the checked rows) as a manifest.
+ * Repositories that are not plugins, or whose state is not known yet, are
+ * left out and returned in `skipped`.
+ */
+export function buildManifest(windowObj: Window, repos?: RepoId[]): { manifest: SiteManifest; skipped: RepoId[] } {
+  const selection = repos || rowRegistry.checked().map((box) => box.value);
+  const plugins: ManifestEntry[] = [];
+  const skipped: RepoId[] = [];
+  Array.from(new Set(selection)).forEach((repo) => {
+    const row = rowRegistry.get(repo);
+    const state = rowState(repo);
+    if (!row || !state || ![PluginState.AVAILABLE, PluginState.INSTALLED_INACTIVE, PluginState.INSTALLED_ACTIVE, PluginState.UPDATE_AVAILABLE].includes(state)) {
+      skipped.push(repo);
+      return;
+    }
+    const entry: ManifestEntry = { repository: repo, active: isActive(repo, state) };
+    // A ref picked in the row wins over the one the installed copy came from
+    const ref = selectedRef(repo) || row.dataset.installedRef || '';
+    if (ref) entry.ref = ref;
+    const pluginFile = pluginFileOf(repo);
+    if (pluginFile) entry.plugin_file = pluginFile;
+    if (row.dataset.version) entry.version = row.dataset.version;
+    plugins.push(entry);
+  });
+  const env = (windowObj as any).sbiAjax?.env;
+  return {
+    manifest: {
+      format: MANIFEST_FORMAT,
+      version: MANIFEST_VERSION,
+      generated_at: new Date().toISOString(),
+      source: { site: windowObj.location?.host, plugin_version: env?.pluginVersion },
+      plugins,
+    },
+    skipped,
+  };
+}
+
+// The entry, or why it was rejected
+function validateEntry(raw: any, seen: Set<string>): ManifestEntry | string {
+  if (!raw || typeof raw !== 'object') return 'Entry is not an object';
+  const repository = typeof raw.repository === 'string' ? raw.repository.trim() : '';
+  if (!REPO_PATTERN.test(repository)) return 'repository must look like owner/repo';
+  if (seen.has(repository.toLowerCase())) return 'Listed more than once';
+  if (typeof raw.active !== 'boolean') return 'active must be true or false';
+  if (raw.ref !== undefined && (typeof raw.ref !== 'string' || !isValidRef(raw.ref))) return 'ref is not a valid branch or tag name';
+  if (raw.plugin_file !== undefined && (typeof raw.plugin_file !== 'string' || !/\.php$/.test(raw.plugin_file))) {
+    return 'plugin_file must be a .php path';
+  }
+  if (raw.version !== undefined && typeof raw.version !== 'string') return 'version must be a string';
+  const entry: ManifestEntry = { repository, active: raw.active };
+  if (raw.ref) entry.ref = raw.ref;
+  if (raw.plugin_file) entry.plugin_file = raw.plugin_file;
+  if (raw.version) entry.version = raw.version;
+  return entry;
+}
+
+/**
+ * Validate manifest JSON. Problems with the file itself are reported with
+ * index -1; each invalid entry is reported on its own and left out.
+ */
+export function parseManifest(text: string): ParsedManifest {
+  const errors: ManifestEntryError[] = [];
+  let data: any;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { entries: [], errors: [{ index: -1, message: `Not valid JSON: ${e instanceof Error ? e.message : String(e)}` }] };
+  }
+  if (!data || typeof data !== 'object' || data.format !== MANIFEST_FORMAT) {
+    return { entries: [], errors: [{ index: -1, message: 'Not a Smart Batch Installer site manifest' }] };
+  }
+  if (typeof data.version !== 'number' || data.version < 1) {
+    return { entries: [], errors: [{ index: -1, message: 'Manifest version is missing' }] };
+  }
+  if (data.version > MANIFEST_VERSION) {
+    return { entries: [], errors: [{ index: -1, message: `Manifest version ${data.version} is newer than this plugin supports (${MANIFEST_VERSION})` }] };
+  }
+  if (!Array.isArray(data.plugins)) {
+    return { entries: [], errors: [{ index: -1, message: 'Manifest has no plugins list' }] };
+  }
+
+  const entries: ManifestEntry[] = [];
+  const seen = new Set<string>();
+  data.plugins.forEach((raw: any, index: number) => {
+    const result = validateEntry(raw, seen);
+    if (typeof result === 'string') {
+      const repository = raw && typeof raw.repository === 'string' ? raw.repository.trim() : '';
+      errors.push({ index, repository: repository || undefined, message: result });
+      return;
+    }
+    seen.add(result.repository.toLowerCase());
+    entries.push(result);
+  });
+  return { entries, errors };
+}
+
+/**
+ * Compare manifest entries with this site's current states and list the
+ * installs and (de)activations needed to match.
+ */
+export function diffManifest(entries: ManifestEntry[]): ManifestChange[] {
+  return entries.map((entry) => {
+    const repo = entry.repository;
+    const state = rowState(repo);
+    const change: ManifestChange = { entry, state, steps: [], notes: [] };
+    if (!rowRegistry.has(repo)) {
+      change.error = "Not in this site's repository list; load the organization that owns it";
+      return change;
+    }
+    switch (state) {
+      case PluginState.AVAILABLE:
+        change.steps = entry.active ? ['install', 'activate'] : ['install'];
+        break;
+      case PluginState.INSTALLED_INACTIVE:
+      case PluginState.INSTALLED_ACTIVE:
+      case PluginState.UPDATE_AVAILABLE: {
+        const active = isActive(repo, state);
+        if (entry.active && !active) change.steps = ['activate'];
+        if (!entry.active && active) change.steps = ['deactivate'];
+        const row = rowRegistry.get(repo);
+        const version = row?.dataset.version || '';
+        if (entry.version && version && entry.version !== version) change.notes.push(`Installed ${version}, manifest has ${entry.version}`);
+        const ref = row?.dataset.installedRef || '';
+        if (entry.ref && ref && entry.ref !== ref) change.notes.push(`Installed from ${ref}, manifest has ${entry.ref}`);
+        break;
+      }
+      case PluginState.NOT_PLUGIN:
+        change.error = 'Not detected as a WordPress plugin on this site';
+        break;
+      case PluginState.ERROR:
+        change.error = 'Repository is in error state';
+        break;
+      case PluginState.INSTALLING:
+        change.error = 'Installation already in progress';
+        break;
+      default:
+        change.error = 'State not determined yet';
+    }
+    return change;
+  });
+}
+
+/**
+ * Run the steps of each change in order through the row actions (same
+ * locks, audit trail and progress as clicking the buttons). Returns the
+ * repositories whose steps all succeeded and those that stopped on a failure.
+ */
+export async function applyManifest(
+  windowObj: Window,
+  changes: ManifestChange[],
+  onChange?: (change: ManifestChange, status: 'running' | 'done' | 'failed') => void
+): Promise<{ applied: RepoId[]; failed: RepoId[] }> {
+  const applied: RepoId[] = [];
+  const failed: RepoId[] = [];
+  for (const change of changes) {
+    if (change.error || !change.steps.length) continue;
+    const repo = change.entry.repository;
+    onChange?.(change, 'running');
+    let ok = true;
+    for (const step of change.steps) {
+      if (step === 'install' && rateLimit.pauseMs() > 0) {
+        log(windowObj, 'warning', `${repo}: waiting for the GitHub API rate limit to reset before installing`, repo);
+        await rateLimit.waitForCapacity();
+      }
+      if (step === 'install' && change.entry.ref) setSelectedRef(repo, change.entry.ref);
+      // The installed plugin file is only known from the row the server renders after install
+      const pluginFile = step === 'install' ? undefined : pluginFileOf(repo) || change.entry.plugin_file;
+      ok = await runRowAction(windowObj, step, { repository: repo, pluginFile });
+      if (!ok) break;
+    }
+    (ok ? applied : failed).push(repo);
+    log(windowObj, ok ? 'success' : 'error', `${repo}: ${change.steps.join(', ')} ${ok ? 'applied' : 'failed'}`, repo);
+    onChange?.(change, ok ? 'done' : 'failed');
+  }
+  return { applied, failed };
+}
+
+function element<K extends keyof HTMLElementTagNameMap>(tag: K, className?: string, text?: string): HTMLElementTagNameMap[K] {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+function describeEntry(entry: ManifestEntry): string {
+  let text = entry.active ? 'Active' : 'Inactive';
+  if (entry.version) text += `, ${entry.version}`;
+  if (entry.ref) text += ` @ ${entry.ref}`;
+  return text;
+}
+
+function describeChange(change: ManifestChange): string {
+  if (change.error) return change.error;
+  const text = change.steps.length ? change.steps.map((s) => STEP_LABELS[s]).join(' → ') : 'No change';
+  return change.notes.length ? `${text} (${change.notes.join('; ')})` : text;
+}
+
+/**
+ * Export/import controls in #sbi-manifest-panel.
+ */
+export class ManifestView {
+  private readonly windowObj: Window;
+  private changes: ManifestChange[] = [];
+  private applying = false;
+
+  constructor(windowObj: Window) {
+    this.windowObj = windowObj;
+  }
+
+  mount(): void {
+    document.getElementById('sbi-manifest-export')?.addEventListener('click', () => this.export());
+    const file = document.getElementById('sbi-manifest-file') as HTMLInputElement | null;
+    file?.addEventListener('change', () => {
+      const selected = file.files && file.files[0];
+      if (!selected) return;
+      selected
+        .text()
+        .then((text) => this.load(text))
+        .catch((e) => {
+          this.changes = [];
+          this.render();
+          this.renderErrors([{ index: -1, message: `Could not read ${selected.name}: ${e instanceof Error ? e.message : String(e)}` }]);
+        });
+      // Choosing the same file again (after fixing it) fires change again
+      file.value = '';
+    });
+    document.getElementById('sbi-manifest-apply')?.addEventListener('click', () => void this.apply());
+  }
+
+  export(): void {
+    const { manifest, skipped } = buildManifest(this.windowObj);
+    if (!manifest.plugins.length) {
+      showNotice(skipped.length ? 'None of the selected repositories is a plugin with a known state.' : 'Select the repositories to export first.', 'error');
+      return;
+    }
+    downloadFile(`sbi-manifest-${fileStamp()}.json`, JSON.stringify(manifest, null, 2), 'application/json');
+    let message = `Exported ${manifest.plugins.length} repositories to the manifest`;
+    if (skipped.length) message += `; left out (not a plugin or state unknown): ${skipped.join(', ')}`;
+    log(this.windowObj, 'info', message);
+    showNotice(message, skipped.length ? 'info' : 'success');
+  }
+
+  // Validate and diff a manifest against this site; nothing runs until Apply
+  load(text: string): void {
+    const parsed = parseManifest(text);
+    this.changes = diffManifest(parsed.entries);
+    this.renderErrors(parsed.errors);
+    this.render();
+    log(
+      this.windowObj,
+      parsed.errors.length ? 'warning' : 'info',
+      `Manifest loaded: ${parsed.entries.length} valid entries, ${parsed.errors.length} invalid`
+    );
+  }
+
+  getChanges(): ManifestChange[] {
+    return this.changes.slice();
+  }
+
+  async apply(): Promise<void> {
+    if (this.applying) return;
+    const pending = this.changes.filter((c) => !c.error && c.steps.length);
+    if (!pending.length) return;
+    this.applying = true;
+    this.render();
+    try {
+      const result = await applyManifest(this.windowObj, pending, (change, status) => {
+        const row = document.querySelector(`#sbi-manifest-tbody tr[data-repository="${change.entry.repository}"]`) as HTMLElement | null;
+        if (row) row.dataset.status = status;
+      });
+      showNotice(
+        `Manifest applied: ${result.applied.length} repositories updated${result.failed.length ? `, ${result.failed.length} failed (${result.failed.join(', ')})` : ''}`,
+        result.failed.length ? 'error' : 'success'
+      );
+    } finally {
+      this.applying = false;
+      // States have moved on; show what is still left to do
+      this.changes = diffManifest(this.changes.map((c) => c.entry));
+      this.render();
+    }
+  }
+
+  private renderErrors(errors: ManifestEntryError[]): void {
+    const box = document.getElementById('sbi-manifest-errors');
+    if (!box) return;
+    box.textContent = '';
+    box.style.display = errors.length ? '' : 'none';
+    if (!errors.length) return;
+    box.appendChild(element('p', undefined, `${errors.length} manifest ${errors.length === 1 ? 'entry was' : 'entries were'} rejected:`));
+    const list = element('ul');
+    errors.forEach((err) => {
+      const where = err.index < 0 ? 'Manifest' : `Entry ${err.index + 1}${err.repository ? ` (${err.repository})` : ''}`;
+      list.appendChild(element('li', undefined, `${where}: ${err.message}`));
+    });
+    box.appendChild(list);
+  }
+
+  private render(): void {
+    const tbody = document.getElementById('sbi-manifest-tbody');
+    const table = tbody?.closest('table') as HTMLElement | null;
+    const apply = document.getElementById('sbi-manifest-apply') as HTMLButtonElement | null;
+    const summary = document.getElementById('sbi-manifest-summary');
+    if (!tbody) return;
+    tbody.textContent = '';
+    this.changes.forEach((change) => {
+      const tr = element('tr');
+      tr.dataset.repository = change.entry.repository;
+      if (change.error) tr.dataset.status = 'error';
+      tr.appendChild(element('td', 'sbi-audit-repo', change.entry.repository));
+      tr.appendChild(element('td', undefined, change.state ? STATE_LABELS[change.state] : 'Unknown'));
+      tr.appendChild(element('td', undefined, describeEntry(change.entry)));
+      tr.appendChild(element('td', undefined, describeChange(change)));
+      tbody.appendChild(tr);
+    });
+    if (table) table.style.display = this.changes.length ? '' : 'none';
+
+    const toApply = this.changes.filter((c) => !c.error && c.steps.length).length;
+    const blocked = this.changes.filter((c) => c.error).length;
+    if (summary) {
+      summary.textContent = this.changes.length
+        ? `${toApply} to change, ${this.changes.length - toApply - blocked} already matching, ${blocked} cannot be applied here.`
+        : '';
+    }
+    if (apply) {
+      apply.style.display = toApply ? '' : 'none';
+      apply.disabled = this.applying;
+      apply.textContent = this.applying ? 'Applying…' : `Apply ${toApply} ${toApply === 1 ? 'change' : 'changes'}`;
+    }
+  }
+}
+
+let manifestView: ManifestView | null = null;
+
+/**
+ * Mount the site manifest panel when present. Safe to call more than once.
+ */
+export function attachSiteManifest(windowObj: Window): ManifestView | null {
+  if (manifestView || typeof document === 'undefined') return manifestView;
+  if (!document.getElementById('sbi-manifest-panel')) return null;
+  manifestView = new ManifestView(windowObj);
+  manifestView.mount();
+  return manifestView;
+}
+
+export function getManifestView(): ManifestView | null {
+  return manifestView;
+}
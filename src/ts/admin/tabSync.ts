@@ -0,0 +1,254 @@
+import { PluginState, isPluginState } from '../types/fsm';
+import { siteScope } from '../lib/ajaxClient';
+import { debugLog } from '../lib/debugStore';
+import { repositoryFSM, RepoId } from './repositoryFSM';
+import type { TransitionRecord } from './repositoryFSM';
+
+type TabMessage =
+  | { type: 'hello'; tab: string }
+  | { type: 'state'; tab: string; repo: RepoId; state: PluginState; source: string }
+  | { type: 'claim'; tab: string; repo: RepoId; action: string; at: number }
+  | { type: 'lock'; tab: string; repo: RepoId; action: string }
+  | { type: 'unlock'; tab: string; repo: RepoId; action: string };
+
+type ReleaseListener = (repo: RepoId, action: string) => void;
+
+export interface TabLock {
+  repo: RepoId;
+  action: string;
+  release(): void;
+}
+
+interface RemoteLock {
+  tab: string;
+  action: string;
+  seen: number;
+}
+
+// Holders re-announce their locks; a tab that closed without saying so is forgotten after REMOTE_TTL_MS
+const HEARTBEAT_MS = 15000;
+const REMOTE_TTL_MS = 45000;
+// Without the Web Locks API competing claims are settled by earliest claim after this wait
+const CLAIM_SETTLE_MS = 75;
+
+// States every tab derives on its own (SSE, polling, scanning) are not re-broadcast
+const LOCAL_SOURCES = new Set(['tab', 'sse', 'heartbeat', 'poll', 'scanner', 'snapshot']);
+
+const ACTION_VERBS: Record<string, string> = {
+  install: 'installing',
+  update: 'updating',
+  activate: 'activating',
+  deactivate: 'deactivating',
+  refresh: 'refreshing',
+};
+
+/**
+ * Message for an operation refused because another tab holds the repository,
+ * e.g. "owner/repo is installing in another tab".
+ */
+export function otherTabMessage(repo: RepoId, action: string): string {
+  return `${repo} is ${ACTION_VERBS[action] || 'busy'} in another tab`;
+}
+
+function randomId(): string {
+  return Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+}
+
+/**
+ * Coordinates installer tabs open in the same browser: FSM transitions made
+ * in one tab are broadcast to the others over BroadcastChannel, and
+ * per-repository operations take a cross-tab lock (Web Locks API, with a
+ * channel-based claim as fallback) so two tabs never send the same install.
+ * The server's processing lock still guards against other browsers.
+ */
+export class TabSync {
+  readonly tabId = randomId();
+  private readonly windowObj: Window;
+  private readonly scope: string;
+  private channel: BroadcastChannel | null = null;
+  private held: Map<RepoId, { action: string; release: () => void }> = new Map();
+  private remote: Map<RepoId, RemoteLock> = new Map();
+  private claims: Map<RepoId, { at: number; lost: boolean }> = new Map();
+  private releaseListeners: Set<ReleaseListener> = new Set();
+  private heartbeatTimer: ReturnType<typeof setInterval> | null = null;
+
+  constructor(windowObj: Window) {
+    this.windowObj = windowObj;
+    // Multisite subsites share an origin; keep their tabs apart
+    this.scope = siteScope(windowObj);
+  }
+
+  start(): void {
+    if (this.channel || typeof BroadcastChannel === 'undefined') return;
+    try {
+      this.channel = new BroadcastChannel(`sbi-tabs:${this.scope}`);
+    } catch {
+      return;
+    }
+    this.channel.onmessage = (e: MessageEvent) => this.receive(e.data as TabMessage);
+    repositoryFSM.onTransition((t) => this.publishTransition(t));
+    this.windowObj.addEventListener('pagehide', () => {
+      this.held.forEach((_, repo) => this.release(repo));
+      if (this.heartbeatTimer) clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    });
+    // Restored from the back/forward cache
+    this.windowObj.addEventListener('pageshow', (e: PageTransitionEvent) => {
+      if (e.persisted && !this.heartbeatTimer) this.heartbeatTimer = setInterval(() => this.heartbeat(), HEARTBEAT_MS);
+    });
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), HEARTBEAT_MS);
+    this.post({ type: 'hello', tab: this.tabId });
+  }
+
+  isConnected(): boolean {
+    return this.channel !== null;
+  }
+
+  /**
+   * Take the cross-tab lock for an operation on a repository. Resolves null
+   * when another tab holds it; release the returned lock when done.
+   */
+  async acquire(repo: RepoId, action: string): Promise<TabLock | null> {
+    if (this.held.has(repo) || this.remoteAction(repo)) return null;
+    const locks = typeof navigator !== 'undefined' ? (navigator as any).locks : undefined;
+    if (locks && typeof locks.request === 'function') {
+      return new Promise<TabLock | null>((resolve) => {
+        locks
+          .request(`sbi-repo:${this.scope}:${repo}`, { ifAvailable: true }, (lock: unknown) => {
+            if (!lock) {
+              resolve(null);
+              return undefined;
+            }
+            // The Web Lock is held until this promise settles
+            return new Promise<void>((done) => resolve(this.hold(repo, action, done)));
+          })
+          .catch(() => resolve(this.claim(repo, action)));
+      });
+    }
+    return this.claim(repo, action);
+  }
+
+  // Action another tab is running on the repository, if any
+  remoteAction(repo: RepoId): string | undefined {
+    const lock = this.remote.get(repo);
+    if (!lock) return undefined;
+    if (Date.now() - lock.seen > REMOTE_TTL_MS) {
+      this.forget(repo);
+      return undefined;
+    }
+    return lock.action;
+  }
+
+  // Called when another tab finishes an operation (e.g. to re-render the row from the server)
+  onRemoteRelease(listener: ReleaseListener): () => void {
+    this.releaseListeners.add(listener);
+    return () => this.releaseListeners.delete(listener);
+  }
+
+  private async claim(repo: RepoId, action: string): Promise<TabLock | null> {
+    if (!this.channel) return this.hold(repo, action, () => {});
+    const at = Date.now();
+    this.claims.set(repo, { at, lost: false });
+    this.post({ type: 'claim', tab: this.tabId, repo, action, at });
+    await new Promise((r) => setTimeout(r, CLAIM_SETTLE_MS));
+    const lost = this.claims.get(repo)?.lost;
+    this.claims.delete(repo);
+    if (lost || this.held.has(repo) || this.remoteAction(repo)) return null;
+    return this.hold(repo, action, () => {});
+  }
+
+  private hold(repo: RepoId, action: string, done: () => void): TabLock {
+    this.held.set(repo, { action, release: done });
+    this.post({ type: 'lock', tab: this.tabId, repo, action });
+    return { repo, action, release: () => this.release(repo) };
+  }
+
+  private release(repo: RepoId): void {
+    const lock = this.held.get(repo);
+    if (!lock) return;
+    this.held.delete(repo);
+    lock.release();
+    this.post({ type: 'unlock', tab: this.tabId, repo, action: lock.action });
+  }
+
+  private receive(msg: TabMessage): void {
+    if (!msg || typeof msg !== 'object' || msg.tab === this.tabId) return;
+    switch (msg.type) {
+      case 'hello':
+        this.heartbeat();
+        break;
+      case 'state':
+        if (!isPluginState(msg.state)) return;
+        if (repositoryFSM.set(msg.repo, msg.state, { force: true, source: 'tab' })) {
+          repositoryFSM.applyToRow(msg.repo, msg.state);
+        }
+        break;
+      case 'claim': {
+        const held = this.held.get(msg.repo);
+        if (held) {
+          this.post({ type: 'lock', tab: this.tabId, repo: msg.repo, action: held.action });
+          return;
+        }
+        // Earliest claim wins; ties go to the lower tab id
+        const mine = this.claims.get(msg.repo);
+        if (mine && (msg.at < mine.at || (msg.at === mine.at && msg.tab < this.tabId))) mine.lost = true;
+        break;
+      }
+      case 'lock': {
+        const known = this.remote.get(msg.repo);
+        this.remote.set(msg.repo, { tab: msg.tab, action: msg.action, seen: Date.now() });
+        if (!known || known.action !== msg.action) {
+          repositoryFSM.setRemoteAction(msg.repo, msg.action);
+          debugLog(this.windowObj, 'info', 'Tab Sync', otherTabMessage(msg.repo, msg.action), { category: 'tabs', repo: msg.repo });
+        }
+        break;
+      }
+      case 'unlock':
+        if (this.remote.get(msg.repo)?.tab !== msg.tab) return;
+        this.forget(msg.repo);
+        this.releaseListeners.forEach((fn) => {
+          try {
+            fn(msg.repo, msg.action);
+          } catch {}
+        });
+        break;
+    }
+  }
+
+  private publishTransition(t: TransitionRecord): void {
+    if (t.outcome !== 'applied' || LOCAL_SOURCES.has(t.source) || !isPluginState(t.to)) return;
+    this.post({ type: 'state', tab: this.tabId, repo: t.repo, state: t.to, source: t.source });
+  }
+
+  private heartbeat(): void {
+    this.held.forEach((lock, repo) => this.post({ type: 'lock', tab: this.tabId, repo, action: lock.action }));
+    this.remote.forEach((_, repo) => this.remoteAction(repo));
+  }
+
+  private forget(repo: RepoId): void {
+    if (!this.remote.delete(repo)) return;
+    repositoryFSM.setRemoteAction(repo, null);
+  }
+
+  private post(msg: TabMessage): void {
+    try {
+      this.channel?.postMessage(msg);
+    } catch {}
+  }
+}
+
+let tabSync: TabSync | null = null;
+
+export function getTabSync(windowObj: Window): TabSync {
+  if (!tabSync) tabSync = new TabSync(windowObj);
+  return tabSync;
+}
+
+/**
+ * Join the other installer tabs of this browser. Safe to call more than once.
+ */
+export function attachTabSync(windowObj: Window): TabSync {
+  const sync = getTabSync(windowObj);
+  sync.start();
+  return sync;
+}
@@ -0,0 +1,326 @@
+import { PluginState, isPluginState } from '../types/fsm';
+import { repositoryFSM, RepoId } from './repositoryFSM';
+import { rowRegistry } from './rowRegistry';
+
+export type TableSort = '' | 'name' | '-name' | 'state' | 'updated' | '-updated';
+
+export interface TableFilterState {
+  query: string;
+  states: PluginState[]; // empty = all states
+  sort: TableSort; // '' = load order
+}
+
+const HIDDEN_CLASS = 'sbi-filter-hidden';
+
+const CHIPS: Array<[PluginState, string]> = [
+  [PluginState.AVAILABLE, 'Available'],
+  [PluginState.INSTALLED_INACTIVE, 'Installed inactive'],
+  [PluginState.INSTALLED_ACTIVE, 'Active'],
+  [PluginState.UPDATE_AVAILABLE, 'Update available'],
+  [PluginState.NOT_PLUGIN, 'Not a plugin'],
+  [PluginState.ERROR, 'Error'],
+];
+
+const SORTS: Array<[TableSort, string]> = [
+  ['', 'Load order'],
+  ['name', 'Name (A–Z)'],
+  ['-name', 'Name (Z–A)'],
+  ['state', 'State'],
+  ['-updated', 'Last updated (newest)'],
+  ['updated', 'Last updated (oldest)'],
+];
+
+// Things needing attention first, scanning/unknown rows last
+const STATE_ORDER: PluginState[] = [
+  PluginState.ERROR,
+  PluginState.UPDATE_AVAILABLE,
+  PluginState.AVAILABLE,
+  PluginState.INSTALLING,
+  PluginState.INSTALLED_INACTIVE,
+  PluginState.INSTALLED_ACTIVE,
+  PluginState.NOT_PLUGIN,
+  PluginState.CHECKING,
+  PluginState.UNKNOWN,
+];
+
+const EMPTY_STATE: TableFilterState = { query: '', states: [], sort: '' };
+
+function isSort(value: string): value is TableSort {
+  return SORTS.some(([key]) => key === value);
+}
+
+/**
+ * Read filter state from a location hash such as
+ * #q=seo&state=error,available&sort=-updated. Unknown values are ignored.
+ */
+export function parseFilterHash(hash: string): TableFilterState {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const states = (params.get('state') || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter((s): s is PluginState => isPluginState(s));
+  const sort = params.get('sort') || '';
+  return {
+    query: params.get('q') || '',
+    states: Array.from(new Set(states)),
+    sort: isSort(sort) ? sort : '',
+  };
+}
+
+export function filterStateToHash(state: TableFilterState): string {
+  const params = new URLSearchParams();
+  if (state.query) params.set('q', state.query);
+  if (state.states.length) params.set('state', state.states.join(','));
+  if (state.sort) params.set('sort', state.sort);
+  const text = params.toString();
+  return text ? `#${text}` : '';
+}
+
+// Scan failures are shown on placeholder rows that never reach the FSM
+function rowState(row: HTMLElement): PluginState | undefined {
+  if (row.classList.contains('sbi-error-row')) return PluginState.ERROR;
+  const state = repositoryFSM.get(row.dataset.repository || '') ?? row.dataset.repoState;
+  return state && isPluginState(state) ? state : undefined;
+}
+
+function element<K extends keyof HTMLElementTagNameMap>(tag: K, className?: string, text?: string): HTMLElementTagNameMap[K] {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+/**
+ * Instant client-side search, state chips and sorting for the progressively
+ * loaded repository table. The view lives in the URL hash so it can be
+ * bookmarked and shared; rows that arrive or are re-rendered later are
+ * filtered and placed as they appear.
+ */
+export class TableFilter {
+  private readonly windowObj: Window;
+  private readonly bar: HTMLElement;
+  private state: TableFilterState = { ...EMPTY_STATE };
+  // Row attributes that refreshed rows may not carry again (load position, GitHub push time)
+  private readonly order: Map<RepoId, number> = new Map();
+  private readonly updated: Map<RepoId, number> = new Map();
+  private readonly chips: Map<PluginState, HTMLButtonElement> = new Map();
+  private search: HTMLInputElement | null = null;
+  private sortSelect: HTMLSelectElement | null = null;
+  private countEl: HTMLElement | null = null;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+
+  constructor(windowObj: Window, bar: HTMLElement) {
+    this.windowObj = windowObj;
+    this.bar = bar;
+  }
+
+  mount(): void {
+    this.bar.appendChild(this.buildControls());
+    this.state = parseFilterHash(this.windowObj.location?.hash || '');
+    this.syncControls();
+
+    rowRegistry.attach(this.windowObj);
+    // Ignore our own re-sorts so applying an order does not schedule another pass
+    rowRegistry.onChange((change) => {
+      if (change !== 'order') this.schedule();
+    });
+    repositoryFSM.onChange(() => this.schedule());
+    this.windowObj.addEventListener('hashchange', () => {
+      this.state = parseFilterHash(this.windowObj.location.hash);
+      this.syncControls();
+      this.apply();
+    });
+    this.apply();
+  }
+
+  getState(): TableFilterState {
+    return { ...this.state, states: this.state.states.slice() };
+  }
+
+  setState(next: Partial<TableFilterState>): void {
+    this.state = { ...this.state, ...next };
+    this.writeHash();
+    this.syncControls();
+    this.apply();
+  }
+
+  clear(): void {
+    this.setState({ ...EMPTY_STATE });
+  }
+
+  // Filter, sort and count now; called on every change after a short debounce
+  apply(): void {
+    const rows = rowRegistry.all();
+    rows.forEach((row) => this.remember(row));
+
+    const counts = new Map<PluginState, number>();
+    let shown = 0;
+    rows.forEach((row) => {
+      const state = rowState(row);
+      if (state) counts.set(state, (counts.get(state) || 0) + 1);
+      const visible = this.matches(row, state);
+      if (visible) shown++;
+      this.setRowHidden(row, !visible);
+    });
+
+    this.sortRows(rows);
+    rowRegistry.schedule();
+
+    this.chips.forEach((chip, state) => {
+      const count = chip.querySelector('.sbi-filter-chip-count');
+      if (count) count.textContent = String(counts.get(state) || 0);
+    });
+    if (this.countEl) {
+      const filtered = this.state.query !== '' || this.state.states.length > 0;
+      this.countEl.textContent = filtered ? `Showing ${shown} of ${rows.length}` : '';
+    }
+  }
+
+  private buildControls(): DocumentFragment {
+    const fragment = document.createDocumentFragment();
+
+    const search = element('input', 'sbi-filter-search');
+    search.type = 'search';
+    search.placeholder = 'Search repositories…';
+    search.setAttribute('aria-label', 'Search repository names and descriptions');
+    search.addEventListener('input', () => this.setState({ query: search.value.trim() }));
+    this.search = search;
+    fragment.appendChild(search);
+
+    const chips = element('span', 'sbi-filter-chips');
+    chips.setAttribute('role', 'group');
+    chips.setAttribute('aria-label', 'Filter by state');
+    CHIPS.forEach(([state, label]) => {
+      const chip = element('button', 'button button-small sbi-filter-chip', label);
+      chip.type = 'button';
+      chip.dataset.state = state;
+      chip.setAttribute('aria-pressed', 'false');
+      chip.appendChild(element('span', 'sbi-filter-chip-count', '0'));
+      chip.addEventListener('click', () => {
+        const selected = new Set(this.state.states);
+        if (selected.has(state)) selected.delete(state);
+        else selected.add(state);
+        this.setState({ states: CHIPS.map(([s]) => s).filter((s) => selected.has(s)) });
+      });
+      this.chips.set(state, chip);
+      chips.appendChild(chip);
+    });
+    fragment.appendChild(chips);
+
+    const sort = element('select', 'sbi-filter-sort');
+    sort.setAttribute('aria-label', 'Sort repositories');
+    SORTS.forEach(([value, label]) => sort.appendChild(new Option(`Sort: ${label}`, value)));
+    sort.addEventListener('change', () => this.setState({ sort: isSort(sort.value) ? sort.value : '' }));
+    this.sortSelect = sort;
+    fragment.appendChild(sort);
+
+    const clear = element('button', 'button-link sbi-filter-clear', 'Clear filters');
+    clear.type = 'button';
+    clear.addEventListener('click', () => this.clear());
+    fragment.appendChild(clear);
+
+    this.countEl = element('span', 'sbi-filter-count');
+    this.countEl.setAttribute('role', 'status');
+    fragment.appendChild(this.countEl);
+    return fragment;
+  }
+
+  private syncControls(): void {
+    if (this.search && this.search.value.trim() !== this.state.query) this.search.value = this.state.query;
+    if (this.sortSelect) this.sortSelect.value = this.state.sort;
+    this.chips.forEach((chip, state) => chip.setAttribute('aria-pressed', this.state.states.includes(state) ? 'true' : 'false'));
+    this.bar.classList.toggle('is-filtered', this.state.query !== '' || this.state.states.length > 0);
+  }
+
+  // replaceState: typing in the search box should not add a history entry per keystroke
+  private writeHash(): void {
+    const loc = this.windowObj.location;
+    const hash = filterStateToHash(this.state);
+    if (!loc || hash === (loc.hash === '#' ? '' : loc.hash)) return;
+    try {
+      this.windowObj.history.replaceState(this.windowObj.history.state, '', `${loc.pathname}${loc.search}${hash}`);
+    } catch {
+      loc.hash = hash;
+    }
+  }
+
+  private schedule(): void {
+    if (this.timer !== null) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.apply();
+    }, 100);
+  }
+
+  private remember(row: HTMLTableRowElement): void {
+    const repo = row.dataset.repository || '';
+    if (!this.order.has(repo)) this.order.set(repo, this.order.size);
+    const updated = Date.parse(row.dataset.updated || '');
+    if (!Number.isNaN(updated)) this.updated.set(repo, updated);
+  }
+
+  private matches(row: HTMLTableRowElement, state: PluginState | undefined): boolean {
+    if (this.state.states.length && (!state || !this.state.states.includes(state))) return false;
+    if (!this.state.query) return true;
+    const needle = this.state.query.toLowerCase();
+    const description = row.querySelector('.column-description')?.textContent || '';
+    return `${row.dataset.repository || ''} ${description}`.toLowerCase().includes(needle);
+  }
+
+  private setRowHidden(row: HTMLTableRowElement, hidden: boolean): void {
+    row.classList.toggle(HIDDEN_CLASS, hidden);
+    // Bulk actions act on checked boxes; never include rows the user cannot see
+    if (hidden) {
+      row.querySelectorAll<HTMLInputElement>('input[type="checkbox"]:checked').forEach((box) => (box.checked = false));
+    }
+  }
+
+  private compare(a: HTMLTableRowElement, b: HTMLTableRowElement): number {
+    const repoA = a.dataset.repository || '';
+    const repoB = b.dataset.repository || '';
+    const byOrder = (this.order.get(repoA) ?? 0) - (this.order.get(repoB) ?? 0);
+    const sort = this.state.sort;
+    const dir = sort.startsWith('-') ? -1 : 1;
+    let result = 0;
+    if (sort === 'name' || sort === '-name') {
+      result = dir * (a.dataset.repoName || repoA).localeCompare(b.dataset.repoName || repoB, undefined, { sensitivity: 'base' });
+    } else if (sort === 'state') {
+      const rank = (row: HTMLTableRowElement) => {
+        const state = rowState(row);
+        return state ? STATE_ORDER.indexOf(state) : STATE_ORDER.length;
+      };
+      result = rank(a) - rank(b);
+    } else if (sort === 'updated' || sort === '-updated') {
+      // Unknown push times sort last in either direction
+      const ta = this.updated.get(repoA);
+      const tb = this.updated.get(repoB);
+      if (ta === undefined || tb === undefined) result = ta === undefined ? (tb === undefined ? 0 : 1) : -1;
+      else result = dir * (ta - tb);
+    }
+    return result || byOrder;
+  }
+
+  // The registry moves history timelines with their rows and only touches the DOM when the order changed
+  private sortRows(rows: HTMLTableRowElement[]): void {
+    const sorted = rows.slice().sort((a, b) => this.compare(a, b));
+    rowRegistry.setOrder(sorted.map((row) => row.dataset.repository || ''));
+  }
+}
+
+let tableFilter: TableFilter | null = null;
+
+/**
+ * Mount the filter bar in #sbi-table-filter. Safe to call more than once.
+ */
+export function attachTableFilter(windowObj: Window): TableFilter | null {
+  if (tableFilter || typeof document === 'undefined') return tableFilter;
+  const bar = document.getElementById('sbi-table-filter');
+  if (!bar || !document.getElementById('sbi-repository-tbody')) return null;
+  tableFilter = new TableFilter(windowObj, bar);
+  tableFilter.mount();
+  return tableFilter;
+}
+
+export function getTableFilter(): TableFilter | null {
+  return tableFilter;
+}
@@ -0,0 +1,85 @@
+import { PluginState, isPluginState } from '../types/fsm';
+import { repositoryFSM } from './repositoryFSM';
+import { rowRegistry } from './rowRegistry';
+
+function rowState(row: HTMLElement): PluginState | undefined {
+  const repo = row.dataset.repository || '';
+  const state = repositoryFSM.get(repo) ?? row.dataset.repoState;
+  return state && isPluginState(state) ? state : undefined;
+}
+
+/**
+ * "N updates available" toggle in the repository list header: counts rows in
+ * UPDATE_AVAILABLE and, when pressed, hides every other repository row.
+ */
+export class UpdateFilter {
+  private readonly button: HTMLButtonElement;
+  private active = false;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+
+  constructor(button: HTMLButtonElement) {
+    this.button = button;
+  }
+
+  mount(): void {
+    this.button.addEventListener('click', () => this.toggle(!this.active));
+    // Rows arrive progressively and are replaced on refresh; every state change goes through the FSM
+    repositoryFSM.onChange(() => this.schedule());
+    rowRegistry.onChange((change) => {
+      if (change !== 'order') this.schedule();
+    });
+    this.update();
+  }
+
+  toggle(active: boolean): void {
+    this.active = active;
+    this.button.setAttribute('aria-pressed', active ? 'true' : 'false');
+    this.update();
+  }
+
+  count(): number {
+    return rowRegistry.all().filter((row) => rowState(row) === PluginState.UPDATE_AVAILABLE).length;
+  }
+
+  private schedule(): void {
+    if (this.timer !== null) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.update();
+    }, 100);
+  }
+
+  private update(): void {
+    const rows = rowRegistry.all();
+    const isUpdate = new Map(rows.map((row) => [row, rowState(row) === PluginState.UPDATE_AVAILABLE] as const));
+    const updates = rows.filter((row) => isUpdate.get(row)).length;
+    // Nothing left to show: drop the filter rather than leave an empty table
+    if (this.active && updates === 0) {
+      this.active = false;
+      this.button.setAttribute('aria-pressed', 'false');
+    }
+    let changed = false;
+    rows.forEach((row) => {
+      const hidden = this.active && !isUpdate.get(row);
+      if (row.hidden !== hidden) changed = true;
+      row.hidden = hidden;
+    });
+    // The registry leaves hidden rows (and their history timelines) out of the table
+    if (changed) rowRegistry.schedule();
+    this.button.hidden = updates === 0;
+    this.button.textContent = this.active
+      ? `Showing ${updates} ${updates === 1 ? 'update' : 'updates'} — show all`
+      : `${updates} ${updates === 1 ? 'update' : 'updates'} available`;
+  }
+}
+
+let filter: UpdateFilter | null = null;
+
+export function attachUpdateFilter(windowObj: Window): UpdateFilter | null {
+  if (filter || typeof document === 'undefined' || !windowObj.document) return filter;
+  const button = document.getElementById('sbi-updates-filter') as HTMLButtonElement | null;
+  if (!button) return null;
+  filter = new UpdateFilter(button);
+  filter.mount();
+  return filter;
+}
@@ -3,17 +3,146 @@
  Phase 3: Add typed admin handlers; keep current JS intact
 */
 
-export { PluginState, isInstalled, isPluginByState } from './types/fsm';
-export type { WpAjaxResponse, WpAjaxSuccess, WpAjaxError, ProgressUpdate } from './types/ajax';
-export type { SbiAjax, SbiDebug } from './types/wp-globals';
+export { PluginState, isInstalled, installedState, isPluginByState, isPluginState, canTransition, ALLOWED_TRANSITIONS, STATE_LABELS } from './types/fsm';
+export type {
+  WpAjaxResponse,
+  WpAjaxSuccess,
+  WpAjaxError,
+  ProgressUpdate,
+  InstallPhase,
+  InstallProgressStep,
+  InstallProgressData,
+  UpdatePluginSuccessData,
+  RepositoryRefs,
+  RepositoryRelease,
+  GitHubRateLimit,
+  PluginOverride,
+  PluginOverrideListItem,
+} from './types/ajax';
+export type { SbiAjax, SbiDebug, SbiEnvironment } from './types/wp-globals';
 
-export { wpAjaxFetch } from './lib/ajaxClient';
+export { wpAjaxFetch, IDEMPOTENT_ACTIONS } from './lib/ajaxClient';
 export type { AjaxOptions } from './lib/ajaxClient';
-export { mapResponseToError, mapExceptionToError } from './lib/errors';
-export type { AjaxErrorDetails } from './lib/errors';
+export {
+  LiveTransport,
+  RecordingTransport,
+  ReplayTransport,
+  getTransport,
+  setTransportMode,
+  downloadTransportSession,
+  parseSession,
+  SESSION_FORMAT,
+  HEARTBEAT_EVENT,
+} from './lib/transport';
+export type {
+  Transport,
+  TransportMode,
+  TransportConfig,
+  TransportSession,
+  RecordedExchange,
+  RecordedStreamEvent,
+  StreamSource,
+  MockHandler,
+  MockResult,
+} from './lib/transport';
+export {
+  mapResponseToError,
+  mapExceptionToError,
+  NetworkError,
+  mapBodyToError,
+  responseErrorMessage,
+  classifyError,
+  formatErrorHints,
+  ERROR_DEFINITIONS,
+} from './lib/errors';
+export type { AjaxErrorDetails, SbiErrorCode, ClassifiedError, RemediationHint, ClassifyContext } from './lib/errors';
+export { DebugStore, debugLog, getDebugStore, installDebugStore } from './lib/debugStore';
+export type { DebugEntry, DebugFilter, DebugLevel, DebugMeta } from './lib/debugStore';
+export { AuditLog, getAuditLog, auditToCsv } from './lib/auditLog';
+export type { AuditEntry, AuditQuery, AuditTrigger, AuditOutcome } from './lib/auditLog';
+export { downloadFile } from './lib/download';
+export { RateLimitMonitor, rateLimit, parseRateHeader } from './lib/rateLimit';
+export type { RateLimitSnapshot } from './lib/rateLimit';
+export { Announcer, getAnnouncer, announce } from './lib/announcer';
+export { HeartbeatChannel, getHeartbeat } from './lib/heartbeat';
+export type { HeartbeatTick, HeartbeatEvent } from './lib/heartbeat';
+export { SnapshotStore, getSnapshotStore, snapshotKey, SNAPSHOT_MAX_AGE_MS } from './lib/stateSnapshot';
+export type { StateSnapshot, SnapshotEntry, SnapshotRepository } from './lib/stateSnapshot';
+export type { Politeness } from './lib/announcer';
+export { StateStream, getStateStream } from './lib/stateStream';
+export type { StreamStatus, StateChangedEvent, StateStreamOptions } from './lib/stateStream';
 
-export { installPlugin, activatePlugin, deactivatePlugin, refreshStatus } from './admin/handlers';
+export {
+  installPlugin,
+  updatePlugin,
+  activatePlugin,
+  deactivatePlugin,
+  refreshStatus,
+  refreshRepository,
+  getInstallationProgress,
+  getRepositoryRefs,
+  getGitHubRateLimit,
+  setPluginOverride,
+  removePluginOverride,
+  listPluginOverrides,
+  clearPluginOverrides,
+} from './admin/handlers';
 export { repositoryFSM, RepositoryFSM } from './admin/repositoryFSM';
+export type { SetStateOptions, BlockedTransition, TransitionRecord } from './admin/repositoryFSM';
+export { attachAuditTrail, recordAction, toggleRowHistory, triggerFor, AuditView } from './admin/auditTrail';
+export { BatchQueue, planBatch } from './admin/batchQueue';
+export type {
+  BatchAction,
+  BatchItem,
+  BatchItemResult,
+  BatchItemStatus,
+  BatchProgress,
+  BatchSummary,
+  BatchQueueOptions,
+  BatchPlan,
+  BatchPlanItem,
+  BatchDependencyProblem,
+} from './admin/batchQueue';
+export { requiredPlugins, repositoryForSlug, orderByDependencies } from './admin/pluginDependencies';
+export type { DependencyStatus, RequiredPlugin, DependencyOrder } from './admin/pluginDependencies';
+export { RowActionController, bindRowActions, runRowAction, refreshRow, applyRowResponse, targetFromButton, showNotice } from './admin/rowActions';
+export type { RowAction, RowActionTarget } from './admin/rowActions';
+export { InstallProgressTracker, getInstallProgress, INSTALL_PHASES } from './admin/installProgress';
+export type { InstallTimeline, PhaseTiming, PhaseStatus, InstallProgressOptions } from './admin/installProgress';
+export { DebugPanel, mountDebugPanel } from './admin/debugPanel';
+export { UpdateFilter, attachUpdateFilter } from './admin/updateFilter';
+export { RateLimitWidget, attachRateLimitWidget } from './admin/rateLimitWidget';
+export { OverridesView, attachPluginOverrides, overrideRepository, removeOverride, isValidPluginFile } from './admin/pluginOverrides';
+export type { OverrideAction } from './admin/pluginOverrides';
+export { KeyboardNavigator, ShortcutHelp, attachKeyboardNav, getKeyboardNav } from './admin/keyboardNav';
+export { attachLiveAnnouncements, shouldAnnounce } from './admin/liveAnnouncements';
+export { NotificationCenter, getNotificationCenter, notify } from './admin/notificationCenter';
+export type { NotificationSeverity, NotifyOptions, NotificationRecord } from './admin/notificationCenter';
+export { RowRegistry, rowRegistry } from './admin/rowRegistry';
+export {
+  ManifestView,
+  attachSiteManifest,
+  getManifestView,
+  buildManifest,
+  parseManifest,
+  diffManifest,
+  applyManifest,
+  MANIFEST_FORMAT,
+  MANIFEST_VERSION,
+} from './admin/siteManifest';
+export type { SiteManifest, ManifestEntry, ManifestEntryError, ManifestChange, ManifestStep, ParsedManifest } from './admin/siteManifest';
+export { TabSync, attachTabSync, getTabSync, otherTabMessage } from './admin/tabSync';
+export type { TabLock } from './admin/tabSync';
+export type { RowChange } from './admin/rowRegistry';
+export { TableFilter, attachTableFilter, getTableFilter, parseFilterHash, filterStateToHash } from './admin/tableFilter';
+export type { TableFilterState, TableSort } from './admin/tableFilter';
+export { attachRefPicker, loadRefs, selectedRef, setSelectedRef, syncRefSelect } from './admin/refPicker';
+export { buildDiagnosticBundle, downloadDiagnosticBundle } from './admin/diagnostics';
+export type { DiagnosticBundle } from './admin/diagnostics';
+export { runBatch, getActiveBatch, confirmBatchPlan } from './admin/batchPanel';
+export type { BulkRow, RunBatchOptions } from './admin/batchPanel';
+export { RepositoryScanner, startRepositoryScan, getActiveScanner } from './admin/repositoryScanner';
+export type { ScanRepository, ScanItemStatus, ScanProgress, RepositoryScannerOptions } from './admin/repositoryScanner';
 
 // Smoke test to ensure bundling works when later integrated
 export function tsScaffoldHello(): string {
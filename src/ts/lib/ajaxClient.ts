@@ -1,27 +1,127 @@
 import type { WpAjaxResponse } from '../types/ajax';
 import type { SbiAjax } from '../types/wp-globals';
-import { mapExceptionToError, mapResponseToError } from './errors';
+import { mapBodyToError, mapExceptionToError, mapResponseToError, NetworkError, RETRYABLE_STATUS } from './errors';
+import type { AjaxErrorDetails } from './errors';
+import { getHeartbeat } from './heartbeat';
+import { rateLimit } from './rateLimit';
+import { getTransport } from './transport';
 
 export interface AjaxOptions {
   method?: 'GET' | 'POST';
-  timeoutMs?: number; // default 30000
+  timeoutMs?: number; // per attempt, default 30000
   headers?: Record<string, string>;
+  signal?: AbortSignal; // caller cancellation; aborts the request and any pending retry
+  retries?: number; // extra attempts on network/timeout/5xx; default 2 for idempotent actions, else 0
+  retryBaseMs?: number; // first backoff delay, default 500
+  dedupe?: boolean; // share identical in-flight requests; default true for idempotent actions
 }
 
-function timeout(signal: AbortSignal | undefined, ms: number): AbortController | undefined {
-  if (typeof AbortController === 'undefined') return undefined;
+// Read-only actions that are safe to repeat or share between callers
+export const IDEMPOTENT_ACTIONS: ReadonlySet<string> = new Set([
+  'sbi_refresh_repository',
+  'sbi_refresh_status',
+  'sbi_fetch_repository_list',
+  'sbi_get_repository_refs',
+  'sbi_github_rate_limit',
+  'sbi_list_plugin_overrides',
+]);
+
+const MAX_RETRY_DELAY_MS = 8000;
+
+const inFlight: Map<string, Promise<WpAjaxResponse<any>>> = new Map();
+
+/**
+ * The site this page talks to. Subsites of a subdirectory multisite share one
+ * origin, so browser storage and cross-tab channels are keyed by it.
+ */
+export function siteScope(windowObj?: Window): string {
+  const w = (windowObj || (typeof window !== 'undefined' ? window : undefined)) as any;
+  return (w && w.sbiAjax && w.sbiAjax.ajaxurl) || '';
+}
+
+function newRequestId(): string {
+  try {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+  } catch {}
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+// Per-attempt controller that fires on timeout or when the caller's signal aborts; dispose() clears both
+function attemptController(signal: AbortSignal | undefined, ms: number) {
   const ctrl = new AbortController();
-  const id = setTimeout(() => ctrl.abort(), ms);
-  // When caller passes an external signal we could chain, but keep minimal
-  void signal; // not used for now
-  // Clear will be responsibility of caller lifecycle; for small calls, process ends anyway
-  return ctrl;
+  let timedOut = false;
+  const id = setTimeout(() => {
+    timedOut = true;
+    ctrl.abort();
+  }, ms);
+  const onAbort = () => ctrl.abort();
+  if (signal) {
+    if (signal.aborted) ctrl.abort();
+    else signal.addEventListener('abort', onAbort);
+  }
+  return {
+    signal: ctrl.signal,
+    timedOut: () => timedOut,
+    dispose: () => {
+      clearTimeout(id);
+      signal?.removeEventListener('abort', onAbort);
+    },
+  };
+}
+
+// Marks rejections of the request itself; other exceptions in sendWithRetry are not retried
+function network<T>(pending: Promise<T>): Promise<T> {
+  return pending.catch((e) => {
+    throw new NetworkError(e);
+  });
+}
+
+// Exponential backoff with jitter; resolves false if the caller aborted while waiting
+function backoff(attempt: number, baseMs: number, signal: AbortSignal | undefined): Promise<boolean> {
+  const delay = Math.min(MAX_RETRY_DELAY_MS, baseMs * Math.pow(2, attempt)) * (0.5 + Math.random() * 0.5);
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve(false);
+    const onAbort = () => {
+      clearTimeout(id);
+      resolve(false);
+    };
+    const id = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve(true);
+    }, delay);
+    signal?.addEventListener('abort', onAbort);
+  });
+}
+
+// Mirrors jQuery.param so PHP receives nested arrays: a[]=1, repo[owner][login]=x
+function appendParam(parts: string[], key: string, v: unknown): void {
+  if (Array.isArray(v)) {
+    v.forEach((item, i) => appendParam(parts, item !== null && typeof item === 'object' ? `${key}[${i}]` : `${key}[]`, item));
+    return;
+  }
+  if (v !== null && typeof v === 'object') {
+    Object.entries(v as Record<string, unknown>).forEach(([k, item]) => appendParam(parts, `${key}[${k}]`, item));
+    return;
+  }
+  // PHP casts any non-empty string to true, "false" included
+  const value = v == null || v === false ? '' : v === true ? '1' : String(v);
+  parts.push(encodeURIComponent(key) + '=' + encodeURIComponent(value));
+}
+
+// A WordPress JSON envelope; '-1' and '0' bodies parse as JSON numbers but are not one
+function parseEnvelope<TData>(body: string): WpAjaxResponse<TData> | null {
+  try {
+    const parsed = JSON.parse(body);
+    return parsed !== null && typeof parsed === 'object' && typeof parsed.success === 'boolean' ? (parsed as WpAjaxResponse<TData>) : null;
+  } catch {
+    return null;
+  }
 }
 
 function formEncode(body: Record<string, unknown>): string {
-  return Object.entries(body)
-    .map(([k, v]) => encodeURIComponent(k) + '=' + encodeURIComponent(String(v)))
-    .join('&');
+  const parts: string[] = [];
+  Object.entries(body).forEach(([k, v]) => appendParam(parts, k, v));
+  return parts.join('&');
 }
 
 export async function wpAjaxFetch<TData = any>(
@@ -29,40 +129,174 @@ export async function wpAjaxFetch<TData = any>(
   payload: Record<string, unknown>,
   opts: AjaxOptions = {}
 ): Promise<WpAjaxResponse<TData>> {
-  const w = windowObj as any as { sbiAjax?: SbiAjax; sbiDebug?: any };
+  const w = windowObj as any as { sbiAjax?: SbiAjax };
   if (!w.sbiAjax) throw new Error('sbiAjax not found on window');
 
-  const url = w.sbiAjax.ajaxurl;
   const method = opts.method || 'POST';
+  const encoded = formEncode(payload);
+  const idempotent = IDEMPOTENT_ACTIONS.has(String(payload.action || ''));
+  // A shared request cannot honor one caller's signal, so cancellable calls are never deduplicated
+  const dedupe = (opts.dedupe ?? idempotent) && !opts.signal;
+  const key = `${method} ${encoded}`;
+
+  if (dedupe) {
+    const pending = inFlight.get(key);
+    if (pending) return pending as Promise<WpAjaxResponse<TData>>;
+  }
+
+  const request = sendRenewingNonce<TData>(windowObj, w.sbiAjax.ajaxurl, method, payload, encoded, idempotent, opts);
+  if (!dedupe) return request;
+
+  inFlight.set(key, request);
+  try {
+    return await request;
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+// WordPress rejected the nonce: error_code from verify_nonce_and_capability, or serverError.code
+// 'invalid_nonce' when sendWithRetry mapped a bare '-1' body (200 or 403)
+function isNonceFailure(resp: WpAjaxResponse<any>): boolean {
+  if (resp.success) return false;
+  const data = resp.data as any;
+  return data?.error_code === 'nonce_expired' || data?.serverError?.code === 'invalid_nonce';
+}
+
+/**
+ * Send once; when the nonce was rejected (tab open past its lifetime), get a
+ * fresh one through Heartbeat and replay the request with it once. The
+ * server rejected the first attempt before doing anything, so replaying
+ * non-idempotent actions is safe.
+ */
+async function sendRenewingNonce<TData>(
+  windowObj: Window,
+  ajaxurl: string,
+  method: 'GET' | 'POST',
+  payload: Record<string, unknown>,
+  encoded: string,
+  idempotent: boolean,
+  opts: AjaxOptions
+): Promise<WpAjaxResponse<TData>> {
+  const first = await sendWithRetry<TData>(windowObj, ajaxurl, method, encoded, idempotent, opts);
+  const stale = payload.nonce;
+  if (!isNonceFailure(first) || typeof stale !== 'string' || opts.signal?.aborted) return first;
+  // The renewal is a Heartbeat round-trip outside the transport: a recording would miss it, a replay would reach the live server
+  if (getTransport(windowObj).mode !== 'live') return first;
+
+  const fresh = await getHeartbeat(windowObj).renewNonce(stale);
+  const w = windowObj as any as { sbiDebug?: any };
+  if (!fresh) {
+    w.sbiDebug?.addEntry('warning', 'AJAX Nonce', `${String(payload.action || 'request')}: nonce rejected and no fresh one available; reload the page`, {
+      category: 'ajax',
+    });
+    return first;
+  }
+  w.sbiDebug?.addEntry('info', 'AJAX Nonce', `${String(payload.action || 'request')}: nonce expired; replaying with a renewed nonce`, {
+    category: 'ajax',
+  });
+  return sendWithRetry<TData>(windowObj, ajaxurl, method, formEncode({ ...payload, nonce: fresh }), idempotent, opts);
+}
+
+async function sendWithRetry<TData>(
+  windowObj: Window,
+  ajaxurl: string,
+  method: 'GET' | 'POST',
+  encoded: string,
+  idempotent: boolean,
+  opts: AjaxOptions
+): Promise<WpAjaxResponse<TData>> {
+  const w = windowObj as any as { sbiDebug?: any };
+  const requestId = newRequestId();
+  const url = method === 'GET' ? `${ajaxurl}${ajaxurl.includes('?') ? '&' : '?'}${encoded}` : ajaxurl;
   const timeoutMs = opts.timeoutMs ?? 30000;
+  const retries = Math.max(0, opts.retries ?? (idempotent ? 2 : 0));
   const headers: Record<string, string> = {
     'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
     ...(opts.headers || {}),
   };
 
-  const controller = timeout(undefined, timeoutMs);
+  // For debug entries: which action/repository this request was about
+  const params = new URLSearchParams(encoded);
+  const repository = params.get('repository') || '';
+  const owner = params.get('owner') || '';
+  const request = {
+    action: params.get('action') || undefined,
+    repository: owner && repository && !repository.includes('/') ? `${owner}/${repository}` : repository || undefined,
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    const ctrl = attemptController(opts.signal, timeoutMs);
+    let err: AjaxErrorDetails;
+    let retryable = false;
 
-  try {
-    const resp = await fetch(url, {
-      method,
-      headers,
-      body: method === 'POST' ? formEncode(payload) : undefined,
-      signal: controller?.signal,
-      credentials: 'same-origin',
-    });
+    try {
+      const resp = await network(
+        getTransport(windowObj).fetch(url, {
+          method,
+          headers,
+          body: method === 'POST' ? encoded : undefined,
+          signal: ctrl.signal,
+          credentials: 'same-origin',
+        })
+      );
 
-    if (!resp.ok) {
-      const err = mapResponseToError(resp, crypto.randomUUID?.() || Date.now().toString(), url, method);
-      w.sbiDebug?.addEntry('error', 'AJAX Error', JSON.stringify(err));
-      return { success: false, data: err as any };
+      rateLimit.noteHeaders(resp.headers);
+      if (resp.status === 403) {
+        // check_ajax_referer() dying answers '-1' with a 403; a JSON error envelope is passed on as it is
+        const body = await resp.text().catch(() => '');
+        const parsed = parseEnvelope<TData>(body);
+        if (parsed && !parsed.success) return parsed;
+        err = mapBodyToError(resp, body, requestId, url, method);
+        if (err.serverError?.code !== 'invalid_nonce') err = mapResponseToError(resp, requestId, url, method);
+      } else if (!resp.ok) {
+        err = mapResponseToError(resp, requestId, url, method);
+        retryable = RETRYABLE_STATUS.has(resp.status);
+      } else {
+        const body = await network(resp.text());
+        const parsed = parseEnvelope<TData>(body);
+        if (parsed) {
+          if (!parsed.success && (parsed.data as any)?.error_code === 'github_rate_limit') rateLimit.noteExhausted();
+          return parsed;
+        }
+        // PHP notices, WordPress '-1' (nonce/capability) or '0' (unknown action) bodies
+        err = mapBodyToError(resp, body, requestId, url, method);
+      }
+    } catch (e) {
+      err = mapExceptionToError(e, requestId, url, method);
+      if (ctrl.timedOut()) {
+        err.serverError = { message: `Request timed out after ${Math.round(timeoutMs / 1000)} seconds`, code: 'timeout' };
+        retryable = true;
+      } else if (opts.signal?.aborted) {
+        err.serverError = { message: 'Request cancelled', code: 'aborted' };
+      } else {
+        retryable = e instanceof NetworkError;
+      }
+    } finally {
+      ctrl.dispose();
     }
 
-    const data = (await resp.json()) as WpAjaxResponse<TData>;
-    return data;
-  } catch (e) {
-    const err = mapExceptionToError(e, crypto.randomUUID?.() || Date.now().toString(), url, method);
-    w.sbiDebug?.addEntry('error', 'AJAX Exception', JSON.stringify(err));
+    if (retryable && attempt < retries && (await backoff(attempt, opts.retryBaseMs ?? 500, opts.signal))) {
+      w.sbiDebug?.addEntry('warning', 'AJAX Retry', `${requestId}: attempt ${attempt + 2}/${retries + 1} after ${describe(err)}`, {
+        category: 'ajax',
+        requestId,
+        repo: request.repository,
+      });
+      continue;
+    }
+    if (err.serverError?.code !== 'aborted') {
+      w.sbiDebug?.addEntry('error', 'AJAX Error', `${request.action || 'request'}: ${describe(err)}`, {
+        category: 'ajax',
+        requestId,
+        repo: request.repository,
+        payload: { ...err, action: request.action },
+      });
+    }
     return { success: false, data: err as any };
   }
 }
 
+function describe(err: AjaxErrorDetails): string {
+  if (err.serverError?.message) return err.serverError.message;
+  return err.status ? `HTTP ${err.status}` : 'error';
+}
@@ -0,0 +1,90 @@
+export type Politeness = 'polite' | 'assertive';
+
+// Messages arriving within this window are read as one announcement
+const COALESCE_MS = 250;
+// A burst longer than this is summarised instead of read out in full
+const MAX_MESSAGES = 5;
+
+/**
+ * Screen reader announcements through ARIA live regions. Uses WordPress'
+ * wp.a11y.speak() when the page loaded it, otherwise two visually hidden
+ * regions of its own. Bursts (SSE, batches) are coalesced so a reader is
+ * not flooded with one announcement per row.
+ */
+export class Announcer {
+  private queued: Record<Politeness, string[]> = { polite: [], assertive: [] };
+  private timers: Record<Politeness, ReturnType<typeof setTimeout> | null> = { polite: null, assertive: null };
+  private regions: Partial<Record<Politeness, HTMLElement>> = {};
+  private history: Array<{ ts: number; message: string; politeness: Politeness }> = [];
+
+  announce(message: string, politeness: Politeness = 'polite'): void {
+    const text = message.replace(/\s+/g, ' ').trim();
+    if (!text) return;
+    this.history.push({ ts: Date.now(), message: text, politeness });
+    if (this.history.length > 50) this.history.shift();
+    if (this.queued[politeness].includes(text)) return;
+    this.queued[politeness].push(text);
+    if (this.timers[politeness] === null) {
+      this.timers[politeness] = setTimeout(() => this.flush(politeness), COALESCE_MS);
+    }
+  }
+
+  // Recent announcements, newest last (diagnostics and tests)
+  recent(): Array<{ ts: number; message: string; politeness: Politeness }> {
+    return this.history.slice();
+  }
+
+  private flush(politeness: Politeness): void {
+    this.timers[politeness] = null;
+    const messages = this.queued[politeness];
+    this.queued[politeness] = [];
+    if (!messages.length) return;
+    let text = messages.slice(0, MAX_MESSAGES).join('. ');
+    if (messages.length > MAX_MESSAGES) text += `. And ${messages.length - MAX_MESSAGES} more`;
+    this.speak(text, politeness);
+  }
+
+  private speak(text: string, politeness: Politeness): void {
+    if (typeof document === 'undefined') return;
+    const speak = (window as any).wp?.a11y?.speak;
+    if (typeof speak === 'function') {
+      speak(text, politeness);
+      return;
+    }
+    const region = this.region(politeness);
+    // Clearing first makes a repeated message count as a change
+    region.textContent = '';
+    setTimeout(() => {
+      region.textContent = text;
+    }, 50);
+  }
+
+  private region(politeness: Politeness): HTMLElement {
+    const existing = this.regions[politeness];
+    if (existing && existing.isConnected) return existing;
+    const region = document.createElement('div');
+    region.id = `sbi-live-${politeness}`;
+    region.className = 'screen-reader-text';
+    region.setAttribute('aria-live', politeness);
+    region.setAttribute('aria-atomic', 'true');
+    if (politeness === 'assertive') region.setAttribute('role', 'alert');
+    document.body.appendChild(region);
+    this.regions[politeness] = region;
+    return region;
+  }
+}
+
+let announcer: Announcer | null = null;
+
+export function getAnnouncer(): Announcer {
+  if (!announcer) announcer = new Announcer();
+  return announcer;
+}
+
+/**
+ * Read a message to screen reader users. Errors should be 'assertive';
+ * progress and results 'polite'.
+ */
+export function announce(message: string, politeness: Politeness = 'polite'): void {
+  getAnnouncer().announce(message, politeness);
+}
@@ -0,0 +1,244 @@
+import { siteScope } from './ajaxClient';
+
+export type AuditTrigger = 'user' | 'batch' | 'sse' | 'poll' | 'refresh' | 'scan' | 'system';
+export type AuditOutcome = 'started' | 'succeeded' | 'failed' | 'applied' | 'blocked';
+
+export interface AuditEntry {
+  id?: number;
+  ts: number; // epoch ms
+  repo: string; // owner/repo
+  kind: 'transition' | 'action';
+  trigger: AuditTrigger;
+  source: string; // raw FSM/action source (row_install, batch_activate, sse...)
+  outcome: AuditOutcome;
+  action?: string; // install/activate/deactivate/refresh
+  from?: string;
+  to?: string;
+  message?: string;
+  errorCode?: string;
+  durationMs?: number;
+  user?: string; // WordPress user who had the page open
+  eventKey?: string; // same server event seen by several tabs is stored once
+}
+
+export interface AuditQuery {
+  repo?: string; // exact owner/repo
+  from?: number; // epoch ms, inclusive
+  to?: number; // epoch ms, inclusive
+  limit?: number; // most recent N
+}
+
+type AuditListener = (entry: AuditEntry | null) => void; // null after clear()
+
+const DB_NAME = 'sbi-audit';
+const DB_VERSION = 1;
+const STORE = 'entries';
+const MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+// One database per site, like the snapshot store
+function scopedName(): string {
+  const scope = siteScope();
+  return scope ? `${DB_NAME}:${scope}` : DB_NAME;
+}
+
+const CSV_COLUMNS: Array<keyof AuditEntry> = [
+  'ts',
+  'repo',
+  'kind',
+  'action',
+  'from',
+  'to',
+  'outcome',
+  'trigger',
+  'source',
+  'user',
+  'errorCode',
+  'durationMs',
+  'message',
+];
+
+function csvCell(value: unknown): string {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Spreadsheet apps execute cells starting with these characters as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function auditToCsv(entries: AuditEntry[]): string {
+  const lines = [CSV_COLUMNS.join(',')];
+  entries.forEach((e) => {
+    lines.push(CSV_COLUMNS.map((col) => csvCell(col === 'ts' ? new Date(e.ts).toISOString() : e[col])).join(','));
+  });
+  return lines.join('\r\n');
+}
+
+function inRange(entry: AuditEntry, q: AuditQuery): boolean {
+  if (q.repo && entry.repo !== q.repo) return false;
+  if (q.from !== undefined && entry.ts < q.from) return false;
+  if (q.to !== undefined && entry.ts > q.to) return false;
+  return true;
+}
+
+/**
+ * Per-browser, per-site history of repository transitions and row actions, kept in
+ * IndexedDB so it survives reloads (entries older than a year are pruned).
+ * Falls back to memory when IndexedDB is unavailable, e.g. in private mode.
+ */
+export class AuditLog {
+  private dbPromise: Promise<IDBDatabase | null> | null = null;
+  private memory: AuditEntry[] = [];
+  private listeners: Set<AuditListener> = new Set();
+
+  async record(entry: AuditEntry): Promise<AuditEntry | null> {
+    const db = await this.open();
+    const stored: AuditEntry = { ...entry };
+    delete stored.id;
+    if (!stored.eventKey) delete stored.eventKey; // unique index: only keyed entries are deduplicated
+
+    if (!db) {
+      if (stored.eventKey && this.memory.some((e) => e.eventKey === stored.eventKey)) return null;
+      stored.id = this.memory.length + 1;
+      this.memory.push(stored);
+    } else {
+      const added = await new Promise<boolean>((resolve) => {
+        let ok = false;
+        try {
+          const tx = db.transaction(STORE, 'readwrite');
+          const req = tx.objectStore(STORE).add(stored);
+          req.onsuccess = () => {
+            stored.id = req.result as number;
+            ok = true;
+          };
+          // Duplicate eventKey: another tab already stored this event; keep the transaction alive
+          req.onerror = (e) => e.preventDefault();
+          tx.oncomplete = () => resolve(ok);
+          tx.onabort = () => resolve(false);
+        } catch {
+          resolve(false);
+        }
+      });
+      if (!added) return null;
+    }
+    this.emit(stored);
+    return stored;
+  }
+
+  // Oldest first
+  async query(q: AuditQuery = {}): Promise<AuditEntry[]> {
+    const db = await this.open();
+    if (!db) {
+      const hits = this.memory.filter((e) => inRange(e, q));
+      return q.limit ? hits.slice(-q.limit) : hits;
+    }
+    return new Promise<AuditEntry[]>((resolve) => {
+      const out: AuditEntry[] = [];
+      try {
+        const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+        const from = q.from ?? 0;
+        const to = q.to ?? Number.MAX_SAFE_INTEGER;
+        const req = q.repo
+          ? store.index('repo').openCursor(IDBKeyRange.bound([q.repo, from], [q.repo, to]), 'prev')
+          : store.index('ts').openCursor(IDBKeyRange.bound(from, to), 'prev');
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (!cursor || (q.limit && out.length >= q.limit)) {
+            resolve(out.reverse());
+            return;
+          }
+          out.push(cursor.value as AuditEntry);
+          cursor.continue();
+        };
+        req.onerror = () => resolve(out.reverse());
+      } catch {
+        resolve(out);
+      }
+    });
+  }
+
+  async clear(): Promise<void> {
+    const db = await this.open();
+    this.memory = [];
+    if (db) {
+      await new Promise<void>((resolve) => {
+        try {
+          const tx = db.transaction(STORE, 'readwrite');
+          tx.objectStore(STORE).clear();
+          tx.oncomplete = () => resolve();
+          tx.onabort = () => resolve();
+        } catch {
+          resolve();
+        }
+      });
+    }
+    this.emit(null);
+  }
+
+  subscribe(listener: AuditListener): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // True when entries survive a reload
+  async isPersistent(): Promise<boolean> {
+    return (await this.open()) !== null;
+  }
+
+  private emit(entry: AuditEntry | null): void {
+    this.listeners.forEach((fn) => {
+      try {
+        fn(entry);
+      } catch {}
+    });
+  }
+
+  private open(): Promise<IDBDatabase | null> {
+    if (this.dbPromise) return this.dbPromise;
+    this.dbPromise = new Promise<IDBDatabase | null>((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      let req: IDBOpenDBRequest;
+      try {
+        req = indexedDB.open(scopedName(), DB_VERSION);
+      } catch {
+        resolve(null);
+        return;
+      }
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('ts', 'ts');
+        store.createIndex('repo', ['repo', 'ts']);
+        store.createIndex('eventKey', 'eventKey', { unique: true });
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        this.prune(db);
+        resolve(db);
+      };
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    });
+    return this.dbPromise;
+  }
+
+  private prune(db: IDBDatabase): void {
+    try {
+      const tx = db.transaction(STORE, 'readwrite');
+      const req = tx.objectStore(STORE).index('ts').openCursor(IDBKeyRange.upperBound(Date.now() - MAX_AGE_MS));
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    } catch {}
+  }
+}
+
+let auditLog: AuditLog | null = null;
+
+export function getAuditLog(): AuditLog {
+  if (!auditLog) auditLog = new AuditLog();
+  return auditLog;
+}
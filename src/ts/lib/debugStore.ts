@@ -0,0 +1,163 @@
+import type { DebugLevel, DebugMeta } from '../types/wp-globals';
+
+export type { DebugLevel, DebugMeta } from '../types/wp-globals';
+
+export interface DebugEntry {
+  id: number;
+  ts: number; // epoch ms
+  level: DebugLevel;
+  category: string;
+  title: string;
+  message: string;
+  repo?: string; // owner/repo
+  requestId?: string;
+  payload?: unknown;
+}
+
+export interface DebugFilter {
+  levels?: DebugLevel[];
+  category?: string;
+  search?: string;
+  repo?: string;
+}
+
+type EntryListener = (entry: DebugEntry | null) => void; // null after clear()
+
+// Category for legacy addEntry(level, title, message) calls that carry no meta
+const TITLE_CATEGORIES: Array<[RegExp, string]> = [
+  [/^AJAX/i, 'ajax'],
+  [/^(SSE|State Stream)/i, 'sse'],
+  [/^FSM/i, 'fsm'],
+  [/^(Install|Upgrader|Download URL|Troubleshooting|Activate|Deactivate|Refresh|Row Action)/i, 'actions'],
+  [/^Batch/i, 'batch'],
+  [/^Repository Scanner/i, 'scan'],
+  [/^TS Bridge/i, 'bridge'],
+];
+
+function inferCategory(title: string): string {
+  for (const [pattern, category] of TITLE_CATEGORIES) {
+    if (pattern.test(title)) return category;
+  }
+  return 'general';
+}
+
+/**
+ * In-memory ring buffer of structured debug entries (level, category, repo,
+ * request id, payload). Backs window.sbiDebug once installed so existing
+ * addEntry() callers keep working; the debug panel renders from it.
+ */
+export class DebugStore {
+  private entries: DebugEntry[] = [];
+  private listeners: Set<EntryListener> = new Set();
+  private nextId = 1;
+  private readonly limit: number;
+
+  constructor(limit: number = 1000) {
+    this.limit = limit;
+  }
+
+  add(level: DebugLevel, title: string, message: string = '', meta: DebugMeta = {}): DebugEntry {
+    const entry: DebugEntry = {
+      id: this.nextId++,
+      ts: Date.now(),
+      level,
+      category: meta.category || inferCategory(title),
+      title,
+      message: String(message),
+    };
+    if (meta.repo) entry.repo = meta.repo;
+    if (meta.requestId) entry.requestId = meta.requestId;
+    if (meta.payload !== undefined) entry.payload = meta.payload;
+
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) this.entries.splice(0, this.entries.length - this.limit);
+    this.listeners.forEach((fn) => {
+      try {
+        fn(entry);
+      } catch {}
+    });
+    return entry;
+  }
+
+  query(filter: DebugFilter = {}): DebugEntry[] {
+    const search = (filter.search || '').trim().toLowerCase();
+    return this.entries.filter((e) => matches(e, filter, search));
+  }
+
+  categories(): string[] {
+    return Array.from(new Set(this.entries.map((e) => e.category))).sort();
+  }
+
+  size(): number {
+    return this.entries.length;
+  }
+
+  clear(): void {
+    this.entries = [];
+    this.listeners.forEach((fn) => {
+      try {
+        fn(null);
+      } catch {}
+    });
+  }
+
+  subscribe(listener: EntryListener): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+export function matches(entry: DebugEntry, filter: DebugFilter, search: string = (filter.search || '').trim().toLowerCase()): boolean {
+  if (filter.levels && !filter.levels.includes(entry.level)) return false;
+  if (filter.category && entry.category !== filter.category) return false;
+  if (filter.repo && entry.repo !== filter.repo) return false;
+  if (search) {
+    const haystack = `${entry.title} ${entry.message} ${entry.repo || ''} ${entry.requestId || ''}`.toLowerCase();
+    if (!haystack.includes(search)) return false;
+  }
+  return true;
+}
+
+let store: DebugStore | null = null;
+
+export function getDebugStore(): DebugStore {
+  if (!store) store = new DebugStore();
+  return store;
+}
+
+/**
+ * Add an entry through window.sbiDebug (the store once installed, else the
+ * admin.js logger); console only when neither exists yet. Never throws.
+ */
+export function debugLog(windowObj: Window | undefined, level: DebugLevel, title: string, message: string, meta: DebugMeta = {}): void {
+  try {
+    if (windowObj?.sbiDebug) {
+      windowObj.sbiDebug.addEntry(level, title, message, meta);
+    } else {
+      // eslint-disable-next-line no-console
+      console.log('[SBI Debug]', level, title, message);
+    }
+  } catch {}
+}
+
+/**
+ * Route window.sbiDebug through the store. Entries are mirrored to the
+ * console until a debug panel is mounted (same as the admin.js fallback).
+ */
+export function installDebugStore(windowObj: Window): DebugStore {
+  const debugStore = getDebugStore();
+  const w = windowObj as any;
+  if (w.sbiDebug && w.sbiDebug.store === debugStore) return debugStore;
+  w.sbiDebug = {
+    store: debugStore,
+    addEntry: (level: DebugLevel, title: string, message: string, meta?: DebugMeta) => {
+      const entry = debugStore.add(level, title, message, meta);
+      if (!w.sbiDebug.panelMounted) {
+        // eslint-disable-next-line no-console
+        console.log('[SBI Debug]', entry.level, `[${entry.category}]`, entry.title, entry.message);
+      }
+    },
+    panelMounted: false,
+  };
+  return debugStore;
+}
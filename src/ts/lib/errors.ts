@@ -1,3 +1,5 @@
+import type { WpAjaxResponse } from '../types/ajax';
+
 export interface AjaxErrorDetails {
   requestId: string;
   timestamp: string;
@@ -33,6 +35,20 @@ export function mapResponseToError(
   };
 }
 
+// HTTP statuses worth retrying: timeouts, rate limiting and gateway/server hiccups
+export const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+// A rejected fetch() or body read: the request did not complete. Anything else thrown around a request is a bug
+export class NetworkError extends Error {
+  readonly reason: unknown;
+
+  constructor(reason: unknown) {
+    super(reason instanceof Error ? reason.message : String(reason));
+    this.name = 'NetworkError';
+    this.reason = reason;
+  }
+}
+
 export function mapExceptionToError(
   e: unknown,
   requestId: string,
@@ -45,9 +61,244 @@ export function mapExceptionToError(
     timestamp: new Date().toISOString(),
     url,
     method,
-    serverError: {
-      message,
-    },
+    serverError: e instanceof NetworkError ? { message, code: 'network' } : { message },
   };
 }
 
+// Response whose body is not a JSON envelope; WordPress answers '-1' when check_ajax_referer fails (200 or 403) and '0' for unhandled actions
+export function mapBodyToError(
+  response: Response,
+  body: string,
+  requestId: string,
+  url: string,
+  method: 'GET' | 'POST' | 'PUT' | 'DELETE'
+): AjaxErrorDetails {
+  const err = mapResponseToError(response, requestId, url, method);
+  const trimmed = body.trim();
+  if (trimmed === '-1') {
+    err.serverError = { message: 'Security check failed (-1). Reload the page to refresh the nonce.', code: 'invalid_nonce' };
+  } else if (trimmed === '0') {
+    err.serverError = { message: 'The server did not handle this action (0).', code: 'unknown_action' };
+  } else {
+    err.serverError = {
+      message: 'Server returned an invalid JSON response',
+      code: 'invalid_json',
+      debugInfo: { body: trimmed.slice(0, 500) },
+    };
+  }
+  return err;
+}
+
+// Best human-readable message from a failed envelope: server message, transport error, then HTTP status
+export function responseErrorMessage(resp: WpAjaxResponse<any> | undefined, fallback: string): string {
+  const data = resp && (resp as any).data;
+  if (data && typeof data.message === 'string' && data.message) return data.message;
+  const details = data as AjaxErrorDetails | undefined;
+  if (details && details.serverError && details.serverError.message) return details.serverError.message;
+  if (details && details.status) return `HTTP ${details.status} ${details.statusText || ''}`.trim();
+  return fallback;
+}
+
+// Mirrors SBI\Enums\ErrorCode (src/Enums/ErrorCode.php); keep both lists in sync
+export type SbiErrorCode =
+  | 'network'
+  | 'timeout'
+  | 'nonce_expired'
+  | 'insufficient_capability'
+  | 'github_rate_limit'
+  | 'repo_not_found'
+  | 'not_a_plugin'
+  | 'upgrader_failure'
+  | 'activation_fatal'
+  | 'busy'
+  | 'invalid_request'
+  | 'cancelled'
+  | 'unknown';
+
+export interface RemediationHint {
+  text: string;
+  url?: string;
+}
+
+export interface ClassifiedError {
+  code: SbiErrorCode;
+  title: string;
+  message: string;
+  recoverable: boolean; // retrying the same request can succeed without user action
+  hints: RemediationHint[];
+}
+
+export interface ClassifyContext {
+  repository?: string; // owner/repo
+  action?: 'install' | 'update' | 'activate' | 'deactivate' | 'refresh' | 'scan';
+}
+
+interface ErrorDefinition {
+  title: string;
+  recoverable: boolean;
+  hints: (ctx: ClassifyContext) => RemediationHint[];
+}
+
+export const ERROR_DEFINITIONS: Record<SbiErrorCode, ErrorDefinition> = {
+  network: {
+    title: 'Network error',
+    recoverable: true,
+    hints: () => [
+      { text: 'Check that this site can reach github.com and api.github.com' },
+      { text: 'Retry in a moment; the connection may have been interrupted' },
+    ],
+  },
+  timeout: {
+    title: 'Request timed out',
+    recoverable: true,
+    hints: () => [
+      { text: 'Large repositories can take longer to download; retry the operation' },
+      { text: 'Raise PHP max_execution_time if timeouts persist' },
+    ],
+  },
+  nonce_expired: {
+    title: 'Session expired',
+    recoverable: false,
+    hints: () => [{ text: 'Reload the page to get a fresh security token, then try again' }],
+  },
+  insufficient_capability: {
+    title: 'Insufficient permissions',
+    recoverable: false,
+    hints: () => [{ text: 'Log in as a user who can install and activate plugins' }],
+  },
+  github_rate_limit: {
+    title: 'GitHub rate limit reached',
+    recoverable: true,
+    hints: () => [
+      { text: 'Wait for the GitHub API rate limit to reset (usually within an hour)', url: 'https://docs.github.com/en/rest/using-the-rest-api/rate-limits-for-the-rest-api' },
+      { text: 'Allow the web fallback fetch method in settings to reduce API usage' },
+    ],
+  },
+  repo_not_found: {
+    title: 'Repository not found',
+    recoverable: false,
+    hints: (ctx) => [
+      ctx.repository
+        ? { text: 'Check that the repository exists', url: `https://github.com/${ctx.repository}` }
+        : { text: 'Check that the repository exists' },
+      { text: 'Verify the repository is public (not private)' },
+      { text: 'Check that owner and repository names are spelled correctly' },
+    ],
+  },
+  not_a_plugin: {
+    title: 'Not a WordPress plugin',
+    recoverable: false,
+    hints: () => [{ text: 'The repository has no PHP file with a "Plugin Name:" header in its root' }],
+  },
+  upgrader_failure: {
+    title: 'Installation failed',
+    recoverable: true,
+    hints: () => [
+      { text: 'Check the upgrader messages in the debug panel' },
+      { text: 'Make sure wp-content/plugins and wp-content/upgrade are writable' },
+      { text: 'Remove any leftover plugin folder with the same name before retrying' },
+    ],
+  },
+  activation_fatal: {
+    title: 'Activation failed',
+    recoverable: false,
+    hints: () => [
+      { text: 'The plugin raised an error or produced output while activating; check the PHP error log' },
+      { text: 'Confirm the plugin supports this PHP and WordPress version' },
+    ],
+  },
+  busy: {
+    title: 'Repository busy',
+    recoverable: true,
+    hints: () => [{ text: 'Another operation is running for this repository; retry when it finishes' }],
+  },
+  invalid_request: {
+    title: 'Invalid request',
+    recoverable: false,
+    hints: () => [{ text: 'Refresh the row to reload repository details, then try again' }],
+  },
+  cancelled: {
+    title: 'Request cancelled',
+    recoverable: false,
+    hints: () => [],
+  },
+  unknown: {
+    title: 'Unexpected error',
+    recoverable: false, // unless the HTTP status is retryable, see classifyError()
+    hints: () => [{ text: 'Enable the debug panel and retry to capture details' }],
+  },
+};
+
+function isErrorCode(v: unknown): v is SbiErrorCode {
+  return typeof v === 'string' && Object.prototype.hasOwnProperty.call(ERROR_DEFINITIONS, v);
+}
+
+function codeFromTransport(details: AjaxErrorDetails, ctx: ClassifyContext): SbiErrorCode {
+  switch (details.serverError?.code) {
+    case 'network':
+      return 'network';
+    case 'aborted':
+      return 'cancelled';
+    case 'timeout':
+      return 'timeout';
+    case 'invalid_nonce':
+      return 'nonce_expired';
+    case 'unknown_action':
+      return 'invalid_request';
+    case 'invalid_json':
+      // Stray output in place of JSON during activation means the plugin itself misbehaved
+      return ctx.action === 'activate' ? 'activation_fatal' : 'unknown';
+  }
+  const status = details.status;
+  if (status === 403) return 'insufficient_capability';
+  if (status === 408 || status === 504) return 'timeout';
+  if (status && status >= 500) return ctx.action === 'activate' ? 'activation_fatal' : 'unknown';
+  // No status and no network code: the request threw before or after fetch, i.e. a bug rather than the connection
+  return 'unknown';
+}
+
+/**
+ * Classify a failed response envelope (or thrown value) into a typed error.
+ * The server's data.error_code wins; transport failures are classified from
+ * AjaxErrorDetails. Only fetch failures count as network errors, and an
+ * unknown error is retried only when its HTTP status is a retryable one.
+ */
+export function classifyError(failure: WpAjaxResponse<any> | unknown, ctx: ClassifyContext = {}): ClassifiedError {
+  let code: SbiErrorCode = 'unknown';
+  let message = '';
+  let status: number | undefined;
+
+  if (failure instanceof Error) {
+    message = failure.message;
+    if (failure instanceof NetworkError) code = 'network';
+    else if (failure.name === 'TimeoutError') code = 'timeout';
+    else if (failure.name === 'AbortError') code = 'cancelled';
+  } else if (failure && typeof failure === 'object' && 'success' in (failure as any)) {
+    const resp = failure as WpAjaxResponse<any>;
+    const data = (resp as any).data || {};
+    message = responseErrorMessage(resp, '');
+    if (isErrorCode(data.error_code)) {
+      code = data.error_code;
+    } else if (data.requestId) {
+      code = codeFromTransport(data as AjaxErrorDetails, ctx);
+      status = (data as AjaxErrorDetails).status;
+    }
+  } else if (failure !== undefined && failure !== null) {
+    message = String(failure);
+  }
+
+  const def = ERROR_DEFINITIONS[code];
+  return {
+    code,
+    title: def.title,
+    message: message || def.title,
+    recoverable: code === 'unknown' ? !!status && RETRYABLE_STATUS.has(status) : def.recoverable,
+    hints: def.hints(ctx),
+  };
+}
+
+// Plain-text rendering for notices and the debug log
+export function formatErrorHints(err: ClassifiedError): string {
+  if (!err.hints.length) return '';
+  return err.hints.map((h) => `• ${h.text}${h.url ? `: ${h.url}` : ''}`).join('\n');
+}
@@ -0,0 +1,165 @@
+import type { SbiAjax } from '../types/wp-globals';
+import { getTransport, HEARTBEAT_EVENT, RecordingTransport, ReplayTransport } from './transport';
+
+// One broadcast as AjaxHandler::heartbeat_received relays it (same payload as the SSE state_changed event)
+export interface HeartbeatEvent {
+  id: number;
+  payload: { repository: string; from?: string; to: string; context?: Record<string, unknown>; ts?: number };
+}
+
+// data.sbi of a heartbeat-tick
+export interface HeartbeatTick {
+  nonce?: string; // current sbi_ajax_nonce
+  events?: HeartbeatEvent[]; // only while state changes are requested
+  last_id?: number;
+  resync?: boolean; // events after our cursor were already evicted
+  server_time?: number;
+}
+
+type TickListener = (tick: HeartbeatTick) => void;
+
+// wp.heartbeat interval (seconds) while it carries state changes, and otherwise
+const FAST_INTERVAL = 15;
+const IDLE_INTERVAL = 60;
+const RENEW_TIMEOUT_MS = 20000;
+
+/**
+ * Rides on the WordPress Heartbeat API (wp.heartbeat, admin-ajax every
+ * 15–60s). Every tick brings a fresh sbi_ajax_nonce, which replaces
+ * sbiAjax.nonce, so tabs left open past nonce expiry keep working. While
+ * state changes are requested it also sends the broadcast cursor and the
+ * repositories on the page and gets their state changes back.
+ */
+export class HeartbeatChannel {
+  private readonly windowObj: Window;
+  private bound = false;
+  private cursor: number | null = null; // null: nonce only
+  private repositories: () => string[] = () => [];
+  private listeners: Set<TickListener> = new Set();
+  private nonceWaiters: Array<(nonce: string | null) => void> = [];
+
+  constructor(windowObj: Window) {
+    this.windowObj = windowObj;
+  }
+
+  available(): boolean {
+    const w = this.windowObj as any;
+    return !!(w.jQuery && w.wp && w.wp.heartbeat && typeof w.wp.heartbeat.interval === 'function');
+  }
+
+  start(): boolean {
+    if (this.bound) return true;
+    const transport = getTransport(this.windowObj);
+    if (transport instanceof ReplayTransport) {
+      // A replay gets the recorded ticks, not the live server's
+      this.bound = true;
+      transport.replayEvents(HEARTBEAT_EVENT, (data) => {
+        try {
+          const tick = data ? (JSON.parse(data) as HeartbeatTick) : null;
+          if (tick && typeof tick === 'object') this.handleTick(tick);
+        } catch {}
+      });
+      return true;
+    }
+    if (!this.available()) return false;
+    this.bound = true;
+    const $ = (this.windowObj as any).jQuery;
+    $(this.windowObj.document)
+      .on('heartbeat-send.sbi', (_e: unknown, data: Record<string, unknown>) => {
+        data.sbi = this.cursor === null ? { nonce: 1 } : { nonce: 1, last_id: this.cursor, repositories: this.repositories() };
+      })
+      .on('heartbeat-tick.sbi', (_e: unknown, data: Record<string, unknown>) => {
+        const tick = data && (data.sbi as HeartbeatTick | undefined);
+        if (!tick || typeof tick !== 'object') return;
+        const transport = getTransport(this.windowObj);
+        if (transport instanceof RecordingTransport) {
+          // Nonces are not recorded (see transport.ts)
+          const { nonce: _nonce, ...recorded } = tick;
+          transport.recordStreamEvent(HEARTBEAT_EVENT, recorded);
+        }
+        this.handleTick(tick);
+      });
+    return true;
+  }
+
+  /**
+   * Ask for state changes after `cursor` for the repositories `repositories`
+   * returns; null stops them (the nonce keeps being renewed).
+   */
+  watch(cursor: number | null, repositories?: () => string[]): void {
+    this.cursor = cursor;
+    if (repositories) this.repositories = repositories;
+    this.setInterval(cursor === null ? IDLE_INTERVAL : FAST_INTERVAL);
+  }
+
+  // Move the cursor along when events arrived some other way
+  setCursor(cursor: number): void {
+    if (this.cursor !== null && cursor > this.cursor) this.cursor = cursor;
+  }
+
+  isWatching(): boolean {
+    return this.cursor !== null;
+  }
+
+  onTick(listener: TickListener): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * A fresh nonce after `stale` was rejected: sends a heartbeat now and
+   * waits for its answer. Null when Heartbeat is unavailable or the server
+   * still hands out the rejected nonce (logged out, not a nonce problem).
+   */
+  renewNonce(stale: string): Promise<string | null> {
+    const current = this.ajax()?.nonce;
+    if (current && current !== stale) return Promise.resolve(current);
+    if (!this.start()) return Promise.resolve(null);
+    return new Promise<string | null>((resolve) => {
+      const timer = setTimeout(() => settle(null), RENEW_TIMEOUT_MS);
+      const settle = (nonce: string | null) => {
+        clearTimeout(timer);
+        this.nonceWaiters = this.nonceWaiters.filter((w) => w !== waiter);
+        resolve(nonce && nonce !== stale ? nonce : null);
+      };
+      const waiter = (nonce: string | null) => settle(nonce);
+      this.nonceWaiters.push(waiter);
+      try {
+        (this.windowObj as any).wp.heartbeat.connectNow();
+      } catch {}
+    });
+  }
+
+  private handleTick(tick: HeartbeatTick): void {
+    const ajax = this.ajax();
+    if (tick.nonce && ajax && tick.nonce !== ajax.nonce) {
+      ajax.nonce = tick.nonce;
+      (this.windowObj as any).sbiDebug?.addEntry('info', 'Heartbeat', 'AJAX nonce renewed', { category: 'ajax' });
+    }
+    if (tick.nonce) this.nonceWaiters.slice().forEach((w) => w(tick.nonce as string));
+    if (this.cursor !== null && typeof tick.last_id === 'number') this.cursor = Math.max(this.cursor, tick.last_id);
+    this.listeners.forEach((fn) => {
+      try {
+        fn(tick);
+      } catch {}
+    });
+  }
+
+  private setInterval(seconds: number): void {
+    if (!this.available()) return;
+    try {
+      (this.windowObj as any).wp.heartbeat.interval(seconds);
+    } catch {}
+  }
+
+  private ajax(): SbiAjax | undefined {
+    return (this.windowObj as any).sbiAjax as SbiAjax | undefined;
+  }
+}
+
+let heartbeat: HeartbeatChannel | null = null;
+
+export function getHeartbeat(windowObj: Window): HeartbeatChannel {
+  if (!heartbeat) heartbeat = new HeartbeatChannel(windowObj);
+  return heartbeat;
+}
@@ -0,0 +1,139 @@
+// GitHub core API quota as reported by sbi_github_rate_limit or the X-SBI-GitHub-Rate response header
+export interface RateLimitSnapshot {
+  limit: number;
+  remaining: number;
+  reset: number; // local epoch ms when the quota refills
+  checkedAt: number; // local epoch ms
+  source: 'api' | 'headers' | 'error';
+}
+
+type RateLimitListener = (snapshot: RateLimitSnapshot | null) => void;
+
+// Calls kept in hand when pausing: scanning one repository can take several
+const MIN_RESERVE = 5;
+const RESERVE_RATIO = 0.02;
+// GitHub's reset is to the second; give it a moment before resuming
+const RESUME_MARGIN_MS = 2000;
+// Back-off after a rate-limit error the quota does not explain
+const UNKNOWN_RESET_MS = 60000;
+const HEADER_NAME = 'X-SBI-GitHub-Rate';
+
+/**
+ * Parse "remaining=57, limit=60, reset=1760000000" (reset in server epoch
+ * seconds). Returns null for a missing or malformed header.
+ */
+export function parseRateHeader(value: string | null): { remaining: number; limit: number; reset: number } | null {
+  if (!value) return null;
+  const fields: Record<string, number> = {};
+  value.split(',').forEach((part) => {
+    const [k, v] = part.split('=').map((s) => s.trim());
+    if (k && v !== undefined && /^\d+$/.test(v)) fields[k] = parseInt(v, 10);
+  });
+  if (fields.remaining === undefined || fields.limit === undefined || fields.reset === undefined) return null;
+  return { remaining: fields.remaining, limit: fields.limit, reset: fields.reset };
+}
+
+/**
+ * Tracks how much of the GitHub API quota the server has left so scans and
+ * batches can wait for the reset instead of failing row after row.
+ * Fed from response headers (every AJAX call that reached GitHub) and from
+ * the sbi_github_rate_limit endpoint.
+ */
+export class RateLimitMonitor {
+  private snapshot: RateLimitSnapshot | null = null;
+  // Server clock minus local clock, from the endpoint's server_time
+  private skewMs = 0;
+  private listeners: Set<RateLimitListener> = new Set();
+  private resetTimer: ReturnType<typeof setTimeout> | null = null;
+
+  get(): RateLimitSnapshot | null {
+    return this.snapshot;
+  }
+
+  // Server values: reset and serverTime in epoch seconds
+  update(data: { limit: number; remaining: number; reset: number }, source: RateLimitSnapshot['source'], serverTime?: number): void {
+    if (serverTime) this.skewMs = serverTime * 1000 - Date.now();
+    this.set({
+      limit: data.limit,
+      remaining: data.remaining,
+      reset: data.reset * 1000 - this.skewMs,
+      checkedAt: Date.now(),
+      source,
+    });
+  }
+
+  noteHeaders(headers: Headers): void {
+    const parsed = parseRateHeader(headers.get(HEADER_NAME));
+    if (parsed) this.update(parsed, 'headers');
+  }
+
+  // A request failed with github_rate_limit although the quota looked fine (secondary limits, web fallback): back off briefly
+  noteExhausted(): void {
+    if (this.pauseMs() > 0) return;
+    const now = Date.now();
+    this.set({
+      limit: this.snapshot ? this.snapshot.limit : 0,
+      remaining: 0,
+      reset: now + UNKNOWN_RESET_MS,
+      checkedAt: now,
+      source: 'error',
+    });
+  }
+
+  /**
+   * Milliseconds to hold off GitHub-bound work, or 0 when there is quota
+   * left (or nothing is known yet).
+   */
+  pauseMs(): number {
+    const s = this.snapshot;
+    if (!s) return 0;
+    const wait = s.reset + RESUME_MARGIN_MS - Date.now();
+    if (wait <= 0) return 0;
+    const reserve = Math.max(MIN_RESERVE, Math.ceil(s.limit * RESERVE_RATIO));
+    return s.remaining <= reserve ? wait : 0;
+  }
+
+  // Resolves once pauseMs() reaches 0, or false if the signal aborts first
+  async waitForCapacity(signal?: AbortSignal): Promise<boolean> {
+    for (let wait = this.pauseMs(); wait > 0; wait = this.pauseMs()) {
+      const ok = await new Promise<boolean>((resolve) => {
+        if (signal?.aborted) return resolve(false);
+        const onAbort = () => {
+          clearTimeout(id);
+          resolve(false);
+        };
+        const id = setTimeout(() => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(true);
+        }, wait);
+        signal?.addEventListener('abort', onAbort);
+      });
+      if (!ok) return false;
+    }
+    return true;
+  }
+
+  onChange(listener: RateLimitListener): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  private set(snapshot: RateLimitSnapshot): void {
+    this.snapshot = snapshot;
+    // Listeners re-read pauseMs() when the quota refills
+    if (this.resetTimer !== null) clearTimeout(this.resetTimer);
+    const untilReset = snapshot.reset + RESUME_MARGIN_MS - Date.now();
+    this.resetTimer = untilReset > 0 ? setTimeout(() => this.notify(), untilReset) : null;
+    this.notify();
+  }
+
+  private notify(): void {
+    this.listeners.forEach((fn) => {
+      try {
+        fn(this.snapshot);
+      } catch {}
+    });
+  }
+}
+
+export const rateLimit = new RateLimitMonitor();
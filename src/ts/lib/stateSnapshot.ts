@@ -0,0 +1,136 @@
+import { siteScope } from './ajaxClient';
+
+// One repository as the list endpoint returned it; only full_name is relied on here
+export interface SnapshotRepository {
+  full_name: string;
+  [k: string]: unknown;
+}
+
+export interface SnapshotEntry {
+  row_html: string; // server-rendered row, as sbi_render_repository_row returned it
+  state?: string; // PluginState when the row was rendered
+  checkedAt: number; // epoch ms; 0 marks the entry stale (changed elsewhere since)
+}
+
+export interface StateSnapshot {
+  key: string; // organization|limit
+  version: 1;
+  organization: string;
+  limit: number;
+  savedAt: number; // epoch ms
+  listCheckedAt: number; // epoch ms of the repository list the rows belong to
+  repositories: SnapshotRepository[];
+  entries: Record<string, SnapshotEntry>;
+}
+
+const DB_NAME = 'sbi-snapshot';
+const DB_VERSION = 1;
+const STORE = 'snapshots';
+// Older snapshots are dropped instead of shown
+export const SNAPSHOT_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// One database per site; snapshots of one subsite must never be shown on another
+function scopedName(): string {
+  const scope = siteScope();
+  return scope ? `${DB_NAME}:${scope}` : DB_NAME;
+}
+
+export function snapshotKey(organization: string, limit: number): string {
+  return `${organization.toLowerCase()}|${limit}`;
+}
+
+/**
+ * Last known repository list and rendered rows per organization, kept in
+ * IndexedDB so the installer page can show them immediately on the next
+ * visit. Falls back to memory when IndexedDB is unavailable.
+ */
+export class SnapshotStore {
+  private dbPromise: Promise<IDBDatabase | null> | null = null;
+  private memory: Map<string, StateSnapshot> = new Map();
+
+  async load(organization: string, limit: number): Promise<StateSnapshot | null> {
+    const key = snapshotKey(organization, limit);
+    const db = await this.open();
+    const snap = db
+      ? await new Promise<StateSnapshot | null>((resolve) => {
+          try {
+            const req = db.transaction(STORE, 'readonly').objectStore(STORE).get(key);
+            req.onsuccess = () => resolve((req.result as StateSnapshot | undefined) || null);
+            req.onerror = () => resolve(null);
+          } catch {
+            resolve(null);
+          }
+        })
+      : this.memory.get(key) || null;
+    if (!snap || snap.version !== 1 || !Array.isArray(snap.repositories) || Date.now() - snap.savedAt > SNAPSHOT_MAX_AGE_MS) {
+      return null;
+    }
+    return snap;
+  }
+
+  async save(snapshot: StateSnapshot): Promise<boolean> {
+    const db = await this.open();
+    if (!db) {
+      this.memory.set(snapshot.key, snapshot);
+      return true;
+    }
+    return this.write(db, (store) => store.put(snapshot));
+  }
+
+  async remove(organization: string, limit: number): Promise<void> {
+    const key = snapshotKey(organization, limit);
+    this.memory.delete(key);
+    const db = await this.open();
+    if (db) await this.write(db, (store) => store.delete(key));
+  }
+
+  // True when snapshots survive a reload
+  async isPersistent(): Promise<boolean> {
+    return (await this.open()) !== null;
+  }
+
+  private write(db: IDBDatabase, op: (store: IDBObjectStore) => void): Promise<boolean> {
+    return new Promise<boolean>((resolve) => {
+      try {
+        const tx = db.transaction(STORE, 'readwrite');
+        op(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(true);
+        tx.onabort = () => resolve(false);
+        tx.onerror = () => resolve(false);
+      } catch {
+        resolve(false);
+      }
+    });
+  }
+
+  private open(): Promise<IDBDatabase | null> {
+    if (this.dbPromise) return this.dbPromise;
+    this.dbPromise = new Promise<IDBDatabase | null>((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      let req: IDBOpenDBRequest;
+      try {
+        req = indexedDB.open(scopedName(), DB_VERSION);
+      } catch {
+        resolve(null);
+        return;
+      }
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE, { keyPath: 'key' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    });
+    return this.dbPromise;
+  }
+}
+
+let snapshotStore: SnapshotStore | null = null;
+
+export function getSnapshotStore(): SnapshotStore {
+  if (!snapshotStore) snapshotStore = new SnapshotStore();
+  return snapshotStore;
+}
@@ -0,0 +1,425 @@
+import type { SbiAjax } from '../types/wp-globals';
+import { refreshStatus } from '../admin/handlers';
+import { rowRegistry } from '../admin/rowRegistry';
+import { debugLog } from './debugStore';
+import type { DebugLevel } from './debugStore';
+import { getHeartbeat } from './heartbeat';
+import type { HeartbeatTick } from './heartbeat';
+import { getTransport } from './transport';
+import type { StreamSource } from './transport';
+
+export type StreamStatus = 'connecting' | 'connected' | 'reconnecting' | 'heartbeat' | 'polling' | 'offline' | 'stopped';
+
+// Payload of the server's state_changed broadcast (StateManager::broadcast)
+export interface StateChangedEvent {
+  repository: string;
+  from?: string;
+  to: string;
+  context?: Record<string, unknown>;
+  ts?: number;
+  id?: number; // broadcast id; absent for polled results
+  source: 'sse' | 'heartbeat' | 'poll';
+}
+
+export interface StateStreamOptions {
+  baseDelayMs?: number; // first reconnect delay, default 1000
+  maxDelayMs?: number; // reconnect backoff cap, default 30000
+  maxFailures?: number; // consecutive SSE failures before falling back to polling, default 5
+  pollIntervalMs?: number; // default 30000
+  pollBatchSize?: number; // max rows per refreshStatus call, default 20
+  sseRetryWhilePollingMs?: number; // how often to try SSE again while polling, default 120000
+}
+
+type StateListener = (evt: StateChangedEvent) => void;
+type StatusListener = (status: StreamStatus) => void;
+
+// A connection that stayed open this long ended normally (server cycles every ~25s)
+const HEALTHY_CONNECTION_MS = 10000;
+
+const STATUS_LABELS: Record<StreamStatus, string> = {
+  connecting: 'Connecting…',
+  connected: 'Live',
+  reconnecting: 'Reconnecting…',
+  heartbeat: 'Live (Heartbeat)',
+  polling: 'Polling',
+  offline: 'Offline',
+  stopped: 'Stopped',
+};
+
+/**
+ * Single shared connection to sbi_state_stream. Resumes from the last seen
+ * event id and reconnects with explicit backoff. When SSE is disabled or
+ * keeps failing, state changes come with the WordPress Heartbeat
+ * (lib/heartbeat.ts) instead, and without Heartbeat by polling
+ * refreshStatus for rows in view.
+ */
+export class StateStream {
+  private readonly windowObj: Window;
+  private readonly opts: Required<StateStreamOptions>;
+  private es: StreamSource | null = null;
+  private status: StreamStatus = 'stopped';
+  private lastId = 0;
+  private failures = 0;
+  private openedAt = 0;
+  private reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  private pollTimer: ReturnType<typeof setInterval> | null = null;
+  private polling = false;
+  private started = false;
+  private unsubscribeHeartbeat: (() => void) | null = null;
+  private stateListeners: Set<StateListener> = new Set();
+  private statusListeners: Set<StatusListener> = new Set();
+
+  constructor(windowObj: Window, opts: StateStreamOptions = {}) {
+    this.windowObj = windowObj;
+    this.opts = {
+      baseDelayMs: 1000,
+      maxDelayMs: 30000,
+      maxFailures: 5,
+      pollIntervalMs: 30000,
+      pollBatchSize: 20,
+      sseRetryWhilePollingMs: 120000,
+      ...opts,
+    };
+    const ajax = this.ajax();
+    // Start from the broadcast cursor at page render so old ring-buffer events are not replayed
+    this.lastId = ajax && typeof ajax.sseLastId === 'number' ? ajax.sseLastId : 0;
+  }
+
+  start(): void {
+    if (this.started) return;
+    this.started = true;
+    this.windowObj.addEventListener('online', this.handleOnline);
+    this.windowObj.addEventListener('offline', this.handleOffline);
+
+    if (!this.sseEnabled()) {
+      this.log('info', 'SSE disabled in configuration; falling back for state changes');
+      this.startFallback();
+      return;
+    }
+    this.connect();
+  }
+
+  stop(): void {
+    this.started = false;
+    this.windowObj.removeEventListener('online', this.handleOnline);
+    this.windowObj.removeEventListener('offline', this.handleOffline);
+    this.closeSource();
+    this.clearReconnect();
+    this.stopFallback();
+    this.setStatus('stopped');
+  }
+
+  onStateChanged(listener: StateListener): () => void {
+    this.stateListeners.add(listener);
+    return () => this.stateListeners.delete(listener);
+  }
+
+  onStatus(listener: StatusListener): () => void {
+    this.statusListeners.add(listener);
+    listener(this.status);
+    return () => this.statusListeners.delete(listener);
+  }
+
+  getStatus(): StreamStatus {
+    return this.status;
+  }
+
+  getLastEventId(): number {
+    return this.lastId;
+  }
+
+  // Poll visible rows immediately (e.g. after the server reports a gap in the event buffer)
+  async pollNow(): Promise<void> {
+    const repos = this.visibleRepositories();
+    for (let i = 0; i < repos.length; i += this.opts.pollBatchSize) {
+      const chunk = repos.slice(i, i + this.opts.pollBatchSize);
+      const resp = await refreshStatus(this.windowObj, chunk);
+      if (!resp.success) {
+        this.log('warning', 'Polling refreshStatus failed');
+        return;
+      }
+      (resp.data.results || []).forEach((r) => this.emit({ repository: r.repository, to: r.state, source: 'poll' }));
+    }
+  }
+
+  private connect(): void {
+    this.clearReconnect();
+    this.closeSource();
+    const ajax = this.ajax();
+    const transport = getTransport(this.windowObj);
+    // Replay streams need neither browser support nor a network
+    const replay = transport.mode === 'replay';
+    if (!ajax || (!replay && typeof EventSource === 'undefined')) {
+      this.startFallback();
+      return;
+    }
+    if (!replay && typeof navigator !== 'undefined' && navigator.onLine === false) {
+      this.setStatus('offline');
+      return;
+    }
+
+    this.setStatus(this.failures ? 'reconnecting' : 'connecting');
+    const url = `${ajax.ajaxurl}?action=sbi_state_stream&last_id=${encodeURIComponent(String(this.lastId))}`;
+    const es = transport.openStream(url);
+    this.es = es;
+    this.openedAt = 0;
+
+    es.addEventListener('open', () => {
+      this.openedAt = Date.now();
+      this.failures = 0;
+      this.stopFallback();
+      this.setStatus('connected');
+      this.sseLog('open', `SSE stream opened (last_id=${this.lastId})`);
+    });
+
+    es.addEventListener('state_changed', (e) => this.handleMessage(e as MessageEvent));
+
+    // Server ran out of buffered history for our cursor: fetch current state directly
+    es.addEventListener('resync', () => {
+      this.sseLog('resync', 'Event buffer gap detected; refreshing visible rows');
+      void this.pollNow();
+    });
+
+    // Normal end of a server cycle: resume right away from the last id
+    es.addEventListener('stream_end', () => {
+      this.closeSource();
+      this.scheduleReconnect(0);
+    });
+
+    es.addEventListener('error', () => {
+      if (this.es !== es) return;
+      const healthy = this.openedAt > 0 && Date.now() - this.openedAt >= HEALTHY_CONNECTION_MS;
+      this.closeSource();
+      if (healthy) {
+        this.failures = 0;
+        this.scheduleReconnect(250);
+        return;
+      }
+      this.failures++;
+      this.sseLog('error', `SSE stream error (${this.failures}/${this.opts.maxFailures})`);
+      if (this.failures >= this.opts.maxFailures) {
+        this.log('warning', `SSE failed ${this.failures} times; falling back`);
+        this.startFallback();
+        this.scheduleReconnect(this.opts.sseRetryWhilePollingMs);
+        return;
+      }
+      this.setStatus('reconnecting');
+      this.scheduleReconnect(this.backoffDelay());
+    });
+  }
+
+  private handleMessage(e: MessageEvent): void {
+    try {
+      const payload = JSON.parse(e.data || '{}');
+      const id = parseInt(e.lastEventId || '', 10);
+      if (!isNaN(id)) {
+        if (id <= this.lastId) return; // already applied
+        this.lastId = id;
+      }
+      if (!payload.repository || !payload.to) return;
+      this.sseLog('event', `${payload.repository} -> ${payload.to}`);
+      this.emit({ ...payload, id: isNaN(id) ? undefined : id, source: 'sse' });
+    } catch (err) {
+      this.log('error', `SSE event parsing error: ${err}`);
+    }
+  }
+
+  private emit(evt: StateChangedEvent): void {
+    this.stateListeners.forEach((fn) => {
+      try {
+        fn(evt);
+      } catch {}
+    });
+  }
+
+  // Exponential backoff with jitter: base * 2^(n-1), capped
+  private backoffDelay(): number {
+    const exp = this.opts.baseDelayMs * Math.pow(2, Math.max(0, this.failures - 1));
+    const capped = Math.min(this.opts.maxDelayMs, exp);
+    return Math.round(capped * (0.8 + Math.random() * 0.4));
+  }
+
+  private scheduleReconnect(delayMs: number): void {
+    this.clearReconnect();
+    if (!this.started) return;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delayMs);
+  }
+
+  private clearReconnect(): void {
+    if (this.reconnectTimer !== null) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  private closeSource(): void {
+    if (this.es) {
+      this.es.close();
+      this.es = null;
+    }
+  }
+
+  // Heartbeat when the page has it, polling otherwise
+  private startFallback(): void {
+    if (this.startHeartbeat()) return;
+    this.startPolling();
+  }
+
+  private stopFallback(): void {
+    this.stopHeartbeat();
+    this.stopPolling();
+  }
+
+  private startHeartbeat(): boolean {
+    const heartbeat = getHeartbeat(this.windowObj);
+    // In a replay, start() plays the recorded ticks instead of the live server's
+    if (!heartbeat.start()) return false;
+    if (!this.unsubscribeHeartbeat) {
+      this.unsubscribeHeartbeat = heartbeat.onTick((tick) => this.handleHeartbeat(tick));
+      this.log('info', 'Receiving state changes with the WordPress Heartbeat');
+    }
+    heartbeat.watch(this.lastId, () => this.pageRepositories());
+    this.stopPolling();
+    this.setStatus('heartbeat');
+    return true;
+  }
+
+  private stopHeartbeat(): void {
+    if (!this.unsubscribeHeartbeat) return;
+    this.unsubscribeHeartbeat();
+    this.unsubscribeHeartbeat = null;
+    // Keeps renewing the nonce
+    getHeartbeat(this.windowObj).watch(null);
+  }
+
+  private handleHeartbeat(tick: HeartbeatTick): void {
+    if (tick.resync) {
+      this.sseLog('resync', 'Event buffer gap detected (heartbeat); refreshing visible rows');
+      void this.pollNow();
+    }
+    (tick.events || []).forEach((evt) => {
+      if (evt.id <= this.lastId) return; // already applied
+      this.lastId = evt.id;
+      if (!evt.payload || !evt.payload.repository || !evt.payload.to) return;
+      this.sseLog('event', `${evt.payload.repository} -> ${evt.payload.to} (heartbeat)`);
+      this.emit({ ...evt.payload, id: evt.id, source: 'heartbeat' });
+    });
+    if (typeof tick.last_id === 'number' && tick.last_id > this.lastId) this.lastId = tick.last_id;
+  }
+
+  private startPolling(): void {
+    this.setStatus('polling');
+    if (this.pollTimer !== null) return;
+    this.pollTimer = setInterval(() => {
+      if (this.polling) return;
+      if (typeof document !== 'undefined' && document.visibilityState === 'hidden') return;
+      this.polling = true;
+      this.pollNow().finally(() => {
+        this.polling = false;
+      });
+    }, this.opts.pollIntervalMs);
+  }
+
+  private stopPolling(): void {
+    if (this.pollTimer !== null) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  private handleOnline = (): void => {
+    if (!this.started) return;
+    this.failures = 0;
+    if (this.sseEnabled()) {
+      this.connect();
+    } else {
+      this.startFallback();
+    }
+  };
+
+  private handleOffline = (): void => {
+    this.closeSource();
+    this.clearReconnect();
+    this.stopFallback();
+    this.setStatus('offline');
+  };
+
+  // Every repository in the table, including windowed rows that are not in the DOM
+  private pageRepositories(): string[] {
+    if (rowRegistry.size()) return rowRegistry.repositories();
+    if (typeof document === 'undefined') return [];
+    return Array.from(document.querySelectorAll<HTMLElement>('#sbi-repository-tbody tr[data-repository]'))
+      .map((row) => row.dataset.repository || '')
+      .filter(Boolean);
+  }
+
+  private visibleRepositories(): string[] {
+    if (typeof document === 'undefined') return [];
+    const height = this.windowObj.innerHeight || document.documentElement.clientHeight;
+    const repos: string[] = [];
+    document.querySelectorAll<HTMLElement>('#sbi-repository-tbody tr[data-repository]').forEach((row) => {
+      if (row.classList.contains('sbi-loading-row')) return;
+      const rect = row.getBoundingClientRect();
+      if (rect.height > 0 && rect.bottom > 0 && rect.top < height && row.dataset.repository) {
+        repos.push(row.dataset.repository);
+      }
+    });
+    return repos;
+  }
+
+  private setStatus(status: StreamStatus): void {
+    if (this.status === status) return;
+    this.status = status;
+    renderStatusIndicator(status);
+    this.statusListeners.forEach((fn) => {
+      try {
+        fn(status);
+      } catch {}
+    });
+  }
+
+  private sseEnabled(): boolean {
+    const ajax = this.ajax();
+    return !!(ajax && ajax.sseEnabled);
+  }
+
+  private ajax(): SbiAjax | undefined {
+    return (this.windowObj as any).sbiAjax as SbiAjax | undefined;
+  }
+
+  // Keep the SSE sub-panel in the debug log (assets/admin.js) fed
+  private sseLog(kind: string, message: string): void {
+    try {
+      const sbi = (this.windowObj as any).SBI;
+      if (sbi && typeof sbi.logSSE === 'function') {
+        sbi.logSSE(kind, message);
+      } else {
+        this.log('info', message);
+      }
+    } catch {}
+  }
+
+  private log(level: DebugLevel, message: string): void {
+    debugLog(this.windowObj, level, 'State Stream', message, { category: 'sse' });
+  }
+}
+
+function renderStatusIndicator(status: StreamStatus): void {
+  if (typeof document === 'undefined') return;
+  const el = document.getElementById('sbi-stream-status');
+  if (!el) return;
+  el.dataset.status = status;
+  el.textContent = STATUS_LABELS[status];
+  el.title = `State updates: ${STATUS_LABELS[status]}`;
+}
+
+let sharedStream: StateStream | null = null;
+
+// One stream per page; every consumer subscribes to the same connection
+export function getStateStream(windowObj: Window): StateStream {
+  if (!sharedStream) sharedStream = new StateStream(windowObj);
+  return sharedStream;
+}
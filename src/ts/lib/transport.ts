@@ -0,0 +1,447 @@
+import type { WpAjaxResponse } from '../types/ajax';
+import { debugLog } from './debugStore';
+import type { DebugLevel } from './debugStore';
+import { downloadFile, fileStamp } from './download';
+
+export type TransportMode = 'live' | 'record' | 'replay';
+
+// Minimal EventSource surface the state stream uses
+export interface StreamSource {
+  addEventListener(type: string, listener: (e: Event) => void): void;
+  close(): void;
+}
+
+/**
+ * Everything the admin UI sends to admin-ajax.php goes through the active
+ * transport: wpAjaxFetch, the state stream's EventSource and the inline
+ * page scripts (via SBIts.ajax). Heartbeat ticks are recorded and replayed
+ * as heartbeat-tick stream events.
+ */
+export interface Transport {
+  readonly mode: TransportMode;
+  fetch(url: string, init: RequestInit): Promise<Response>;
+  openStream(url: string): StreamSource;
+}
+
+export interface RecordedExchange {
+  t: number; // ms since recording started
+  method: string;
+  url: string;
+  action?: string;
+  request: string; // form-encoded params, nonces redacted
+  status: number; // 0 when the request failed before a response
+  statusText: string;
+  contentType: string;
+  body: string;
+  durationMs: number;
+  error?: string;
+}
+
+export interface RecordedStreamEvent {
+  t: number;
+  type: string;
+  data?: string;
+  lastEventId?: string;
+}
+
+export interface TransportSession {
+  format: 'sbi-transport-session';
+  version: 1;
+  recorded_at: string;
+  plugin_version?: string;
+  exchanges: RecordedExchange[];
+  stream: RecordedStreamEvent[];
+}
+
+// A scripted response: a WordPress AJAX envelope, or a raw body for error paths ('-1', HTML, 500s)
+export type MockResult = WpAjaxResponse<any> | { status: number; body: string; contentType?: string };
+export type MockHandler = (params: URLSearchParams, method: string) => MockResult | undefined | Promise<MockResult | undefined>;
+
+export interface TransportConfig {
+  mode: TransportMode;
+  session?: TransportSession | null;
+  fixtures?: Record<string, MockHandler>; // by AJAX action
+  speed?: number; // replay latency multiplier; 0 answers immediately. Default 1
+}
+
+export const SESSION_FORMAT = 'sbi-transport-session';
+// The state stream's named events; everything else on the wire is a comment or retry hint
+const STREAM_EVENTS = ['open', 'state_changed', 'resync', 'stream_end', 'error'];
+// data.sbi of each WordPress Heartbeat tick, recorded with the stream (lib/heartbeat.ts)
+export const HEARTBEAT_EVENT = 'heartbeat-tick';
+// Long recordings keep the most recent traffic
+const MAX_EXCHANGES = 2000;
+const MAX_STREAM_EVENTS = 5000;
+const MAX_REPLAY_DELAY_MS = 5000;
+const REDACTED_PARAMS = ['nonce', '_ajax_nonce', '_wpnonce'];
+const STORAGE_KEY = 'sbi_transport';
+
+function paramsOf(url: string, init: RequestInit): URLSearchParams {
+  const query = url.includes('?') ? url.slice(url.indexOf('?') + 1) : '';
+  const params = new URLSearchParams(query);
+  const body = init.body;
+  if (typeof body === 'string' || body instanceof URLSearchParams) {
+    new URLSearchParams(body as any).forEach((v, k) => params.append(k, v));
+  }
+  return params;
+}
+
+// Nonces are per-session secrets and differ on every page load, so they are neither recorded nor matched on
+function redact(params: URLSearchParams): URLSearchParams {
+  const copy = new URLSearchParams(params);
+  REDACTED_PARAMS.forEach((k) => copy.delete(k));
+  return copy;
+}
+
+function matchKey(method: string, params: URLSearchParams): string {
+  const entries: Array<[string, string]> = [];
+  redact(params).forEach((v, k) => entries.push([k, v]));
+  entries.sort((a, b) => (a[0] === b[0] ? a[1].localeCompare(b[1]) : a[0].localeCompare(b[0])));
+  return `${method.toUpperCase()} ${entries.map(([k, v]) => `${k}=${v}`).join('&')}`;
+}
+
+function abortError(): Error {
+  try {
+    return new DOMException('The operation was aborted.', 'AbortError');
+  } catch {
+    const e = new Error('The operation was aborted.');
+    e.name = 'AbortError';
+    return e;
+  }
+}
+
+function wait(ms: number, signal?: AbortSignal | null): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    if (ms <= 0) return resolve();
+    const onAbort = () => {
+      clearTimeout(id);
+      reject(abortError());
+    };
+    const id = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort);
+  });
+}
+
+export class LiveTransport implements Transport {
+  readonly mode: TransportMode = 'live';
+
+  fetch(url: string, init: RequestInit): Promise<Response> {
+    return fetch(url, init);
+  }
+
+  openStream(url: string): StreamSource {
+    return new EventSource(url);
+  }
+}
+
+/**
+ * Live transport that also captures every request/response pair and stream
+ * event, for download as a session file that ReplayTransport can serve.
+ */
+export class RecordingTransport extends LiveTransport {
+  readonly mode: TransportMode = 'record';
+  private readonly startedAt = Date.now();
+  private exchanges: RecordedExchange[] = [];
+  private stream: RecordedStreamEvent[] = [];
+
+  async fetch(url: string, init: RequestInit): Promise<Response> {
+    const started = Date.now();
+    const method = (init.method || 'GET').toUpperCase();
+    const params = paramsOf(url, init);
+    const base = {
+      t: started - this.startedAt,
+      method,
+      url: url.split('?')[0],
+      action: params.get('action') || undefined,
+      request: redact(params).toString(),
+    };
+    try {
+      const resp = await super.fetch(url, init);
+      const body = await resp.clone().text();
+      this.push(this.exchanges, MAX_EXCHANGES, {
+        ...base,
+        status: resp.status,
+        statusText: resp.statusText,
+        contentType: resp.headers.get('Content-Type') || '',
+        body,
+        durationMs: Date.now() - started,
+      });
+      return resp;
+    } catch (e) {
+      this.push(this.exchanges, MAX_EXCHANGES, {
+        ...base,
+        status: 0,
+        statusText: '',
+        contentType: '',
+        body: '',
+        durationMs: Date.now() - started,
+        error: e instanceof Error ? `${e.name}: ${e.message}` : String(e),
+      });
+      throw e;
+    }
+  }
+
+  openStream(url: string): StreamSource {
+    const source = super.openStream(url);
+    STREAM_EVENTS.forEach((type) =>
+      source.addEventListener(type, (e) => {
+        const msg = e as MessageEvent;
+        this.push(this.stream, MAX_STREAM_EVENTS, {
+          t: Date.now() - this.startedAt,
+          type,
+          data: typeof msg.data === 'string' ? msg.data : undefined,
+          lastEventId: msg.lastEventId || undefined,
+        });
+      })
+    );
+    return source;
+  }
+
+  // Events from channels that bypass fetch/EventSource (the WordPress Heartbeat)
+  recordStreamEvent(type: string, payload: unknown): void {
+    this.push(this.stream, MAX_STREAM_EVENTS, { t: Date.now() - this.startedAt, type, data: JSON.stringify(payload) });
+  }
+
+  session(pluginVersion?: string): TransportSession {
+    return {
+      format: SESSION_FORMAT,
+      version: 1,
+      recorded_at: new Date(this.startedAt).toISOString(),
+      plugin_version: pluginVersion,
+      exchanges: this.exchanges.slice(),
+      stream: this.stream.slice(),
+    };
+  }
+
+  size(): number {
+    return this.exchanges.length + this.stream.length;
+  }
+
+  private push<T>(list: T[], max: number, item: T): void {
+    list.push(item);
+    if (list.length > max) list.splice(0, list.length - max);
+  }
+}
+
+// EventSource stand-in fed from a recording or by scripted emits
+class ReplayStream implements StreamSource {
+  private readonly target = new EventTarget();
+  private readonly onClose: () => void;
+  private timers: Array<ReturnType<typeof setTimeout>> = [];
+  private closed = false;
+
+  constructor(onClose: () => void) {
+    this.onClose = onClose;
+  }
+
+  addEventListener(type: string, listener: (e: Event) => void): void {
+    this.target.addEventListener(type, listener);
+  }
+
+  close(): void {
+    this.closed = true;
+    this.timers.forEach((id) => clearTimeout(id));
+    this.timers = [];
+    this.onClose();
+  }
+
+  emit(type: string, data?: string, lastEventId?: string, delayMs: number = 0): void {
+    const id = setTimeout(() => {
+      if (this.closed) return;
+      this.target.dispatchEvent(new MessageEvent(type, { data, lastEventId: lastEventId || '' }));
+    }, delayMs);
+    this.timers.push(id);
+  }
+}
+
+/**
+ * Serves responses without a server: scripted fixtures first, then the
+ * recorded exchange with the same parameters (ignoring nonces), then any
+ * recorded exchange for the same action. Anything else gets a
+ * `replay_miss` error so gaps in a recording are visible in the debug log.
+ */
+export class ReplayTransport implements Transport {
+  readonly mode: TransportMode = 'replay';
+  private readonly session: TransportSession | null;
+  private readonly fixtures: Map<string, MockHandler> = new Map();
+  private readonly speed: number;
+  private byKey: Map<string, RecordedExchange[]> = new Map();
+  private byAction: Map<string, RecordedExchange[]> = new Map();
+  private cursor: Map<string, number> = new Map();
+  private streams: Set<ReplayStream> = new Set();
+  private streamReplayed = false;
+  private eventsReplayed: Set<string> = new Set();
+
+  constructor(config: Omit<TransportConfig, 'mode'> = {}) {
+    this.session = config.session || null;
+    this.speed = Math.max(0, config.speed ?? 1);
+    Object.entries(config.fixtures || {}).forEach(([action, handler]) => this.mock(action, handler));
+    (this.session?.exchanges || []).forEach((x) => {
+      const key = matchKey(x.method, new URLSearchParams(x.request));
+      if (!this.byKey.has(key)) this.byKey.set(key, []);
+      this.byKey.get(key)!.push(x);
+      const action = x.action || '';
+      if (!this.byAction.has(action)) this.byAction.set(action, []);
+      this.byAction.get(action)!.push(x);
+    });
+  }
+
+  // Script the response for an AJAX action; the handler may return undefined to fall through to the session
+  mock(action: string, handler: MockHandler): void {
+    this.fixtures.set(action, handler);
+  }
+
+  // Push a stream event to every open replay stream (e.g. a state_changed from a test harness)
+  emitStreamEvent(type: string, payload: unknown, lastEventId?: string): void {
+    const data = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    this.streams.forEach((s) => s.emit(type, data, lastEventId));
+  }
+
+  async fetch(url: string, init: RequestInit): Promise<Response> {
+    const method = (init.method || 'GET').toUpperCase();
+    const params = paramsOf(url, init);
+    const action = params.get('action') || '';
+
+    const fixture = this.fixtures.get(action);
+    if (fixture) {
+      const result = await fixture(params, method);
+      if (result !== undefined) {
+        await wait(0, init.signal);
+        return toResponse(result);
+      }
+    }
+
+    const recorded = this.next(matchKey(method, params)) || this.next(action, true);
+    if (!recorded) {
+      return toResponse({ success: false, data: { message: `No recorded or scripted response for ${action || url}`, code: 'replay_miss' } });
+    }
+    await wait(Math.min(MAX_REPLAY_DELAY_MS, recorded.durationMs * this.speed), init.signal);
+    if (recorded.status === 0) throw new TypeError(recorded.error || 'Failed to fetch');
+    return new Response(recorded.body, {
+      status: recorded.status,
+      statusText: recorded.statusText,
+      headers: { 'Content-Type': recorded.contentType || 'text/plain' },
+    });
+  }
+
+  openStream(_url: string): StreamSource {
+    const stream = new ReplayStream(() => this.streams.delete(stream));
+    this.streams.add(stream);
+    stream.emit('open');
+    // Recorded events play once, on the first connection, at their recorded pace
+    if (!this.streamReplayed && this.session) {
+      this.streamReplayed = true;
+      const events = this.session.stream.filter((e) => e.type === 'state_changed' || e.type === 'resync');
+      const first = events.length ? events[0].t : 0;
+      events.forEach((e) =>
+        stream.emit(e.type, e.data, e.lastEventId, Math.min(MAX_REPLAY_DELAY_MS * 12, (e.t - first) * this.speed))
+      );
+    }
+    return stream;
+  }
+
+  // Recorded events of a channel without a stream (heartbeat-tick), played once at their recorded pace
+  replayEvents(type: string, listener: (data: string | undefined) => void): void {
+    if (!this.session || this.eventsReplayed.has(type)) return;
+    this.eventsReplayed.add(type);
+    const events = this.session.stream.filter((e) => e.type === type);
+    const first = events.length ? events[0].t : 0;
+    events.forEach((e) => setTimeout(() => listener(e.data), Math.min(MAX_REPLAY_DELAY_MS * 12, (e.t - first) * this.speed)));
+  }
+
+  // Repeated identical requests walk through the recorded responses in order, then keep the last
+  private next(key: string, byAction: boolean = false): RecordedExchange | undefined {
+    const list = (byAction ? this.byAction : this.byKey).get(key);
+    if (!list || !list.length) return undefined;
+    const cursorKey = `${byAction ? 'a' : 'k'}:${key}`;
+    const i = this.cursor.get(cursorKey) || 0;
+    this.cursor.set(cursorKey, i + 1);
+    return list[Math.min(i, list.length - 1)];
+  }
+}
+
+function toResponse(result: MockResult): Response {
+  if ('body' in result) {
+    const raw = result;
+    return new Response(raw.body, { status: raw.status, headers: { 'Content-Type': raw.contentType || 'text/html' } });
+  }
+  return new Response(JSON.stringify(result), { status: 200, headers: { 'Content-Type': 'application/json; charset=UTF-8' } });
+}
+
+/**
+ * Check that parsed JSON is a transport session; returns an error message
+ * for anything else.
+ */
+export function parseSession(raw: unknown): TransportSession | string {
+  const s = raw as Partial<TransportSession> | null;
+  if (!s || typeof s !== 'object' || s.format !== SESSION_FORMAT) return 'Not a transport session file';
+  if (s.version !== 1) return `Unsupported session version ${String(s.version)}`;
+  if (!Array.isArray(s.exchanges) || !Array.isArray(s.stream)) return 'Session file is missing exchanges or stream events';
+  return s as TransportSession;
+}
+
+let active: Transport | null = null;
+
+function log(windowObj: Window, level: DebugLevel, message: string): void {
+  debugLog(windowObj, level, 'Transport', message, { category: 'ajax' });
+}
+
+function create(config: TransportConfig): Transport {
+  if (config.mode === 'record') return new RecordingTransport();
+  if (config.mode === 'replay') return new ReplayTransport(config);
+  return new LiveTransport();
+}
+
+// A harness page can set window.sbiTransportConfig before the bundle loads; otherwise the tab's last choice
+function initialConfig(windowObj: Window): TransportConfig | null {
+  const configured = (windowObj as any).sbiTransportConfig as TransportConfig | undefined;
+  if (configured && configured.mode) return configured;
+  try {
+    const stored = windowObj.sessionStorage?.getItem(STORAGE_KEY);
+    if (stored) return JSON.parse(stored) as TransportConfig;
+  } catch {}
+  return null;
+}
+
+export function getTransport(windowObj: Window): Transport {
+  if (!active) {
+    const config = initialConfig(windowObj);
+    active = config ? create(config) : new LiveTransport();
+    if (active.mode !== 'live') log(windowObj, 'warning', `Transport mode: ${active.mode}`);
+  }
+  return active;
+}
+
+/**
+ * Switch the transport for this tab. The choice (and a replay session) is
+ * kept in sessionStorage so it survives reloads; requests already in flight
+ * finish on the previous transport.
+ */
+export function setTransportMode(windowObj: Window, config: TransportConfig): Transport {
+  active = create(config);
+  try {
+    const storage = windowObj.sessionStorage;
+    if (config.mode === 'live') storage?.removeItem(STORAGE_KEY);
+    else storage?.setItem(STORAGE_KEY, JSON.stringify({ mode: config.mode, session: config.session || null, speed: config.speed }));
+  } catch {
+    log(windowObj, 'warning', 'Session too large to keep across reloads; replay lasts until the page is left');
+  }
+  log(windowObj, active.mode === 'live' ? 'info' : 'warning', `Transport mode: ${active.mode}`);
+  return active;
+}
+
+/**
+ * Save what the recording transport captured so far as a session file.
+ * Returns null when the transport is not recording.
+ */
+export function downloadTransportSession(windowObj: Window): TransportSession | null {
+  const transport = getTransport(windowObj);
+  if (!(transport instanceof RecordingTransport)) return null;
+  const session = transport.session(windowObj.sbiAjax?.env?.pluginVersion);
+  downloadFile(`sbi-session-${fileStamp()}.json`, JSON.stringify(session, null, 2), 'application/json');
+  return session;
+}
@@ -16,6 +16,7 @@ export interface InstallPluginRequest {
   repository: string; // repo slug only
   owner: string;
   activate: boolean;
+  ref?: string; // branch, tag or release tag; empty/omitted for the default branch
   nonce: string;
 }
 
@@ -29,6 +30,89 @@ export interface InstallPluginSuccessData {
   [k: string]: unknown;
 }
 
+export interface UpdatePluginRequest {
+  action: 'sbi_update_plugin';
+  repository: string; // repo slug only
+  owner: string;
+  ref?: string;
+  nonce: string;
+}
+
+export interface UpdatePluginSuccessData extends InstallPluginSuccessData {
+  plugin_file: string;
+  previous_version: string;
+  version: string;
+  active: boolean; // activation status after the update (kept from before)
+}
+
+export interface RepositoryRefsRequest {
+  action: 'sbi_get_repository_refs';
+  repository: string; // repo slug only
+  owner: string;
+  force_refresh?: boolean;
+  nonce: string;
+}
+
+export interface RepositoryRelease {
+  tag: string;
+  name: string;
+  prerelease: boolean;
+  published_at: string;
+}
+
+export interface RepositoryRefs {
+  repository: string; // full_name
+  default_branch: string;
+  branches: string[];
+  tags: string[];
+  releases: RepositoryRelease[];
+  installed_ref: string; // '' when unknown
+}
+
+export interface GitHubRateLimitRequest {
+  action: 'sbi_github_rate_limit';
+  force_refresh?: boolean;
+  nonce: string;
+}
+
+// Core API quota of the server's GitHub requests (reset and server_time in epoch seconds)
+export interface GitHubRateLimit {
+  limit: number;
+  remaining: number;
+  reset: number;
+  checked_at: number;
+  source: 'api' | 'headers';
+  server_time: number;
+}
+
+export interface PluginOverrideRequest {
+  action: 'sbi_set_plugin_override' | 'sbi_remove_plugin_override';
+  repository: string; // full_name
+  plugin_file?: string; // main file relative to the plugin directory; empty lets WordPress find it
+  nonce: string;
+}
+
+// Entry of the sbi_plugin_overrides option (created_at in epoch seconds)
+export interface PluginOverride {
+  plugin_file: string;
+  created_at: number;
+  user: string;
+}
+
+export interface PluginOverrideListItem extends PluginOverride {
+  repository: string; // full_name
+  state: string; // server enum string
+}
+
+export interface PluginOverrideSuccessData extends RefreshRepositorySuccessData {
+  override: PluginOverride | null;
+}
+
+export interface ClearPluginOverridesData {
+  cleared: number;
+  states: Record<string, string>; // full_name -> server enum string
+}
+
 export interface ActivatePluginRequest {
   action: 'sbi_activate_plugin';
   repository: string; // repo slug only
@@ -58,3 +142,42 @@ export interface RefreshStatusSuccessData {
   results: RefreshStatusResultItem[];
 }
 
+
+export interface RefreshRepositoryRequest {
+  action: 'sbi_refresh_repository';
+  repository: string; // full_name
+  nonce: string;
+}
+
+export interface RefreshRepositorySuccessData {
+  repository: string; // full_name
+  state: string; // server enum string
+  row_html?: string;
+}
+
+export type InstallPhase = 'download' | 'unzip' | 'install' | 'activate';
+
+export interface InstallProgressRequest {
+  action: 'sbi_get_installation_progress';
+  repository: string; // full_name
+  nonce: string;
+}
+
+// One recorded installer step (StateManager::record_install_progress)
+export interface InstallProgressStep {
+  step: string;
+  phase: InstallPhase;
+  status: 'info' | 'success' | 'warning' | 'error';
+  message?: string;
+  elapsed: number; // ms since the install started
+}
+
+export interface InstallProgressData {
+  repository: string; // full_name
+  status: 'idle' | 'running' | 'success' | 'error';
+  phase?: InstallPhase;
+  activate?: boolean;
+  elapsed?: number; // ms
+  current_step?: string;
+  steps: InstallProgressStep[];
+}
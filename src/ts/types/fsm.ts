@@ -6,12 +6,61 @@ export enum PluginState {
   INSTALLING = 'installing',
   INSTALLED_INACTIVE = 'installed_inactive',
   INSTALLED_ACTIVE = 'installed_active',
+  UPDATE_AVAILABLE = 'update_available', // installed, GitHub has a newer Version header
   ERROR = 'error',
 }
 
 export const isInstalled = (s: PluginState) =>
-  s === PluginState.INSTALLED_ACTIVE || s === PluginState.INSTALLED_INACTIVE;
+  s === PluginState.INSTALLED_ACTIVE || s === PluginState.INSTALLED_INACTIVE || s === PluginState.UPDATE_AVAILABLE;
+
+// Where an install or update lands; overwriting an active plugin keeps it active
+export const installedState = (active: boolean) => (active ? PluginState.INSTALLED_ACTIVE : PluginState.INSTALLED_INACTIVE);
+
+// Short names for plan previews and manifest diffs
+export const STATE_LABELS: Record<PluginState, string> = {
+  [PluginState.UNKNOWN]: 'Unknown',
+  [PluginState.CHECKING]: 'Checking',
+  [PluginState.AVAILABLE]: 'Available',
+  [PluginState.NOT_PLUGIN]: 'Not a plugin',
+  [PluginState.INSTALLING]: 'Installing',
+  [PluginState.INSTALLED_INACTIVE]: 'Installed inactive',
+  [PluginState.INSTALLED_ACTIVE]: 'Active',
+  [PluginState.UPDATE_AVAILABLE]: 'Update available',
+  [PluginState.ERROR]: 'Error',
+};
 
 export const isPluginByState = (s: PluginState) =>
   s === PluginState.AVAILABLE || isInstalled(s);
 
+
+// Mirrors StateManager::init_transitions() in src/Services/StateManager.php; keep both tables in sync
+export const ALLOWED_TRANSITIONS: Record<PluginState, readonly PluginState[]> = {
+  [PluginState.UNKNOWN]: [
+    PluginState.CHECKING,
+    PluginState.AVAILABLE,
+    PluginState.NOT_PLUGIN,
+    PluginState.ERROR,
+    PluginState.INSTALLING,
+    PluginState.INSTALLED_INACTIVE,
+    PluginState.INSTALLED_ACTIVE,
+    PluginState.UPDATE_AVAILABLE,
+  ],
+  [PluginState.CHECKING]: [PluginState.AVAILABLE, PluginState.NOT_PLUGIN, PluginState.ERROR],
+  [PluginState.AVAILABLE]: [PluginState.INSTALLING, PluginState.INSTALLED_INACTIVE, PluginState.ERROR],
+  [PluginState.INSTALLING]: [PluginState.INSTALLED_INACTIVE, PluginState.INSTALLED_ACTIVE, PluginState.ERROR],
+  [PluginState.INSTALLED_INACTIVE]: [PluginState.INSTALLED_ACTIVE, PluginState.UPDATE_AVAILABLE, PluginState.ERROR],
+  [PluginState.INSTALLED_ACTIVE]: [PluginState.INSTALLED_INACTIVE, PluginState.UPDATE_AVAILABLE, PluginState.ERROR],
+  [PluginState.UPDATE_AVAILABLE]: [
+    PluginState.INSTALLING,
+    PluginState.INSTALLED_INACTIVE,
+    PluginState.INSTALLED_ACTIVE,
+    PluginState.ERROR,
+  ],
+  [PluginState.NOT_PLUGIN]: [PluginState.CHECKING, PluginState.AVAILABLE],
+  [PluginState.ERROR]: [PluginState.CHECKING, PluginState.AVAILABLE, PluginState.NOT_PLUGIN, PluginState.INSTALLING],
+};
+
+export const isPluginState = (s: unknown): s is PluginState =>
+  typeof s === 'string' && (Object.values(PluginState) as string[]).includes(s);
+
+export const canTransition = (from: PluginState, to: PluginState) => ALLOWED_TRANSITIONS[from].includes(to);
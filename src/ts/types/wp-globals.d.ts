@@ -3,15 +3,36 @@ import type { ProgressUpdate } from './ajax';
 export interface SbiAjax {
   ajaxurl: string;
   nonce: string;
+  sseEnabled?: boolean;
+  sseLastId?: number; // broadcast cursor at page render
+  batchConcurrency?: number;
+  env?: SbiEnvironment; // included in the diagnostic bundle
+  currentUser?: { id: number; login: string; name: string }; // recorded in the audit trail
   strings: Record<string, string>;
 }
 
+export interface SbiEnvironment {
+  pluginVersion: string;
+  wpVersion: string;
+  phpVersion: string;
+  multisite: boolean;
+  locale: string;
+  debugAjax: boolean;
+}
+
+export type DebugLevel = 'info' | 'success' | 'warning' | 'error';
+
+// Optional structure for debug entries (see src/ts/lib/debugStore.ts)
+export interface DebugMeta {
+  category?: string; // ajax, fsm, sse, actions, install, batch, scan...
+  repo?: string; // owner/repo
+  requestId?: string;
+  payload?: unknown;
+}
+
 export interface SbiDebug {
-  addEntry: (
-    level: 'info' | 'success' | 'warning' | 'error',
-    title: string,
-    message: string
-  ) => void;
+  addEntry: (level: DebugLevel, title: string, message: string, meta?: DebugMeta) => void;
+  panelMounted?: boolean;
 }
 
 declare global {